@@ -11,6 +11,7 @@ import {
   DollarSign,
   BarChart3
 } from 'lucide-react';
+import { connectTracking } from '../services/trackingSocket';
 
 const AdminDashboard = () => {
   // Mock data - in real app, this would come from API calls
@@ -84,6 +85,38 @@ const AdminDashboard = () => {
 
   const [selectedTab, setSelectedTab] = useState('overview');
 
+  // Live driver positions and order status changes from the tracking server
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!token) return undefined;
+
+    return connectTracking(token, {
+      onDriverLocation: (update) => {
+        setDashboardData((data) => ({
+          ...data,
+          activeDrivers: data.activeDrivers.map((driver) => (
+            driver.id === update.driverId
+              ? {
+                ...driver,
+                status: update.status,
+                location: `${update.coordinates[1].toFixed(4)}, ${update.coordinates[0].toFixed(4)}`
+              }
+              : driver
+          ))
+        }));
+      },
+      onOrderStatus: (update) => {
+        setDashboardData((data) => ({
+          ...data,
+          recentOrders: data.recentOrders.map((order) => (
+            order.id === update.orderId ? { ...order, status: update.status } : order
+          ))
+        }));
+      },
+      onError: (message) => console.warn('Live tracking unavailable:', message)
+    });
+  }, []);
+
   // Status color mapping
   const getStatusColor = (status) => {
     const colors = {
@@ -0,0 +1,32 @@
+import { io } from 'socket.io-client';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+/**
+ * Connect to the live tracking server as a dispatcher or admin.
+ * Admins receive every driver; pass hubId to follow a single hub instead.
+ * @param {string} token - JWT from /api/auth/login
+ * @param {Object} handlers - { onDriverLocation, onOrderStatus, onError }
+ * @param {Object} options - { hubId }
+ * @returns {Function} Disconnect
+ */
+export const connectTracking = (token, handlers = {}, options = {}) => {
+  const socket = io(API_URL, { auth: { token } });
+
+  socket.on('connect', () => {
+    if (options.hubId) {
+      socket.emit('subscribe:hub', { hubId: options.hubId }, (reply) => {
+        if (!reply.success && handlers.onError) handlers.onError(reply.error);
+      });
+    }
+  });
+
+  socket.on('connect_error', (error) => {
+    if (handlers.onError) handlers.onError(error.message);
+  });
+
+  if (handlers.onDriverLocation) socket.on('driver:location', handlers.onDriverLocation);
+  if (handlers.onOrderStatus) socket.on('order:status', handlers.onOrderStatus);
+
+  return () => socket.disconnect();
+};
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import the models whose codes come from sequences
+require('../src/models/Order');
+require('../src/models/Hub');
+require('../src/models/Driver');
+require('../src/models/Bag');
+require('../src/models/Manifest');
+require('../src/models/ReturnRequest');
+const sequenceService = require('../src/services/sequenceService');
+
+// Data migrations, in the order they run. Each one must be safe to run again.
+const MIGRATIONS = [
+  {
+    name: 'seed-sequence-counters',
+    run: async () => {
+      const highest = await sequenceService.seedCounters();
+      return `${Object.keys(highest).length} counters checked against stored codes`;
+    }
+  }
+];
+
+class Migrator {
+  async connect() {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('Connected to MongoDB');
+    } catch (error) {
+      console.error('MongoDB connection error:', error);
+      process.exit(1);
+    }
+  }
+
+  async run() {
+    let failed = false;
+    try {
+      await this.connect();
+
+      for (const migration of MIGRATIONS) {
+        console.log(`Running ${migration.name}...`);
+        console.log(`   ${await migration.run()}`);
+      }
+
+      console.log('\n✅ Migrations completed');
+    } catch (error) {
+      failed = true;
+      console.error('Migration failed:', error);
+    } finally {
+      await mongoose.connection.close();
+      console.log('\nDatabase connection closed');
+      process.exit(failed ? 1 : 0);
+    }
+  }
+}
+
+// Run migrations if called directly
+if (require.main === module) {
+  const migrator = new Migrator();
+  migrator.run();
+}
+
+module.exports = Migrator;
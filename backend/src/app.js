@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -13,7 +14,14 @@ const shipmentRoutes = require('./routes/shipmentRoutes');
 const driverRoutes = require('./routes/driverRoutes');
 const hubRoutes = require('./routes/hubRoutes');
 const merchantRoutes = require('./routes/merchantRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const codRoutes = require('./routes/codRoutes');
+const dispatchRoutes = require('./routes/dispatchRoutes');
+const zoneRoutes = require('./routes/zoneRoutes');
+const linehaulRoutes = require('./routes/linehaulRoutes');
+const returnRoutes = require('./routes/returnRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
+const realtimeService = require('./services/realtimeService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -44,16 +52,24 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// CORS configuration
-app.use(cors({
+// CORS configuration (shared with the realtime socket server)
+const corsOptions = {
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://yourdomain.com', 'https://admin.yourdomain.com']
     : ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true
-}));
+};
+app.use(cors(corsOptions));
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing; webhook signatures are checked against the body exactly as received
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) {
+      req.rawBody = buffer;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // MongoDB connection with fallback
@@ -93,9 +109,17 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth/*',
       orders: '/api/orders/*',
+      shipments: '/api/shipments/*',
       drivers: '/api/drivers/*',
       hubs: '/api/hubs/*',
       merchants: '/api/merchants/*',
+      quotes: '/api/quotes',
+      cod: '/api/cod/*',
+      dispatch: '/api/dispatch/*',
+      zones: '/api/zones/*',
+      linehaul: '/api/linehaul/*',
+      returns: '/api/returns/*',
+      webhooks: '/api/webhooks/*',
       test: '/test-ui'
     },
     documentation: 'Visit /test-ui for interactive API testing'
@@ -109,6 +133,12 @@ app.use('/api/shipments', shipmentRoutes);
 app.use('/api/drivers', driverRoutes);
 app.use('/api/hubs', hubRoutes);
 app.use('/api/merchants', merchantRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/cod', codRoutes);
+app.use('/api/dispatch', dispatchRoutes);
+app.use('/api/zones', zoneRoutes);
+app.use('/api/linehaul', linehaulRoutes);
+app.use('/api/returns', returnRoutes);
 app.use('/api/webhooks', webhookRoutes);
 
 // Health check
@@ -176,9 +206,7 @@ app.get('/test-ui', (req, res) => {
           category: "electronics"
         }],
         pricing: {
-          subtotal: parseFloat(document.getElementById('orderValue').value),
-          shippingCost: 50,
-          total: parseFloat(document.getElementById('orderValue').value) + 50
+          subtotal: parseFloat(document.getElementById('orderValue').value)
         },
         payment: {
           method: "cod"
@@ -248,8 +276,12 @@ process.on('SIGTERM', () => {
 });
 
 if (require.main === module) {
-  app.listen(PORT, () => {
+  const server = http.createServer(app);
+  realtimeService.attach(server, { cors: corsOptions });
+
+  server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📡 Realtime tracking: ws://localhost:${PORT}/socket.io`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🧪 Test Interface: http://localhost:${PORT}/test-ui`);
     console.log(`📊 API Documentation: http://localhost:${PORT}/`);
@@ -1,6 +1,15 @@
 const { validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const User = require('../models/User');
+const Merchant = require('../models/Merchant');
+const { OrderTransitionError } = require('../services/orderLifecycle');
+const pricingService = require('../services/pricingService');
+const zoneService = require('../services/zoneService');
+
+// Respond to a rejected status change with the lifecycle details, same body as the routes
+const sendTransitionError = (res, error) => {
+  return res.status(error.statusCode).json(error.toJSON());
+};
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -18,16 +27,30 @@ const createOrder = async (req, res) => {
 
     const {
       customerInfo,
-      pickupAddress,
+      pickupLocationId,
       items,
       pricing,
-      payment,
-      serviceType,
       priority,
       scheduledPickup,
       scheduledDelivery,
       specialInstructions
     } = req.body;
+    let { pickupAddress, payment, serviceType } = req.body;
+
+    // Saved pickup location and profile defaults
+    const merchantProfile = await Merchant.findByUser(req.user.userId);
+    if (!merchantProfile || !merchantProfile.canCreateOrders) {
+      return res.status(403).json({
+        success: false,
+        message: merchantProfile
+          ? `Merchant account is ${merchantProfile.status}`
+          : 'A merchant profile is required to create orders'
+      });
+    }
+    ({ pickupAddress, payment, serviceType } = merchantProfile.applyOrderDefaults(
+      { pickupAddress, payment, serviceType },
+      pickupLocationId
+    ));
 
     // Calculate total weight and validate items
     let totalWeight = 0;
@@ -51,6 +74,7 @@ const createOrder = async (req, res) => {
       scheduledPickup,
       scheduledDelivery,
       specialInstructions,
+      deliveryOtp: req.body.deliveryOtp ? { required: req.body.deliveryOtp.required } : undefined,
       metadata: {
         source: req.body.source || 'web'
       }
@@ -67,7 +91,16 @@ const createOrder = async (req, res) => {
       }
     }
 
-    const order = await Order.create(orderData);
+    const order = new Order(orderData);
+
+    // Serving hub from the delivery zone, before pricing so its rate card applies
+    await zoneService.applyToOrder(order);
+
+    // Shipping cost, taxes and total always come from the rate card
+    await pricingService.applyToOrder(order, pricing, { role: req.user.role });
+    order.applyCodAmount();
+
+    await order.save();
 
     // Populate the created order
     await order.populate('merchant', 'firstName lastName email phone');
@@ -83,6 +116,13 @@ const createOrder = async (req, res) => {
 
   } catch (error) {
     console.error('Create order error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.quote ? { quote: error.quote } : undefined
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to create order',
@@ -333,44 +373,18 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Validate status transition
-    const validTransitions = {
-      'pending': ['confirmed', 'cancelled'],
-      'confirmed': ['pickup_scheduled', 'cancelled'],
-      'pickup_scheduled': ['picked_up', 'cancelled'],
-      'picked_up': ['in_transit', 'returned'],
-      'in_transit': ['out_for_delivery', 'returned'],
-      'out_for_delivery': ['delivered', 'failed_delivery'],
-      'failed_delivery': ['out_for_delivery', 'returned'],
-      'delivered': ['returned'], // Only in case of issues
-      'returned': [],
-      'cancelled': [],
-      'refunded': []
-    };
-
-    if (!validTransitions[order.status]?.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot change status from ${order.status} to ${status}`
-      });
-    }
-
-    // Update order status with history
-    await order.updateStatus(status, notes, req.user.userId);
-
-    // Update location if provided
-    if (location && Array.isArray(location) && location.length === 2) {
-      order.tracking.currentLocation = location;
-    }
-
-    // Handle delivery attempt for failed deliveries
+    // Delivery outcomes are recorded as attempts, which move the status themselves
     if (status === 'failed_delivery' || status === 'delivered') {
+      if (location && Array.isArray(location) && location.length === 2) {
+        order.tracking.currentLocation = location;
+      }
       const result = status === 'delivered' ? 'success' : 'failed';
-      await order.addDeliveryAttempt(result, notes, req.user.userId, notes, photo, signature);
+      await order.addDeliveryAttempt(result, notes, req.user.userId, notes, { photos: photo ? [photo] : [], signature });
+    } else {
+      // Update order status with history (validated by the order lifecycle)
+      await order.updateStatus(status, notes, req.user.userId, { location });
     }
 
-    await order.save();
-
     res.status(200).json({
       success: true,
       message: `Order status updated to ${status}`,
@@ -385,6 +399,9 @@ const updateOrderStatus = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return sendTransitionError(res, error);
+    }
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -498,6 +515,9 @@ const cancelOrder = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return sendTransitionError(res, error);
+    }
     console.error('Cancel order error:', error);
     res.status(500).json({
       success: false,
@@ -12,6 +12,12 @@ const sensitiveOperation = (req, res, next) => {
   next();
 };
 
+// JWT verification shared by HTTP middleware and the realtime socket server
+const verifyToken = (token) => jwt.verify(token, process.env.JWT_SECRET, {
+  issuer: 'shipping-system',
+  audience: 'shipping-app'
+});
+
 const authenticate = (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -20,10 +26,7 @@ const authenticate = (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-      issuer: 'shipping-system',
-      audience: 'shipping-app'
-    });
+    const decoded = verifyToken(token);
 
     req.user = decoded; // { userId, role }
     next();
@@ -65,10 +68,7 @@ const optionalAuth = (req, res, next) => {
   if (authHeader && authHeader.startsWith('Bearer ')) {
     try {
       const token = authHeader.split(' ')[1];
-      req.user = jwt.verify(token, process.env.JWT_SECRET, {
-        issuer: 'shipping-system',
-        audience: 'shipping-app'
-      });
+      req.user = verifyToken(token);
     } catch (err) {
       console.warn('Optional auth token invalid, continuing without user');
     }
@@ -85,6 +85,7 @@ const requireEmailVerification = (req, res, next) => {
 };
 
 module.exports = {
+  verifyToken,
   sensitiveOperation,
   authenticate,
   authorize,
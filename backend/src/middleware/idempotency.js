@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// A first request that has not answered within this time is treated as crashed
+const LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10) || 60;
+const MAX_KEY_LENGTH = 255;
+
+const requestHash = req => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body || {} }))
+  .digest('hex');
+
+// Insert the key; false when another request holds it
+const insert = async (filter, hash) => {
+  try {
+    await IdempotencyKey.create({ ...filter, requestHash: hash });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return false;
+  }
+};
+
+// Record of the request holding the key; one that keeps changing hands is reported as in progress
+const holder = async (filter, hash) => {
+  return (await IdempotencyKey.findOne(filter)) || { requestHash: hash, status: 'processing' };
+};
+
+// Claim the key for this request; returns the record another request already holds, if any
+const claim = async (filter, hash) => {
+  if (await insert(filter, hash)) return null;
+
+  const existing = await IdempotencyKey.findOne(filter);
+  if (!existing) {
+    // Removed between the insert and the lookup; try once more
+    if (await insert(filter, hash)) return null;
+    return holder(filter, hash);
+  }
+
+  // Expired keys linger until the TTL monitor runs; stale locks belong to crashed requests
+  const now = new Date();
+  const stale = existing.status === 'processing' && existing.lockedAt < new Date(now - LOCK_SECONDS * 1000);
+  if (existing.expiresAt < now || stale) {
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, updatedAt: existing.updatedAt },
+      {
+        $set: { requestHash: hash, status: 'processing', lockedAt: now, expiresAt: IdempotencyKey.expiryDate() },
+        $unset: { response: 1 }
+      },
+      { new: true }
+    );
+    if (taken) return null;
+    return holder(filter, hash);
+  }
+
+  return existing;
+};
+
+/**
+ * Replay the stored response when a request is retried with the same Idempotency-Key.
+ * Requests without a key are processed as usual. Only answers sent with res.json are
+ * stored; any other answer releases the key, so its retry runs again.
+ * @param {Object} options
+ * @param {string} options.scope - Name of the endpoint the keys belong to
+ * @param {Function} [options.key] - Reads the key from the request; defaults to the Idempotency-Key header
+ * @param {Function} [options.owner] - Reads the key owner; defaults to the authenticated user
+ * @param {boolean} [options.successOnly] - Keep only 2xx answers; any other answer releases the key
+ * @returns {Function} Express middleware
+ */
+const idempotency = ({
+  scope,
+  key = req => req.get('Idempotency-Key'),
+  owner = req => req.user && req.user.userId,
+  successOnly = false
+}) => {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+
+    if (typeof value !== 'string' || value.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency-Key must be a string of at most ${MAX_KEY_LENGTH} characters`,
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    const filter = { key: value, scope, owner: String(owner(req) || 'anonymous') };
+    const hash = requestHash(req);
+
+    let existing;
+    try {
+      existing = await claim(filter, hash);
+    } catch (error) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ error: 'Failed to process idempotency key' });
+    }
+
+    if (existing) {
+      if (existing.requestHash !== hash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+      if (existing.status === 'processing') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_IN_PROGRESS'
+        });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Keep the response for replays before sending it; server errors release the key so the retry runs again
+    let settled = false;
+    const json = res.json.bind(res);
+    const send = res.send.bind(res);
+    res.json = body => {
+      settled = true;
+      const release = res.statusCode >= 500 || (successOnly && (res.statusCode < 200 || res.statusCode >= 300));
+      const settle = release
+        ? IdempotencyKey.deleteOne(filter)
+        : IdempotencyKey.updateOne(filter, {
+          status: 'completed',
+          response: { statusCode: res.statusCode, body: JSON.parse(JSON.stringify(body)) }
+        });
+      settle
+        .catch(error => console.error('Idempotency key save error:', error))
+        .then(() => json(body));
+      return res;
+    };
+    // res.json sends through res.send; anything else is not kept
+    res.send = body => {
+      if (settled) return send(body);
+      settled = true;
+      IdempotencyKey.deleteOne(filter)
+        .catch(error => console.error('Idempotency key save error:', error))
+        .then(() => send(body));
+      return res;
+    };
+
+    next();
+  };
+};
+
+module.exports = { idempotency };
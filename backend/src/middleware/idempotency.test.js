@@ -0,0 +1,214 @@
+const express = require('express');
+const request = require('supertest');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('./idempotency');
+const { buildApp } = require('../../test/helpers');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('idempotency middleware', () => {
+  let handler;
+  let app;
+  let create;
+  let updateOne;
+  let deleteOne;
+
+  beforeEach(() => {
+    handler = jest.fn((req, res) => res.status(201).json({ created: req.body.name }));
+    const router = express.Router();
+    router.post('/', (req, res, next) => {
+      req.user = { userId: 'merchant-1' };
+      next();
+    }, idempotency({ scope: 'orders:create' }), handler);
+    app = buildApp('/api/orders', router);
+
+    create = jest.spyOn(IdempotencyKey, 'create').mockResolvedValue({});
+    updateOne = jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    deleteOne = jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Hash the middleware stored for a first request with this body
+  const firstRequestHash = async body => {
+    await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send(body).expect(201);
+    const hash = create.mock.calls[0][0].requestHash;
+    create.mockReset();
+    handler.mockClear();
+    return hash;
+  };
+
+  test('runs requests without a key as usual', async () => {
+    await request(app).post('/api/orders').send({ name: 'a' }).expect(201);
+
+    expect(create).not.toHaveBeenCalled();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('claims the key per owner and scope and stores the response', async () => {
+    await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'a' }).expect(201);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      key: 'key-1',
+      scope: 'orders:create',
+      owner: 'merchant-1'
+    }));
+    expect(updateOne).toHaveBeenCalledWith(
+      { key: 'key-1', scope: 'orders:create', owner: 'merchant-1' },
+      { status: 'completed', response: { statusCode: 201, body: { created: 'a' } } }
+    );
+  });
+
+  test('replays the stored response to a retry without running it again', async () => {
+    const hash = await firstRequestHash({ name: 'a' });
+    create.mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({
+      requestHash: hash,
+      status: 'completed',
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      response: { statusCode: 201, body: { created: 'a' } }
+    });
+
+    const response = await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'a' }).expect(201);
+
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(response.body).toEqual({ created: 'a' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('refuses a key reused for a different request', async () => {
+    const hash = await firstRequestHash({ name: 'a' });
+    create.mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({
+      requestHash: hash,
+      status: 'completed',
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+
+    const response = await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'b' }).expect(422);
+
+    expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('asks a retry to wait while the first request is still running', async () => {
+    const hash = await firstRequestHash({ name: 'a' });
+    create.mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({
+      requestHash: hash,
+      status: 'processing',
+      lockedAt: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+
+    const response = await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'a' }).expect(409);
+
+    expect(response.headers['retry-after']).toBe('1');
+    expect(response.body.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+  });
+
+  test('takes over the lock of a request that never answered', async () => {
+    const hash = await firstRequestHash({ name: 'a' });
+    const stale = {
+      _id: 'key-doc',
+      updatedAt: new Date(Date.now() - 5 * 60 * 1000),
+      requestHash: hash,
+      status: 'processing',
+      lockedAt: new Date(Date.now() - 5 * 60 * 1000),
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    };
+    create.mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stale);
+    const takeOver = jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue({ ...stale, lockedAt: new Date() });
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'a' }).expect(201);
+
+    expect(takeOver.mock.calls[0][0]).toEqual({ _id: 'key-doc', updatedAt: stale.updatedAt });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers from the other request when it wins the key back after a removal', async () => {
+    const hash = await firstRequestHash({ name: 'a' });
+    create.mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({
+        requestHash: hash,
+        status: 'completed',
+        expiresAt: new Date(Date.now() + 60 * 1000),
+        response: { statusCode: 201, body: { created: 'a' } }
+      });
+
+    const response = await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'a' }).expect(201);
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('asks a retry to wait when the key keeps changing hands', async () => {
+    create.mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'a' }).expect(409);
+
+    expect(response.body.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('releases the key for an answer not sent as JSON', async () => {
+    handler.mockImplementation((req, res) => res.status(200).send('ok'));
+
+    const response = await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'a' }).expect(200);
+
+    expect(response.text).toBe('ok');
+    expect(deleteOne).toHaveBeenCalledWith({ key: 'key-1', scope: 'orders:create', owner: 'merchant-1' });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('releases the key after a server error so the retry runs again', async () => {
+    handler.mockImplementation((req, res) => res.status(500).json({ error: 'Failed to create order' }));
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'key-1').send({ name: 'a' }).expect(500);
+
+    expect(deleteOne).toHaveBeenCalledWith({ key: 'key-1', scope: 'orders:create', owner: 'merchant-1' });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('keeps only successful answers when asked to, so a retry after an error runs again', async () => {
+    const webhook = jest.fn((req, res) => res.status(404).json({ error: 'Store is not linked' }));
+    const router = express.Router();
+    router.post('/', idempotency({
+      scope: 'webhooks:shopify',
+      successOnly: true,
+      key: req => req.get('X-Delivery-Id'),
+      owner: () => 'shopify:demo-store.myshopify.com'
+    }), (req, res) => webhook(req, res));
+    const webhookApp = buildApp('/api/webhooks/shopify', router);
+    const filter = { key: 'delivery-1', scope: 'webhooks:shopify', owner: 'shopify:demo-store.myshopify.com' };
+
+    await request(webhookApp).post('/api/webhooks/shopify').set('X-Delivery-Id', 'delivery-1').send({ id: 1 }).expect(404);
+    expect(deleteOne).toHaveBeenCalledWith(filter);
+    expect(updateOne).not.toHaveBeenCalled();
+
+    webhook.mockImplementation((req, res) => res.status(201).json({ result: 'created' }));
+    await request(webhookApp).post('/api/webhooks/shopify').set('X-Delivery-Id', 'delivery-1').send({ id: 1 }).expect(201);
+    expect(updateOne).toHaveBeenCalledWith(filter, {
+      status: 'completed',
+      response: { statusCode: 201, body: { result: 'created' } }
+    });
+  });
+
+  test('rejects an overlong key', async () => {
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Idempotency-Key', 'k'.repeat(256))
+      .send({ name: 'a' })
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,49 @@
+const { body, validationResult } = require('express-validator');
+
+// Answer 400 with the first message per field when any rule failed
+const handleValidation = (req, res, next) => {
+  const result = validationResult(req);
+  if (!result.isEmpty()) {
+    const errors = result.array({ onlyFirstError: true }).map(error => ({
+      field: error.path,
+      message: error.msg
+    }));
+    return res.status(400).json({ error: errors[0].message, errors });
+  }
+  next();
+};
+
+const validateRegistration = [
+  body('email').trim().isEmail().withMessage('Please enter a valid email').normalizeEmail(),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
+  body('firstName').trim().notEmpty().withMessage('First name is required'),
+  body('lastName').trim().notEmpty().withMessage('Last name is required'),
+  body('phone').trim().matches(/^\+?[\d\s\-()]+$/).withMessage('Please enter a valid phone number'),
+  body('role').optional().isIn(['merchant', 'customer', 'driver']).withMessage('Invalid role'),
+  handleValidation
+];
+
+const validateLogin = [
+  body('email').trim().isEmail().withMessage('Please enter a valid email').normalizeEmail(),
+  body('password').notEmpty().withMessage('Password is required'),
+  handleValidation
+];
+
+const validateOrder = [
+  body('customerInfo.name').trim().notEmpty().withMessage('Customer name is required'),
+  body('customerInfo.phone').trim().notEmpty().withMessage('Customer phone is required'),
+  body('customerInfo.address.street').trim().notEmpty().withMessage('Delivery street address is required'),
+  body('customerInfo.address.city').trim().notEmpty().withMessage('Delivery city is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.name').trim().notEmpty().withMessage('Item name is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Item quantity must be at least 1'),
+  body('items.*.weight').isFloat({ min: 0 }).withMessage('Item weight is required'),
+  body('items.*.value').isFloat({ min: 0 }).withMessage('Item value is required'),
+  handleValidation
+];
+
+module.exports = {
+  validateRegistration,
+  validateLogin,
+  validateOrder
+};
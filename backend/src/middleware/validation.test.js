@@ -0,0 +1,35 @@
+const request = require('supertest');
+const express = require('express');
+const { validateOrder, validateLogin } = require('./validation');
+const { buildApp } = require('../../test/helpers');
+
+const router = express.Router();
+router.post('/orders', validateOrder, (req, res) => res.json({ success: true }));
+router.post('/login', validateLogin, (req, res) => res.json({ success: true, email: req.body.email }));
+const app = buildApp('/', router);
+
+const order = {
+  customerInfo: { name: 'Mona', phone: '+201000000000', address: { street: '1 Nile St', city: 'Cairo' } },
+  items: [{ name: 'Shirt', quantity: 1, weight: 0.5, value: 200 }]
+};
+
+describe('validation middleware', () => {
+  test('passes a complete order through', async () => {
+    await request(app).post('/orders').send(order).expect(200);
+  });
+
+  test('answers 400 with the failing fields', async () => {
+    const response = await request(app)
+      .post('/orders')
+      .send({ ...order, items: [{ ...order.items[0], quantity: 0 }], customerInfo: { ...order.customerInfo, name: '' } })
+      .expect(400);
+
+    expect(response.body.error).toBe('Customer name is required');
+    expect(response.body.errors.map(error => error.field)).toEqual(['customerInfo.name', 'items[0].quantity']);
+  });
+
+  test('normalizes the login email', async () => {
+    const response = await request(app).post('/login').send({ email: ' Mona@Example.com ', password: 'secret' }).expect(200);
+    expect(response.body.email).toBe('mona@example.com');
+  });
+});
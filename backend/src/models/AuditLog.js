@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Who did what to which record, for privileged actions such as overrides
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true // e.g. delivery_otp.override
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  details: mongoose.Schema.Types.Mixed,
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+/**
+ * Append an audit entry
+ * @param {Object} entry - { actor, action, entityType, entityId, details, ip }
+ * @returns {Promise<Object>} Audit log document
+ */
+auditLogSchema.statics.record = function(entry) {
+  return this.create(entry);
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+
+const BAG_STATUSES = [
+  'open',       // Accepting orders at the origin hub
+  'sealed',     // Closed with a seal, ready for a manifest
+  'dispatched', // On a line-haul trip
+  'received'    // Unloaded at the destination hub
+];
+
+// Sealed bag of orders moving between two hubs on a line-haul trip
+const bagSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  originHub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub',
+    required: [true, 'Origin hub is required']
+  },
+  destinationHub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub',
+    required: [true, 'Destination hub is required']
+  },
+  status: {
+    type: String,
+    enum: BAG_STATUSES,
+    default: 'open'
+  },
+  orders: [{
+    _id: false,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    trackingNumber: {
+      type: String,
+      uppercase: true,
+      required: true
+    },
+    weight: {
+      type: Number, // kg
+      default: 0
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  sealNumber: {
+    type: String,
+    trim: true
+  },
+  sealedAt: Date,
+  sealedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  manifest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Manifest'
+  },
+  receivedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual fields
+bagSchema.virtual('totalWeight').get(function() {
+  return Math.round(this.orders.reduce((total, item) => total + (item.weight || 0), 0) * 100) / 100;
+});
+
+// Indexes
+bagSchema.index({ originHub: 1, status: 1 });
+bagSchema.index({ destinationHub: 1, status: 1 });
+bagSchema.index({ 'orders.order': 1 });
+bagSchema.index({ manifest: 1 });
+
+// Pre-validate middleware to generate the bag code
+bagSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.code) {
+      this.code = await sequenceService.generate('bag');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static methods
+bagSchema.statics.BAG_STATUSES = BAG_STATUSES;
+
+// Bag holding an order that has not left its origin hub yet
+bagSchema.statics.findPendingForOrder = function(orderId) {
+  return this.findOne({ 'orders.order': orderId, status: { $in: ['open', 'sealed'] } });
+};
+
+const Bag = mongoose.model('Bag', bagSchema);
+
+module.exports = Bag;
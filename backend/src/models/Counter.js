@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Last number handed out per sequence; see services/sequenceService
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String // Sequence key, e.g. order:ORD261019
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Bookings against one hub delivery window; created on the first booking
+const deliverySlotSchema = new mongoose.Schema({
+  hub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub',
+    required: true
+  },
+  date: {
+    type: Date, // Start of the day
+    required: true
+  },
+  start: {
+    type: String, // "09:00"
+    required: true
+  },
+  end: {
+    type: String, // "11:00"
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deliverySlotSchema.index({ hub: 1, date: 1, start: 1 }, { unique: true });
+
+const DeliverySlot = mongoose.model('DeliverySlot', deliverySlotSchema);
+
+module.exports = DeliverySlot;
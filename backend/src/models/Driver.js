@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const DriverEarning = require('./DriverEarning');
+const DriverLocation = require('./DriverLocation');
+const sequenceService = require('../services/sequenceService');
 
 const driverSchema = new mongoose.Schema({
   user: {
@@ -58,12 +61,12 @@ const driverSchema = new mongoose.Schema({
     color: String,
     capacity: {
       weight: {
-        type: Number,
+        type: Number, // kg
         required: [true, 'Vehicle weight capacity is required'],
         min: 1
       },
       volume: {
-        type: Number,
+        type: Number, // Litres
         required: [true, 'Vehicle volume capacity is required'],
         min: 1
       }
@@ -145,6 +148,11 @@ const driverSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Hub'
   },
+  // Service zones the driver takes pickups in; any pickup when empty
+  workingZones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceZone'
+  }],
   activeDeliveries: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order'
@@ -348,19 +356,28 @@ driverSchema.index({ assignedHub: 1 });
 driverSchema.index({ 'license.number': 1 });
 driverSchema.index({ 'vehicle.plateNumber': 1 });
 
-// Pre-save middleware to generate driver code
-driverSchema.pre('save', async function(next) {
-  if (this.isNew && !this.driverCode) {
-    const count = await mongoose.model('Driver').countDocuments();
-    this.driverCode = `DRV${(count + 1).toString().padStart(6, '0')}`;
+// Pre-validate middleware to generate the driver code
+driverSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.driverCode) {
+      this.driverCode = await sequenceService.generate('driver');
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 });
 
-// Static method to find available drivers
+// Drivers on shift who can be given orders; capacity is checked separately
+const DISPATCHABLE_STATUSES = ['available', 'busy'];
+
+driverSchema.statics.DISPATCHABLE_STATUSES = DISPATCHABLE_STATUSES;
+
+// Static method to find drivers on shift near a point. Busy drivers are included:
+// whether they can take more is decided by preferences.maxDeliveries, not the status.
 driverSchema.statics.findAvailableDrivers = function(coordinates, maxDistance = 5000) {
   return this.find({
-    status: 'available',
+    status: { $in: DISPATCHABLE_STATUSES },
     'verification.status': 'approved',
     currentLocation: {
       $near: {
@@ -373,29 +390,77 @@ driverSchema.statics.findAvailableDrivers = function(coordinates, maxDistance =
     }
   })
   .populate('user', 'firstName lastName phone')
-  .populate('assignedHub', 'name address');
+  .populate('assignedHub', 'name address')
+  .populate('workingZones', 'code status geometry');
 };
 
-// Instance method to update location
-driverSchema.methods.updateLocation = function(coordinates) {
+// Instance method to update location and append it to the location history
+driverSchema.methods.updateLocation = async function(coordinates, { heading, speed, accuracy } = {}) {
+  const recordedAt = new Date();
   this.currentLocation = coordinates;
-  this.metadata.lastLocationUpdate = new Date();
-  this.lastSeen = new Date();
-  return this.save();
+  this.metadata.lastLocationUpdate = recordedAt;
+  this.lastSeen = recordedAt;
+  await this.save();
+
+  try {
+    await DriverLocation.create({
+      driver: this._id,
+      recordedAt,
+      coordinates,
+      heading,
+      speed,
+      accuracy,
+      orders: this.activeDeliveries
+    });
+  } catch (error) {
+    console.error(`Location history write failed for driver ${this.driverCode}:`, error);
+  }
+
+  return this;
 };
 
-// Instance method to assign order
-driverSchema.methods.assignOrder = function(orderId) {
-  if (this.activeDeliveries.length >= this.preferences.maxDeliveries) {
-    throw new Error('Driver has reached maximum delivery capacity');
+// Instance method to assign order. The delivery slot is taken in one conditional update
+// so concurrent assignments cannot go past maxDeliveries; force skips the limit.
+driverSchema.methods.assignOrder = async function(orderId, { force = false } = {}) {
+  if (this.activeDeliveries.some(id => id.equals(orderId))) {
+    return this;
   }
-  
-  if (!this.activeDeliveries.includes(orderId)) {
-    this.activeDeliveries.push(orderId);
-    this.status = 'busy';
+
+  const filter = { _id: this._id, activeDeliveries: { $ne: orderId } };
+  if (!force) {
+    filter.$expr = { $lt: [{ $size: '$activeDeliveries' }, '$preferences.maxDeliveries'] };
   }
-  
-  return this.save();
+
+  const updated = await this.constructor.findOneAndUpdate(
+    filter,
+    { $push: { activeDeliveries: orderId }, $set: { status: 'busy' } },
+    { new: true }
+  ).select('activeDeliveries status');
+
+  if (!updated) {
+    const error = new Error('Driver has reached maximum delivery capacity');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  this.activeDeliveries = updated.activeDeliveries;
+  this.status = updated.status;
+  return this;
+};
+
+// Instance method to hand an assigned order back without counting a delivery
+driverSchema.methods.releaseOrder = async function(orderId) {
+  await this.constructor.updateOne({ _id: this._id }, { $pull: { activeDeliveries: orderId } });
+  await this.constructor.updateOne(
+    { _id: this._id, status: 'busy', activeDeliveries: { $size: 0 } },
+    { $set: { status: 'available' } }
+  );
+
+  this.activeDeliveries.pull(orderId);
+  if (this.activeDeliveries.length === 0 && this.status === 'busy') {
+    this.status = 'available';
+  }
+  return this;
 };
 
 // Instance method to complete delivery
@@ -420,16 +485,58 @@ driverSchema.methods.completeDelivery = function(orderId, successful = true) {
   return this.save();
 };
 
-// Instance method to calculate earnings
-driverSchema.methods.calculateEarnings = function(deliveryFee) {
-  const commission = deliveryFee * this.earnings.commission;
-  const driverEarning = deliveryFee - commission;
-  
-  this.earnings.pending += driverEarning;
-  this.earnings.total += driverEarning;
-  this.performance.currentMonth.earnings += driverEarning;
-  
-  return this.save();
+// Instance method to record the earning for a delivered order
+driverSchema.methods.calculateEarnings = async function(order) {
+  const round = value => Math.round(value * 100) / 100;
+  const deliveryFee = order.pricing.shippingCost || 0;
+  const commission = round(deliveryFee * this.earnings.commission);
+  const driverEarning = round(deliveryFee - commission);
+
+  let entry;
+  try {
+    entry = await DriverEarning.create({
+      driver: this._id,
+      type: 'delivery',
+      order: order._id,
+      date: order.tracking.actualDeliveryTime || new Date(),
+      deliveryFee,
+      commissionRate: this.earnings.commission,
+      commission,
+      amount: driverEarning,
+      description: `Delivery ${order.orderNumber}`
+    });
+  } catch (error) {
+    // Already recorded for this order
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  this.earnings.pending = round(this.earnings.pending + driverEarning);
+  this.earnings.total = round(this.earnings.total + driverEarning);
+  this.performance.currentMonth.earnings = round(this.performance.currentMonth.earnings + driverEarning);
+
+  await this.save();
+  return entry;
+};
+
+// Instance method to add a bonus or deduction
+driverSchema.methods.addEarningAdjustment = async function(type, amount, description, userId, orderId = null) {
+  const round = value => Math.round(value * 100) / 100;
+  const entry = await DriverEarning.create({
+    driver: this._id,
+    type,
+    order: orderId || undefined,
+    amount: round(Math.abs(amount)),
+    description,
+    createdBy: userId
+  });
+
+  this.earnings.pending = round(this.earnings.pending + entry.amount);
+  this.earnings.total = round(this.earnings.total + entry.amount);
+  this.performance.currentMonth.earnings = round(this.performance.currentMonth.earnings + entry.amount);
+
+  await this.save();
+  return entry;
 };
 
 const Driver = mongoose.model('Driver', driverSchema);
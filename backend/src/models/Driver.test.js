@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Driver = require('./Driver');
+const DriverEarning = require('./DriverEarning');
+const DriverLocation = require('./DriverLocation');
+const { mockQuery } = require('../../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Driver earnings entries', () => {
+  const order = {
+    _id: id(),
+    orderNumber: 'ORD1',
+    pricing: { shippingCost: 40 },
+    tracking: { actualDeliveryTime: new Date('2026-10-18T10:00:00Z') }
+  };
+
+  test('credit the delivery fee less commission to the pending balance', async () => {
+    const driver = new Driver({ driverCode: 'DRV000001', earnings: { commission: 0.1, pending: 5, total: 5 } });
+    const create = jest.spyOn(DriverEarning, 'create').mockImplementation(async data => data);
+    jest.spyOn(driver, 'save').mockResolvedValue(driver);
+
+    const entry = await driver.calculateEarnings(order);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ type: 'delivery', deliveryFee: 40, commission: 4, amount: 36 }));
+    expect(entry.order).toBe(order._id);
+    expect(driver.earnings.pending).toBe(41);
+    expect(driver.earnings.total).toBe(41);
+  });
+
+  test('are recorded once per order', async () => {
+    const driver = new Driver({ driverCode: 'DRV000001', earnings: { commission: 0.1 } });
+    jest.spyOn(DriverEarning, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    const save = jest.spyOn(driver, 'save');
+
+    await expect(driver.calculateEarnings(order)).resolves.toBeNull();
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('store deductions as negative amounts', async () => {
+    const deduction = new DriverEarning({ driver: id(), type: 'deduction', amount: 25 });
+    await deduction.validate();
+    expect(deduction.amount).toBe(-25);
+
+    const bonus = new DriverEarning({ driver: id(), type: 'bonus', amount: -5 });
+    await expect(bonus.validate()).rejects.toThrow('A bonus entry cannot have a negative amount');
+  });
+});
+
+describe('Driver dispatch', () => {
+  test('searches busy drivers too, leaving capacity to maxDeliveries', () => {
+    const find = jest.spyOn(Driver, 'find').mockReturnValue(mockQuery([]));
+
+    Driver.findAvailableDrivers([31.2, 30.0]);
+
+    expect(find.mock.calls[0][0].status).toEqual({ $in: ['available', 'busy'] });
+  });
+
+  test('takes a delivery slot only while the driver is under maxDeliveries', async () => {
+    const driver = new Driver({ driverCode: 'DRV000001', status: 'available' });
+    const orderId = id();
+    const update = jest.spyOn(Driver, 'findOneAndUpdate')
+      .mockReturnValue(mockQuery({ activeDeliveries: [orderId], status: 'busy' }));
+
+    await driver.assignOrder(orderId);
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toMatchObject({ _id: driver._id, activeDeliveries: { $ne: orderId } });
+    expect(filter.$expr).toEqual({ $lt: [{ $size: '$activeDeliveries' }, '$preferences.maxDeliveries'] });
+    expect(change).toEqual({ $push: { activeDeliveries: orderId }, $set: { status: 'busy' } });
+    expect(driver.activeDeliveries.map(String)).toEqual([orderId.toString()]);
+    expect(driver.status).toBe('busy');
+  });
+
+  test('refuses a driver at capacity unless forced', async () => {
+    const driver = new Driver({ driverCode: 'DRV000001' });
+    const update = jest.spyOn(Driver, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+
+    await expect(driver.assignOrder(id())).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Driver has reached maximum delivery capacity'
+    });
+
+    update.mockReturnValue(mockQuery({ activeDeliveries: [id()], status: 'busy' }));
+    await driver.assignOrder(id(), { force: true });
+    expect(update.mock.calls[1][0].$expr).toBeUndefined();
+  });
+
+  test('does not take a second slot for an order it already holds', async () => {
+    const orderId = id();
+    const driver = new Driver({ driverCode: 'DRV000001', status: 'busy', activeDeliveries: [orderId] });
+    const update = jest.spyOn(Driver, 'findOneAndUpdate');
+
+    await driver.assignOrder(orderId.toString());
+
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('releasing the last order makes the driver available again', async () => {
+    const orderId = id();
+    const driver = new Driver({ driverCode: 'DRV000001', status: 'busy', activeDeliveries: [orderId] });
+    const update = jest.spyOn(Driver, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await driver.releaseOrder(orderId);
+
+    expect(update).toHaveBeenNthCalledWith(1, { _id: driver._id }, { $pull: { activeDeliveries: orderId } });
+    expect(update).toHaveBeenNthCalledWith(2,
+      { _id: driver._id, status: 'busy', activeDeliveries: { $size: 0 } },
+      { $set: { status: 'available' } }
+    );
+    expect(driver.activeDeliveries).toHaveLength(0);
+    expect(driver.status).toBe('available');
+  });
+});
+
+describe('Driver location', () => {
+  test('saves the position and appends a breadcrumb with the orders on board', async () => {
+    const orderId = id();
+    const driver = new Driver({ driverCode: 'DRV000001', activeDeliveries: [orderId] });
+    const save = jest.spyOn(driver, 'save').mockResolvedValue(driver);
+    const create = jest.spyOn(DriverLocation, 'create').mockResolvedValue({});
+
+    await driver.updateLocation([31.2, 30.0], { heading: 90, speed: 25, accuracy: 8 });
+
+    expect(save).toHaveBeenCalled();
+    expect(driver.currentLocation).toEqual([31.2, 30.0]);
+    const breadcrumb = create.mock.calls[0][0];
+    expect(breadcrumb).toMatchObject({ driver: driver._id, coordinates: [31.2, 30.0], heading: 90, speed: 25, accuracy: 8 });
+    expect(breadcrumb.recordedAt).toEqual(driver.metadata.lastLocationUpdate);
+    expect(breadcrumb.orders.map(String)).toEqual([orderId.toString()]);
+  });
+
+  test('keeps the live position when the history write fails', async () => {
+    const driver = new Driver({ driverCode: 'DRV000001' });
+    jest.spyOn(driver, 'save').mockResolvedValue(driver);
+    jest.spyOn(DriverLocation, 'create').mockRejectedValue(new Error('timeseries unavailable'));
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(driver.updateLocation([31.2, 30.0])).resolves.toBe(driver);
+    expect(log).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const driverEarningSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['delivery', 'bonus', 'deduction'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  // Delivery entries: the fee the commission is taken from
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  commissionRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  commission: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Amount credited to the driver; negative for deductions
+  amount: {
+    type: Number,
+    required: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverPayout'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+driverEarningSchema.index({ driver: 1, date: -1 });
+driverEarningSchema.index({ driver: 1, status: 1 });
+driverEarningSchema.index({ payout: 1 });
+// A delivery is only paid once
+driverEarningSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: 'delivery' } }
+);
+
+// Pre-validate middleware to keep the sign of the amount consistent with the type
+driverEarningSchema.pre('validate', function(next) {
+  if (this.type === 'deduction' && this.amount > 0) {
+    this.amount = -this.amount;
+  } else if (this.type !== 'deduction' && this.amount < 0) {
+    return next(new Error(`A ${this.type} entry cannot have a negative amount`));
+  }
+  next();
+});
+
+// Static method to summarise earnings per day for a driver
+driverEarningSchema.statics.getDailySummary = function(driverId, startDate = null, endDate = null) {
+  const match = { driver: new mongoose.Types.ObjectId(driverId) };
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = new Date(startDate);
+    if (endDate) match.date.$lte = new Date(endDate);
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+        amount: { $sum: '$amount' },
+        deliveries: { $sum: { $cond: [{ $eq: ['$type', 'delivery'] }, 1, 0] } },
+        commission: { $sum: '$commission' },
+        bonuses: { $sum: { $cond: [{ $eq: ['$type', 'bonus'] }, '$amount', 0] } },
+        deductions: { $sum: { $cond: [{ $eq: ['$type', 'deduction'] }, '$amount', 0] } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        date: '$_id',
+        amount: { $round: ['$amount', 2] },
+        deliveries: 1,
+        commission: { $round: ['$commission', 2] },
+        bonuses: { $round: ['$bonuses', 2] },
+        deductions: { $round: ['$deductions', 2] }
+      }
+    }
+  ]);
+};
+
+const DriverEarning = mongoose.model('DriverEarning', driverEarningSchema);
+
+module.exports = DriverEarning;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Breadcrumbs older than this are removed by MongoDB
+const RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS, 10) || 90;
+
+const driverLocationSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  },
+  heading: Number, // Degrees from north
+  speed: Number, // km/h as reported by the device
+  accuracy: Number, // Metres
+  // Orders the driver was carrying when the point was recorded
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }]
+}, {
+  // Append-only time series; points are never updated
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'driver',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+// Indexes
+driverLocationSchema.index({ driver: 1, recordedAt: 1 });
+
+const DriverLocation = mongoose.model('DriverLocation', driverLocationSchema);
+
+module.exports = DriverLocation;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const driverPayoutSchema = new mongoose.Schema({
+  payoutNumber: {
+    type: String,
+    unique: true,
+    required: true,
+    uppercase: true
+  },
+  // Pending entries dated up to and including this day are in the batch
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  lines: [{
+    _id: false,
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
+    },
+    entries: { type: Number, default: 0 },
+    deliveries: { type: Number, default: 0 },
+    grossFees: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    bonuses: { type: Number, default: 0 },
+    deductions: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }
+  }],
+  totals: {
+    drivers: { type: Number, default: 0 },
+    entries: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending',
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  reference: String // Bank or cash payout reference
+}, {
+  timestamps: true
+});
+
+// Indexes
+driverPayoutSchema.index({ 'lines.driver': 1 });
+
+// Pre-validate middleware to generate the payout number
+driverPayoutSchema.pre('validate', function(next) {
+  if (this.isNew && !this.payoutNumber) {
+    const timestamp = Date.now().toString().slice(-8);
+    this.payoutNumber = `PAY${timestamp}${Math.random().toString(36).substr(2, 3).toUpperCase()}`;
+  }
+  next();
+});
+
+const DriverPayout = mongoose.model('DriverPayout', driverPayoutSchema);
+
+module.exports = DriverPayout;
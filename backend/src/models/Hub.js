@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { containsPoint } = require('../services/geometry');
+const sequenceService = require('../services/sequenceService');
 
 const hubSchema = new mongoose.Schema({
   name: {
@@ -76,6 +78,10 @@ const hubSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: 0
+    },
+    dailyDeliveries: {
+      type: Number, // Deliveries that can be scheduled per day; maxOrders when unset
+      min: [1, 'Must handle at least 1 delivery per day']
     }
   },
   operatingHours: {
@@ -115,15 +121,39 @@ const hubSchema = new mongoose.Schema({
       isOpen: { type: Boolean, default: false }
     }
   },
+  deliverySlots: {
+    // Bookable delivery windows are cut from operatingHours; each holds
+    // ordersPerDriver orders per approved driver unless capacityPerSlot is set
+    lengthMinutes: {
+      type: Number,
+      default: 120,
+      min: [30, 'Slots must be at least 30 minutes']
+    },
+    ordersPerDriver: {
+      type: Number,
+      default: 8,
+      min: [1, 'Drivers must take at least 1 order per slot']
+    },
+    capacityPerSlot: {
+      type: Number,
+      min: [0, 'Slot capacity cannot be negative']
+    },
+    leadMinutes: {
+      type: Number, // How long before a slot starts booking closes
+      default: 120,
+      min: 0
+    }
+  },
   serviceArea: {
     // Geographic area served by this hub
+    // Larger or shared areas are ServiceZone documents linked to the hub
     type: {
       type: String,
-      enum: ['Polygon', 'Circle'],
+      enum: ['Polygon', 'MultiPolygon', 'Circle'],
       default: 'Circle'
     },
     coordinates: {
-      type: mongoose.Schema.Types.Mixed, // Can be polygon coordinates or center point
+      type: mongoose.Schema.Types.Mixed, // GeoJSON polygon coordinates or center point
       required: true
     },
     radius: {
@@ -179,7 +209,34 @@ const hubSchema = new mongoose.Schema({
     assignedDriver: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Driver'
-    }
+    },
+    bin: String // Sort bin code once sorted
+  }],
+  // Sort bins scanned orders are put in; with none configured any bin code is accepted
+  sortBins: [{
+    _id: false,
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    // route: local delivery from this hub; linehaul: transfer to another hub
+    type: {
+      type: String,
+      enum: ['route', 'linehaul'],
+      required: true
+    },
+    destinationHub: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hub'
+    },
+    // Route bins only: delivery zones the bin takes (any zone when empty)
+    zones: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceZone'
+    }],
+    description: String
   }],
   performance: {
     stats: {
@@ -321,14 +378,20 @@ hubSchema.index({ 'address.coordinates': '2dsphere' });
 hubSchema.index({ 'address.city': 1 });
 hubSchema.index({ status: 1 });
 
-// Pre-save middleware to generate hub code
-hubSchema.pre('save', async function(next) {
-  if (this.isNew && !this.code) {
-    const count = await mongoose.model('Hub').countDocuments();
-    const typePrefix = this.type.charAt(0).toUpperCase();
-    this.code = `HUB${typePrefix}${(count + 1).toString().padStart(4, '0')}`;
+// Pre-validate middleware to generate the hub code, numbered per hub type
+hubSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.code) {
+      this.code = await sequenceService.generate('hub', { TYPE: this.type.charAt(0) });
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  
+});
+
+// Pre-save middleware
+hubSchema.pre('save', async function(next) {
   // Update metadata
   if (this.isModified() && !this.isNew) {
     this.metadata.lastUpdate = new Date();
@@ -460,10 +523,8 @@ hubSchema.methods.isInServiceArea = function(coordinates) {
     const distance = this.calculateDistance(hubCoords, coordinates);
     return distance <= this.serviceArea.radius;
   }
-  
-  // For polygon, would need more complex point-in-polygon calculation
-  // For now, return true
-  return true;
+
+  return containsPoint(this.serviceArea, coordinates);
 };
 
 // Helper method to calculate distance
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const hubReconciliationSchema = new mongoose.Schema({
+  hub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub',
+    required: [true, 'Hub is required']
+  },
+  businessDate: {
+    type: Date,
+    required: true
+  },
+  // Cash received from drivers during the business day
+  handovers: {
+    count: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  },
+  expectedAmount: {
+    type: Number,
+    required: true
+  },
+  countedAmount: {
+    type: Number,
+    required: [true, 'Counted amount is required'],
+    min: 0
+  },
+  variance: {
+    type: Number,
+    default: 0
+  },
+  depositedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'EGP',
+    uppercase: true
+  },
+  notes: String,
+  reconciledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ledgerTransactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerTransaction'
+  }]
+}, {
+  timestamps: true
+});
+
+// One end-of-day reconciliation per hub per day
+hubReconciliationSchema.index({ hub: 1, businessDate: -1 }, { unique: true });
+
+const HubReconciliation = mongoose.model('HubReconciliation', hubReconciliationSchema);
+
+module.exports = HubReconciliation;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Every scan at a hub, including rejected ones, for mis-sort and audit reports
+const hubScanSchema = new mongoose.Schema({
+  hub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  trackingNumber: {
+    type: String,
+    uppercase: true,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['in', 'sort', 'out'],
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['ok', 'duplicate', 'missort', 'rejected'],
+    required: true
+  },
+  bin: String,
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
+  destinationHub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub'
+  },
+  message: String,
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+hubScanSchema.index({ hub: 1, createdAt: -1 });
+hubScanSchema.index({ order: 1, createdAt: -1 });
+hubScanSchema.index({ hub: 1, result: 1, createdAt: -1 });
+
+const HubScan = mongoose.model('HubScan', hubScanSchema);
+
+module.exports = HubScan;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Stored responses are replayed for this long, then removed by MongoDB
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+const expiryDate = () => new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000);
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxLength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  scope: {
+    type: String, // Endpoint the key was used on, e.g. orders:create
+    required: true
+  },
+  owner: {
+    type: String, // User ID, or the webhook source for unauthenticated callers
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: [
+      'processing', // First request still running
+      'completed'   // Response stored for replays
+    ],
+    default: 'processing'
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: expiryDate
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ owner: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Expiry for a key used now
+idempotencyKeySchema.statics.expiryDate = expiryDate;
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const importBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    unique: true,
+    required: true,
+    uppercase: true
+  },
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Merchant is required'],
+    index: true
+  },
+  fileName: String,
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: [
+      'validated',          // Dry run, nothing created
+      'completed',          // Valid rows created
+      'failed',             // Nothing created
+      'rolled_back',        // All created orders removed
+      'partially_rolled_back'
+    ],
+    required: true
+  },
+  summary: {
+    totalRows: { type: Number, default: 0 },
+    validRows: { type: Number, default: 0 },
+    invalidRows: { type: Number, default: 0 },
+    createdOrders: { type: Number, default: 0 }
+  },
+  rows: [{
+    _id: false,
+    row: Number, // Spreadsheet row number (header is row 1)
+    success: Boolean,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderNumber: String,
+    reference: String,
+    validationErrors: [{
+      _id: false,
+      field: String,
+      message: String
+    }]
+  }],
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rollback: {
+    rolledBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rolledBackAt: Date,
+    removedOrders: { type: Number, default: 0 },
+    skippedOrders: [{
+      _id: false,
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+      },
+      status: String
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+importBatchSchema.index({ batchId: 1 });
+importBatchSchema.index({ merchant: 1, createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+
+// Chart of accounts. Driver, hub and merchant accounts are kept per entity.
+const ACCOUNTS = [
+  'driver_cash',       // Cash held by a driver (asset)
+  'hub_cash',          // Cash held at a hub (asset)
+  'bank',              // Company bank account (asset)
+  'merchant_payable',  // Owed to a merchant (liability)
+  'shipping_revenue',  // Shipping and service fees earned (revenue)
+  'tax_payable',       // Taxes collected on fees (liability)
+  'cash_variance'      // Shortages and overages found at reconciliation (expense)
+];
+
+const TRANSACTION_TYPES = [
+  'cod_collection',
+  'cash_handover',
+  'cash_variance',
+  'bank_deposit',
+  'merchant_payout'
+];
+
+// Rounding tolerance when checking a transaction balances
+const BALANCE_TOLERANCE = 0.005;
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  // Unique business key so the same event is never posted twice
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+  currency: {
+    type: String,
+    default: 'EGP',
+    uppercase: true
+  },
+  entries: [{
+    _id: false,
+    account: {
+      type: String,
+      enum: ACCOUNTS,
+      required: true
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
+    },
+    hub: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hub'
+    },
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  remittance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Remittance'
+  },
+  reconciliation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HubReconciliation'
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerTransactionSchema.index({ 'entries.account': 1, 'entries.driver': 1 });
+ledgerTransactionSchema.index({ 'entries.account': 1, 'entries.hub': 1 });
+ledgerTransactionSchema.index({ 'entries.account': 1, 'entries.merchant': 1 });
+ledgerTransactionSchema.index({ type: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ order: 1 });
+
+// Every transaction must balance: total debits equal total credits
+ledgerTransactionSchema.pre('validate', function(next) {
+  if (this.entries.length < 2) {
+    return next(new Error('A ledger transaction needs at least two entries'));
+  }
+
+  let debits = 0;
+  let credits = 0;
+  for (const entry of this.entries) {
+    if ((entry.debit > 0) === (entry.credit > 0)) {
+      return next(new Error(`Entry for ${entry.account} must have either a debit or a credit`));
+    }
+    debits += entry.debit;
+    credits += entry.credit;
+  }
+
+  if (Math.abs(debits - credits) > BALANCE_TOLERANCE) {
+    return next(new Error(`Ledger transaction does not balance (debits ${debits}, credits ${credits})`));
+  }
+
+  next();
+});
+
+// Static method to record a transaction once per reference
+ledgerTransactionSchema.statics.record = async function(data) {
+  try {
+    return await this.create(data);
+  } catch (error) {
+    if (error.code === 11000) {
+      return this.findOne({ reference: data.reference });
+    }
+    throw error;
+  }
+};
+
+// Static method to record the cash a driver collected on a delivered COD order.
+// The merchant is credited the full amount and then charged our fees.
+ledgerTransactionSchema.statics.recordCodCollection = function(order, postedBy = null) {
+  const round = value => Math.round(value * 100) / 100;
+  const codAmount = round(order.payment.codAmount || 0);
+  const serviceFees = round((order.pricing.shippingCost || 0) + (order.pricing.fees || 0));
+  const taxes = round(order.pricing.taxes || 0);
+
+  const entries = [
+    { account: 'driver_cash', driver: order.assignedDriver, debit: codAmount },
+    { account: 'merchant_payable', merchant: order.merchant, credit: codAmount },
+    { account: 'merchant_payable', merchant: order.merchant, debit: round(serviceFees + taxes) },
+    { account: 'shipping_revenue', credit: serviceFees },
+    { account: 'tax_payable', credit: taxes }
+  ].filter(entry => (entry.debit || entry.credit) > 0);
+
+  return this.record({
+    type: 'cod_collection',
+    reference: `cod_collection:${order._id}`,
+    description: `COD collected for ${order.orderNumber}`,
+    currency: order.pricing.currency,
+    entries,
+    order: order._id,
+    postedBy
+  });
+};
+
+// Static method to get account balances (debit - credit), grouped by an entity field
+ledgerTransactionSchema.statics.getBalances = function(account, groupBy = null, match = {}) {
+  const entryMatch = { 'entries.account': account };
+  Object.keys(match).forEach(field => {
+    entryMatch[`entries.${field}`] = match[field];
+  });
+
+  return this.aggregate([
+    { $unwind: '$entries' },
+    { $match: entryMatch },
+    {
+      $group: {
+        _id: groupBy ? `$entries.${groupBy}` : null,
+        debit: { $sum: '$entries.debit' },
+        credit: { $sum: '$entries.credit' },
+        lastActivity: { $max: '$createdAt' }
+      }
+    },
+    {
+      $project: {
+        debit: 1,
+        credit: 1,
+        lastActivity: 1,
+        balance: { $round: [{ $subtract: ['$debit', '$credit'] }, 2] }
+      }
+    }
+  ]);
+};
+
+// Static method to get a single account balance
+ledgerTransactionSchema.statics.getBalance = async function(account, match = {}) {
+  const [result] = await this.getBalances(account, null, match);
+  return result ? result.balance : 0;
+};
+
+ledgerTransactionSchema.statics.ACCOUNTS = ACCOUNTS;
+ledgerTransactionSchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
+
+module.exports = LedgerTransaction;
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+
+const MANIFEST_STATUSES = [
+  'draft',      // Bags loaded, truck not left yet
+  'dispatched', // On the road; orders are in_transit
+  'received',   // Unloaded and reconciled at the destination hub
+  'cancelled'   // Draft abandoned; its bags are free again
+];
+
+// An order missing from, or unexpectedly found in, a received trip
+const discrepancySchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  trackingNumber: {
+    type: String,
+    uppercase: true,
+    required: true
+  },
+  bag: String, // Bag code the order was manifested in
+  message: String
+}, { _id: false });
+
+// Line-haul trip carrying sealed bags between two hubs
+const manifestSchema = new mongoose.Schema({
+  manifestNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  originHub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub',
+    required: [true, 'Origin hub is required']
+  },
+  destinationHub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub',
+    required: [true, 'Destination hub is required']
+  },
+  bags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bag'
+  }],
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
+  vehicle: {
+    type: {
+      type: String,
+      enum: ['motorcycle', 'car', 'van', 'truck']
+    },
+    plateNumber: {
+      type: String,
+      uppercase: true,
+      trim: true
+    }
+  },
+  status: {
+    type: String,
+    enum: MANIFEST_STATUSES,
+    default: 'draft'
+  },
+  totals: {
+    bags: { type: Number, default: 0 },
+    orders: { type: Number, default: 0 },
+    weight: { type: Number, default: 0 } // kg
+  },
+  dispatchedAt: Date,
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reconciliation: {
+    status: {
+      type: String,
+      enum: ['matched', 'discrepancy']
+    },
+    expected: Number,
+    received: Number,
+    missing: [discrepancySchema],
+    extra: [discrepancySchema]
+  },
+  notes: {
+    type: String,
+    maxLength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+manifestSchema.index({ originHub: 1, status: 1, createdAt: -1 });
+manifestSchema.index({ destinationHub: 1, status: 1, createdAt: -1 });
+manifestSchema.index({ 'reconciliation.status': 1 });
+
+// Pre-validate middleware to generate the manifest number
+manifestSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.manifestNumber) {
+      this.manifestNumber = await sequenceService.generate('manifest');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static methods
+manifestSchema.statics.MANIFEST_STATUSES = MANIFEST_STATUSES;
+
+const Manifest = mongoose.model('Manifest', manifestSchema);
+
+module.exports = Manifest;
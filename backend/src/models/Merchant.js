@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const pickupAddressDefinition = require('./schemas/pickupAddress');
+
+const STORE_PLATFORMS = ['shopify', 'woocommerce'];
+
+// Store domains are kept bare (shop.example.com) to match webhook headers
+const normalizeStoreDomain = value => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/^https?:\/\//, '')
+  .replace(/\/.*$/, '');
+
+const merchantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  businessName: {
+    type: String,
+    required: [true, 'Business name is required'],
+    trim: true,
+    maxLength: [150, 'Business name cannot exceed 150 characters']
+  },
+  taxId: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    sparse: true,
+    unique: true
+  },
+  businessType: {
+    type: String,
+    enum: ['individual', 'company'],
+    default: 'company'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'suspended', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  pickupLocations: [{
+    label: {
+      type: String,
+      required: [true, 'Location label is required'],
+      trim: true
+    },
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    ...pickupAddressDefinition
+  }],
+  defaults: {
+    serviceType: {
+      type: String,
+      enum: ['standard', 'express', 'same_day', 'next_day', 'scheduled'],
+      default: 'standard'
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cod', 'prepaid', 'card', 'wallet', 'bank_transfer'],
+      default: 'cod'
+    },
+    acceptedPaymentMethods: {
+      type: [String],
+      enum: ['cod', 'prepaid', 'card', 'wallet', 'bank_transfer'],
+      default: ['cod', 'prepaid']
+    },
+    // Failed attempts before an order goes back to the merchant (MAX_DELIVERY_ATTEMPTS when unset)
+    maxDeliveryAttempts: {
+      type: Number,
+      min: [1, 'At least one delivery attempt is required'],
+      max: [10, 'No more than 10 delivery attempts']
+    },
+    // Days after delivery customers can still request a return (RETURN_WINDOW_DAYS when unset)
+    returnWindowDays: {
+      type: Number,
+      min: [0, 'Return window cannot be negative'],
+      max: [365, 'Return window cannot exceed 365 days']
+    },
+    // Ask customers for a one-time code at delivery on orders worth at least minOrderValue
+    deliveryOtp: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      minOrderValue: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }
+  },
+  // E-commerce stores whose order webhooks create orders for this merchant
+  stores: [{
+    platform: {
+      type: String,
+      enum: STORE_PLATFORMS,
+      required: [true, 'Store platform is required']
+    },
+    domain: {
+      type: String, // myshop.myshopify.com or the WooCommerce site address
+      required: [true, 'Store domain is required'],
+      set: normalizeStoreDomain
+    },
+    pickupLocation: {
+      type: mongoose.Schema.Types.ObjectId // Saved pickup location for the store's orders
+    },
+    // Signs this store's webhooks; WooCommerce accepts any secret, Shopify shows the one it signs with
+    webhookSecret: {
+      type: String,
+      default: () => crypto.randomBytes(32).toString('hex'),
+      select: false
+    },
+    connectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  settlement: {
+    // Bank account COD collections are remitted to
+    bankName: String,
+    accountName: String,
+    accountNumber: String,
+    iban: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    swiftCode: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'biweekly', 'monthly'],
+      default: 'weekly'
+    }
+  },
+  verification: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: String
+  },
+  suspension: {
+    reason: String,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    suspendedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for default pickup location
+merchantSchema.virtual('defaultPickupLocation').get(function() {
+  return this.pickupLocations.find(location => location.isDefault) || this.pickupLocations[0] || null;
+});
+
+// Virtual for whether the merchant may create orders
+merchantSchema.virtual('canCreateOrders').get(function() {
+  return this.status === 'approved';
+});
+
+// Indexes
+merchantSchema.index({ businessName: 'text' });
+// A store feeds exactly one merchant
+merchantSchema.index(
+  { 'stores.platform': 1, 'stores.domain': 1 },
+  { unique: true, partialFilterExpression: { 'stores.domain': { $exists: true } } }
+);
+
+// Pre-save middleware to keep exactly one default pickup location
+merchantSchema.pre('save', function(next) {
+  if (this.isModified('pickupLocations') && this.pickupLocations.length > 0) {
+    const defaults = this.pickupLocations.filter(location => location.isDefault);
+    if (defaults.length !== 1) {
+      const keep = defaults[defaults.length - 1] || this.pickupLocations[0];
+      this.pickupLocations.forEach(location => {
+        location.isDefault = location === keep;
+      });
+    }
+  }
+  next();
+});
+
+// Static method to find merchant profile by user
+merchantSchema.statics.findByUser = function(userId) {
+  return this.findOne({ user: userId });
+};
+
+// Static method to find the merchant a store is linked to, with the store's webhook secret
+merchantSchema.statics.findByStore = function(platform, domain) {
+  return this.findOne({
+    stores: { $elemMatch: { platform, domain: normalizeStoreDomain(domain) } }
+  }).select('+stores.webhookSecret');
+};
+
+// Instance method to find a linked store entry
+merchantSchema.methods.findStore = function(platform, domain) {
+  const bare = normalizeStoreDomain(domain);
+  return this.stores.find(store => store.platform === platform && store.domain === bare);
+};
+
+// Instance method to resolve a saved location into an order pickup address
+merchantSchema.methods.resolvePickupAddress = function(locationId) {
+  const location = locationId
+    ? this.pickupLocations.id(locationId)
+    : this.defaultPickupLocation;
+
+  if (!location) return null;
+
+  return Object.keys(pickupAddressDefinition).reduce((address, field) => {
+    if (location[field] !== undefined) {
+      address[field] = location[field];
+    }
+    return address;
+  }, {});
+};
+
+// Instance method to fill order fields the merchant left out from profile defaults
+merchantSchema.methods.applyOrderDefaults = function(orderData, pickupLocationId) {
+  if (pickupLocationId) {
+    const pickupAddress = this.resolvePickupAddress(pickupLocationId);
+    if (!pickupAddress) {
+      const error = new Error('Pickup location not found');
+      error.statusCode = 400;
+      throw error;
+    }
+    orderData.pickupAddress = pickupAddress;
+  } else if (!orderData.pickupAddress) {
+    orderData.pickupAddress = this.resolvePickupAddress() || undefined;
+  }
+
+  if (!orderData.serviceType) {
+    orderData.serviceType = this.defaults.serviceType;
+  }
+
+  if (!orderData.payment || !orderData.payment.method) {
+    orderData.payment = { ...orderData.payment, method: this.defaults.paymentMethod };
+  } else if (!this.defaults.acceptedPaymentMethods.includes(orderData.payment.method)) {
+    const error = new Error(`Payment method ${orderData.payment.method} is not enabled for this merchant`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return orderData;
+};
+
+// Instance method to set the default pickup location
+merchantSchema.methods.setDefaultPickupLocation = function(locationId) {
+  const location = this.pickupLocations.id(locationId);
+  if (!location) {
+    throw new Error('Pickup location not found');
+  }
+
+  this.pickupLocations.forEach(l => {
+    l.isDefault = l._id.toString() === locationId.toString();
+  });
+
+  return this.save();
+};
+
+// Instance method to approve merchant
+merchantSchema.methods.approve = function(adminId, notes) {
+  this.status = 'approved';
+  this.verification.reviewedBy = adminId;
+  this.verification.reviewedAt = new Date();
+  this.verification.notes = notes;
+  this.suspension = undefined;
+  return this.save();
+};
+
+// Instance method to suspend merchant
+merchantSchema.methods.suspend = function(adminId, reason) {
+  this.status = 'suspended';
+  this.suspension = {
+    reason,
+    suspendedBy: adminId,
+    suspendedAt: new Date()
+  };
+  return this.save();
+};
+
+merchantSchema.statics.STORE_PLATFORMS = STORE_PLATFORMS;
+merchantSchema.statics.normalizeStoreDomain = normalizeStoreDomain;
+
+const Merchant = mongoose.model('Merchant', merchantSchema);
+
+module.exports = Merchant;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Merchant = require('./Merchant');
+
+const buildMerchant = (overrides = {}) => new Merchant({
+  user: new mongoose.Types.ObjectId(),
+  businessName: 'Nile Goods',
+  pickupLocations: [
+    { label: 'Warehouse', street: '1 Port Rd', city: 'Alexandria' },
+    { label: 'Shop', street: '5 Tahrir Sq', city: 'Cairo' }
+  ],
+  ...overrides
+});
+
+describe('Merchant', () => {
+  test.each([
+    ['pending', false],
+    ['approved', true],
+    ['suspended', false],
+    ['rejected', false]
+  ])('merchant with status %s may create orders: %s', (status, allowed) => {
+    expect(buildMerchant({ status }).canCreateOrders).toBe(allowed);
+  });
+
+  test('indexes the user once', () => {
+    const userIndexes = Merchant.schema.indexes().filter(([fields]) => fields.user);
+    expect(userIndexes).toEqual([[{ user: 1 }, expect.objectContaining({ unique: true })]]);
+  });
+
+  test('gives each linked store its own webhook secret, kept out of queries unless asked for', () => {
+    const merchant = buildMerchant({
+      stores: [
+        { platform: 'woocommerce', domain: 'https://Shop.example.com/' },
+        { platform: 'woocommerce', domain: 'outlet.example.com' }
+      ]
+    });
+    const [shop, outlet] = merchant.stores;
+
+    expect(shop.webhookSecret).toMatch(/^[0-9a-f]{64}$/);
+    expect(outlet.webhookSecret).not.toBe(shop.webhookSecret);
+    expect(Merchant.schema.path('stores').schema.path('webhookSecret').options.select).toBe(false);
+    expect(Merchant.findByStore('woocommerce', 'shop.example.com').projection()).toEqual({ '+stores.webhookSecret': 1 });
+    expect(merchant.findStore('woocommerce', 'https://shop.example.com')).toBe(shop);
+    expect(merchant.findStore('shopify', 'shop.example.com')).toBeUndefined();
+  });
+
+  test('fills order defaults from the profile', () => {
+    const merchant = buildMerchant();
+    const orderData = merchant.applyOrderDefaults({});
+
+    expect(orderData.pickupAddress).toMatchObject({ street: '1 Port Rd', city: 'Alexandria' });
+    expect(orderData.serviceType).toBe(merchant.defaults.serviceType);
+    expect(orderData.payment.method).toBe(merchant.defaults.paymentMethod);
+  });
+
+  test('uses the requested pickup location and rejects unknown ones', () => {
+    const merchant = buildMerchant();
+    const shop = merchant.pickupLocations[1];
+
+    expect(merchant.applyOrderDefaults({}, shop._id).pickupAddress).toMatchObject({ city: 'Cairo' });
+    expect(() => merchant.applyOrderDefaults({}, new mongoose.Types.ObjectId())).toThrow('Pickup location not found');
+  });
+
+  test('rejects payment methods the merchant has not enabled', () => {
+    const merchant = buildMerchant();
+    merchant.defaults.acceptedPaymentMethods = ['cod'];
+
+    expect(() => merchant.applyOrderDefaults({ payment: { method: 'card' } })).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+});
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const orderLifecycle = require('../services/orderLifecycle');
+const sequenceService = require('../services/sequenceService');
+const pickupAddressDefinition = require('./schemas/pickupAddress');
+const LedgerTransaction = require('./LedgerTransaction');
+const Driver = require('./Driver');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -67,32 +72,7 @@ const orderSchema = new mongoose.Schema({
       notes: String // Delivery instructions
     }
   },
-  pickupAddress: {
-    street: {
-      type: String,
-      required: [true, 'Pickup street address is required'],
-      trim: true
-    },
-    city: {
-      type: String,
-      required: [true, 'Pickup city is required'],
-      trim: true
-    },
-    state: String,
-    zipCode: String,
-    country: {
-      type: String,
-      default: 'Egypt'
-    },
-    coordinates: {
-      type: [Number], // [longitude, latitude]
-      index: '2dsphere',
-      required: [true, 'Pickup coordinates are required']
-    },
-    contactPerson: String,
-    contactPhone: String,
-    notes: String // Pickup instructions
-  },
+  pickupAddress: pickupAddressDefinition,
   items: [{
     name: {
       type: String,
@@ -174,7 +154,18 @@ const orderSchema = new mongoose.Schema({
       default: 'EGP',
       uppercase: true,
       enum: ['EGP', 'USD', 'EUR']
-    }
+    },
+    // Quote the shipping cost was computed from
+    breakdown: [{
+      _id: false,
+      code: String,
+      description: String,
+      amount: Number
+    }],
+    distanceKm: Number,
+    chargeableWeight: Number,
+    // Priced without a delivery location, so the distance charge is missing
+    needsReview: Boolean
   },
   payment: {
     method: {
@@ -190,6 +181,22 @@ const orderSchema = new mongoose.Schema({
     transactionId: String,
     paidAt: Date,
     codAmount: Number, // Cash on delivery amount
+    codFromTotal: Boolean, // codAmount was not given and follows pricing.total
+    collection: {
+      driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver'
+      },
+      collectedAt: Date,
+      ledgerTransaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LedgerTransaction'
+      }
+    },
+    remittance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Remittance'
+    },
     paymentDetails: {
       cardLast4: String,
       paymentGateway: String,
@@ -241,6 +248,11 @@ const orderSchema = new mongoose.Schema({
       start: String,
       end: String
     },
+    slot: {
+      // Hub delivery window holding a booking for this order
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot'
+    },
     instructions: String
   },
   assignedDriver: {
@@ -251,6 +263,18 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Hub'
   },
+  // Whether the delivery address fell inside an active service area at creation
+  serviceArea: {
+    status: {
+      type: String,
+      enum: ['inside', 'outside', 'unknown']
+    },
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceZone'
+    },
+    checkedAt: Date
+  },
   tracking: {
     trackingNumber: {
       type: String,
@@ -303,19 +327,164 @@ const orderSchema = new mongoose.Schema({
       required: true
     },
     reason: String,
+    reasonCode: String, // Failure reason from deliveryFailureService
+    policy: {
+      type: String,
+      enum: ['reschedule', 'hold', 'return']
+    },
     driver: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
     notes: String,
     evidence: {
-      photos: [String],
-      signature: String,
+      photos: [String], // Storage keys of the photo files
+      signature: String, // Storage key of the signature image
       recipientName: String,
-      recipientId: String
+      recipientId: String,
+      files: [{
+        kind: {
+          type: String,
+          enum: ['photo', 'signature', 'recipient_id'],
+          required: true
+        },
+        key: {
+          type: String,
+          required: true
+        },
+        originalName: String,
+        contentType: String,
+        size: Number,
+        uploadedAt: {
+          type: Date,
+          default: Date.now
+        },
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }
+      }]
     },
-    nextAttemptScheduled: Date
+    nextAttemptScheduled: Date,
+    pickup: {
+      // Exchange orders: whether the item going back was handed over on this visit
+      result: {
+        type: String,
+        enum: ['collected', 'not_collected']
+      },
+      reason: String
+    }
   }],
+  deliveryOtp: {
+    // Customer must give the driver a one-time code before delivery. Left unset,
+    // the merchant setting decides when the order goes out for delivery.
+    required: Boolean,
+    codeHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date,
+    sentAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    verifiedAt: Date,
+    override: {
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: String,
+      at: Date
+    }
+  },
+  customerAccess: {
+    // Customer self-service on the tracking page: phone-last-4 or SMS code checks
+    codeHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date,
+    sentAt: Date,
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  holdAtHub: {
+    // Customer collects the parcel from the hub instead of a delivery
+    hub: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hub'
+    },
+    requestedAt: Date
+  },
+  parcels: {
+    // Maintained by the Shipment model; orders without parcels ship as one box
+    total: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    delivered: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    partialDelivery: {
+      allowed: {
+        type: Boolean,
+        default: false
+      },
+      reason: String,
+      markedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      markedAt: Date
+    }
+  },
+  orderType: {
+    type: String,
+    // return: reverse pickup from the customer back to the merchant
+    // exchange: a delivery and a pickup done in the same visit, one order per leg
+    enum: ['delivery', 'return', 'exchange'],
+    default: 'delivery',
+    index: true
+  },
+  exchange: {
+    leg: {
+      type: String,
+      enum: ['outbound', 'inbound'] // outbound delivers the new item, inbound carries the old one back
+    },
+    linkedOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    status: {
+      type: String,
+      enum: [
+        'pending',                 // Visit not done yet; the inbound leg rides with the outbound one
+        'completed',               // New item delivered and old item collected
+        'delivered_not_collected', // New item delivered, old item not handed over
+        'failed'                   // New item could not be delivered and is going back
+      ]
+    },
+    pickupFailureReason: String,
+    resolvedAt: Date
+  },
+  returnRequest: {
+    // Return request a reverse pickup order carries back
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
   specialInstructions: {
     type: String,
     maxLength: [500, 'Special instructions cannot exceed 500 characters']
@@ -331,6 +500,12 @@ const orderSchema = new mongoose.Schema({
       default: 'web'
     },
     sourceOrderId: String, // Original order ID from e-commerce platform
+    sourceStore: String, // Store domain the order came from; order IDs are only unique per store
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      index: true
+    },
     tags: [String],
     customFields: mongoose.Schema.Types.Mixed,
     createdBy: {
@@ -388,6 +563,11 @@ orderSchema.virtual('isFragileOrder').get(function() {
   return this.items.some(item => item.isFragile);
 });
 
+orderSchema.virtual('allParcelsDelivered').get(function() {
+  if (!this.parcels || !this.parcels.total) return true;
+  return this.parcels.delivered >= this.parcels.total;
+});
+
 orderSchema.virtual('requiresRefrigeration').get(function() {
   return this.items.some(item => item.requiresRefrigeration);
 });
@@ -403,34 +583,30 @@ orderSchema.index({ 'customerInfo.address.coordinates': '2dsphere' });
 orderSchema.index({ 'pickupAddress.coordinates': '2dsphere' });
 orderSchema.index({ assignedDriver: 1, status: 1 });
 orderSchema.index({ assignedHub: 1, status: 1 });
+orderSchema.index({ 'serviceArea.status': 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'scheduledPickup.date': 1 });
 orderSchema.index({ 'scheduledDelivery.date': 1 });
+// One order per e-commerce order, store and merchant
+orderSchema.index(
+  { merchant: 1, 'metadata.source': 1, 'metadata.sourceStore': 1, 'metadata.sourceOrderId': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.sourceOrderId': { $type: 'string' } } }
+);
 
-// Pre-save middleware
-orderSchema.pre('save', async function(next) {
+// Pre-validate middleware to fill generated fields before required checks run
+orderSchema.pre('validate', async function(next) {
   try {
     if (this.isNew) {
       // Generate order number
       if (!this.orderNumber) {
-        const count = await mongoose.model('Order').countDocuments();
-        const timestamp = Date.now().toString().slice(-6);
-        this.orderNumber = `ORD${timestamp}${(count + 1).toString().padStart(4, '0')}`;
+        this.orderNumber = await sequenceService.generate('order');
       }
       
-      // Generate tracking number
+      // Generate tracking number, ending in a check digit
       if (!this.tracking.trackingNumber) {
-        this.tracking.trackingNumber = `TRK${Date.now()}${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+        this.tracking.trackingNumber = await sequenceService.generateTrackingNumber();
       }
       
-      // Add initial status to history
-      this.tracking.statusHistory.push({
-        status: this.status,
-        timestamp: new Date(),
-        notes: 'Order created',
-        updatedBy: this.metadata.createdBy
-      });
-      
       // Calculate pricing if not provided
       if (!this.pricing.subtotal && this.items.length > 0) {
         this.pricing.subtotal = this.items.reduce((total, item) => total + (item.value * item.quantity), 0);
@@ -441,11 +617,28 @@ orderSchema.pre('save', async function(next) {
       }
     }
     
-    // Update status history if status changed
-    if (this.isModified('status') && !this.isNew) {
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pre-save middleware
+orderSchema.pre('save', async function(next) {
+  try {
+    if (this.isNew) {
+      // Add initial status to history
       this.tracking.statusHistory.push({
         status: this.status,
         timestamp: new Date(),
+        notes: 'Order created',
+        updatedBy: this.metadata.createdBy
+      });
+    }
+    
+    // Status assigned directly (not via updateStatus) still has to pass the lifecycle rules
+    if (this.isModified('status') && !this.isNew && !this.$locals.transitionApplied) {
+      orderLifecycle.transition(this, this.status, {
         updatedBy: this.metadata.lastModifiedBy
       });
     }
@@ -456,6 +649,95 @@ orderSchema.pre('save', async function(next) {
   }
 });
 
+// Remember the stored status so transitions are validated against it
+orderSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+orderSchema.post('save', async function() {
+  const justDelivered = this.status === 'delivered' && this.$locals.persistedStatus !== 'delivered';
+  const justConfirmed = this.status === 'confirmed' && this.$locals.persistedStatus !== 'confirmed';
+  const statusChanged = this.status !== this.$locals.persistedStatus;
+  this.$locals.persistedStatus = this.status;
+  this.$locals.transitionApplied = false;
+
+  // Live tracking clients; required here as the realtime service depends on this model
+  if (statusChanged) {
+    require('../services/realtimeService').emitOrderStatus(this);
+  }
+
+  // Dispatch runs after the confirming request; required here as it depends on this model
+  if (justConfirmed && !this.assignedDriver) {
+    const dispatchService = require('../services/dispatchService');
+    setImmediate(() => dispatchService.autoAssignConfirmedOrder(this._id));
+  }
+
+  // Give back delivery slot places: a slot the order moved off, or its slot on cancellation
+  const slotsToRelease = [this.$locals.releaseSlot];
+  this.$locals.releaseSlot = null;
+  if (statusChanged && this.status === 'cancelled' && this.scheduledDelivery && this.scheduledDelivery.slot) {
+    slotsToRelease.push(this.scheduledDelivery.slot);
+    this.scheduledDelivery.slot = undefined;
+    await mongoose.model('Order').updateOne({ _id: this._id }, { $unset: { 'scheduledDelivery.slot': 1 } });
+  }
+  if (slotsToRelease.some(Boolean)) {
+    const slotService = require('../services/slotService');
+    try {
+      await Promise.all(slotsToRelease.filter(Boolean).map(slotId => slotService.releaseSlot(slotId)));
+    } catch (error) {
+      console.error(`Delivery slot release failed for ${this.orderNumber}:`, error);
+    }
+  }
+
+  // A fresh delivery code each time the order goes out for delivery
+  if (statusChanged && this.status === 'out_for_delivery') {
+    const deliveryOtpService = require('../services/deliveryOtpService');
+    setImmediate(() => deliveryOtpService.issueForOrder(this._id).catch(error => {
+      console.error(`Delivery code failed for ${this.orderNumber}:`, error);
+    }));
+  }
+
+  // A reverse pickup delivered to the merchant completes the return's journey
+  if (justDelivered && this.orderType === 'return' && this.returnRequest) {
+    try {
+      await require('../services/returnService').markReceived(this);
+    } catch (error) {
+      console.error(`Return receipt failed for ${this.orderNumber}:`, error);
+    }
+  }
+
+  if (justDelivered && this.assignedDriver) {
+    try {
+      const driver = await Driver.findById(this.assignedDriver);
+      if (driver) {
+        await driver.calculateEarnings(this);
+      }
+    } catch (error) {
+      console.error(`Driver earning failed for ${this.orderNumber}:`, error);
+    }
+  }
+
+  // Record the cash the driver now holds. Posting is idempotent, so a failure here is
+  // logged rather than failing the delivery; the order stays without
+  // payment.collection until POST /api/cod/collections/retry posts it.
+  if (justDelivered && this.payment.method === 'cod' && this.payment.codAmount > 0) {
+    try {
+      const transaction = await LedgerTransaction.recordCodCollection(this, this.metadata.lastModifiedBy);
+      this.payment.collection = {
+        driver: this.assignedDriver,
+        collectedAt: transaction.createdAt,
+        ledgerTransaction: transaction._id
+      };
+      await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { 'payment.collection': this.payment.collection } }
+      );
+    } catch (error) {
+      console.error(`COD ledger posting failed for ${this.orderNumber}:`, error);
+    }
+  }
+});
+
 // Static methods
 orderSchema.statics.findByStatus = function(status, limit = 50) {
   return this.find({ status })
@@ -499,51 +781,127 @@ orderSchema.statics.findByMerchant = function(merchantId, options = {}) {
     .limit(options.limit || 50);
 };
 
+// Orders a merchant already created for these e-commerce order IDs from one source and store
+orderSchema.statics.findBySourceOrderIds = function(merchantId, origin, sourceOrderIds) {
+  return this.find({
+    merchant: merchantId,
+    'metadata.source': origin.source,
+    'metadata.sourceStore': origin.store || null,
+    'metadata.sourceOrderId': { $in: sourceOrderIds }
+  })
+    .select('orderNumber status tracking.trackingNumber metadata.source metadata.sourceStore metadata.sourceOrderId');
+};
+
 // Instance methods
-orderSchema.methods.updateStatus = function(newStatus, notes, updatedBy) {
-  this.status = newStatus;
-  this.metadata.lastModifiedBy = updatedBy;
-  
-  this.tracking.statusHistory.push({
-    status: newStatus,
-    timestamp: new Date(),
+orderSchema.methods.updateStatus = function(newStatus, notes, updatedBy, options = {}) {
+  orderLifecycle.transition(this, newStatus, {
+    ...options,
     notes,
     updatedBy
   });
   
-  // Update specific timestamps
-  if (newStatus === 'picked_up') {
-    this.tracking.actualPickupTime = new Date();
-  } else if (newStatus === 'delivered') {
-    this.tracking.actualDeliveryTime = new Date();
-  }
-  
   return this.save();
 };
 
-orderSchema.methods.addDeliveryAttempt = function(result, reason, driver, notes, evidence) {
+// Record a change that does not move the status (reschedule, address fix) in the history
+orderSchema.methods.addTrackingNote = function(notes, updatedBy, reason) {
+  this.tracking.statusHistory.push({
+    status: this.status,
+    timestamp: new Date(),
+    notes,
+    updatedBy,
+    metadata: { reason, automaticUpdate: false }
+  });
+};
+
+// plan comes from deliveryFailureService.plan() and decides where a failed attempt leads
+orderSchema.methods.addDeliveryAttempt = function(result, reason, driver, notes, evidence, plan = null) {
   const attemptNumber = this.deliveryAttempts.length + 1;
   
+  // Work out the status this attempt leads to
+  let nextStatus = null;
+  if (result === 'success') {
+    nextStatus = 'delivered';
+  } else if (plan) {
+    nextStatus = plan.status;
+  } else if (result === 'failed') {
+    nextStatus = attemptNumber >= 3 ? 'returned' : 'failed_delivery';
+  }
+  
+  if (nextStatus) {
+    const currentStatus = orderLifecycle.getCurrentStatus(this);
+    if (!orderLifecycle.canTransition(currentStatus, nextStatus)) {
+      throw new orderLifecycle.OrderTransitionError(
+        'ILLEGAL_TRANSITION',
+        `Cannot record a ${result} delivery attempt while order is ${currentStatus}`,
+        currentStatus,
+        nextStatus
+      );
+    }
+  }
+  
   this.deliveryAttempts.push({
     attemptNumber,
     result,
-    reason,
+    reason: reason || (plan ? plan.label : undefined),
+    reasonCode: plan ? plan.reasonCode : undefined,
+    policy: plan ? plan.policy : undefined,
     driver,
     notes,
-    evidence
+    evidence,
+    nextAttemptScheduled: plan ? plan.nextAttemptScheduled : undefined
   });
   
+  if (plan && plan.nextAttemptScheduled) {
+    // The booked slot was for the failed run; the reattempt is unslotted
+    if (this.scheduledDelivery.slot) {
+      this.$locals.releaseSlot = this.scheduledDelivery.slot;
+      this.scheduledDelivery.slot = undefined;
+    }
+    this.scheduledDelivery.timeSlot = undefined;
+    this.scheduledDelivery.date = plan.nextAttemptScheduled;
+  }
+  
+  if (plan && plan.holdAtHub) {
+    // Held parcels wait at the hub until the customer reschedules or collects
+    if (this.scheduledDelivery.slot) {
+      this.$locals.releaseSlot = this.scheduledDelivery.slot;
+      this.scheduledDelivery.slot = undefined;
+    }
+    this.scheduledDelivery.timeSlot = undefined;
+    this.scheduledDelivery.date = undefined;
+    this.holdAtHub = { hub: plan.holdAtHub, requestedAt: new Date() };
+  }
+  
   // Update status based on attempt result
-  if (result === 'success') {
-    this.status = 'delivered';
-    this.tracking.actualDeliveryTime = new Date();
-  } else if (result === 'failed' && attemptNumber >= 3) {
-    this.status = 'returned';
+  if (nextStatus) {
+    try {
+      orderLifecycle.transition(this, nextStatus, {
+        notes: notes || reason || (plan ? plan.label : undefined),
+        updatedBy: driver,
+        metadata: { reason, automaticUpdate: true }
+      });
+    } catch (error) {
+      this.deliveryAttempts.pop();
+      throw error;
+    }
   }
   
   return this.save();
 };
 
+// Instance method to collect the order total on delivery when no COD amount was given.
+// Run again after re-pricing so a derived amount follows the new total.
+orderSchema.methods.applyCodAmount = function() {
+  if (this.payment.method !== 'cod') return this;
+
+  if (this.payment.codAmount === undefined || this.payment.codAmount === null || this.payment.codFromTotal) {
+    this.payment.codAmount = this.pricing.total;
+    this.payment.codFromTotal = true;
+  }
+  return this;
+};
+
 orderSchema.methods.calculateDistance = function() {
   if (!this.pickupAddress.coordinates || !this.customerInfo.address.coordinates) {
     return null;
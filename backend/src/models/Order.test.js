@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Order = require('./Order');
+
+const buildOrder = payment => new Order({ payment, pricing: { subtotal: 100, shippingCost: 30, total: 130 } });
+
+describe('Order', () => {
+  describe('source orders', () => {
+    test('are unique per merchant, source and store', () => {
+      const [fields, options] = Order.schema.indexes().find(([keys]) => keys['metadata.sourceOrderId']);
+
+      expect(Object.keys(fields)).toEqual(['merchant', 'metadata.source', 'metadata.sourceStore', 'metadata.sourceOrderId']);
+      expect(options.unique).toBe(true);
+    });
+
+    test('are looked up within one source and store', () => {
+      const merchantId = new mongoose.Types.ObjectId();
+
+      expect(Order.findBySourceOrderIds(merchantId, { source: 'woocommerce', store: 'shop.example.com' }, ['1001']).getFilter())
+        .toEqual({
+          merchant: merchantId,
+          'metadata.source': 'woocommerce',
+          'metadata.sourceStore': 'shop.example.com',
+          'metadata.sourceOrderId': { $in: ['1001'] }
+        });
+      // Orders not from a store match only others without one
+      expect(Order.findBySourceOrderIds(merchantId, { source: 'api' }, ['1001']).getFilter()['metadata.sourceStore'])
+        .toBeNull();
+    });
+  });
+
+  describe('applyCodAmount', () => {
+    test('collects the total when no COD amount was given and follows later totals', () => {
+      const order = buildOrder({ method: 'cod' });
+
+      order.applyCodAmount();
+      expect(order.payment).toMatchObject({ codAmount: 130, codFromTotal: true });
+
+      order.pricing.total = 160;
+      order.applyCodAmount();
+      expect(order.payment.codAmount).toBe(160);
+    });
+
+    test('keeps an amount the merchant set', () => {
+      const order = buildOrder({ method: 'cod', codAmount: 90 });
+
+      order.applyCodAmount();
+      order.pricing.total = 160;
+      order.applyCodAmount();
+
+      expect(order.payment.codAmount).toBe(90);
+      expect(order.payment.codFromTotal).toBeUndefined();
+    });
+
+    test('leaves prepaid orders alone', () => {
+      const order = buildOrder({ method: 'prepaid' });
+      order.applyCodAmount();
+      expect(order.payment.codAmount).toBeUndefined();
+    });
+  });
+
+  describe('addDeliveryAttempt', () => {
+    test('a hold plan keeps the parcel at the hub and gives up its delivery slot', async () => {
+      const hubId = new mongoose.Types.ObjectId();
+      const slotId = new mongoose.Types.ObjectId();
+      const order = new Order({
+        status: 'out_for_delivery',
+        scheduledDelivery: { date: new Date(), slot: slotId, timeSlot: { start: '10:00', end: '12:00' } }
+      });
+      jest.spyOn(order, 'save').mockImplementation(async function() {
+        return this;
+      });
+
+      await order.addDeliveryAttempt('failed', undefined, undefined, undefined, {}, {
+        reasonCode: 'wrong_address',
+        label: 'Wrong or incomplete address',
+        policy: 'hold',
+        status: 'failed_delivery',
+        holdAtHub: hubId
+      });
+
+      expect(order.status).toBe('failed_delivery');
+      expect(order.holdAtHub.hub).toEqual(hubId);
+      expect(order.holdAtHub.requestedAt).toBeInstanceOf(Date);
+      expect(order.scheduledDelivery.date).toBeUndefined();
+      expect(order.scheduledDelivery.slot).toBeUndefined();
+      expect(order.$locals.releaseSlot).toEqual(slotId);
+      expect(order.deliveryAttempts[0].policy).toBe('hold');
+    });
+  });
+});
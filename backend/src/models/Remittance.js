@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const remittanceSchema = new mongoose.Schema({
+  remittanceNumber: {
+    type: String,
+    unique: true,
+    required: true,
+    uppercase: true
+  },
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Merchant is required'],
+    index: true
+  },
+  period: {
+    from: Date,
+    to: Date
+  },
+  lines: [{
+    _id: false,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderNumber: String,
+    trackingNumber: String,
+    deliveredAt: Date,
+    codAmount: Number,
+    fees: Number,   // Shipping cost, service fees and taxes kept by us
+    net: Number
+  }],
+  totals: {
+    orders: { type: Number, default: 0 },
+    codCollected: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }
+  },
+  currency: {
+    type: String,
+    default: 'EGP',
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'paid'],
+    default: 'pending',
+    index: true
+  },
+  // Bank details at the time the statement was generated
+  payee: {
+    bankName: String,
+    accountName: String,
+    accountNumber: String,
+    iban: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approval: {
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    notes: String
+  },
+  payment: {
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    paidAt: Date,
+    reference: String, // Bank transfer reference
+    ledgerTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+remittanceSchema.index({ merchant: 1, createdAt: -1 });
+
+// Pre-validate middleware to generate the remittance number
+remittanceSchema.pre('validate', function(next) {
+  if (this.isNew && !this.remittanceNumber) {
+    const timestamp = Date.now().toString().slice(-8);
+    this.remittanceNumber = `REM${timestamp}${Math.random().toString(36).substr(2, 3).toUpperCase()}`;
+  }
+  next();
+});
+
+const Remittance = mongoose.model('Remittance', remittanceSchema);
+
+module.exports = Remittance;
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+
+// Why customers send delivered items back
+const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'size_or_fit',
+  'changed_mind',
+  'other'
+];
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true,
+    required: true,
+    uppercase: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Original order is required'],
+    index: true
+  },
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  items: [{
+    _id: false,
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId, // _id of the item on the original order
+      required: true
+    },
+    name: String,
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    }
+  }],
+  status: {
+    type: String,
+    enum: [
+      'requested',  // Waiting for the merchant
+      'approved',   // Reverse pickup order created
+      'rejected',   // Merchant declined
+      'received',   // Back with the merchant
+      'completed',  // Refund or exchange recorded
+      'cancelled'   // Withdrawn before pickup
+    ],
+    default: 'requested',
+    index: true
+  },
+  requestedBy: {
+    type: String,
+    enum: ['customer', 'merchant', 'admin'],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decision: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    notes: String
+  },
+  reverseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  receivedAt: Date,
+  outcome: {
+    type: {
+      type: String,
+      enum: ['refund', 'exchange', 'none']
+    },
+    amount: {
+      type: Number,
+      min: 0
+    },
+    reference: String, // Refund transaction or exchange reference
+    notes: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+returnRequestSchema.index({ merchant: 1, createdAt: -1 });
+returnRequestSchema.index({ reverseOrder: 1 });
+
+// Pre-validate middleware to fill generated fields before required checks run
+returnRequestSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.rmaNumber) {
+      this.rmaNumber = await sequenceService.generate('rma');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Requests that still hold items of the original order
+returnRequestSchema.statics.findOpenForOrder = function(orderId) {
+  return this.find({ order: orderId, status: { $nin: ['rejected', 'cancelled'] } });
+};
+
+returnRequestSchema.statics.RETURN_REASONS = RETURN_REASONS;
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { AREA_TYPES, validateGeometry } = require('../services/geometry');
+
+const serviceZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Zone code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  geometry: {
+    type: {
+      type: String,
+      enum: AREA_TYPES,
+      required: true
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  },
+  // Hub that serves deliveries in this zone; zones without a hub can still be
+  // used for pricing and driver working areas
+  hub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  pricing: {
+    surcharge: {
+      type: Number, // Flat amount added to quotes delivering into the zone
+      default: 0,
+      min: 0
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+serviceZoneSchema.index({ geometry: '2dsphere' });
+serviceZoneSchema.index({ hub: 1, status: 1 });
+
+// Pre-validate middleware to reject malformed shapes before they reach the 2dsphere index
+serviceZoneSchema.pre('validate', function(next) {
+  if (this.isModified('geometry')) {
+    const problem = validateGeometry(this.geometry);
+    if (problem) {
+      this.invalidate('geometry', problem);
+    }
+  }
+  next();
+});
+
+// Static method to find active zones containing a point
+serviceZoneSchema.statics.findContaining = function(coordinates, filter = {}) {
+  return this.find({
+    status: 'active',
+    ...filter,
+    geometry: {
+      $geoIntersects: {
+        $geometry: {
+          type: 'Point',
+          coordinates
+        }
+      }
+    }
+  });
+};
+
+const ServiceZone = mongoose.model('ServiceZone', serviceZoneSchema);
+
+module.exports = ServiceZone;
@@ -0,0 +1,418 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+
+const PARCEL_STATUSES = [
+  'created',          // Parcel registered, label not yet scanned
+  'picked_up',        // Collected from merchant
+  'in_transit',       // Moving between locations
+  'at_hub',           // Scanned in at a hub
+  'out_for_delivery', // With the driver for final delivery
+  'delivered',        // Handed to the customer
+  'failed_delivery',  // Delivery attempt failed
+  'returned',         // Returned to merchant
+  'lost',             // Missing after investigation
+  'cancelled'         // Removed from the order
+];
+
+// Scans a parcel may move to from each status; cancelled only through DELETE, split or merge
+const PARCEL_TRANSITIONS = {
+  created: ['picked_up', 'cancelled'],
+  picked_up: ['in_transit', 'at_hub', 'returned', 'lost'],
+  in_transit: ['at_hub', 'out_for_delivery', 'returned', 'lost'],
+  at_hub: ['in_transit', 'out_for_delivery', 'returned', 'lost'],
+  out_for_delivery: ['delivered', 'failed_delivery', 'at_hub', 'lost'],
+  failed_delivery: ['out_for_delivery', 'at_hub', 'returned', 'lost'],
+  delivered: ['returned'], // Only in case of issues
+  lost: ['at_hub'],        // Found again
+  returned: [],
+  cancelled: []
+};
+
+// Errors caused by the request rather than the server carry an HTTP status
+const parcelError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+    index: true
+  },
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Merchant is required'],
+    index: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  labelBarcode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  weight: {
+    type: Number,
+    required: [true, 'Parcel weight is required'],
+    min: [0.01, 'Weight must be at least 0.01 kg']
+  },
+  dimensions: {
+    length: { type: Number, min: 0 },
+    width: { type: Number, min: 0 },
+    height: { type: Number, min: 0 }
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId, // _id of the entry in Order.items
+      required: true
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    }
+  }],
+  status: {
+    type: String,
+    enum: PARCEL_STATUSES,
+    default: 'created',
+    index: true
+  },
+  currentHub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub'
+  },
+  scanHistory: [{
+    status: {
+      type: String,
+      enum: PARCEL_STATUSES,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    location: {
+      type: [Number] // [longitude, latitude]
+    },
+    hub: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hub'
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }],
+  notes: {
+    type: String,
+    maxLength: [500, 'Notes cannot exceed 500 characters']
+  },
+  metadata: {
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    splitFrom: String,  // Label barcode of the parcel this one was split from
+    mergedFrom: [String] // Label barcodes of the parcels merged into this one
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual fields
+shipmentSchema.virtual('volume').get(function() {
+  const { length, width, height } = this.dimensions || {};
+  if (!length || !width || !height) return 0;
+  return length * width * height;
+});
+
+shipmentSchema.virtual('isEditable').get(function() {
+  return this.status === 'created';
+});
+
+// Indexes
+shipmentSchema.index({ order: 1, sequence: 1 }, { unique: true });
+shipmentSchema.index({ labelBarcode: 1 }, { unique: true });
+shipmentSchema.index({ merchant: 1, status: 1 });
+
+// Pre-validate middleware to number the parcel and generate its label barcode
+shipmentSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew) {
+      if (!this.sequence) {
+        this.sequence = await mongoose.model('Shipment').nextSequence(this.order);
+      }
+
+      if (!this.labelBarcode) {
+        const order = await mongoose.model('Order').findById(this.order).select('tracking.trackingNumber');
+        if (!order) {
+          throw parcelError('Order not found for parcel', 404);
+        }
+        this.labelBarcode = `${order.tracking.trackingNumber}P${this.sequence.toString().padStart(2, '0')}`;
+      }
+
+      // Validation also runs on save, so the first scan is only added once
+      if (this.scanHistory.length === 0) {
+        this.scanHistory.push({
+          status: this.status,
+          timestamp: new Date(),
+          scannedBy: this.metadata.createdBy,
+          notes: 'Parcel created'
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Keep the parcel counters on the order in sync
+shipmentSchema.post('save', async function(doc) {
+  await mongoose.model('Shipment').syncOrderSummary(doc.order);
+});
+
+// Static methods
+shipmentSchema.statics.PARCEL_STATUSES = PARCEL_STATUSES;
+shipmentSchema.statics.PARCEL_TRANSITIONS = PARCEL_TRANSITIONS;
+
+shipmentSchema.statics.canTransition = function(from, to) {
+  return (PARCEL_TRANSITIONS[from] || []).includes(to);
+};
+
+// Parcel numbers come from a counter per order so concurrent saves never share one
+shipmentSchema.statics.nextSequence = function(orderId) {
+  return sequenceService.increment(`shipment:${orderId}`, async () => {
+    const last = await this.findOne({ order: orderId }).sort({ sequence: -1 }).select('sequence');
+    return last ? last.sequence : 0;
+  });
+};
+
+// Validate every new parcel, then save them; if a save fails the ones already saved are removed
+shipmentSchema.statics.saveAll = async function(shipments) {
+  await Promise.all(shipments.map(shipment => shipment.validate()));
+
+  const saved = [];
+  try {
+    for (const shipment of shipments) {
+      await shipment.save();
+      saved.push(shipment);
+    }
+  } catch (error) {
+    if (saved.length > 0) {
+      await this.deleteMany({ _id: { $in: saved.map(shipment => shipment._id) } });
+      await this.syncOrderSummary(saved[0].order);
+    }
+    throw error;
+  }
+  return shipments;
+};
+
+shipmentSchema.statics.findByOrder = function(orderId) {
+  return this.find({ order: orderId, status: { $ne: 'cancelled' } }).sort({ sequence: 1 });
+};
+
+shipmentSchema.statics.syncOrderSummary = async function(orderId) {
+  const [summary] = await this.aggregate([
+    { $match: { order: new mongoose.Types.ObjectId(orderId.toString()), status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  await mongoose.model('Order').updateOne(
+    { _id: orderId },
+    {
+      $set: {
+        'parcels.total': summary ? summary.total : 0,
+        'parcels.delivered': summary ? summary.delivered : 0
+      }
+    }
+  );
+};
+
+/**
+ * Split a parcel into several new parcels. The source parcel is cancelled.
+ * @param {Object} source - Shipment document to split
+ * @param {Array} parts - [{ weight, dimensions, items: [{ orderItem, quantity }] }]
+ * @param {string} userId - User performing the split
+ * @returns {Array} New shipment documents
+ */
+shipmentSchema.statics.splitParcel = async function(source, parts, userId) {
+  if (!source.isEditable) {
+    throw parcelError(`Cannot split a parcel with status: ${source.status}`);
+  }
+
+  if (!Array.isArray(parts) || parts.length < 2) {
+    throw parcelError('A split needs at least two parts');
+  }
+
+  // Every item in the source must end up in exactly one part
+  const sourceQuantities = {};
+  source.items.forEach(item => {
+    const key = item.orderItem.toString();
+    sourceQuantities[key] = (sourceQuantities[key] || 0) + item.quantity;
+  });
+
+  const partQuantities = {};
+  parts.forEach(part => {
+    (part.items || []).forEach(item => {
+      const key = item.orderItem.toString();
+      partQuantities[key] = (partQuantities[key] || 0) + item.quantity;
+    });
+  });
+
+  const keys = new Set([...Object.keys(sourceQuantities), ...Object.keys(partQuantities)]);
+  for (const key of keys) {
+    if (sourceQuantities[key] !== partQuantities[key]) {
+      throw parcelError('Split parts must contain exactly the items of the source parcel');
+    }
+  }
+
+  const names = {};
+  source.items.forEach(item => {
+    names[item.orderItem.toString()] = item.name;
+  });
+
+  const created = parts.map(part => new this({
+    order: source.order,
+    merchant: source.merchant,
+    weight: part.weight,
+    dimensions: part.dimensions,
+    items: (part.items || []).map(item => ({
+      orderItem: item.orderItem,
+      name: names[item.orderItem.toString()],
+      quantity: item.quantity
+    })),
+    notes: part.notes,
+    metadata: {
+      createdBy: userId,
+      splitFrom: source.labelBarcode
+    }
+  }));
+  await this.saveAll(created);
+
+  await source.updateStatus('cancelled', {
+    scannedBy: userId,
+    notes: `Split into ${created.map(s => s.labelBarcode).join(', ')}`
+  });
+
+  return created;
+};
+
+/**
+ * Merge several parcels of the same order into one. The sources are cancelled.
+ * @param {Array} sources - Shipment documents to merge
+ * @param {Object} options - { weight, dimensions, notes } of the merged parcel
+ * @param {string} userId - User performing the merge
+ * @returns {Object} Merged shipment document
+ */
+shipmentSchema.statics.mergeParcels = async function(sources, options = {}, userId) {
+  if (!Array.isArray(sources) || sources.length < 2) {
+    throw parcelError('A merge needs at least two parcels');
+  }
+
+  const orderId = sources[0].order.toString();
+  if (sources.some(source => source.order.toString() !== orderId)) {
+    throw parcelError('Only parcels of the same order can be merged');
+  }
+
+  const locked = sources.find(source => !source.isEditable);
+  if (locked) {
+    throw parcelError(`Cannot merge parcel ${locked.labelBarcode} with status: ${locked.status}`);
+  }
+
+  // Combine item quantities per order item
+  const items = [];
+  sources.forEach(source => {
+    source.items.forEach(item => {
+      const existing = items.find(i => i.orderItem.toString() === item.orderItem.toString());
+      if (existing) {
+        existing.quantity += item.quantity;
+      } else {
+        items.push({ orderItem: item.orderItem, name: item.name, quantity: item.quantity });
+      }
+    });
+  });
+
+  // Default to stacking the parcels when no measured dimensions are given
+  const dimensions = options.dimensions || {
+    length: Math.max(...sources.map(s => s.dimensions?.length || 0)),
+    width: Math.max(...sources.map(s => s.dimensions?.width || 0)),
+    height: sources.reduce((total, s) => total + (s.dimensions?.height || 0), 0)
+  };
+
+  const merged = new this({
+    order: sources[0].order,
+    merchant: sources[0].merchant,
+    weight: options.weight || sources.reduce((total, s) => total + s.weight, 0),
+    dimensions,
+    items,
+    notes: options.notes,
+    metadata: {
+      createdBy: userId,
+      mergedFrom: sources.map(s => s.labelBarcode)
+    }
+  });
+  await this.saveAll([merged]);
+
+  for (const source of sources) {
+    await source.updateStatus('cancelled', {
+      scannedBy: userId,
+      notes: `Merged into ${merged.labelBarcode}`
+    });
+  }
+
+  return merged;
+};
+
+// Instance methods
+shipmentSchema.methods.updateStatus = async function(newStatus, options = {}) {
+  const { location, hub, scannedBy, notes } = options;
+
+  if (!PARCEL_TRANSITIONS[this.status].includes(newStatus)) {
+    const error = parcelError(`Cannot change parcel status from ${this.status} to ${newStatus}`, 409);
+    error.code = 'ILLEGAL_TRANSITION';
+    error.currentStatus = this.status;
+    error.requestedStatus = newStatus;
+    error.allowedTransitions = PARCEL_TRANSITIONS[this.status];
+    throw error;
+  }
+
+  this.status = newStatus;
+  if (hub) {
+    this.currentHub = hub;
+  }
+
+  this.scanHistory.push({
+    status: newStatus,
+    timestamp: new Date(),
+    location: Array.isArray(location) && location.length === 2 ? location : undefined,
+    hub,
+    scannedBy,
+    notes
+  });
+
+  return this.save();
+};
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+module.exports = Shipment;
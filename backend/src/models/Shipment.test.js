@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Shipment = require('./Shipment');
+const Order = require('./Order');
+const Counter = require('./Counter');
+const sequenceService = require('../services/sequenceService');
+const { mockQuery } = require('../../test/helpers');
+
+const orderId = new mongoose.Types.ObjectId();
+const merchantId = new mongoose.Types.ObjectId();
+const itemA = new mongoose.Types.ObjectId();
+const itemB = new mongoose.Types.ObjectId();
+
+const buildParcel = (overrides = {}) => new Shipment({
+  order: orderId,
+  merchant: merchantId,
+  sequence: 1,
+  labelBarcode: 'TRK2610190000011P01',
+  weight: 2,
+  items: [
+    { orderItem: itemA, name: 'Shirt', quantity: 2 },
+    { orderItem: itemB, name: 'Shoes', quantity: 1 }
+  ],
+  scanHistory: [{ status: 'created' }],
+  ...overrides
+});
+
+describe('Shipment', () => {
+  let sequence;
+
+  beforeEach(() => {
+    sequence = 1;
+    jest.spyOn(sequenceService, 'increment').mockImplementation(async () => ++sequence);
+    jest.spyOn(Order, 'findById').mockReturnValue(mockQuery({ tracking: { trackingNumber: 'TRK2610190000011' } }));
+    jest.spyOn(Shipment, 'syncOrderSummary').mockResolvedValue();
+    jest.spyOn(Shipment, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('indexes the label barcode once', () => {
+    const barcodeIndexes = Shipment.schema.indexes().filter(([fields]) => fields.labelBarcode);
+    expect(barcodeIndexes).toEqual([[{ labelBarcode: 1 }, expect.objectContaining({ unique: true })]]);
+    expect(Shipment.schema.path('labelBarcode').options.unique).toBeUndefined();
+  });
+
+  test('takes the parcel number from an order counter seeded with the highest parcel', async () => {
+    sequenceService.increment.mockRestore();
+    jest.spyOn(Counter, 'exists').mockResolvedValue(null);
+    jest.spyOn(Shipment, 'findOne').mockReturnValue(mockQuery({ sequence: 3 }));
+    const update = jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 4 });
+
+    await expect(Shipment.nextSequence(orderId)).resolves.toBe(4);
+    expect(update).toHaveBeenNthCalledWith(1, { _id: `shipment:${orderId}` }, { $max: { seq: 3 } }, expect.anything());
+    expect(update).toHaveBeenNthCalledWith(2, { _id: `shipment:${orderId}` }, { $inc: { seq: 1 } }, expect.anything());
+  });
+
+  test('numbers and labels new parcels with a single creation scan', async () => {
+    const parcel = new Shipment({ order: orderId, merchant: merchantId, weight: 1 });
+    await parcel.validate();
+    await parcel.validate();
+
+    expect(parcel.sequence).toBe(2);
+    expect(parcel.labelBarcode).toBe('TRK2610190000011P02');
+    expect(parcel.scanHistory).toHaveLength(1);
+  });
+
+  test('follows the parcel transition table', async () => {
+    jest.spyOn(Shipment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const parcel = buildParcel({ status: 'delivered' });
+
+    await expect(parcel.updateStatus('out_for_delivery')).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'ILLEGAL_TRANSITION',
+      currentStatus: 'delivered',
+      requestedStatus: 'out_for_delivery',
+      allowedTransitions: ['returned']
+    });
+    expect(parcel.status).toBe('delivered');
+
+    await parcel.updateStatus('returned');
+    expect(parcel.status).toBe('returned');
+    expect(Shipment.canTransition('created', 'picked_up')).toBe(true);
+    expect(Shipment.canTransition('returned', 'at_hub')).toBe(false);
+  });
+
+  test('split saves nothing when any part fails validation', async () => {
+    const save = jest.spyOn(Shipment.prototype, 'save').mockResolvedValue();
+    const source = buildParcel();
+
+    await expect(Shipment.splitParcel(source, [
+      { weight: 1, items: [{ orderItem: itemA, quantity: 2 }] },
+      { weight: 0, items: [{ orderItem: itemB, quantity: 1 }] }
+    ])).rejects.toMatchObject({ name: 'ValidationError' });
+
+    expect(save).not.toHaveBeenCalled();
+    expect(source.status).toBe('created');
+  });
+
+  test('split removes the parts already saved when a later save fails', async () => {
+    const saved = [];
+    jest.spyOn(Shipment.prototype, 'save').mockImplementation(function() {
+      if (saved.length === 1) return Promise.reject(new Error('connection lost'));
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    const source = buildParcel();
+
+    await expect(Shipment.splitParcel(source, [
+      { weight: 1, items: [{ orderItem: itemA, quantity: 2 }] },
+      { weight: 1, items: [{ orderItem: itemB, quantity: 1 }] }
+    ])).rejects.toThrow('connection lost');
+
+    expect(Shipment.deleteMany).toHaveBeenCalledWith({ _id: { $in: [saved[0]._id] } });
+    expect(Shipment.syncOrderSummary).toHaveBeenCalledWith(orderId);
+    expect(source.status).toBe('created');
+  });
+
+  test('split cancels the source after every part is saved', async () => {
+    jest.spyOn(Shipment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const source = buildParcel();
+
+    const parts = await Shipment.splitParcel(source, [
+      { weight: 1, items: [{ orderItem: itemA, quantity: 2 }] },
+      { weight: 1, items: [{ orderItem: itemB, quantity: 1 }] }
+    ]);
+
+    expect(parts.map(part => part.labelBarcode)).toEqual(['TRK2610190000011P02', 'TRK2610190000011P03']);
+    expect(source.status).toBe('cancelled');
+  });
+
+  test('merge leaves the sources alone when the merged parcel is invalid', async () => {
+    const save = jest.spyOn(Shipment.prototype, 'save').mockResolvedValue();
+    const sources = [
+      buildParcel({ weight: 1 }),
+      buildParcel({ sequence: 2, labelBarcode: 'TRK2610190000011P02', weight: 1 })
+    ];
+
+    await expect(Shipment.mergeParcels(sources, { notes: 'x'.repeat(501) })).rejects.toMatchObject({ name: 'ValidationError' });
+
+    expect(save).not.toHaveBeenCalled();
+    expect(sources.map(source => source.status)).toEqual(['created', 'created']);
+  });
+});
@@ -36,10 +36,15 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'driver', 'merchant', 'customer'],
+    enum: ['admin', 'dispatcher', 'hub_manager', 'driver', 'merchant', 'customer'],
     required: [true, 'User role is required'],
     default: 'customer'
   },
+  // Hubs a dispatcher or hub manager works at; limits the live hub feeds they may follow
+  hubs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hub'
+  }],
   avatar: {
     type: String,
     default: null
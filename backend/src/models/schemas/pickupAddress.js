@@ -0,0 +1,29 @@
+// Shared shape of a pickup address, used by orders and merchant saved locations
+const pickupAddressDefinition = {
+  street: {
+    type: String,
+    required: [true, 'Pickup street address is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'Pickup city is required'],
+    trim: true
+  },
+  state: String,
+  zipCode: String,
+  country: {
+    type: String,
+    default: 'Egypt'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    index: '2dsphere',
+    required: [true, 'Pickup coordinates are required']
+  },
+  contactPerson: String,
+  contactPhone: String,
+  notes: String // Pickup instructions
+};
+
+module.exports = pickupAddressDefinition;
@@ -3,7 +3,7 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { authMiddleware, roleMiddleware } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
 const { validateRegistration, validateLogin } = require('../middleware/validation');
 
 // Generate JWT token
@@ -125,7 +125,7 @@ router.post('/login', validateLogin, async (req, res) => {
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
-router.get('/profile', authMiddleware, async (req, res) => {
+router.get('/profile', authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId).select('-password');
     if (!user) {
@@ -145,7 +145,7 @@ router.get('/profile', authMiddleware, async (req, res) => {
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', authMiddleware, async (req, res) => {
+router.put('/profile', authenticate, async (req, res) => {
   try {
     const allowedUpdates = ['firstName', 'lastName', 'phone', 'profile'];
     const updates = {};
@@ -180,7 +180,7 @@ router.put('/profile', authMiddleware, async (req, res) => {
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.post('/change-password', authMiddleware, async (req, res) => {
+router.post('/change-password', authenticate, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -295,7 +295,7 @@ router.post('/reset-password', async (req, res) => {
 // @route   POST /api/auth/logout
 // @desc    Logout user (client-side token removal)
 // @access  Private
-router.post('/logout', authMiddleware, async (req, res) => {
+router.post('/logout', authenticate, async (req, res) => {
   try {
     // In a stateless JWT system, logout is handled client-side
     // Here we could add token to a blacklist if needed
@@ -312,7 +312,7 @@ router.post('/logout', authMiddleware, async (req, res) => {
 // @route   POST /api/auth/refresh-token
 // @desc    Refresh JWT token
 // @access  Private
-router.post('/refresh-token', authMiddleware, async (req, res) => {
+router.post('/refresh-token', authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user || !user.isActive) {
@@ -0,0 +1,444 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const Hub = require('../models/Hub');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Remittance = require('../models/Remittance');
+const HubReconciliation = require('../models/HubReconciliation');
+const codLedgerService = require('../services/codLedgerService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   GET /api/cod/custody
+// @desc    Cash held by every driver
+// @access  Private (Admin/Hub Manager)
+router.get('/custody', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const custody = await codLedgerService.getDriverCustody();
+    await Driver.populate(custody, { path: 'driver', select: 'driverCode user', populate: { path: 'user', select: 'firstName lastName phone' } });
+
+    res.json({
+      success: true,
+      custody,
+      totalHeld: Math.round(custody.reduce((sum, row) => sum + row.balance, 0) * 100) / 100
+    });
+  } catch (error) {
+    console.error('Custody fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch cash custody' });
+  }
+});
+
+// @route   GET /api/cod/custody/me
+// @desc    Cash held by the logged in driver
+// @access  Private (Driver)
+router.get('/custody/me', authenticate, authorize('driver'), async (req, res) => {
+  try {
+    const driver = await Driver.findOne({ user: req.user.userId });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    const [custody] = await codLedgerService.getDriverCustody(driver._id);
+
+    res.json({
+      success: true,
+      custody: custody || { driver: driver._id, collected: 0, handedOver: 0, balance: 0 }
+    });
+  } catch (error) {
+    console.error('Driver custody error:', error);
+    res.status(500).json({ error: 'Failed to fetch cash custody' });
+  }
+});
+
+// @route   GET /api/cod/custody/:driverId
+// @desc    Cash held by a driver with recent ledger activity
+// @access  Private (Admin/Hub Manager)
+router.get('/custody/:driverId', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.driverId)
+      .populate('user', 'firstName lastName phone');
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    const [[custody], transactions] = await Promise.all([
+      codLedgerService.getDriverCustody(driver._id),
+      LedgerTransaction.find({ 'entries.driver': driver._id })
+        .populate('order', 'orderNumber tracking.trackingNumber')
+        .sort({ createdAt: -1 })
+        .limit(50)
+    ]);
+
+    res.json({
+      success: true,
+      driver,
+      custody: custody || { driver: driver._id, collected: 0, handedOver: 0, balance: 0 },
+      transactions
+    });
+  } catch (error) {
+    console.error('Driver custody error:', error);
+    res.status(500).json({ error: 'Failed to fetch cash custody' });
+  }
+});
+
+// @route   GET /api/cod/collections/unposted
+// @desc    Delivered COD orders whose collection is missing from the ledger
+// @access  Private (Admin)
+router.get('/collections/unposted', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const orders = await Order.find(codLedgerService.unpostedQuery())
+      .select('orderNumber tracking.trackingNumber tracking.actualDeliveryTime payment.codAmount assignedDriver merchant')
+      .sort({ 'tracking.actualDeliveryTime': 1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      orders
+    });
+  } catch (error) {
+    console.error('Unposted collections fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch unposted collections' });
+  }
+});
+
+// @route   POST /api/cod/collections/retry
+// @desc    Post every delivered COD collection missing from the ledger
+// @access  Private (Admin)
+router.post('/collections/retry', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body.limit, 10) || 100, 500);
+    const result = await codLedgerService.postMissingCollections({ userId: req.user.userId, limit });
+
+    res.json({
+      success: true,
+      message: `Posted ${result.posted} collections`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Collection retry error:', error);
+    res.status(500).json({ error: 'Failed to post collections' });
+  }
+});
+
+// @route   POST /api/cod/collections/:orderId
+// @desc    Post the collection for a delivered COD order missing from the ledger
+// @access  Private (Admin)
+router.post('/collections/:orderId', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const transaction = await codLedgerService.recordCollection(order, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection recorded',
+      transaction
+    });
+  } catch (error) {
+    console.error('Collection posting error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to record collection'
+    });
+  }
+});
+
+// @route   POST /api/cod/handovers
+// @desc    Record cash a driver hands over at a hub
+// @access  Private (Admin/Hub Manager)
+router.post('/handovers', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const { driverId, hubId, amount, notes } = req.body;
+
+    if (!driverId || !hubId) {
+      return res.status(400).json({ error: 'driverId and hubId are required' });
+    }
+
+    const [driver, hub] = await Promise.all([Driver.findById(driverId), Hub.findById(hubId)]);
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+    if (!hub) {
+      return res.status(404).json({ error: 'Hub not found' });
+    }
+
+    const transaction = await codLedgerService.recordHandover({
+      driverId,
+      hubId,
+      amount,
+      notes,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash handover recorded',
+      transaction
+    });
+  } catch (error) {
+    console.error('Cash handover error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to record handover'
+    });
+  }
+});
+
+// @route   POST /api/cod/reconciliations
+// @desc    End-of-day cash reconciliation for a hub
+// @access  Private (Admin/Hub Manager)
+router.post('/reconciliations', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const { hubId, date, countedAmount, depositedAmount, notes } = req.body;
+
+    if (!hubId || countedAmount === undefined) {
+      return res.status(400).json({ error: 'hubId and countedAmount are required' });
+    }
+
+    const hub = await Hub.findById(hubId);
+    if (!hub) {
+      return res.status(404).json({ error: 'Hub not found' });
+    }
+
+    const reconciliation = await codLedgerService.reconcileHub({
+      hubId,
+      date,
+      countedAmount,
+      depositedAmount,
+      notes,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: reconciliation.variance === 0
+        ? 'Hub cash reconciled'
+        : `Hub cash reconciled with a variance of ${reconciliation.variance}`,
+      reconciliation
+    });
+  } catch (error) {
+    console.error('Hub reconciliation error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to reconcile hub cash'
+    });
+  }
+});
+
+// @route   GET /api/cod/reconciliations
+// @desc    List hub reconciliations
+// @access  Private (Admin/Hub Manager)
+router.get('/reconciliations', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const { hubId, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (hubId) query.hub = hubId;
+    if (startDate || endDate) {
+      query.businessDate = {};
+      if (startDate) query.businessDate.$gte = new Date(startDate);
+      if (endDate) query.businessDate.$lte = new Date(endDate);
+    }
+
+    const reconciliations = await HubReconciliation.find(query)
+      .populate('hub', 'name code')
+      .populate('reconciledBy', 'firstName lastName')
+      .sort({ businessDate: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await HubReconciliation.countDocuments(query);
+
+    res.json({
+      success: true,
+      reconciliations,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Reconciliations fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliations' });
+  }
+});
+
+// @route   GET /api/cod/balance
+// @desc    Amount owed to a merchant (merchants see their own)
+// @access  Private (Merchant/Admin)
+router.get('/balance', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const merchantId = req.user.role === 'merchant' ? req.user.userId : req.query.merchantId;
+    if (!merchantId) {
+      return res.status(400).json({ error: 'merchantId is required' });
+    }
+
+    const balance = await codLedgerService.getMerchantBalance(merchantId);
+
+    res.json({
+      success: true,
+      balance
+    });
+  } catch (error) {
+    console.error('Merchant balance error:', error);
+    res.status(500).json({ error: 'Failed to fetch merchant balance' });
+  }
+});
+
+// @route   POST /api/cod/remittances
+// @desc    Generate a remittance statement for a merchant
+// @access  Private (Admin)
+router.post('/remittances', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { merchantId, from, to } = req.body;
+
+    if (!merchantId) {
+      return res.status(400).json({ error: 'merchantId is required' });
+    }
+
+    const remittance = await codLedgerService.generateRemittance({
+      merchantId,
+      from,
+      to,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Remittance generated for ${remittance.totals.orders} orders`,
+      remittance
+    });
+  } catch (error) {
+    console.error('Remittance generation error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to generate remittance'
+    });
+  }
+});
+
+// @route   GET /api/cod/remittances
+// @desc    List remittance statements (merchants see their own)
+// @access  Private (Merchant/Admin)
+router.get('/remittances', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { status, merchantId, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (req.user.role === 'merchant') {
+      query.merchant = req.user.userId;
+    } else if (merchantId) {
+      query.merchant = merchantId;
+    }
+    if (status) query.status = status;
+
+    const remittances = await Remittance.find(query)
+      .select('-lines')
+      .populate('merchant', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Remittance.countDocuments(query);
+
+    res.json({
+      success: true,
+      remittances,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Remittances fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch remittances' });
+  }
+});
+
+// @route   GET /api/cod/remittances/:id
+// @desc    Get a remittance statement with its order lines
+// @access  Private (Merchant/Admin)
+router.get('/remittances/:id', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const remittance = await Remittance.findById(req.params.id)
+      .populate('merchant', 'firstName lastName email phone')
+      .populate('approval.approvedBy', 'firstName lastName')
+      .populate('payment.paidBy', 'firstName lastName');
+
+    if (!remittance) {
+      return res.status(404).json({ error: 'Remittance not found' });
+    }
+
+    if (req.user.role === 'merchant' && remittance.merchant._id.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      remittance
+    });
+  } catch (error) {
+    console.error('Remittance fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch remittance' });
+  }
+});
+
+// @route   PATCH /api/cod/remittances/:id/approve
+// @desc    Approve a remittance for payment
+// @access  Private (Admin)
+router.patch('/remittances/:id/approve', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const remittance = await Remittance.findById(req.params.id);
+    if (!remittance) {
+      return res.status(404).json({ error: 'Remittance not found' });
+    }
+
+    await codLedgerService.approveRemittance(remittance, req.user.userId, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Remittance approved',
+      remittance
+    });
+  } catch (error) {
+    console.error('Remittance approval error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to approve remittance'
+    });
+  }
+});
+
+// @route   PATCH /api/cod/remittances/:id/pay
+// @desc    Mark a remittance as paid to the merchant
+// @access  Private (Admin)
+router.patch('/remittances/:id/pay', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { reference } = req.body;
+
+    if (!reference) {
+      return res.status(400).json({ error: 'Payment reference is required' });
+    }
+
+    const remittance = await Remittance.findById(req.params.id);
+    if (!remittance) {
+      return res.status(404).json({ error: 'Remittance not found' });
+    }
+
+    await codLedgerService.payRemittance(remittance, { userId: req.user.userId, reference });
+
+    res.json({
+      success: true,
+      message: 'Remittance marked as paid',
+      remittance
+    });
+  } catch (error) {
+    console.error('Remittance payment error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to pay remittance'
+    });
+  }
+});
+
+module.exports = router;
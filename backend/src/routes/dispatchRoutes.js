@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const dispatchService = require('../services/dispatchService');
+const routeOptimizationService = require('../services/routeOptimizationService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   POST /api/dispatch/auto-assign
+// @desc    Auto-assign confirmed orders to drivers (all waiting orders when orderIds is omitted)
+// @access  Private (Admin/Dispatcher)
+router.post('/auto-assign', authenticate, authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    const { orderIds } = req.body;
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+
+    if (orderIds !== undefined && !Array.isArray(orderIds)) {
+      return res.status(400).json({ error: 'orderIds must be an array' });
+    }
+
+    const results = await dispatchService.autoAssign({
+      orderIds,
+      dryRun,
+      userId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${results.summary.assigned} of ${results.summary.total} orders can be assigned`
+        : `Assigned ${results.summary.assigned} of ${results.summary.total} orders`,
+      results
+    });
+  } catch (error) {
+    console.error('Auto dispatch error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to dispatch orders'
+    });
+  }
+});
+
+// @route   GET /api/dispatch/orders/:id/preview
+// @desc    Preview the driver auto dispatch would choose for an order, with alternatives
+// @access  Private (Admin/Dispatcher)
+router.get('/orders/:id/preview', authenticate, authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const preview = await dispatchService.preview(order);
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('Dispatch preview error:', error);
+    res.status(500).json({ error: 'Failed to preview dispatch' });
+  }
+});
+
+// @route   GET /api/dispatch/hubs/:hubId/plan
+// @desc    Plan a day of pickup and delivery routes for a hub's drivers (?date=YYYY-MM-DD&driverIds=a,b)
+// @access  Private (Admin/Dispatcher/Hub Manager)
+router.get('/hubs/:hubId/plan', authenticate, authorize('admin', 'dispatcher', 'hub_manager'), async (req, res) => {
+  try {
+    const { date, driverIds } = req.query;
+
+    const plan = await routeOptimizationService.planHubDay(req.params.hubId, {
+      date,
+      driverIds: driverIds ? driverIds.split(',') : undefined
+    });
+
+    res.json({
+      success: true,
+      plan
+    });
+  } catch (error) {
+    console.error('Route planning error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to plan routes'
+    });
+  }
+});
+
+module.exports = router;
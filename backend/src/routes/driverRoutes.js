@@ -2,12 +2,17 @@ const express = require('express');
 const router = express.Router();
 const Driver = require('../models/Driver');
 const Order = require('../models/Order');
-const { authMiddleware, roleMiddleware } = require('../middleware/auth');
+const DriverPayout = require('../models/DriverPayout');
+const driverEarningsService = require('../services/driverEarningsService');
+const realtimeService = require('../services/realtimeService');
+const locationHistoryService = require('../services/locationHistoryService');
+const { OrderTransitionError } = require('../services/orderLifecycle');
+const { authenticate, authorize } = require('../middleware/auth');
 
 // @route   POST /api/drivers/register
 // @desc    Register a new driver
 // @access  Private (Admin)
-router.post('/register', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.post('/register', authenticate, authorize('admin'), async (req, res) => {
   try {
     const driverData = {
       ...req.body,
@@ -32,7 +37,7 @@ router.post('/register', authMiddleware, roleMiddleware(['admin']), async (req,
 // @route   GET /api/drivers
 // @desc    Get all drivers
 // @access  Private (Admin)
-router.get('/', authMiddleware, roleMiddleware(['admin', 'dispatcher']), async (req, res) => {
+router.get('/', authenticate, authorize('admin', 'dispatcher'), async (req, res) => {
   try {
     const { status, available, page = 1, limit = 20 } = req.query;
     const query = {};
@@ -67,7 +72,7 @@ router.get('/', authMiddleware, roleMiddleware(['admin', 'dispatcher']), async (
 // @route   GET /api/drivers/me
 // @desc    Get current driver profile
 // @access  Private (Driver)
-router.get('/me', authMiddleware, roleMiddleware(['driver']), async (req, res) => {
+router.get('/me', authenticate, authorize('driver'), async (req, res) => {
   try {
     const driver = await Driver.findOne({ user: req.user.userId })
       .populate('user', 'firstName lastName email phone')
@@ -88,10 +93,120 @@ router.get('/me', authMiddleware, roleMiddleware(['driver']), async (req, res) =
   }
 });
 
+// @route   POST /api/drivers/payouts
+// @desc    Batch pending driver earnings into a payout
+// @access  Private (Admin)
+router.post('/payouts', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { periodEnd, driverIds } = req.body;
+
+    const payout = await driverEarningsService.createPayoutBatch({
+      periodEnd,
+      driverIds,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout created for ${payout.totals.drivers} drivers`,
+      payout
+    });
+  } catch (error) {
+    console.error('Payout creation error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to create payout'
+    });
+  }
+});
+
+// @route   GET /api/drivers/payouts
+// @desc    List payout batches
+// @access  Private (Admin)
+router.get('/payouts', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+
+    const payouts = await DriverPayout.find(query)
+      .select('-lines')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await DriverPayout.countDocuments(query);
+
+    res.json({
+      success: true,
+      payouts,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Payouts fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+// @route   GET /api/drivers/payouts/:payoutId
+// @desc    Get a payout batch with per-driver lines
+// @access  Private (Admin)
+router.get('/payouts/:payoutId', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const payout = await DriverPayout.findById(req.params.payoutId)
+      .populate({ path: 'lines.driver', select: 'driverCode user', populate: { path: 'user', select: 'firstName lastName phone' } })
+      .populate('createdBy paidBy', 'firstName lastName');
+
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+
+    res.json({
+      success: true,
+      payout
+    });
+  } catch (error) {
+    console.error('Payout fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout' });
+  }
+});
+
+// @route   PATCH /api/drivers/payouts/:payoutId/pay
+// @desc    Mark a payout batch as paid
+// @access  Private (Admin)
+router.patch('/payouts/:payoutId/pay', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const payout = await DriverPayout.findById(req.params.payoutId);
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+
+    const paid = await driverEarningsService.markPayoutPaid(payout, {
+      userId: req.user.userId,
+      reference: req.body.reference
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout marked as paid',
+      payout: paid
+    });
+  } catch (error) {
+    console.error('Payout payment error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to mark payout as paid'
+    });
+  }
+});
+
 // @route   GET /api/drivers/:id
 // @desc    Get driver by ID
 // @access  Private (Admin)
-router.get('/:id', authMiddleware, roleMiddleware(['admin', 'dispatcher']), async (req, res) => {
+router.get('/:id', authenticate, authorize('admin', 'dispatcher'), async (req, res) => {
   try {
     const driver = await Driver.findById(req.params.id)
       .populate('user', 'firstName lastName email phone')
@@ -115,11 +230,11 @@ router.get('/:id', authMiddleware, roleMiddleware(['admin', 'dispatcher']), asyn
 // @route   PUT /api/drivers/:id
 // @desc    Update driver information
 // @access  Private (Admin)
-router.put('/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
   try {
     const allowedUpdates = [
       'vehicle', 'licenseNumber', 'licenseExpiry', 
-      'maxCapacity', 'currentHub', 'serviceAreas', 'isAvailable'
+      'maxCapacity', 'currentHub', 'serviceAreas', 'isAvailable', 'workingZones'
     ];
 
     const updates = {};
@@ -153,7 +268,7 @@ router.put('/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) =
 // @route   PATCH /api/drivers/:id/status
 // @desc    Update driver status (online/offline)
 // @access  Private (Driver/Admin)
-router.patch('/:id/status', authMiddleware, async (req, res) => {
+router.patch('/:id/status', authenticate, async (req, res) => {
   try {
     const { status, location } = req.body;
     
@@ -197,9 +312,9 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
 // @route   PATCH /api/drivers/:id/location
 // @desc    Update driver location
 // @access  Private (Driver)
-router.patch('/:id/location', authMiddleware, roleMiddleware(['driver']), async (req, res) => {
+router.patch('/:id/location', authenticate, authorize('driver'), async (req, res) => {
   try {
-    const { coordinates, heading, speed } = req.body;
+    const { coordinates, heading, speed, accuracy } = req.body;
 
     if (!coordinates || !Array.isArray(coordinates) || coordinates.length !== 2) {
       return res.status(400).json({ error: 'Valid coordinates are required' });
@@ -210,45 +325,49 @@ router.patch('/:id/location', authMiddleware, roleMiddleware(['driver']), async
       return res.status(404).json({ error: 'Driver profile not found' });
     }
 
-    driver.currentLocation = coordinates;
-    driver.lastSeenAt = new Date();
-    
-    if (heading !== undefined) driver.heading = heading;
-    if (speed !== undefined) driver.speed = speed;
-
-    // Add to location history
-    driver.locationHistory.push({
-      coordinates,
-      timestamp: new Date(),
-      heading,
-      speed
+    const location = await realtimeService.recordDriverLocation(driver, { coordinates, heading, speed, accuracy });
+
+    res.json({
+      success: true,
+      message: 'Location updated',
+      location
     });
+  } catch (error) {
+    console.error('Location update error:', error);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+// @route   GET /api/drivers/:id/locations
+// @desc    Driver location history for a time range (?from=&to=&dwellMinutes=), defaults to the last 24 hours
+// @access  Private (Admin/Dispatcher)
+router.get('/:id/locations', authenticate, authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    const { from, to, dwellMinutes } = req.query;
 
-    // Keep only last 100 location points
-    if (driver.locationHistory.length > 100) {
-      driver.locationHistory = driver.locationHistory.slice(-100);
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
     }
 
-    await driver.save();
+    const path = await locationHistoryService.getDriverPath(driver, { from, to, dwellMinutes });
 
     res.json({
       success: true,
-      message: 'Location updated',
-      location: {
-        coordinates: driver.currentLocation,
-        lastSeenAt: driver.lastSeenAt
-      }
+      path
     });
   } catch (error) {
-    console.error('Location update error:', error);
-    res.status(500).json({ error: 'Failed to update location' });
+    console.error('Location history fetch error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to fetch location history'
+    });
   }
 });
 
 // @route   GET /api/drivers/:id/orders
 // @desc    Get driver's assigned orders
 // @access  Private
-router.get('/:id/orders', authMiddleware, async (req, res) => {
+router.get('/:id/orders', authenticate, async (req, res) => {
   try {
     const { status, date, completed } = req.query;
     
@@ -299,7 +418,7 @@ router.get('/:id/orders', authMiddleware, async (req, res) => {
 // @route   POST /api/drivers/:id/accept-order
 // @desc    Accept an order assignment
 // @access  Private (Driver)
-router.post('/:id/accept-order', authMiddleware, roleMiddleware(['driver']), async (req, res) => {
+router.post('/:id/accept-order', authenticate, authorize('driver'), async (req, res) => {
   try {
     const { orderId } = req.body;
 
@@ -319,8 +438,7 @@ router.post('/:id/accept-order', authMiddleware, roleMiddleware(['driver']), asy
 
     // Assign order to driver
     order.assignedDriver = driver._id;
-    order.status = 'pickup_scheduled';
-    await order.save();
+    await order.updateStatus('pickup_scheduled', 'Order accepted by driver', req.user.userId);
 
     // Add to driver's active orders
     if (!driver.activeOrders.includes(orderId)) {
@@ -334,15 +452,18 @@ router.post('/:id/accept-order', authMiddleware, roleMiddleware(['driver']), asy
       order
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Order acceptance error:', error);
     res.status(500).json({ error: 'Failed to accept order' });
   }
 });
 
 // @route   GET /api/drivers/:id/earnings
-// @desc    Get driver earnings
+// @desc    Get driver earnings per day
 // @access  Private
-router.get('/:id/earnings', authMiddleware, async (req, res) => {
+router.get('/:id/earnings', authenticate, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -363,29 +484,12 @@ router.get('/:id/earnings', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Driver not found' });
     }
 
-    let earnings = driver.earnings;
-    
-    // Filter by date if provided
-    if (startDate || endDate) {
-      earnings = earnings.filter(earning => {
-        const earningDate = new Date(earning.date);
-        if (startDate && earningDate < new Date(startDate)) return false;
-        if (endDate && earningDate > new Date(endDate)) return false;
-        return true;
-      });
-    }
-
-    const totalEarnings = earnings.reduce((sum, e) => sum + e.amount, 0);
-    const totalDeliveries = earnings.reduce((sum, e) => sum + (e.deliveries || 0), 0);
+    const { earnings, summary } = await driverEarningsService.getSummary(driver, { startDate, endDate });
 
     res.json({
       success: true,
       earnings,
-      summary: {
-        totalEarnings,
-        totalDeliveries,
-        averagePerDelivery: totalDeliveries > 0 ? totalEarnings / totalDeliveries : 0
-      }
+      summary
     });
   } catch (error) {
     console.error('Earnings fetch error:', error);
@@ -393,10 +497,87 @@ router.get('/:id/earnings', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/drivers/:id/earnings/statement
+// @desc    Export a payout statement (?payoutId= or ?startDate=&endDate=, ?format=csv|xlsx)
+// @access  Private
+router.get('/:id/earnings/statement', authenticate, async (req, res) => {
+  try {
+    const { payoutId, startDate, endDate, format = 'csv' } = req.query;
+
+    let driverId = req.params.id;
+
+    if (req.user.role === 'driver') {
+      const driver = await Driver.findOne({ user: req.user.userId });
+      if (!driver) {
+        return res.status(404).json({ error: 'Driver profile not found' });
+      }
+      driverId = driver._id;
+    } else if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const driver = await Driver.findById(driverId);
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    const statement = await driverEarningsService.exportStatement(driver, { payoutId, startDate, endDate, format });
+
+    res.set({
+      'Content-Type': statement.contentType,
+      'Content-Disposition': `attachment; filename="statement-${driver.driverCode}-${Date.now()}.${statement.extension}"`
+    });
+    res.send(statement.body);
+  } catch (error) {
+    console.error('Earnings statement error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to export statement'
+    });
+  }
+});
+
+// @route   POST /api/drivers/:id/earnings/adjustments
+// @desc    Add a bonus or deduction to a driver's earnings
+// @access  Private (Admin)
+router.post('/:id/earnings/adjustments', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { type, amount, description, orderId } = req.body;
+
+    if (!['bonus', 'deduction'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be bonus or deduction' });
+    }
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+
+    if (!description) {
+      return res.status(400).json({ error: 'Description is required' });
+    }
+
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    const entry = await driver.addEarningAdjustment(type, Number(amount), description, req.user.userId, orderId);
+
+    res.status(201).json({
+      success: true,
+      message: `${type === 'bonus' ? 'Bonus' : 'Deduction'} recorded`,
+      entry,
+      earnings: driver.earnings
+    });
+  } catch (error) {
+    console.error('Earnings adjustment error:', error);
+    res.status(500).json({ error: 'Failed to record adjustment' });
+  }
+});
+
 // @route   GET /api/drivers/:id/stats
 // @desc    Get driver statistics
 // @access  Private
-router.get('/:id/stats', authMiddleware, async (req, res) => {
+router.get('/:id/stats', authenticate, async (req, res) => {
   try {
     let driverId = req.params.id;
     
@@ -481,7 +662,7 @@ router.get('/:id/stats', authMiddleware, async (req, res) => {
 // @route   DELETE /api/drivers/:id
 // @desc    Deactivate driver
 // @access  Private (Admin)
-router.delete('/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
   try {
     const driver = await Driver.findById(req.params.id);
     
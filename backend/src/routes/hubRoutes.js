@@ -1,13 +1,17 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Hub = require('../models/Hub');
 const Order = require('../models/Order');
-const { authMiddleware, roleMiddleware } = require('../middleware/auth');
+const HubScan = require('../models/HubScan');
+const hubScanService = require('../services/hubScanService');
+const { OrderTransitionError } = require('../services/orderLifecycle');
+const { authenticate, authorize } = require('../middleware/auth');
 
 // @route   POST /api/hubs
 // @desc    Create a new hub
 // @access  Private (Admin)
-router.post('/', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
   try {
     const hubData = {
       ...req.body,
@@ -31,7 +35,7 @@ router.post('/', authMiddleware, roleMiddleware(['admin']), async (req, res) =>
 // @route   GET /api/hubs
 // @desc    Get all hubs
 // @access  Private
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
   try {
     const { city, type, isActive, page = 1, limit = 20 } = req.query;
     const query = {};
@@ -66,7 +70,7 @@ router.get('/', authMiddleware, async (req, res) => {
 // @route   GET /api/hubs/nearby
 // @desc    Find nearest hub to coordinates
 // @access  Private
-router.get('/nearby', authMiddleware, async (req, res) => {
+router.get('/nearby', authenticate, async (req, res) => {
   try {
     const { lat, lng, maxDistance = 10000 } = req.query;
 
@@ -100,7 +104,7 @@ router.get('/nearby', authMiddleware, async (req, res) => {
 // @route   GET /api/hubs/:id
 // @desc    Get hub by ID
 // @access  Private
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authenticate, async (req, res) => {
   try {
     const hub = await Hub.findById(req.params.id)
       .populate('manager', 'firstName lastName email phone')
@@ -123,12 +127,12 @@ router.get('/:id', authMiddleware, async (req, res) => {
 // @route   PUT /api/hubs/:id
 // @desc    Update hub
 // @access  Private (Admin)
-router.put('/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
   try {
     const allowedUpdates = [
       'name', 'type', 'address', 'location', 'capacity',
       'operatingHours', 'manager', 'contactPhone', 'contactEmail',
-      'facilities', 'isActive'
+      'facilities', 'isActive', 'sortBins', 'deliverySlots'
     ];
 
     const updates = {};
@@ -162,7 +166,7 @@ router.put('/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) =
 // @route   GET /api/hubs/:id/orders
 // @desc    Get orders at hub
 // @access  Private
-router.get('/:id/orders', authMiddleware, async (req, res) => {
+router.get('/:id/orders', authenticate, async (req, res) => {
   try {
     const { status, date, page = 1, limit = 20 } = req.query;
     
@@ -203,7 +207,7 @@ router.get('/:id/orders', authMiddleware, async (req, res) => {
 // @route   POST /api/hubs/:id/assign-staff
 // @desc    Assign staff to hub
 // @access  Private (Admin)
-router.post('/:id/assign-staff', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.post('/:id/assign-staff', authenticate, authorize('admin'), async (req, res) => {
   try {
     const { staffId } = req.body;
 
@@ -233,7 +237,7 @@ router.post('/:id/assign-staff', authMiddleware, roleMiddleware(['admin']), asyn
 // @route   DELETE /api/hubs/:id/remove-staff
 // @desc    Remove staff from hub
 // @access  Private (Admin)
-router.delete('/:id/remove-staff', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.delete('/:id/remove-staff', authenticate, authorize('admin'), async (req, res) => {
   try {
     const { staffId } = req.body;
 
@@ -259,7 +263,7 @@ router.delete('/:id/remove-staff', authMiddleware, roleMiddleware(['admin']), as
 // @route   GET /api/hubs/:id/stats
 // @desc    Get hub statistics
 // @access  Private (Admin, Manager)
-router.get('/:id/stats', authMiddleware, roleMiddleware(['admin', 'hub_manager']), async (req, res) => {
+router.get('/:id/stats', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -326,7 +330,7 @@ router.get('/:id/stats', authMiddleware, roleMiddleware(['admin', 'hub_manager']
 // @route   PATCH /api/hubs/:id/capacity
 // @desc    Update hub capacity/load
 // @access  Private (Hub Manager, Admin)
-router.patch('/:id/capacity', authMiddleware, roleMiddleware(['admin', 'hub_manager']), async (req, res) => {
+router.patch('/:id/capacity', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
   try {
     const { currentLoad, capacity } = req.body;
 
@@ -363,10 +367,140 @@ router.patch('/:id/capacity', authMiddleware, roleMiddleware(['admin', 'hub_mana
   }
 });
 
+// Shared response for the scan endpoints
+const sendScanResult = (res, outcome) => {
+  res.json({
+    success: true,
+    duplicate: outcome.result === 'duplicate',
+    message: outcome.message,
+    order: {
+      _id: outcome.order._id,
+      orderNumber: outcome.order.orderNumber,
+      trackingNumber: outcome.order.tracking.trackingNumber,
+      status: outcome.order.status
+    },
+    bin: outcome.bin,
+    expectedBins: outcome.expectedBins,
+    scan: outcome.scan
+  });
+};
+
+const sendScanError = (res, error, fallback) => {
+  if (error instanceof OrderTransitionError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  if (!error.statusCode) {
+    console.error(`${fallback}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallback,
+    code: error.code,
+    expectedBins: error.expectedBins
+  });
+};
+
+// @route   POST /api/hubs/:id/scan-in
+// @desc    Scan a parcel into the hub by tracking number
+// @access  Private (Admin/Hub Manager)
+router.post('/:id/scan-in', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const hub = await Hub.findById(req.params.id);
+    if (!hub) {
+      return res.status(404).json({ error: 'Hub not found' });
+    }
+
+    const outcome = await hubScanService.scanIn(hub, req.body.trackingNumber, req.user.userId);
+    sendScanResult(res, outcome);
+  } catch (error) {
+    sendScanError(res, error, 'Failed to scan in');
+  }
+});
+
+// @route   POST /api/hubs/:id/sort
+// @desc    Sort a scanned-in parcel to a bin
+// @access  Private (Admin/Hub Manager)
+router.post('/:id/sort', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const hub = await Hub.findById(req.params.id);
+    if (!hub) {
+      return res.status(404).json({ error: 'Hub not found' });
+    }
+
+    const outcome = await hubScanService.sort(hub, req.body.trackingNumber, req.body.bin, req.user.userId);
+    sendScanResult(res, outcome);
+  } catch (error) {
+    sendScanError(res, error, 'Failed to sort');
+  }
+});
+
+// @route   POST /api/hubs/:id/scan-out
+// @desc    Scan a parcel out to a driver (driverId) or onto line-haul (destinationHubId)
+// @access  Private (Admin/Hub Manager)
+router.post('/:id/scan-out', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const { trackingNumber, driverId, destinationHubId } = req.body;
+
+    const hub = await Hub.findById(req.params.id);
+    if (!hub) {
+      return res.status(404).json({ error: 'Hub not found' });
+    }
+
+    const outcome = await hubScanService.scanOut(hub, trackingNumber, { driverId, destinationHubId }, req.user.userId);
+    sendScanResult(res, outcome);
+  } catch (error) {
+    sendScanError(res, error, 'Failed to scan out');
+  }
+});
+
+// @route   GET /api/hubs/:id/scans
+// @desc    Scan log with counts per result (?type=&result=&startDate=&endDate=)
+// @access  Private (Admin/Hub Manager)
+router.get('/:id/scans', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const { type, result, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = { hub: req.params.id };
+    if (type) query.type = type;
+    if (result) query.result = result;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [scans, total, counts] = await Promise.all([
+      HubScan.find(query)
+        .populate('scannedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      HubScan.countDocuments(query),
+      HubScan.aggregate([
+        { $match: { ...query, hub: new mongoose.Types.ObjectId(req.params.id) } },
+        { $group: { _id: '$result', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      scans,
+      summary: counts.reduce((summary, entry) => ({ ...summary, [entry._id]: entry.count }), {}),
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Scan log fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch scans' });
+  }
+});
+
 // @route   DELETE /api/hubs/:id
 // @desc    Deactivate hub
 // @access  Private (Admin)
-router.delete('/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
   try {
     const hub = await Hub.findById(req.params.id);
     
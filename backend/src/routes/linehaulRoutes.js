@@ -0,0 +1,351 @@
+const express = require('express');
+const router = express.Router();
+const Bag = require('../models/Bag');
+const Manifest = require('../models/Manifest');
+const Order = require('../models/Order');
+const linehaulService = require('../services/linehaulService');
+const labelService = require('../services/labelService');
+const { OrderTransitionError } = require('../services/orderLifecycle');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof OrderTransitionError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  if (!error.statusCode) {
+    console.error(`${fallback}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallback,
+    details: error.details
+  });
+};
+
+// Hub filter for bag and manifest lists (?hubId=&direction=outbound|inbound)
+const hubFilter = ({ hubId, direction }) => {
+  if (!hubId) return {};
+  if (direction === 'outbound') return { originHub: hubId };
+  if (direction === 'inbound') return { destinationHub: hubId };
+  return { $or: [{ originHub: hubId }, { destinationHub: hubId }] };
+};
+
+// @route   POST /api/linehaul/bags
+// @desc    Open a bag for orders going from one hub to another
+// @access  Private (Admin/Hub Manager)
+router.post('/bags', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const bag = await linehaulService.createBag(req.body, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bag opened successfully',
+      bag
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to open bag');
+  }
+});
+
+// @route   GET /api/linehaul/bags
+// @desc    List bags (?hubId=&direction=&status=)
+// @access  Private (Admin/Hub Manager)
+router.get('/bags', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = hubFilter(req.query);
+    if (status) query.status = status;
+
+    const [bags, total] = await Promise.all([
+      Bag.find(query)
+        .populate('originHub destinationHub', 'name code')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Bag.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      bags,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Bags fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch bags' });
+  }
+});
+
+// @route   GET /api/linehaul/bags/:id
+// @desc    Get bag by ID
+// @access  Private (Admin/Hub Manager)
+router.get('/bags/:id', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const bag = await Bag.findById(req.params.id)
+      .populate('originHub destinationHub', 'name code')
+      .populate('orders.order', 'orderNumber status customerInfo.name customerInfo.address.city')
+      .populate('manifest', 'manifestNumber status');
+    if (!bag) {
+      return res.status(404).json({ error: 'Bag not found' });
+    }
+
+    res.json({
+      success: true,
+      bag
+    });
+  } catch (error) {
+    console.error('Bag fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch bag' });
+  }
+});
+
+// @route   POST /api/linehaul/bags/:id/orders
+// @desc    Add scanned-in orders to an open bag by tracking number
+// @access  Private (Admin/Hub Manager)
+router.post('/bags/:id/orders', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const bag = await Bag.findById(req.params.id);
+    if (!bag) {
+      return res.status(404).json({ error: 'Bag not found' });
+    }
+
+    const result = await linehaulService.addOrders(bag, req.body.trackingNumbers, req.user.userId);
+
+    res.json({
+      success: true,
+      message: `${result.added} orders added, ${result.failed.length} failed`,
+      ...result,
+      bag: await Bag.findById(bag._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to add orders to bag');
+  }
+});
+
+// @route   DELETE /api/linehaul/bags/:id/orders/:trackingNumber
+// @desc    Remove an order from an open bag
+// @access  Private (Admin/Hub Manager)
+router.delete('/bags/:id/orders/:trackingNumber', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const bag = await Bag.findById(req.params.id);
+    if (!bag) {
+      return res.status(404).json({ error: 'Bag not found' });
+    }
+
+    await linehaulService.removeOrder(bag, req.params.trackingNumber);
+
+    res.json({
+      success: true,
+      message: 'Order removed from bag',
+      bag: await Bag.findById(bag._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove order from bag');
+  }
+});
+
+// @route   POST /api/linehaul/bags/:id/seal
+// @desc    Seal a bag
+// @access  Private (Admin/Hub Manager)
+router.post('/bags/:id/seal', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const bag = await Bag.findById(req.params.id);
+    if (!bag) {
+      return res.status(404).json({ error: 'Bag not found' });
+    }
+
+    await linehaulService.sealBag(bag, req.body.sealNumber, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Bag sealed successfully',
+      bag
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to seal bag');
+  }
+});
+
+// @route   POST /api/linehaul/manifests
+// @desc    Create a line-haul trip from sealed bags
+// @access  Private (Admin/Hub Manager)
+router.post('/manifests', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const manifest = await linehaulService.createManifest(req.body, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Manifest created successfully',
+      manifest
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create manifest');
+  }
+});
+
+// @route   GET /api/linehaul/manifests
+// @desc    List manifests (?hubId=&direction=&status=&reconciliation=)
+// @access  Private (Admin/Hub Manager)
+router.get('/manifests', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const { status, reconciliation, page = 1, limit = 20 } = req.query;
+
+    const query = hubFilter(req.query);
+    if (status) query.status = status;
+    if (reconciliation) query['reconciliation.status'] = reconciliation;
+
+    const [manifests, total] = await Promise.all([
+      Manifest.find(query)
+        .populate('originHub destinationHub', 'name code')
+        .populate('driver', 'driverCode')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Manifest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      manifests,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Manifests fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch manifests' });
+  }
+});
+
+// @route   GET /api/linehaul/manifests/:id
+// @desc    Get manifest by ID with its bags
+// @access  Private (Admin/Hub Manager)
+router.get('/manifests/:id', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const manifest = await Manifest.findById(req.params.id)
+      .populate('originHub destinationHub', 'name code')
+      .populate('driver', 'driverCode vehicle.plateNumber')
+      .populate('bags', 'code status sealNumber orders.trackingNumber');
+    if (!manifest) {
+      return res.status(404).json({ error: 'Manifest not found' });
+    }
+
+    res.json({
+      success: true,
+      manifest
+    });
+  } catch (error) {
+    console.error('Manifest fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch manifest' });
+  }
+});
+
+// @route   GET /api/linehaul/manifests/:id/print
+// @desc    Printable manifest PDF
+// @access  Private (Admin/Hub Manager)
+router.get('/manifests/:id/print', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const manifest = await Manifest.findById(req.params.id)
+      .populate('originHub destinationHub', 'name code')
+      .populate('driver', 'driverCode');
+    if (!manifest) {
+      return res.status(404).json({ error: 'Manifest not found' });
+    }
+
+    const bags = await Bag.find({ _id: { $in: manifest.bags } }).sort({ code: 1 });
+    const orders = await Order.find({ _id: { $in: bags.flatMap(bag => bag.orders.map(item => item.order)) } })
+      .select('orderNumber customerInfo.address payment pricing.currency');
+
+    const pdf = await labelService.renderManifestPdf(manifest, bags, orders);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="manifest-${manifest.manifestNumber}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Manifest print error:', error);
+    res.status(500).json({ error: 'Failed to print manifest' });
+  }
+});
+
+// @route   POST /api/linehaul/manifests/:id/dispatch
+// @desc    Dispatch the trip; manifested orders leave the origin hub in_transit
+// @access  Private (Admin/Hub Manager)
+router.post('/manifests/:id/dispatch', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Manifest not found' });
+    }
+
+    await linehaulService.dispatchManifest(manifest, req.user.userId);
+
+    res.json({
+      success: true,
+      message: `Manifest dispatched with ${manifest.totals.orders} orders`,
+      manifest
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to dispatch manifest');
+  }
+});
+
+// @route   POST /api/linehaul/manifests/:id/receive
+// @desc    Confirm receipt at the destination hub and reconcile (bagCodes received sealed, trackingNumbers scanned loose);
+//          repeat to receive late items against a received manifest
+// @access  Private (Admin/Hub Manager)
+router.post('/manifests/:id/receive', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Manifest not found' });
+    }
+
+    const { bagCodes, trackingNumbers } = req.body;
+    const { failed } = await linehaulService.receiveManifest(manifest, { bagCodes, trackingNumbers }, req.user.userId);
+    const { reconciliation } = manifest;
+
+    res.json({
+      success: true,
+      message: reconciliation.status === 'matched'
+        ? 'Manifest received in full'
+        : `Manifest received with ${reconciliation.missing.length} missing and ${reconciliation.extra.length} extra orders`,
+      reconciliation,
+      failed,
+      manifest
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to receive manifest');
+  }
+});
+
+// @route   DELETE /api/linehaul/manifests/:id
+// @desc    Cancel a draft manifest and free its bags
+// @access  Private (Admin/Hub Manager)
+router.delete('/manifests/:id', authenticate, authorize('admin', 'hub_manager'), async (req, res) => {
+  try {
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Manifest not found' });
+    }
+
+    await linehaulService.cancelManifest(manifest);
+
+    res.json({
+      success: true,
+      message: 'Manifest cancelled successfully',
+      manifest
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel manifest');
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,407 @@
 const express = require('express');
 const router = express.Router();
+const Merchant = require('../models/Merchant');
+const Order = require('../models/Order');
+const { authenticate, authorize } = require('../middleware/auth');
 
-// Test route
-router.get('/', (req, res) => {
-  res.json({ success: true, message: 'Merchant routes working 🛒' });
+const PROFILE_FIELDS = ['businessName', 'taxId', 'businessType', 'defaults', 'settlement'];
+
+// @route   POST /api/merchants/me
+// @desc    Create merchant profile for the logged in merchant
+// @access  Private (Merchant)
+router.post('/me', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const existing = await Merchant.findByUser(req.user.userId);
+    if (existing) {
+      return res.status(400).json({ error: 'Merchant profile already exists' });
+    }
+
+    const merchantData = { user: req.user.userId };
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        merchantData[field] = req.body[field];
+      }
+    });
+    merchantData.pickupLocations = req.body.pickupLocations || [];
+
+    const merchant = new Merchant(merchantData);
+    await merchant.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Merchant profile created, pending approval',
+      merchant
+    });
+  } catch (error) {
+    console.error('Merchant profile creation error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Tax ID is already registered' });
+    }
+    res.status(500).json({ error: 'Failed to create merchant profile' });
+  }
+});
+
+// @route   GET /api/merchants/me
+// @desc    Get logged in merchant profile
+// @access  Private (Merchant)
+router.get('/me', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findByUser(req.user.userId)
+      .populate('user', 'firstName lastName email phone');
+
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant profile not found' });
+    }
+
+    res.json({
+      success: true,
+      merchant
+    });
+  } catch (error) {
+    console.error('Merchant profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch merchant profile' });
+  }
+});
+
+// @route   PUT /api/merchants/me
+// @desc    Update logged in merchant profile
+// @access  Private (Merchant)
+router.put('/me', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findByUser(req.user.userId);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant profile not found' });
+    }
+
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        merchant[field] = req.body[field];
+      }
+    });
+
+    await merchant.save();
+
+    res.json({
+      success: true,
+      message: 'Merchant profile updated successfully',
+      merchant
+    });
+  } catch (error) {
+    console.error('Merchant profile update error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Tax ID is already registered' });
+    }
+    res.status(500).json({ error: 'Failed to update merchant profile' });
+  }
+});
+
+// @route   POST /api/merchants/me/pickup-locations
+// @desc    Add a saved pickup location
+// @access  Private (Merchant)
+router.post('/me/pickup-locations', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findByUser(req.user.userId);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant profile not found' });
+    }
+
+    merchant.pickupLocations.push(req.body);
+    await merchant.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Pickup location added',
+      pickupLocation: merchant.pickupLocations[merchant.pickupLocations.length - 1]
+    });
+  } catch (error) {
+    console.error('Pickup location creation error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to add pickup location' });
+  }
+});
+
+// @route   PUT /api/merchants/me/pickup-locations/:locationId
+// @desc    Update a saved pickup location
+// @access  Private (Merchant)
+router.put('/me/pickup-locations/:locationId', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findByUser(req.user.userId);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant profile not found' });
+    }
+
+    const location = merchant.pickupLocations.id(req.params.locationId);
+    if (!location) {
+      return res.status(404).json({ error: 'Pickup location not found' });
+    }
+
+    location.set(req.body);
+    await merchant.save();
+
+    res.json({
+      success: true,
+      message: 'Pickup location updated',
+      pickupLocation: location
+    });
+  } catch (error) {
+    console.error('Pickup location update error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update pickup location' });
+  }
+});
+
+// @route   PATCH /api/merchants/me/pickup-locations/:locationId/default
+// @desc    Make a saved pickup location the default
+// @access  Private (Merchant)
+router.patch('/me/pickup-locations/:locationId/default', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findByUser(req.user.userId);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant profile not found' });
+    }
+
+    if (!merchant.pickupLocations.id(req.params.locationId)) {
+      return res.status(404).json({ error: 'Pickup location not found' });
+    }
+
+    await merchant.setDefaultPickupLocation(req.params.locationId);
+
+    res.json({
+      success: true,
+      message: 'Default pickup location updated',
+      pickupLocations: merchant.pickupLocations
+    });
+  } catch (error) {
+    console.error('Default pickup location error:', error);
+    res.status(500).json({ error: 'Failed to set default pickup location' });
+  }
+});
+
+// @route   DELETE /api/merchants/me/pickup-locations/:locationId
+// @desc    Remove a saved pickup location
+// @access  Private (Merchant)
+router.delete('/me/pickup-locations/:locationId', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findByUser(req.user.userId);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant profile not found' });
+    }
+
+    if (!merchant.pickupLocations.id(req.params.locationId)) {
+      return res.status(404).json({ error: 'Pickup location not found' });
+    }
+
+    merchant.pickupLocations.pull(req.params.locationId);
+    await merchant.save();
+
+    res.json({
+      success: true,
+      message: 'Pickup location removed'
+    });
+  } catch (error) {
+    console.error('Pickup location removal error:', error);
+    res.status(500).json({ error: 'Failed to remove pickup location' });
+  }
+});
+
+// @route   POST /api/merchants/me/stores
+// @desc    Link a Shopify or WooCommerce store so its order webhooks create orders for this merchant.
+//          Shopify stores pass the webhookSecret Shopify signs with; otherwise one is generated and shown once
+// @access  Private (Merchant)
+router.post('/me/stores', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findByUser(req.user.userId);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant profile not found' });
+    }
+
+    const { platform, domain, pickupLocationId, webhookSecret } = req.body;
+    if (pickupLocationId && !merchant.pickupLocations.id(pickupLocationId)) {
+      return res.status(400).json({ error: 'Pickup location not found' });
+    }
+    if (webhookSecret !== undefined && (typeof webhookSecret !== 'string' || webhookSecret.length < 16)) {
+      return res.status(400).json({ error: 'webhookSecret must be at least 16 characters' });
+    }
+
+    merchant.stores.push({ platform, domain, pickupLocation: pickupLocationId, webhookSecret });
+    await merchant.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Store linked',
+      store: merchant.stores[merchant.stores.length - 1],
+      webhookUrl: `/api/webhooks/${platform}`
+    });
+  } catch (error) {
+    console.error('Store link error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Store is already linked to a merchant account' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to link store' });
+  }
+});
+
+// @route   DELETE /api/merchants/me/stores/:storeId
+// @desc    Unlink a store; its webhooks are rejected afterwards
+// @access  Private (Merchant)
+router.delete('/me/stores/:storeId', authenticate, authorize('merchant'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findByUser(req.user.userId);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant profile not found' });
+    }
+
+    if (!merchant.stores.id(req.params.storeId)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    merchant.stores.pull(req.params.storeId);
+    await merchant.save();
+
+    res.json({
+      success: true,
+      message: 'Store unlinked'
+    });
+  } catch (error) {
+    console.error('Store unlink error:', error);
+    res.status(500).json({ error: 'Failed to unlink store' });
+  }
+});
+
+// @route   GET /api/merchants
+// @desc    Get all merchants
+// @access  Private (Admin)
+router.get('/', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (search) query.businessName = new RegExp(search, 'i');
+
+    const merchants = await Merchant.find(query)
+      .populate('user', 'firstName lastName email phone isActive')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Merchant.countDocuments(query);
+
+    res.json({
+      success: true,
+      merchants,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Merchants fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch merchants' });
+  }
+});
+
+// @route   GET /api/merchants/:id
+// @desc    Get merchant by ID with order summary
+// @access  Private (Admin)
+router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findById(req.params.id)
+      .populate('user', 'firstName lastName email phone isActive')
+      .populate('verification.reviewedBy', 'firstName lastName')
+      .populate('suspension.suspendedBy', 'firstName lastName');
+
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const orderStats = await Order.aggregate([
+      { $match: { merchant: merchant.user._id } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      merchant,
+      orderStats
+    });
+  } catch (error) {
+    console.error('Merchant fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch merchant' });
+  }
+});
+
+// @route   PATCH /api/merchants/:id/approve
+// @desc    Approve (or reinstate) a merchant
+// @access  Private (Admin)
+router.patch('/:id/approve', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findById(req.params.id);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    if (merchant.status === 'approved') {
+      return res.status(400).json({ error: 'Merchant is already approved' });
+    }
+
+    await merchant.approve(req.user.userId, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Merchant approved successfully',
+      merchant
+    });
+  } catch (error) {
+    console.error('Merchant approval error:', error);
+    res.status(500).json({ error: 'Failed to approve merchant' });
+  }
+});
+
+// @route   PATCH /api/merchants/:id/suspend
+// @desc    Suspend a merchant
+// @access  Private (Admin)
+router.patch('/:id/suspend', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Suspension reason is required' });
+    }
+
+    const merchant = await Merchant.findById(req.params.id);
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    if (merchant.status === 'suspended') {
+      return res.status(400).json({ error: 'Merchant is already suspended' });
+    }
+
+    await merchant.suspend(req.user.userId, reason);
+
+    res.json({
+      success: true,
+      message: 'Merchant suspended successfully',
+      merchant
+    });
+  } catch (error) {
+    console.error('Merchant suspension error:', error);
+    res.status(500).json({ error: 'Failed to suspend merchant' });
+  }
 });
 
 module.exports = router;
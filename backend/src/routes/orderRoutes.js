@@ -1,44 +1,418 @@
 const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const Order = require('../models/Order');
-const { authMiddleware, roleMiddleware } = require('../middleware/auth');
+const Merchant = require('../models/Merchant');
+const Driver = require('../models/Driver');
+const Hub = require('../models/Hub');
+const ImportBatch = require('../models/ImportBatch');
+const orderImportService = require('../services/orderImportService');
+const labelService = require('../services/labelService');
+const pricingService = require('../services/pricingService');
+const zoneService = require('../services/zoneService');
+const dispatchService = require('../services/dispatchService');
+const locationHistoryService = require('../services/locationHistoryService');
+const podService = require('../services/podService');
+const storageService = require('../services/storageService');
+const deliveryOtpService = require('../services/deliveryOtpService');
+const deliveryFailureService = require('../services/deliveryFailureService');
+const customerSelfService = require('../services/customerSelfService');
+const slotService = require('../services/slotService');
+const returnService = require('../services/returnService');
+const sequenceService = require('../services/sequenceService');
+const exchangeService = require('../services/exchangeService');
+const { OrderTransitionError } = require('../services/orderLifecycle');
+const { authenticate, authorize } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { validateOrder } = require('../middleware/validation');
 
+// Import files are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024 }
+});
+
+// Proof of delivery files are checked in memory before they reach storage
+const podUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: podService.maxFileSize },
+  fileFilter: (req, file, cb) => {
+    const error = podService.checkExtension(file);
+    cb(error, !error);
+  }
+}).fields(podService.uploadFields());
+
+// Multipart parsing for delivery attempts; JSON bodies pass straight through
+const parsePodUpload = (req, res, next) => {
+  podUpload(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: podService.uploadErrorMessage(error) });
+    }
+    next();
+  });
+};
+
+// Merchants see proof of delivery for their own orders
+const canViewPod = (user, order) => user.role === 'admin' ||
+  (user.role === 'merchant' && order.merchant.toString() === user.userId);
+
+// Per-user cap on delivery code checks and resends, on top of the per-order lockout
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.DELIVERY_OTP_RATE_LIMIT) || 30,
+  keyGenerator: req => (req.user ? req.user.userId : req.ip),
+  message: { error: 'Too many delivery code requests, please try again later.' }
+});
+
+// Delivery code and self-service errors carry a machine readable code and retry hints
+const sendOtpError = (res, error, fallback) => {
+  if (error instanceof OrderTransitionError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  if (!error.statusCode) {
+    console.error(`${fallback}:`, error);
+  }
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallback,
+    code: error.code,
+    attemptsRemaining: error.attemptsRemaining,
+    retryAfter: error.retryAfter
+  });
+};
+
+// Per-IP cap on the public self-service endpoints, on top of the per-order lockout
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.TRACKING_RATE_LIMIT) || 20,
+  message: { error: 'Too many requests for this tracking page, please try again later.' }
+});
+
+// Order for a self-service request, checked against the customer's token
+const loadTrackedOrder = async req => {
+  const order = await customerSelfService.findOrder(req.params.trackingNumber);
+  const header = req.headers.authorization || '';
+  customerSelfService.authorize(header.startsWith('Bearer ') ? header.split(' ')[1] : null, order);
+  return order;
+};
+
+const MAX_LABELS_PER_REQUEST = 100;
+
+// Check the user may print labels for this order
+const canPrintLabel = (user, order) => {
+  if (user.role === 'admin' || user.role === 'hub_manager') return true;
+  const merchantId = (order.merchant._id || order.merchant).toString();
+  const driverId = order.assignedDriver && (order.assignedDriver._id || order.assignedDriver).toString();
+  return merchantId === user.userId || driverId === user.userId;
+};
+
+// Send rendered labels as a download
+const sendLabel = (res, label, fileName) => {
+  res.set({
+    'Content-Type': label.contentType,
+    'Content-Disposition': `inline; filename="${fileName}.${label.extension}"`
+  });
+  res.send(label.body);
+};
+
+// Source and store an e-commerce order ID is unique within
+const sourceOrigin = body => ({
+  source: body.source || 'api',
+  store: body.metadata && body.metadata.sourceStore
+});
+
+// Answer for an e-commerce order the merchant already created
+const sendDuplicateSource = (res, existing) => res.status(409).json({
+  error: `Order ${existing.orderNumber} was already created for source order ${existing.metadata.sourceOrderId}`,
+  code: 'DUPLICATE_SOURCE_ORDER',
+  order: {
+    _id: existing._id,
+    orderNumber: existing.orderNumber,
+    status: existing.status,
+    trackingNumber: existing.tracking.trackingNumber
+  }
+});
+
 // @route   POST /api/orders
-// @desc    Create a new order
+// @desc    Create a new order; retries with the same Idempotency-Key header get the original response
 // @access  Private (Merchant)
-router.post('/', authMiddleware, roleMiddleware(['merchant', 'admin']), validateOrder, async (req, res) => {
+router.post('/', authenticate, authorize('merchant', 'admin'), idempotency({ scope: 'orders:create' }), validateOrder, async (req, res) => {
   try {
+    // Order type, links and tracking are set server side; exchanges are asked for with orderType 'exchange'
+    const {
+      pickupLocationId, deliveryOtp, scheduledDelivery, orderType, exchange, returnRequest, tracking, ...body
+    } = req.body;
+
     const orderData = {
-      ...req.body,
+      ...body,
+      // Only the opt-in is client controlled; codes and verification are server side
+      deliveryOtp: deliveryOtp ? { required: deliveryOtp.required } : undefined,
       merchant: req.user.userId,
       metadata: {
         ...req.body.metadata,
         createdBy: req.user.userId,
-        source: req.body.source || 'api'
+        source: sourceOrigin(req.body).source
       }
     };
 
+    // E-commerce orders are created once per merchant and store
+    const sourceOrderId = orderData.metadata.sourceOrderId;
+    if (sourceOrderId) {
+      const [existing] = await Order.findBySourceOrderIds(req.user.userId, sourceOrigin(req.body), [sourceOrderId]);
+      if (existing) return sendDuplicateSource(res, existing);
+    }
+
+    // Saved pickup location and profile defaults
+    const merchantProfile = await Merchant.findByUser(req.user.userId);
+    if (!merchantProfile) {
+      return res.status(403).json({ error: 'A merchant profile is required to create orders' });
+    }
+    if (!merchantProfile.canCreateOrders) {
+      return res.status(403).json({ error: `Merchant account is ${merchantProfile.status}` });
+    }
+    merchantProfile.applyOrderDefaults(orderData, pickupLocationId);
+
     const order = new Order(orderData);
-    await order.save();
+
+    // Serving hub from the delivery zone, before pricing so its rate card applies
+    await zoneService.applyToOrder(order);
+
+    // Shipping cost, taxes and total always come from the rate card
+    await pricingService.applyToOrder(order, body.pricing, { role: req.user.role });
+    order.applyCodAmount();
+
+    // Exchanges also collect the old item on the same visit, as a linked inbound order
+    const inbound = orderType === 'exchange'
+      ? await exchangeService.buildInboundLeg(order, exchange && exchange.pickupItems, req.user.userId)
+      : null;
+
+    // Book the requested delivery slot at the serving hub; overbooked slots are rejected
+    const slot = await slotService.applyToOrder(order, scheduledDelivery);
+
+    try {
+      if (inbound) {
+        await exchangeService.saveLegs(order, inbound);
+      } else {
+        await order.save();
+      }
+    } catch (error) {
+      if (slot) await slotService.releaseSlot(slot._id);
+      throw error;
+    }
 
     await order.populate('merchant', 'firstName lastName email phone');
 
     res.status(201).json({
       success: true,
-      message: 'Order created successfully',
-      order
+      message: inbound ? 'Exchange order created successfully' : 'Order created successfully',
+      order,
+      inboundOrder: inbound ? {
+        _id: inbound._id,
+        orderNumber: inbound.orderNumber,
+        trackingNumber: inbound.tracking.trackingNumber,
+        pricing: inbound.pricing
+      } : undefined
     });
   } catch (error) {
+    // Lost the race against a concurrent request for the same source order
+    if (error.code === 11000 && error.keyPattern && error.keyPattern['metadata.sourceOrderId']) {
+      const [existing] = await Order.findBySourceOrderIds(req.user.userId, sourceOrigin(req.body), [req.body.metadata.sourceOrderId])
+        .catch(() => []);
+      if (existing) return sendDuplicateSource(res, existing);
+    }
     console.error('Order creation error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code, quote: error.quote });
+    }
     res.status(500).json({ error: 'Failed to create order' });
   }
 });
 
+// @route   POST /api/orders/import
+// @desc    Bulk create orders from a CSV/XLSX file (?dryRun=true to only validate)
+// @access  Private (Merchant/Admin)
+router.post('/import', authenticate, authorize('merchant', 'admin'), importUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV or XLSX file is required in the "file" field' });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+    // Admins import on behalf of a merchant
+    const merchantId = req.user.role === 'admin' ? req.body.merchantId : req.user.userId;
+    if (!merchantId) {
+      return res.status(400).json({ error: 'merchantId is required' });
+    }
+
+    const batch = await orderImportService.importFile({
+      file: req.file,
+      merchantId,
+      userId: req.user.userId,
+      role: req.user.role,
+      dryRun
+    });
+
+    res.status(dryRun || batch.status !== 'completed' ? 200 : 201).json({
+      success: batch.status !== 'failed',
+      message: dryRun
+        ? `Validated ${batch.summary.totalRows} rows, ${batch.summary.invalidRows} with errors`
+        : `Created ${batch.summary.createdOrders} of ${batch.summary.totalRows} orders`,
+      batch
+    });
+  } catch (error) {
+    console.error('Order import error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to import orders' });
+  }
+});
+
+// @route   GET /api/orders/import
+// @desc    List import batches
+// @access  Private (Merchant/Admin)
+router.get('/import', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (req.user.role === 'merchant') query.merchant = req.user.userId;
+    if (status) query.status = status;
+
+    const batches = await ImportBatch.find(query)
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ImportBatch.countDocuments(query);
+
+    res.json({
+      success: true,
+      batches,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Import batches fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch import batches' });
+  }
+});
+
+// @route   GET /api/orders/import/:batchId
+// @desc    Get an import batch with its row report and orders
+// @access  Private (Merchant/Admin)
+router.get('/import/:batchId', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({ batchId: req.params.batchId.toUpperCase() })
+      .populate('orders', 'orderNumber status tracking.trackingNumber customerInfo.name pricing.total');
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+
+    if (req.user.role === 'merchant' && batch.merchant.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      batch
+    });
+  } catch (error) {
+    console.error('Import batch fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch import batch' });
+  }
+});
+
+// @route   POST /api/orders/import/:batchId/rollback
+// @desc    Remove orders created by an import batch that have not progressed
+// @access  Private (Merchant/Admin)
+router.post('/import/:batchId/rollback', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({ batchId: req.params.batchId.toUpperCase() });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+
+    if (req.user.role === 'merchant' && batch.merchant.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await orderImportService.rollbackBatch(batch, req.user.userId);
+
+    res.json({
+      success: true,
+      message: `Removed ${batch.rollback.removedOrders} orders`,
+      batch: {
+        batchId: batch.batchId,
+        status: batch.status,
+        rollback: batch.rollback
+      }
+    });
+  } catch (error) {
+    console.error('Import rollback error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to roll back import' });
+  }
+});
+
+// @route   POST /api/orders/labels
+// @desc    Print labels for several orders in one document (?format=zpl for thermal printers)
+// @access  Private (Merchant/Admin/Hub Manager)
+router.post('/labels', authenticate, authorize('merchant', 'admin', 'hub_manager'), async (req, res) => {
+  try {
+    const { orderIds } = req.body;
+    const format = req.query.format || req.body.format || 'pdf';
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      return res.status(400).json({ error: 'orderIds must be a non-empty array' });
+    }
+
+    if (orderIds.length > MAX_LABELS_PER_REQUEST) {
+      return res.status(400).json({ error: `At most ${MAX_LABELS_PER_REQUEST} labels can be printed at once` });
+    }
+
+    const orders = await Order.find({ _id: { $in: orderIds } })
+      .populate('merchant', 'firstName lastName');
+
+    if (orders.length !== new Set(orderIds.map(String)).size) {
+      return res.status(404).json({ error: 'One or more orders not found' });
+    }
+
+    if (orders.some(order => !canPrintLabel(req.user, order))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Keep the order the labels were requested in
+    const position = new Map(orderIds.map((id, index) => [String(id), index]));
+    orders.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+
+    const label = await labelService.render(orders, format);
+    sendLabel(res, label, `labels-${Date.now()}`);
+  } catch (error) {
+    console.error('Bulk label error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to generate labels'
+    });
+  }
+});
+
 // @route   GET /api/orders
 // @desc    Get orders (filtered by role)
 // @access  Private
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
   try {
     const { status, priority, startDate, endDate, page = 1, limit = 20, all } = req.query;
     const query = {};
@@ -93,6 +467,11 @@ router.get('/', authMiddleware, async (req, res) => {
 // @access  Public
 router.get('/track/:trackingNumber', async (req, res) => {
   try {
+    // Mistyped numbers fail their check digit without a lookup
+    if (!sequenceService.isValidTrackingNumber(req.params.trackingNumber)) {
+      return res.status(400).json({ error: 'Invalid tracking number', code: 'INVALID_TRACKING_NUMBER' });
+    }
+
     const order = await Order.findOne({ 
       'tracking.trackingNumber': req.params.trackingNumber.toUpperCase() 
     }).select('orderNumber status tracking customerInfo.name serviceType pricing.total createdAt');
@@ -122,10 +501,203 @@ router.get('/track/:trackingNumber', async (req, res) => {
   }
 });
 
+// @route   POST /api/orders/track/:trackingNumber/code
+// @desc    Text a one-time code to the customer's phone for self-service
+// @access  Public
+router.post('/track/:trackingNumber/code', trackingLimiter, async (req, res) => {
+  try {
+    const order = await customerSelfService.findOrder(req.params.trackingNumber);
+    const sent = await customerSelfService.sendCode(order);
+
+    res.json({
+      success: true,
+      message: 'Code sent to the phone number on the order',
+      expiresAt: sent.expiresAt
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to send code');
+  }
+});
+
+// @route   POST /api/orders/track/:trackingNumber/verify
+// @desc    Check phoneLast4 or a texted code and get a self-service token
+// @access  Public
+router.post('/track/:trackingNumber/verify', trackingLimiter, async (req, res) => {
+  try {
+    const order = await customerSelfService.findOrder(req.params.trackingNumber);
+    const access = await customerSelfService.verify(order, {
+      phoneLast4: req.body.phoneLast4,
+      code: req.body.code
+    });
+
+    res.json({
+      success: true,
+      message: 'Verified',
+      ...access
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to verify customer');
+  }
+});
+
+// @route   GET /api/orders/track/:trackingNumber/manage
+// @desc    Current delivery arrangements and the dates the customer can pick
+// @access  Public (self-service token)
+router.get('/track/:trackingNumber/manage', trackingLimiter, async (req, res) => {
+  try {
+    const order = await loadTrackedOrder(req);
+    const options = await customerSelfService.getOptions(order);
+
+    res.json({
+      success: true,
+      trackingNumber: order.tracking.trackingNumber,
+      ...options
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to load delivery options');
+  }
+});
+
+// @route   PUT /api/orders/track/:trackingNumber/schedule
+// @desc    Customer picks a new delivery date and time slot
+// @access  Public (self-service token)
+router.put('/track/:trackingNumber/schedule', trackingLimiter, async (req, res) => {
+  try {
+    const order = await loadTrackedOrder(req);
+    await customerSelfService.reschedule(order, {
+      date: req.body.date,
+      timeSlot: req.body.timeSlot
+    });
+
+    res.json({
+      success: true,
+      message: 'Delivery rescheduled',
+      scheduledDelivery: order.scheduledDelivery
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to reschedule delivery');
+  }
+});
+
+// @route   PUT /api/orders/track/:trackingNumber/address
+// @desc    Customer updates delivery notes or pin location within the same service area
+// @access  Public (self-service token)
+router.put('/track/:trackingNumber/address', trackingLimiter, async (req, res) => {
+  try {
+    const order = await loadTrackedOrder(req);
+    await customerSelfService.updateAddress(order, {
+      notes: req.body.notes,
+      coordinates: req.body.coordinates
+    });
+
+    res.json({
+      success: true,
+      message: 'Delivery address updated',
+      address: {
+        notes: order.customerInfo.address.notes,
+        coordinates: order.customerInfo.address.coordinates
+      }
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to update delivery address');
+  }
+});
+
+// @route   POST /api/orders/track/:trackingNumber/hold
+// @desc    Customer collects the order at the hub instead of a delivery
+// @access  Public (self-service token)
+router.post('/track/:trackingNumber/hold', trackingLimiter, async (req, res) => {
+  try {
+    const order = await loadTrackedOrder(req);
+    await customerSelfService.holdAtHub(order);
+
+    res.json({
+      success: true,
+      message: 'Order will be held at the hub for collection',
+      holdAtHub: order.holdAtHub
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to hold order at hub');
+  }
+});
+
+// @route   POST /api/orders/track/:trackingNumber/returns
+// @desc    Customer asks to return items of a delivered order
+// @access  Public (self-service token)
+router.post('/track/:trackingNumber/returns', trackingLimiter, async (req, res) => {
+  try {
+    const order = await loadTrackedOrder(req);
+    const request = await returnService.createRequest(order, {
+      reason: req.body.reason,
+      description: req.body.description,
+      items: req.body.items
+    }, { requestedBy: 'customer' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested; the merchant will review it',
+      return: {
+        rmaNumber: request.rmaNumber,
+        status: request.status,
+        reason: request.reason,
+        items: request.items
+      }
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to request return');
+  }
+});
+
+// @route   GET /api/orders/delivery-slots
+// @desc    Bookable delivery slots for a delivery point (?lng=&lat=) or hub (?hubId=), for checkout
+// @access  Private (Merchant/Admin)
+router.get('/delivery-slots', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { hubId, lng, lat, from, days } = req.query;
+
+    let hub;
+    if (hubId) {
+      hub = await Hub.findById(hubId).select('name code status operatingHours deliverySlots');
+    } else {
+      const coordinates = [parseFloat(lng), parseFloat(lat)];
+      const match = await zoneService.resolveHub(coordinates);
+      hub = match && await Hub.findById(match.hub._id).select('name code status operatingHours deliverySlots');
+    }
+    if (!hub || hub.status !== 'active') {
+      return res.status(404).json({ error: hubId ? 'Hub not found' : 'No hub delivers to that location' });
+    }
+
+    const availability = await slotService.getAvailability(hub, {
+      from: from ? new Date(from) : new Date(),
+      days
+    });
+
+    res.json({
+      success: true,
+      hub: { _id: hub._id, name: hub.name, code: hub.code },
+      days: availability
+    });
+  } catch (error) {
+    console.error('Delivery slots fetch error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch delivery slots' });
+  }
+});
+
+// @route   GET /api/orders/failure-reasons
+// @desc    Failed delivery reason codes and what each one does to the order
+// @access  Private
+router.get('/failure-reasons', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    reasons: deliveryFailureService.getReasons(),
+    defaultMaxAttempts: deliveryFailureService.defaultMaxAttempts
+  });
+});
+
 // @route   GET /api/orders/:id
 // @desc    Get single order
 // @access  Private
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authenticate, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('merchant', 'firstName lastName email phone')
@@ -158,10 +730,62 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id/label
+// @desc    Print the shipping label for an order (?format=zpl for thermal printers)
+// @access  Private
+router.get('/:id/label', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('merchant', 'firstName lastName');
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!canPrintLabel(req.user, order)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const label = await labelService.render([order], req.query.format || 'pdf');
+    sendLabel(res, label, `label-${order.tracking.trackingNumber}`);
+  } catch (error) {
+    console.error('Label error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to generate label'
+    });
+  }
+});
+
+// @route   GET /api/orders/:id/driver-path
+// @desc    Path the assigned driver drove while carrying the order (?dwellMinutes=5)
+// @access  Private (Admin/Dispatcher)
+router.get('/:id/driver-path', authenticate, authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const path = await locationHistoryService.getOrderPath(order, {
+      dwellMinutes: req.query.dwellMinutes
+    });
+
+    res.json({
+      success: true,
+      path
+    });
+  } catch (error) {
+    console.error('Order path fetch error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to fetch driver path'
+    });
+  }
+});
+
 // @route   PUT /api/orders/:id
 // @desc    Update order
 // @access  Private (Merchant/Admin)
-router.put('/:id', authMiddleware, roleMiddleware(['merchant', 'admin']), async (req, res) => {
+router.put('/:id', authenticate, authorize('merchant', 'admin'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
@@ -182,7 +806,7 @@ router.put('/:id', authMiddleware, roleMiddleware(['merchant', 'admin']), async
     // Update allowed fields
     const allowedUpdates = [
       'customerInfo', 'items', 'pricing', 'priority', 
-      'serviceType', 'specialInstructions', 'scheduledPickup', 'scheduledDelivery'
+      'serviceType', 'specialInstructions', 'scheduledPickup'
     ];
 
     allowedUpdates.forEach(field => {
@@ -191,8 +815,34 @@ router.put('/:id', authMiddleware, roleMiddleware(['merchant', 'admin']), async
       }
     });
 
+    // A new address is checked against the service areas; before pickup it may move to another hub
+    if (req.body.customerInfo !== undefined) {
+      const previousHub = order.assignedHub;
+      if (['pending', 'confirmed'].includes(order.status)) {
+        order.assignedHub = undefined;
+      }
+      await zoneService.applyToOrder(order);
+      if (!order.assignedHub) {
+        order.assignedHub = previousHub;
+      }
+    }
+
+    const slot = await slotService.applyToOrder(order, req.body.scheduledDelivery);
+
+    // Re-price when anything the quote depends on changed; a derived COD amount follows the new total
+    const pricingFields = ['customerInfo', 'items', 'pricing', 'serviceType'];
+    if (pricingFields.some(field => req.body[field] !== undefined)) {
+      await pricingService.applyToOrder(order, req.body.pricing, { role: req.user.role });
+      order.applyCodAmount();
+    }
+
     order.metadata.lastModifiedBy = req.user.userId;
-    await order.save();
+    try {
+      await order.save();
+    } catch (error) {
+      if (slot) await slotService.releaseSlot(slot._id);
+      throw error;
+    }
 
     res.json({
       success: true,
@@ -201,6 +851,9 @@ router.put('/:id', authMiddleware, roleMiddleware(['merchant', 'admin']), async
     });
   } catch (error) {
     console.error('Order update error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code, quote: error.quote });
+    }
     res.status(500).json({ error: 'Failed to update order' });
   }
 });
@@ -208,7 +861,7 @@ router.put('/:id', authMiddleware, roleMiddleware(['merchant', 'admin']), async
 // @route   PATCH /api/orders/:id/status
 // @desc    Update order status
 // @access  Private
-router.patch('/:id/status', authMiddleware, async (req, res) => {
+router.patch('/:id/status', authenticate, async (req, res) => {
   try {
     const { status, notes, location } = req.body;
 
@@ -239,14 +892,8 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
       });
     }
 
-    // Update status
-    await order.updateStatus(status, notes, req.user.userId);
-
-    // Update location if provided
-    if (location && Array.isArray(location) && location.length === 2) {
-      order.tracking.currentLocation = location;
-      await order.save();
-    }
+    // Update status (validated by the order lifecycle)
+    await order.updateStatus(status, notes, req.user.userId, { location });
 
     res.json({
       success: true,
@@ -254,31 +901,79 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
       order
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Status update error:', error);
     res.status(500).json({ error: 'Failed to update order status' });
   }
 });
 
+// @route   PATCH /api/orders/:id/partial-delivery
+// @desc    Allow an order to complete before all of its parcels are delivered
+// @access  Private (Merchant/Admin)
+router.patch('/:id/partial-delivery', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { allowed = true, reason } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (req.user.role === 'merchant' && order.merchant.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (allowed && !reason) {
+      return res.status(400).json({ error: 'A reason is required to mark an order as partial' });
+    }
+
+    order.parcels.partialDelivery = {
+      allowed: Boolean(allowed),
+      reason: allowed ? reason : undefined,
+      markedBy: req.user.userId,
+      markedAt: new Date()
+    };
+    order.metadata.lastModifiedBy = req.user.userId;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: allowed ? 'Order marked as partial delivery' : 'Partial delivery cleared',
+      parcels: order.parcels
+    });
+  } catch (error) {
+    console.error('Partial delivery error:', error);
+    res.status(500).json({ error: 'Failed to update partial delivery' });
+  }
+});
+
 // @route   POST /api/orders/:id/assign-driver
 // @desc    Assign driver to order
 // @access  Private (Admin)
-router.post('/:id/assign-driver', authMiddleware, roleMiddleware(['admin', 'dispatcher']), async (req, res) => {
+router.post('/:id/assign-driver', authenticate, authorize('admin', 'dispatcher'), async (req, res) => {
   try {
-    const { driverId } = req.body;
+    const { driverId, force } = req.body;
 
     const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Verify driver exists
-    // TODO: Check driver availability and capacity
+    const driver = await Driver.findById(driverId);
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
 
-    order.assignedDriver = driverId;
-    order.status = 'pickup_scheduled';
-    order.metadata.lastModifiedBy = req.user.userId;
-    
-    await order.updateStatus('pickup_scheduled', 'Driver assigned', req.user.userId);
+    // Admins may override availability and capacity checks
+    const override = Boolean(force) && req.user.role === 'admin';
+    const reasons = await dispatchService.checkAssignment(order, driver);
+    if (reasons.length > 0 && !override) {
+      return res.status(400).json({ error: 'Driver cannot take this order', reasons });
+    }
+
+    await dispatchService.assignOrder(order, driver, req.user.userId, { force: override });
 
     res.json({
       success: true,
@@ -286,17 +981,23 @@ router.post('/:id/assign-driver', authMiddleware, roleMiddleware(['admin', 'disp
       order
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Driver assignment error:', error);
-    res.status(500).json({ error: 'Failed to assign driver' });
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to assign driver'
+    });
   }
 });
 
 // @route   POST /api/orders/:id/delivery-attempt
-// @desc    Record delivery attempt
+// @desc    Record delivery attempt; multipart with photos, signature and recipientIdPhoto files as proof of delivery.
+//          Exchange orders also send pickupResult (collected|not_collected) and pickupReason
 // @access  Private (Driver)
-router.post('/:id/delivery-attempt', authMiddleware, roleMiddleware(['driver', 'admin']), async (req, res) => {
+router.post('/:id/delivery-attempt', authenticate, authorize('driver', 'admin'), parsePodUpload, async (req, res) => {
   try {
-    const { result, reason, notes, evidence } = req.body;
+    const { result, reason, notes, evidence = {} } = req.body;
 
     const order = await Order.findById(req.params.id);
     if (!order) {
@@ -309,29 +1010,206 @@ router.post('/:id/delivery-attempt', authMiddleware, roleMiddleware(['driver', '
       return res.status(403).json({ error: 'You are not assigned to this order' });
     }
 
-    await order.addDeliveryAttempt(
-      result, 
-      reason, 
-      req.user.userId, 
-      notes, 
-      evidence
-    );
+    // Exchanges record the old item's handover in the same attempt
+    const exchangeLeg = order.exchange && order.exchange.leg === 'outbound';
+    const pickup = { result: req.body.pickupResult, reason: req.body.pickupReason };
+    if (exchangeLeg) {
+      exchangeService.validateAttempt(order, result, pickup);
+    }
+
+    // High-value orders need the code the customer was sent; failures follow the reason's policy
+    let plan = null;
+    if (result === 'success') {
+      await deliveryOtpService.checkDelivery(order, req.body.otp, req.user.userId);
+    } else {
+      plan = await deliveryFailureService.plan(order, {
+        result,
+        reasonCode: req.body.reasonCode,
+        rescheduleDate: req.body.rescheduleDate
+      });
+    }
+
+    // Photos and signatures only come from uploaded files, never from client-supplied strings
+    await podService.recordAttempt(order, {
+      result,
+      reason,
+      notes,
+      recipientName: evidence.recipientName || req.body.recipientName,
+      recipientId: evidence.recipientId || req.body.recipientId,
+      plan
+    }, req.files, req.user.userId);
+
+    if (plan) {
+      deliveryFailureService.notify(order, plan);
+    }
+
+    const exchangeOutcome = exchangeLeg
+      ? await exchangeService.recordOutcome(order, pickup, req.user.userId)
+      : null;
 
     res.json({
       success: true,
-      message: 'Delivery attempt recorded',
+      message: plan ? `Delivery attempt recorded: ${plan.policy}` : 'Delivery attempt recorded',
+      plan,
+      exchange: exchangeOutcome ? {
+        status: exchangeOutcome.status,
+        inboundOrder: {
+          _id: exchangeOutcome.inbound._id,
+          orderNumber: exchangeOutcome.inbound.orderNumber,
+          status: exchangeOutcome.inbound.status
+        }
+      } : undefined,
       order
     });
   } catch (error) {
-    console.error('Delivery attempt error:', error);
-    res.status(500).json({ error: 'Failed to record delivery attempt' });
+    sendOtpError(res, error, 'Failed to record delivery attempt');
+  }
+});
+
+// @route   POST /api/orders/:id/otp/verify
+// @desc    Check the customer's delivery code before recording the attempt
+// @access  Private (Driver/Admin)
+router.post('/:id/otp/verify', authenticate, authorize('driver', 'admin'), otpLimiter, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (req.user.role === 'driver' &&
+        order.assignedDriver?.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'You are not assigned to this order' });
+    }
+
+    const otp = await deliveryOtpService.verify(order, req.body.otp, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Delivery code confirmed',
+      verifiedAt: otp.verifiedAt
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to verify delivery code');
+  }
+});
+
+// @route   POST /api/orders/:id/otp/resend
+// @desc    Send the customer a new delivery code
+// @access  Private (Driver/Admin)
+router.post('/:id/otp/resend', authenticate, authorize('driver', 'admin'), otpLimiter, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (req.user.role === 'driver' &&
+        order.assignedDriver?.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'You are not assigned to this order' });
+    }
+
+    const sent = await deliveryOtpService.resend(order);
+
+    res.json({
+      success: true,
+      message: sent.channels.length > 0
+        ? `Delivery code sent by ${sent.channels.join(' and ')}`
+        : 'Delivery code generated but could not be sent',
+      ...sent
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to send delivery code');
+  }
+});
+
+// @route   POST /api/orders/:id/otp/override
+// @desc    Waive the delivery code for this delivery (reason required, audit logged)
+// @access  Private (Admin)
+router.post('/:id/otp/override', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const otp = await deliveryOtpService.override(order, req.body.reason, {
+      userId: req.user.userId,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Delivery code overridden',
+      override: otp.override
+    });
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to override delivery code');
+  }
+});
+
+// @route   GET /api/orders/:id/pod
+// @desc    Proof of delivery bundle for every attempt (?format=pdf for a printable bundle)
+// @access  Private (Merchant/Admin)
+router.get('/:id/pod', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!canViewPod(req.user, order)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (req.query.format === 'pdf') {
+      const pdf = await podService.renderBundlePdf(order);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="pod-${order.orderNumber}.pdf"`
+      });
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      pod: podService.getBundle(order, `${req.baseUrl}/${order._id}/pod/files`)
+    });
+  } catch (error) {
+    console.error('POD fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch proof of delivery' });
+  }
+});
+
+// @route   GET /api/orders/:id/pod/files/:fileId
+// @desc    Download one proof of delivery file
+// @access  Private (Merchant/Admin)
+router.get('/:id/pod/files/:fileId', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('merchant deliveryAttempts');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!canViewPod(req.user, order)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const file = podService.findFile(order, req.params.fileId);
+    const contents = await storageService.get(file.key);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `inline; filename="${path.basename(file.key)}"`
+    });
+    res.send(contents);
+  } catch (error) {
+    console.error('POD file fetch error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to fetch file'
+    });
   }
 });
 
 // @route   DELETE /api/orders/:id
 // @desc    Cancel/Delete order
 // @access  Private
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authenticate, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
@@ -362,6 +1240,9 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       message: 'Order cancelled successfully'
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Order deletion error:', error);
     res.status(500).json({ error: 'Failed to cancel order' });
   }
@@ -370,7 +1251,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 // @route   GET /api/orders/stats/summary
 // @desc    Get order statistics
 // @access  Private
-router.get('/stats/summary', authMiddleware, async (req, res) => {
+router.get('/stats/summary', authenticate, async (req, res) => {
   try {
     const query = {};
     
@@ -422,13 +1303,18 @@ router.get('/stats/summary', authMiddleware, async (req, res) => {
       }
     ]);
 
+    const returns = await returnService.getStats(query);
+
     res.json({
       success: true,
-      stats: stats[0] || {
-        totalOrders: 0,
-        totalRevenue: 0,
-        avgOrderValue: 0,
-        statusBreakdown: {}
+      stats: {
+        ...(stats[0] || {
+          totalOrders: 0,
+          totalRevenue: 0,
+          avgOrderValue: 0,
+          statusBreakdown: {}
+        }),
+        returns
       }
     });
   } catch (error) {
@@ -440,7 +1326,7 @@ router.get('/stats/summary', authMiddleware, async (req, res) => {
 // @route   GET /api/orders/nearby
 // @desc    Get orders near a location
 // @access  Private (Driver)
-router.get('/nearby', authMiddleware, roleMiddleware(['driver', 'admin']), async (req, res) => {
+router.get('/nearby', authenticate, authorize('driver', 'admin'), async (req, res) => {
   try {
     const { lat, lng, radius = 5000, status = 'pickup_scheduled' } = req.query;
 
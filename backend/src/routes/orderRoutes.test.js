@@ -0,0 +1,471 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const Merchant = require('../models/Merchant');
+const deliveryOtpService = require('../services/deliveryOtpService');
+const dispatchService = require('../services/dispatchService');
+const labelService = require('../services/labelService');
+const podService = require('../services/podService');
+const pricingService = require('../services/pricingService');
+const slotService = require('../services/slotService');
+const storageService = require('../services/storageService');
+const zoneService = require('../services/zoneService');
+const orderRoutes = require('./orderRoutes');
+const { authHeader, buildApp, mockQuery } = require('../../test/helpers');
+
+const app = buildApp('/api/orders', orderRoutes);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/orders/labels', () => {
+  const merchantId = new mongoose.Types.ObjectId().toString();
+  const orders = [
+    { _id: new mongoose.Types.ObjectId(), merchant: { _id: merchantId } },
+    { _id: new mongoose.Types.ObjectId(), merchant: { _id: merchantId } }
+  ];
+
+  test('prints the labels in the requested order', async () => {
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([...orders]));
+    const render = jest.spyOn(labelService, 'render').mockResolvedValue({
+      contentType: 'application/zpl',
+      extension: 'zpl',
+      body: '^XA^XZ'
+    });
+
+    const response = await request(app)
+      .post('/api/orders/labels?format=zpl')
+      .set('Authorization', authHeader('merchant', merchantId))
+      .send({ orderIds: [orders[1]._id, orders[0]._id] })
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('application/zpl');
+    expect(render).toHaveBeenCalledWith([orders[1], orders[0]], 'zpl');
+  });
+
+  test("refuses another merchant's orders", async () => {
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([...orders]));
+
+    await request(app)
+      .post('/api/orders/labels')
+      .set('Authorization', authHeader('merchant'))
+      .send({ orderIds: orders.map(order => order._id) })
+      .expect(403);
+  });
+});
+
+describe('PUT /api/orders/:id', () => {
+  const merchantId = new mongoose.Types.ObjectId().toString();
+  const oldHub = new mongoose.Types.ObjectId();
+  const newHub = new mongoose.Types.ObjectId();
+  let order;
+
+  const buildOrder = (payment, status = 'pending') => new Order({
+    merchant: merchantId,
+    status,
+    assignedHub: oldHub,
+    customerInfo: { name: 'Mona', phone: '+20100', address: { street: '1 Nile St', city: 'Cairo', coordinates: [31.2, 30] } },
+    items: [{ name: 'Shirt', quantity: 1, weight: 1, value: 100 }],
+    pricing: { subtotal: 100, shippingCost: 30, total: 130 },
+    payment
+  });
+
+  const update = body => request(app)
+    .put(`/api/orders/${order._id}`)
+    .set('Authorization', authHeader('merchant', merchantId))
+    .send(body);
+
+  beforeEach(() => {
+    jest.spyOn(Order, 'findById').mockImplementation(async () => order);
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(slotService, 'applyToOrder').mockResolvedValue(null);
+    jest.spyOn(zoneService, 'applyToOrder').mockImplementation(async target => {
+      if (!target.assignedHub) target.assignedHub = newHub;
+    });
+    jest.spyOn(pricingService, 'applyToOrder').mockImplementation(async target => {
+      target.pricing.shippingCost = 50;
+      target.pricing.total = 150;
+    });
+  });
+
+  test('a derived COD amount follows the new total', async () => {
+    order = buildOrder({ method: 'cod', codAmount: 130, codFromTotal: true });
+
+    const response = await update({ items: [{ name: 'Shirt', quantity: 2, weight: 1, value: 50 }] }).expect(200);
+
+    expect(response.body.order.payment.codAmount).toBe(150);
+  });
+
+  test('a COD amount the merchant set is kept', async () => {
+    order = buildOrder({ method: 'cod', codAmount: 90 });
+
+    const response = await update({ serviceType: 'express' }).expect(200);
+
+    expect(response.body.order.pricing.total).toBe(150);
+    expect(response.body.order.payment.codAmount).toBe(90);
+  });
+
+  test('a new address is matched to its service area before pricing', async () => {
+    order = buildOrder({ method: 'prepaid' });
+    const customerInfo = { ...order.customerInfo.toObject(), address: { street: '9 Pyramids Rd', city: 'Giza', coordinates: [31.1, 29.9] } };
+
+    await update({ customerInfo }).expect(200);
+
+    expect(zoneService.applyToOrder).toHaveBeenCalledWith(order);
+    expect(zoneService.applyToOrder.mock.invocationCallOrder[0])
+      .toBeLessThan(pricingService.applyToOrder.mock.invocationCallOrder[0]);
+    expect(order.assignedHub).toEqual(newHub);
+  });
+
+  test('keeps the hub of an order that is already on its way', async () => {
+    order = buildOrder({ method: 'prepaid' }, 'pickup_scheduled');
+
+    await update({ customerInfo: order.customerInfo.toObject() }).expect(200);
+
+    expect(order.assignedHub).toEqual(oldHub);
+  });
+
+  test('rejects addresses outside every service area when the policy says so', async () => {
+    order = buildOrder({ method: 'prepaid' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    zoneService.applyToOrder.mockRejectedValue(Object.assign(new Error('Delivery address is outside every active service area'), { statusCode: 400 }));
+
+    const response = await update({ customerInfo: order.customerInfo.toObject() }).expect(400);
+
+    expect(response.body.error).toBe('Delivery address is outside every active service area');
+    expect(Order.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('re-prices only when a priced field changed', async () => {
+    order = buildOrder({ method: 'prepaid' });
+
+    await update({ specialInstructions: 'Ring twice' }).expect(200);
+
+    expect(pricingService.applyToOrder).not.toHaveBeenCalled();
+    expect(zoneService.applyToOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/orders/:id/assign-driver', () => {
+  const order = { _id: new mongoose.Types.ObjectId() };
+  const driver = { _id: new mongoose.Types.ObjectId() };
+
+  beforeEach(() => {
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('answers 409 when the order was assigned meanwhile', async () => {
+    jest.spyOn(dispatchService, 'checkAssignment').mockResolvedValue([]);
+    jest.spyOn(dispatchService, 'assignOrder').mockRejectedValue(
+      Object.assign(new Error('Order already has a driver'), { statusCode: 409 })
+    );
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/assign-driver`)
+      .set('Authorization', authHeader('dispatcher'))
+      .send({ driverId: driver._id })
+      .expect(409);
+
+    expect(response.body).toEqual({ error: 'Order already has a driver' });
+  });
+
+  test('lets only admins force past the driver limit', async () => {
+    jest.spyOn(dispatchService, 'checkAssignment').mockResolvedValue(['At maximum of 10 deliveries']);
+    const assign = jest.spyOn(dispatchService, 'assignOrder').mockResolvedValue(order);
+
+    await request(app)
+      .post(`/api/orders/${order._id}/assign-driver`)
+      .set('Authorization', authHeader('dispatcher'))
+      .send({ driverId: driver._id, force: true })
+      .expect(400);
+    expect(assign).not.toHaveBeenCalled();
+
+    await request(app)
+      .post(`/api/orders/${order._id}/assign-driver`)
+      .set('Authorization', authHeader('admin', 'admin-1'))
+      .send({ driverId: driver._id, force: true })
+      .expect(200);
+    expect(assign).toHaveBeenCalledWith(order, driver, 'admin-1', { force: true });
+  });
+});
+
+describe('POST /api/orders/:id/delivery-attempt', () => {
+  const driverId = new mongoose.Types.ObjectId().toString();
+  const order = { _id: new mongoose.Types.ObjectId(), assignedDriver: driverId };
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+  test('rejects a file type outside the allowed list before loading the order', async () => {
+    const findById = jest.spyOn(Order, 'findById');
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/delivery-attempt`)
+      .set('Authorization', authHeader('driver', driverId))
+      .field('result', 'success')
+      .attach('photos', Buffer.from('MZ'), 'door.exe')
+      .expect(400);
+
+    expect(response.body.error).toContain('photos: file type .exe is not allowed');
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  test('rejects files in fields other than the proof of delivery ones', async () => {
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/delivery-attempt`)
+      .set('Authorization', authHeader('driver', driverId))
+      .attach('evidence', jpeg, 'door.jpg')
+      .expect(400);
+
+    expect(response.body.error).toContain('Unexpected or too many files in field evidence');
+  });
+
+  test('hands the uploaded files to the POD service with the recipient details', async () => {
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(deliveryOtpService, 'checkDelivery').mockResolvedValue();
+    const record = jest.spyOn(podService, 'recordAttempt').mockResolvedValue(order);
+
+    await request(app)
+      .post(`/api/orders/${order._id}/delivery-attempt`)
+      .set('Authorization', authHeader('driver', driverId))
+      .field('result', 'success')
+      .field('recipientName', 'Mona')
+      .attach('photos', jpeg, 'door.jpg')
+      .attach('signature', jpeg, 'sign.jpg')
+      .expect(200);
+
+    const [, attempt, files, userId] = record.mock.calls[0];
+    expect(attempt).toMatchObject({ result: 'success', recipientName: 'Mona', plan: null });
+    expect(files.photos[0].originalname).toBe('door.jpg');
+    expect(files.signature[0].buffer).toEqual(jpeg);
+    expect(userId).toBe(driverId);
+  });
+
+  test('refuses a driver who is not assigned to the order', async () => {
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    const record = jest.spyOn(podService, 'recordAttempt');
+
+    await request(app)
+      .post(`/api/orders/${order._id}/delivery-attempt`)
+      .set('Authorization', authHeader('driver', new mongoose.Types.ObjectId().toString()))
+      .field('result', 'success')
+      .attach('photos', jpeg, 'door.jpg')
+      .expect(403);
+
+    expect(record).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/orders/:id/pod/files/:fileId', () => {
+  const merchantId = new mongoose.Types.ObjectId().toString();
+  const fileId = new mongoose.Types.ObjectId();
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    merchant: merchantId,
+    deliveryAttempts: [{
+      evidence: { files: [{ _id: fileId, key: 'pod/o/1/photo-a.jpg', contentType: 'image/jpeg' }] }
+    }]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Order, 'findById').mockReturnValue(mockQuery(order));
+  });
+
+  test('streams the file to the merchant who owns the order', async () => {
+    jest.spyOn(storageService, 'get').mockResolvedValue(Buffer.from([0xff, 0xd8, 0xff]));
+
+    const response = await request(app)
+      .get(`/api/orders/${order._id}/pod/files/${fileId}`)
+      .set('Authorization', authHeader('merchant', merchantId))
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(response.headers['content-disposition']).toBe('inline; filename="photo-a.jpg"');
+  });
+
+  test('hides the file from other merchants', async () => {
+    const get = jest.spyOn(storageService, 'get');
+
+    await request(app)
+      .get(`/api/orders/${order._id}/pod/files/${fileId}`)
+      .set('Authorization', authHeader('merchant', new mongoose.Types.ObjectId().toString()))
+      .expect(403);
+
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for a file that is not on the order', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .get(`/api/orders/${order._id}/pod/files/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', authHeader('admin'))
+      .expect(404);
+
+    expect(response.body).toEqual({ error: 'File not found' });
+  });
+});
+
+describe('delivery code routes', () => {
+  const driverId = new mongoose.Types.ObjectId().toString();
+  const order = { _id: new mongoose.Types.ObjectId(), assignedDriver: driverId };
+
+  beforeEach(() => {
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+  });
+
+  test('passes the lockout on with a Retry-After header', async () => {
+    jest.spyOn(deliveryOtpService, 'verify').mockRejectedValue(Object.assign(
+      new Error('Too many incorrect codes; try again later'),
+      { statusCode: 429, code: 'OTP_LOCKED', retryAfter: 900 }
+    ));
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/otp/verify`)
+      .set('Authorization', authHeader('driver', driverId))
+      .send({ otp: '123456' })
+      .expect(429);
+
+    expect(response.headers['retry-after']).toBe('900');
+    expect(response.body).toMatchObject({ code: 'OTP_LOCKED', retryAfter: 900 });
+  });
+
+  test('caps code checks per user across orders', async () => {
+    const limitedDriver = new mongoose.Types.ObjectId().toString();
+    const limitedOrder = { _id: new mongoose.Types.ObjectId(), assignedDriver: limitedDriver };
+    Order.findById.mockResolvedValue(limitedOrder);
+    const verify = jest.spyOn(deliveryOtpService, 'verify').mockRejectedValue(Object.assign(
+      new Error('Incorrect delivery code'),
+      { statusCode: 400, code: 'OTP_INVALID' }
+    ));
+    const check = userId => request(app)
+      .post(`/api/orders/${limitedOrder._id}/otp/verify`)
+      .set('Authorization', authHeader('driver', userId))
+      .send({ otp: '000000' });
+
+    for (let i = 0; i < 30; i++) {
+      await check(limitedDriver).expect(400);
+    }
+    const response = await check(limitedDriver).expect(429);
+
+    expect(response.body).toEqual({ error: 'Too many delivery code requests, please try again later.' });
+    expect(verify).toHaveBeenCalledTimes(30);
+    // Other users keep their own allowance
+    await check(new mongoose.Types.ObjectId().toString()).expect(403);
+  });
+
+  test('lets only admins override the code', async () => {
+    const override = jest.spyOn(deliveryOtpService, 'override').mockResolvedValue({
+      override: { reason: 'No phone' }
+    });
+
+    await request(app)
+      .post(`/api/orders/${order._id}/otp/override`)
+      .set('Authorization', authHeader('driver', driverId))
+      .send({ reason: 'No phone' })
+      .expect(403);
+    expect(override).not.toHaveBeenCalled();
+
+    await request(app)
+      .post(`/api/orders/${order._id}/otp/override`)
+      .set('Authorization', authHeader('admin', 'admin-1'))
+      .send({ reason: 'No phone' })
+      .expect(200);
+    expect(override).toHaveBeenCalledWith(order, 'No phone', expect.objectContaining({ userId: 'admin-1' }));
+  });
+});
+
+describe('POST /api/orders with a source order ID', () => {
+  const merchantId = new mongoose.Types.ObjectId().toString();
+  const existing = {
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: 'ORD26101900001',
+    status: 'confirmed',
+    tracking: { trackingNumber: 'TRK1697700000000ABCD' },
+    metadata: { sourceOrderId: '1001' }
+  };
+  const body = {
+    customerInfo: { name: 'Mona Adel', phone: '+201001234567', address: { street: '1 Nile St', city: 'Cairo' } },
+    items: [{ name: 'Shirt', quantity: 1, weight: 0.3, value: 200 }],
+    metadata: { sourceOrderId: '1001' }
+  };
+
+  test('answers 409 with the order already created for it', async () => {
+    const lookup = jest.spyOn(Order, 'findBySourceOrderIds').mockReturnValue(mockQuery([existing]));
+    const save = jest.spyOn(Order.prototype, 'save');
+
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', authHeader('merchant', merchantId))
+      .send(body)
+      .expect(409);
+
+    expect(lookup).toHaveBeenCalledWith(merchantId, { source: 'api', store: undefined }, ['1001']);
+    expect(response.body).toMatchObject({
+      code: 'DUPLICATE_SOURCE_ORDER',
+      order: { orderNumber: 'ORD26101900001', trackingNumber: 'TRK1697700000000ABCD' }
+    });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('looks for the order ID within its source and store only', async () => {
+    const lookup = jest.spyOn(Order, 'findBySourceOrderIds').mockReturnValue(mockQuery([existing]));
+
+    await request(app)
+      .post('/api/orders')
+      .set('Authorization', authHeader('merchant', merchantId))
+      .send({ ...body, source: 'woocommerce', metadata: { sourceOrderId: '1001', sourceStore: 'shop.example.com' } })
+      .expect(409);
+
+    expect(lookup).toHaveBeenCalledWith(merchantId, { source: 'woocommerce', store: 'shop.example.com' }, ['1001']);
+  });
+
+  test('answers 409 when a parallel request created it first', async () => {
+    jest.spyOn(Order, 'findBySourceOrderIds')
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(mockQuery([existing]));
+    jest.spyOn(Merchant, 'findByUser').mockResolvedValue(new Merchant({
+      user: merchantId,
+      businessName: 'Nile Goods',
+      status: 'approved',
+      pickupLocations: [{ label: 'Warehouse', street: '1 Port Rd', city: 'Alexandria', coordinates: [29.9, 31.2] }]
+    }));
+    jest.spyOn(zoneService, 'applyToOrder').mockResolvedValue();
+    jest.spyOn(pricingService, 'applyToOrder').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), {
+      code: 11000,
+      keyPattern: { merchant: 1, 'metadata.source': 1, 'metadata.sourceStore': 1, 'metadata.sourceOrderId': 1 }
+    }));
+
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', authHeader('merchant', merchantId))
+      .send(body)
+      .expect(409);
+
+    expect(response.body.code).toBe('DUPLICATE_SOURCE_ORDER');
+  });
+});
+
+describe('POST /api/orders', () => {
+  test('refuses users without a merchant profile', async () => {
+    jest.spyOn(Merchant, 'findByUser').mockResolvedValue(null);
+    const save = jest.spyOn(Order.prototype, 'save');
+
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', authHeader('merchant'))
+      .send({
+        customerInfo: { name: 'Mona Adel', phone: '+201001234567', address: { street: '1 Nile St', city: 'Cairo' } },
+        items: [{ name: 'Shirt', quantity: 1, weight: 0.3, value: 200 }]
+      })
+      .expect(403);
+
+    expect(response.body.error).toBe('A merchant profile is required to create orders');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
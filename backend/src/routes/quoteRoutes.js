@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const Merchant = require('../models/Merchant');
+const pricingService = require('../services/pricingService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   POST /api/quotes
+// @desc    Quote the shipping cost of an order before creating it
+// @access  Private (Merchant/Admin)
+router.post('/', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { pickupLocationId, hubId, pickupAddress, customerInfo, items, serviceType, pricing } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one item is required' });
+    }
+
+    const quoteData = { pickupAddress, customerInfo, items, serviceType, pricing };
+
+    // Saved pickup location and profile defaults
+    const merchantProfile = req.user.role === 'merchant'
+      ? await Merchant.findByUser(req.user.userId)
+      : null;
+    if (merchantProfile) {
+      merchantProfile.applyOrderDefaults(quoteData, pickupLocationId);
+    } else if (pickupLocationId) {
+      return res.status(400).json({ error: 'Merchant profile not found for pickup location' });
+    }
+
+    const quote = await pricingService.quoteFromData(quoteData, { hubId, role: req.user.role });
+
+    res.json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    console.error('Quote error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to calculate quote'
+    });
+  }
+});
+
+module.exports = router;
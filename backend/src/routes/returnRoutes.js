@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const returnService = require('../services/returnService');
+const { OrderTransitionError } = require('../services/orderLifecycle');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof OrderTransitionError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  if (!error.statusCode) {
+    console.error(`${fallback}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallback,
+    quote: error.quote
+  });
+};
+
+// Return request the user may act on; merchants only see their own
+const loadReturn = async (req, res) => {
+  const request = await ReturnRequest.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ error: 'Return not found' });
+    return null;
+  }
+  if (req.user.role === 'merchant' && request.merchant.toString() !== req.user.userId) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return request;
+};
+
+// @route   POST /api/returns
+// @desc    Open a return for a delivered order on the customer's behalf
+// @access  Private (Merchant/Admin)
+router.post('/', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.body.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (req.user.role === 'merchant' && order.merchant.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const request = await returnService.createRequest(order, req.body, {
+      requestedBy: req.user.role,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      return: request
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to request return');
+  }
+});
+
+// @route   GET /api/returns
+// @desc    List returns (?status=&orderId=)
+// @access  Private (Merchant/Admin)
+router.get('/', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { status, orderId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (req.user.role === 'merchant') query.merchant = req.user.userId;
+    if (status) query.status = status;
+    if (orderId) query.order = orderId;
+
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(query)
+        .populate('order', 'orderNumber tracking.trackingNumber customerInfo.name')
+        .populate('reverseOrder', 'orderNumber status tracking.trackingNumber pricing.total')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      ReturnRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      returns,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Returns fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+// @route   GET /api/returns/:id
+// @desc    Get return by ID
+// @access  Private (Merchant/Admin)
+router.get('/:id', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const request = await loadReturn(req, res);
+    if (!request) return;
+
+    await request.populate([
+      { path: 'order', select: 'orderNumber status tracking.trackingNumber customerInfo items' },
+      { path: 'reverseOrder', select: 'orderNumber status tracking pricing' }
+    ]);
+
+    res.json({
+      success: true,
+      return: request
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch return');
+  }
+});
+
+// @route   POST /api/returns/:id/approve
+// @desc    Approve a return and create its reverse pickup order
+// @access  Private (Merchant/Admin)
+router.post('/:id/approve', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const request = await loadReturn(req, res);
+    if (!request) return;
+
+    const result = await returnService.approve(request, req.user.userId, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Return approved; pickup order created',
+      return: result.request,
+      reverseOrder: {
+        _id: result.reverseOrder._id,
+        orderNumber: result.reverseOrder.orderNumber,
+        trackingNumber: result.reverseOrder.tracking.trackingNumber,
+        status: result.reverseOrder.status,
+        pricing: result.reverseOrder.pricing,
+        label: `/api/orders/${result.reverseOrder._id}/label`
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to approve return');
+  }
+});
+
+// @route   POST /api/returns/:id/reject
+// @desc    Decline a return
+// @access  Private (Merchant/Admin)
+router.post('/:id/reject', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const request = await loadReturn(req, res);
+    if (!request) return;
+
+    await returnService.reject(request, req.user.userId, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Return rejected',
+      return: request
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reject return');
+  }
+});
+
+// @route   POST /api/returns/:id/cancel
+// @desc    Withdraw a return and cancel its pickup if not collected yet
+// @access  Private (Merchant/Admin)
+router.post('/:id/cancel', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const request = await loadReturn(req, res);
+    if (!request) return;
+
+    await returnService.cancel(request, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Return cancelled',
+      return: request
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel return');
+  }
+});
+
+// @route   POST /api/returns/:id/outcome
+// @desc    Record the refund or exchange that settles a return
+// @access  Private (Merchant/Admin)
+router.post('/:id/outcome', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const request = await loadReturn(req, res);
+    if (!request) return;
+
+    await returnService.recordOutcome(request, req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Return outcome recorded',
+      return: request
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record return outcome');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const fs = require('fs');
+const path = require('path');
+
+const routers = fs.readdirSync(__dirname).filter(name => name.endsWith('Routes.js'));
+
+describe('routers', () => {
+  test.each(routers)('%s loads and is an express router', name => {
+    const router = require(path.join(__dirname, name));
+    expect(typeof router).toBe('function');
+    expect(Array.isArray(router.stack)).toBe(true);
+  });
+});
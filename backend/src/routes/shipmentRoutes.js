@@ -1,9 +1,394 @@
 const express = require('express');
 const router = express.Router();
+const Shipment = require('../models/Shipment');
+const Order = require('../models/Order');
+const { authenticate, authorize } = require('../middleware/auth');
 
-// Example placeholder route
-router.get('/', (req, res) => {
-  res.json({ success: true, message: 'Shipment routes working 🚚' });
+// Check the user may manage parcels of this order
+const canManageOrder = (user, order) => {
+  return user.role === 'admin' ||
+    (user.role === 'merchant' && order.merchant.toString() === user.userId);
+};
+
+// Check every parcel item references an item on the order
+const validateParcelItems = (order, items = []) => {
+  for (const item of items) {
+    const orderItem = order.items.id(item.orderItem);
+    if (!orderItem) {
+      return `Item ${item.orderItem} does not belong to order ${order.orderNumber}`;
+    }
+    if (item.quantity > orderItem.quantity) {
+      return `Quantity for ${orderItem.name} exceeds the ordered quantity`;
+    }
+  }
+  return null;
+};
+
+// @route   POST /api/shipments
+// @desc    Add a parcel to an order
+// @access  Private (Merchant/Admin)
+router.post('/', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { orderId, weight, dimensions, items = [], notes } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!canManageOrder(req.user, order)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (['delivered', 'cancelled', 'returned', 'refunded'].includes(order.status)) {
+      return res.status(400).json({ error: `Cannot add parcels to an order with status: ${order.status}` });
+    }
+
+    const itemError = validateParcelItems(order, items);
+    if (itemError) {
+      return res.status(400).json({ error: itemError });
+    }
+
+    const shipment = new Shipment({
+      order: order._id,
+      merchant: order.merchant,
+      weight,
+      dimensions,
+      items: items.map(item => ({
+        orderItem: item.orderItem,
+        name: order.items.id(item.orderItem).name,
+        quantity: item.quantity
+      })),
+      notes,
+      metadata: { createdBy: req.user.userId }
+    });
+    await shipment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Parcel created successfully',
+      shipment
+    });
+  } catch (error) {
+    console.error('Parcel creation error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to create parcel'
+    });
+  }
+});
+
+// @route   GET /api/shipments
+// @desc    Get parcels (filtered by role)
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { orderId, status, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (req.user.role === 'merchant') {
+      query.merchant = req.user.userId;
+    } else if (req.user.role !== 'admin' && req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (orderId) query.order = orderId;
+    if (status) query.status = status;
+
+    const shipments = await Shipment.find(query)
+      .populate('order', 'orderNumber status tracking.trackingNumber')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Shipment.countDocuments(query);
+
+    res.json({
+      success: true,
+      shipments,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Parcels fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch parcels' });
+  }
+});
+
+// @route   GET /api/shipments/barcode/:barcode
+// @desc    Look up a parcel by its label barcode
+// @access  Private (Driver/Admin)
+router.get('/barcode/:barcode', authenticate, authorize('driver', 'admin'), async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne({ labelBarcode: req.params.barcode.toUpperCase() })
+      .populate('order', 'orderNumber status tracking.trackingNumber customerInfo.address');
+
+    if (!shipment) {
+      return res.status(404).json({ error: 'Parcel not found' });
+    }
+
+    res.json({
+      success: true,
+      shipment
+    });
+  } catch (error) {
+    console.error('Parcel lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up parcel' });
+  }
+});
+
+// @route   POST /api/shipments/merge
+// @desc    Merge parcels of the same order into one
+// @access  Private (Merchant/Admin)
+router.post('/merge', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { shipmentIds, weight, dimensions, notes } = req.body;
+
+    if (!Array.isArray(shipmentIds) || shipmentIds.length < 2) {
+      return res.status(400).json({ error: 'At least two parcel IDs are required' });
+    }
+
+    const sources = await Shipment.find({ _id: { $in: shipmentIds } }).sort({ sequence: 1 });
+    if (sources.length !== shipmentIds.length) {
+      return res.status(404).json({ error: 'One or more parcels not found' });
+    }
+
+    const order = await Order.findById(sources[0].order);
+    if (!order || !canManageOrder(req.user, order)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const shipment = await Shipment.mergeParcels(sources, { weight, dimensions, notes }, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Parcels merged successfully',
+      shipment
+    });
+  } catch (error) {
+    console.error('Parcel merge error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to merge parcels'
+    });
+  }
+});
+
+// @route   GET /api/shipments/:id
+// @desc    Get single parcel
+// @access  Private
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id)
+      .populate('order', 'orderNumber status tracking.trackingNumber assignedDriver')
+      .populate('scanHistory.hub', 'name code');
+
+    if (!shipment) {
+      return res.status(404).json({ error: 'Parcel not found' });
+    }
+
+    const hasAccess =
+      req.user.role === 'admin' ||
+      req.user.role === 'driver' ||
+      (req.user.role === 'merchant' && shipment.merchant.toString() === req.user.userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      shipment
+    });
+  } catch (error) {
+    console.error('Parcel fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch parcel' });
+  }
+});
+
+// @route   PUT /api/shipments/:id
+// @desc    Update parcel weight, dimensions or contents
+// @access  Private (Merchant/Admin)
+router.put('/:id', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Parcel not found' });
+    }
+
+    const order = await Order.findById(shipment.order);
+    if (!order || !canManageOrder(req.user, order)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!shipment.isEditable) {
+      return res.status(400).json({ error: `Cannot update a parcel with status: ${shipment.status}` });
+    }
+
+    if (req.body.items !== undefined) {
+      const itemError = validateParcelItems(order, req.body.items);
+      if (itemError) {
+        return res.status(400).json({ error: itemError });
+      }
+      shipment.items = req.body.items.map(item => ({
+        orderItem: item.orderItem,
+        name: order.items.id(item.orderItem).name,
+        quantity: item.quantity
+      }));
+    }
+
+    ['weight', 'dimensions', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        shipment[field] = req.body[field];
+      }
+    });
+
+    await shipment.save();
+
+    res.json({
+      success: true,
+      message: 'Parcel updated successfully',
+      shipment
+    });
+  } catch (error) {
+    console.error('Parcel update error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update parcel' });
+  }
+});
+
+// @route   PATCH /api/shipments/:id/status
+// @desc    Record a scan / status change for a parcel
+// @access  Private (Driver/Admin)
+router.patch('/:id/status', authenticate, authorize('driver', 'admin'), async (req, res) => {
+  try {
+    const { status, location, hubId, notes } = req.body;
+
+    if (!status || !Shipment.PARCEL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Valid status is required' });
+    }
+
+    if (status === 'cancelled') {
+      return res.status(400).json({ error: 'Use DELETE to remove a parcel' });
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Parcel not found' });
+    }
+
+    if (shipment.status === 'cancelled') {
+      return res.status(400).json({ error: 'Parcel has been cancelled' });
+    }
+
+    // Drivers only scan parcels of orders assigned to them
+    if (req.user.role === 'driver') {
+      const order = await Order.findById(shipment.order).select('assignedDriver');
+      if (!order || order.assignedDriver?.toString() !== req.user.userId) {
+        return res.status(403).json({ error: 'You are not assigned to this order' });
+      }
+    }
+
+    await shipment.updateStatus(status, {
+      location,
+      hub: hubId,
+      scannedBy: req.user.userId,
+      notes
+    });
+
+    res.json({
+      success: true,
+      message: 'Parcel status updated successfully',
+      shipment
+    });
+  } catch (error) {
+    if (error.code === 'ILLEGAL_TRANSITION') {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        currentStatus: error.currentStatus,
+        requestedStatus: error.requestedStatus,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
+    console.error('Parcel status error:', error);
+    res.status(500).json({ error: 'Failed to update parcel status' });
+  }
+});
+
+// @route   POST /api/shipments/:id/split
+// @desc    Split a parcel into several parcels
+// @access  Private (Merchant/Admin)
+router.post('/:id/split', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const { parts } = req.body;
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Parcel not found' });
+    }
+
+    const order = await Order.findById(shipment.order);
+    if (!order || !canManageOrder(req.user, order)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const shipments = await Shipment.splitParcel(shipment, parts, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: `Parcel split into ${shipments.length} parcels`,
+      shipments
+    });
+  } catch (error) {
+    console.error('Parcel split error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to split parcel'
+    });
+  }
+});
+
+// @route   DELETE /api/shipments/:id
+// @desc    Remove a parcel from its order
+// @access  Private (Merchant/Admin)
+router.delete('/:id', authenticate, authorize('merchant', 'admin'), async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Parcel not found' });
+    }
+
+    const order = await Order.findById(shipment.order);
+    if (!order || !canManageOrder(req.user, order)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!shipment.isEditable) {
+      return res.status(400).json({ error: `Cannot remove a parcel with status: ${shipment.status}` });
+    }
+
+    await shipment.updateStatus('cancelled', {
+      scannedBy: req.user.userId,
+      notes: 'Parcel removed'
+    });
+
+    res.json({
+      success: true,
+      message: 'Parcel removed successfully'
+    });
+  } catch (error) {
+    console.error('Parcel removal error:', error);
+    res.status(500).json({ error: 'Failed to remove parcel' });
+  }
 });
 
 module.exports = router;
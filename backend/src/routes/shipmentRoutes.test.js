@@ -0,0 +1,120 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const shipmentRoutes = require('./shipmentRoutes');
+const { authHeader, buildApp, mockQuery } = require('../../test/helpers');
+
+const app = buildApp('/api/shipments', shipmentRoutes);
+
+const buildParcel = status => new Shipment({
+  order: new mongoose.Types.ObjectId(),
+  merchant: new mongoose.Types.ObjectId(),
+  sequence: 1,
+  labelBarcode: 'TRK2610190000011P01',
+  weight: 1,
+  status
+});
+
+describe('PATCH /api/shipments/:id/status', () => {
+  const driverId = new mongoose.Types.ObjectId().toString();
+  let parcel;
+
+  beforeEach(() => {
+    jest.spyOn(Shipment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Shipment, 'findById').mockImplementation(async () => parcel);
+    jest.spyOn(Order, 'findById').mockReturnValue(mockQuery({ assignedDriver: driverId }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('requires a driver or admin token', async () => {
+    parcel = buildParcel('created');
+
+    await request(app).patch(`/api/shipments/${parcel._id}/status`).send({ status: 'picked_up' }).expect(401);
+    await request(app)
+      .patch(`/api/shipments/${parcel._id}/status`)
+      .set('Authorization', authHeader('merchant'))
+      .send({ status: 'picked_up' })
+      .expect(403);
+  });
+
+  test('records an allowed scan', async () => {
+    parcel = buildParcel('created');
+
+    const response = await request(app)
+      .patch(`/api/shipments/${parcel._id}/status`)
+      .set('Authorization', authHeader('driver', driverId))
+      .send({ status: 'picked_up', notes: 'Collected' })
+      .expect(200);
+
+    expect(response.body.shipment.status).toBe('picked_up');
+    expect(parcel.scanHistory[parcel.scanHistory.length - 1].notes).toBe('Collected');
+  });
+
+  test('rejects a scan the parcel cannot move to with the lifecycle body', async () => {
+    parcel = buildParcel('delivered');
+
+    const response = await request(app)
+      .patch(`/api/shipments/${parcel._id}/status`)
+      .set('Authorization', authHeader('driver', driverId))
+      .send({ status: 'out_for_delivery' })
+      .expect(409);
+
+    expect(response.body).toEqual({
+      error: 'Cannot change parcel status from delivered to out_for_delivery',
+      code: 'ILLEGAL_TRANSITION',
+      currentStatus: 'delivered',
+      requestedStatus: 'out_for_delivery',
+      allowedTransitions: ['returned']
+    });
+    expect(Shipment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('refuses a driver the parcel\'s order is not assigned to', async () => {
+    parcel = buildParcel('created');
+
+    const response = await request(app)
+      .patch(`/api/shipments/${parcel._id}/status`)
+      .set('Authorization', authHeader('driver'))
+      .send({ status: 'picked_up' })
+      .expect(403);
+
+    expect(response.body.error).toBe('You are not assigned to this order');
+    expect(Shipment.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/shipments/:id', () => {
+  const merchantId = new mongoose.Types.ObjectId().toString();
+  let parcel;
+
+  beforeEach(() => {
+    parcel = buildParcel('created');
+    jest.spyOn(Shipment.prototype, 'save').mockImplementation(function() {
+      return this.validate().then(() => this);
+    });
+    jest.spyOn(Shipment, 'findById').mockImplementation(async () => parcel);
+    jest.spyOn(Order, 'findById').mockReturnValue(mockQuery({ merchant: merchantId }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers 400 when the parcel fails validation', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .put(`/api/shipments/${parcel._id}`)
+      .set('Authorization', authHeader('merchant', merchantId))
+      .send({ weight: 0 })
+      .expect(400);
+
+    expect(response.body.error).toMatch('Weight must be at least 0.01 kg');
+  });
+});
@@ -1,8 +1,96 @@
 const express = require('express');
 const router = express.Router();
+const storeWebhookService = require('../services/storeWebhookService');
+const { OrderTransitionError } = require('../services/orderLifecycle');
+const { idempotency } = require('../middleware/idempotency');
+
+// Providers retry deliveries; the event ID doubles as the key when no Idempotency-Key header is sent.
+// Webhooks only keep successful answers, so a delivery that failed is processed again on retry
+const paymentIdempotency = idempotency({
+  scope: 'webhooks:payment',
+  successOnly: true,
+  key: req => {
+    const eventId = req.body && (req.body.id || req.body.eventId);
+    return req.get('Idempotency-Key') || (eventId && String(eventId));
+  },
+  owner: () => 'payment-provider'
+});
+
+// Reject store webhooks from unlinked stores or not signed with the store's own secret
+const verifyStoreWebhook = platform => async (req, res, next) => {
+  req.storeWebhook = storeWebhookService.readHeaders(platform, name => req.get(name));
+
+  // WooCommerce sends an unsigned ping with only the webhook ID when a webhook is saved
+  if (platform === 'woocommerce' && !req.storeWebhook.topic && req.body && req.body.webhook_id) {
+    return res.json({ success: true, message: 'Webhook ping received' });
+  }
+
+  if (!req.storeWebhook.topic || !req.storeWebhook.domain) {
+    return res.status(400).json({ error: 'Webhook topic and store headers are required' });
+  }
+
+  try {
+    req.storeLink = await storeWebhookService.authenticate(platform, req.storeWebhook, req.rawBody);
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`${platform} webhook verification error:`, error);
+    }
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to verify webhook'
+    });
+  }
+  next();
+};
+
+// Redelivered webhooks carry the same delivery ID and get the original answer once one succeeded
+const storeIdempotency = platform => idempotency({
+  scope: `webhooks:${platform}`,
+  successOnly: true,
+  key: req => req.storeWebhook.deliveryId,
+  owner: req => `${platform}:${req.storeLink.store.domain}`
+});
+
+const handleStoreWebhook = platform => async (req, res) => {
+  try {
+    const { result, order, message } = await storeWebhookService.process(platform, req.storeWebhook, req.body, req.storeLink);
+
+    res.status(result === 'created' ? 201 : 200).json({
+      success: true,
+      result,
+      message,
+      order: order ? {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        trackingNumber: order.tracking.trackingNumber
+      } : undefined
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    if (!error.statusCode) {
+      console.error(`${platform} webhook error:`, error);
+    }
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to process webhook',
+      quote: error.quote
+    });
+  }
+};
+
+// @route   POST /api/webhooks/shopify
+// @desc    Shopify orders/create, orders/updated and orders/cancelled for linked stores
+// @access  Public (HMAC signed)
+router.post('/shopify', verifyStoreWebhook('shopify'), storeIdempotency('shopify'), handleStoreWebhook('shopify'));
+
+// @route   POST /api/webhooks/woocommerce
+// @desc    WooCommerce order.created, order.updated and order.deleted for linked stores
+// @access  Public (HMAC signed)
+router.post('/woocommerce', verifyStoreWebhook('woocommerce'), storeIdempotency('woocommerce'), handleStoreWebhook('woocommerce'));
 
 // Example webhook endpoint
-router.post('/payment', (req, res) => {
+router.post('/payment', paymentIdempotency, (req, res) => {
   console.log('Received payment webhook:', req.body);
   res.status(200).json({ success: true, message: 'Webhook received' });
 });
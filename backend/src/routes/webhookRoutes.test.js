@@ -0,0 +1,243 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const Hub = require('../models/Hub');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const pricingService = require('../services/pricingService');
+const zoneService = require('../services/zoneService');
+const WebhookReplayer = require('../../scripts/replayWebhooks');
+const webhookRoutes = require('./webhookRoutes');
+const { buildApp, mockQuery } = require('../../test/helpers');
+
+const FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'webhooks');
+const fixture = (platform, name) => path.join(FIXTURES, platform, `${name}.json`);
+
+const app = buildApp('/api/webhooks', webhookRoutes);
+
+// In-memory stand-ins for the collections a webhook touches
+const matches = filter => doc => Object.entries(filter).every(([field, expected]) => {
+  const value = doc.get(field);
+  if (expected && expected.$in) return expected.$in.includes(value);
+  if (expected === null) return value === undefined || value === null;
+  return String(value) === String(expected);
+});
+
+const keyOf = ({ key, scope, owner }) => `${scope}|${owner}|${key}`;
+
+describe('store webhooks', () => {
+  let merchant;
+  let orders;
+  let keys;
+
+  const replay = (platform, name, options = {}) => {
+    const store = merchant.findStore(platform, options.domain || require(fixture(platform, name)).domain);
+    const replayer = new WebhookReplayer({ secret: store && store.webhookSecret, ...options });
+    const signed = replayer.buildRequest(platform, fixture(platform, name));
+    return request(app).post(signed.path).set(signed.headers).send(signed.body);
+  };
+
+  beforeEach(() => {
+    merchant = new Merchant({
+      user: new mongoose.Types.ObjectId(),
+      businessName: 'Nile Goods',
+      status: 'approved',
+      pickupLocations: [{ label: 'Warehouse', street: '1 Port Rd', city: 'Alexandria', coordinates: [29.9, 31.2] }],
+      stores: [
+        { platform: 'shopify', domain: 'demo-store.myshopify.com' },
+        { platform: 'woocommerce', domain: 'shop.example.com' },
+        { platform: 'woocommerce', domain: 'outlet.example.com' }
+      ]
+    });
+    jest.spyOn(Merchant, 'findByStore').mockImplementation((platform, domain) => {
+      return mockQuery(merchant.findStore(platform, domain) ? merchant : null);
+    });
+
+    orders = [];
+    jest.spyOn(Order, 'find').mockImplementation(filter => mockQuery(orders.filter(matches(filter))));
+    jest.spyOn(Order, 'findById').mockImplementation(async id => orders.find(order => order._id.equals(id)));
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      if (!orders.includes(this)) {
+        this.orderNumber = `ORD2610190000${orders.length + 1}`;
+        orders.push(this);
+      }
+      return this;
+    });
+    jest.spyOn(zoneService, 'applyToOrder').mockResolvedValue();
+    jest.spyOn(pricingService, 'applyToOrder').mockImplementation(async order => {
+      order.pricing.shippingCost = 45;
+      order.pricing.total = 45;
+    });
+
+    keys = new Map();
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async doc => {
+      if (keys.has(keyOf(doc))) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      keys.set(keyOf(doc), {
+        ...doc,
+        status: 'processing',
+        lockedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async filter => keys.get(keyOf(filter)) || null);
+    jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.assign(keys.get(keyOf(filter)), update);
+    });
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async filter => {
+      keys.delete(keyOf(filter));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Shopify', () => {
+    test('creates, updates and cancels the order for a store order', async () => {
+      const created = await replay('shopify', '01-orders-create-cod').expect(201);
+
+      expect(created.body).toMatchObject({ result: 'created', order: { orderNumber: 'ORD26101900001' } });
+      const [order] = orders;
+      expect(order.metadata).toMatchObject({
+        source: 'shopify',
+        sourceStore: 'demo-store.myshopify.com',
+        sourceOrderId: '5512345678901'
+      });
+      expect(order.customerInfo.address.street).toBe('15 Road 9 Apartment 4');
+      expect(order.payment.method).toBe('cod');
+
+      const updated = await replay('shopify', '02-orders-updated-address').expect(200);
+      expect(updated.body.result).toBe('updated');
+      expect(order.customerInfo.address.street).toBe('22 Road 233 Floor 3');
+
+      const cancelled = await replay('shopify', '03-orders-cancelled').expect(200);
+      expect(cancelled.body.result).toBe('cancelled');
+      expect(order.status).toBe('cancelled');
+      expect(orders).toHaveLength(1);
+    });
+
+    test('answers a redelivery from the stored response without processing it again', async () => {
+      await replay('shopify', '01-orders-create-cod').expect(201);
+
+      const again = await replay('shopify', '01-orders-create-cod').expect(201);
+
+      expect(again.headers['idempotent-replayed']).toBe('true');
+      expect(again.body.result).toBe('created');
+      expect(Order.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports a new delivery of an order already created as a duplicate', async () => {
+      await replay('shopify', '01-orders-create-cod').expect(201);
+
+      const again = await replay('shopify', '01-orders-create-cod', { fresh: true }).expect(200);
+
+      expect(again.body.result).toBe('duplicate');
+      expect(orders).toHaveLength(1);
+    });
+  });
+
+  describe('WooCommerce', () => {
+    test('creates the order and cancels it when the store cancels', async () => {
+      await replay('woocommerce', '01-order-created-cod').expect(201);
+      const cancelled = await replay('woocommerce', '02-order-updated-cancelled').expect(200);
+
+      expect(cancelled.body.result).toBe('cancelled');
+      expect(orders[0].status).toBe('cancelled');
+    });
+
+    test('keeps orders with the same number from two linked stores apart', async () => {
+      await replay('woocommerce', '01-order-created-cod').expect(201);
+      const outlet = await replay('woocommerce', '01-order-created-cod', { domain: 'outlet.example.com' }).expect(201);
+
+      expect(outlet.body.result).toBe('created');
+      expect(orders.map(order => order.metadata.sourceStore)).toEqual(['shop.example.com', 'outlet.example.com']);
+
+      await replay('woocommerce', '02-order-updated-cancelled', { domain: 'outlet.example.com' }).expect(200);
+      expect(orders.map(order => order.status)).toEqual(['pending', 'cancelled']);
+    });
+
+    test('prices an order without delivery coordinates from the hub rate card and flags it', async () => {
+      pricingService.applyToOrder.mockRestore();
+      jest.spyOn(Hub, 'findNearestHub').mockReturnValue(mockQuery({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Alexandria Hub',
+        code: 'HUBA0001',
+        pricing: { toObject: () => ({ baseRate: 30, perKmRate: 3, expressMultiplier: 1.5, sameDay: 50 }) }
+      }));
+
+      const created = await replay('woocommerce', '01-order-created-cod').expect(201);
+
+      expect(created.body.result).toBe('created');
+      const [order] = orders;
+      expect(order.customerInfo.address.coordinates).toBeUndefined();
+      expect(order.pricing.breakdown.map(line => line.code)).toEqual(['base']);
+      expect(order.pricing.shippingCost).toBe(30);
+      expect(order.pricing.taxes).toBeCloseTo(30 * 0.14, 2);
+      expect(order.pricing.distanceKm).toBeNull();
+      expect(order.pricing.needsReview).toBe(true);
+    });
+  });
+
+  describe('verification', () => {
+    test('rejects a request not signed with the store\'s own secret', async () => {
+      // Signed with the outlet's secret while naming the main shop
+      const signed = new WebhookReplayer({ secret: merchant.stores[2].webhookSecret })
+        .buildRequest('woocommerce', fixture('woocommerce', '01-order-created-cod'));
+
+      const response = await request(app).post(signed.path).set(signed.headers).send(signed.body).expect(401);
+
+      expect(response.body.error).toBe('Invalid webhook signature');
+      expect(orders).toHaveLength(0);
+      expect(IdempotencyKey.create).not.toHaveBeenCalled();
+    });
+
+    test('accepts a request signed with the platform secret from the environment', async () => {
+      process.env.WOOCOMMERCE_WEBHOOK_SECRET = 'w'.repeat(32);
+      try {
+        await replay('woocommerce', '01-order-created-cod', { secret: process.env.WOOCOMMERCE_WEBHOOK_SECRET })
+          .expect(201);
+        // Each platform's secret only signs that platform's webhooks
+        await replay('shopify', '01-orders-create-cod', { secret: process.env.WOOCOMMERCE_WEBHOOK_SECRET })
+          .expect(401);
+      } finally {
+        delete process.env.WOOCOMMERCE_WEBHOOK_SECRET;
+      }
+
+      expect(orders).toHaveLength(1);
+    });
+
+    test('rejects a body changed after signing', async () => {
+      const store = merchant.findStore('shopify', 'demo-store.myshopify.com');
+      const signed = new WebhookReplayer({ secret: store.webhookSecret })
+        .buildRequest('shopify', fixture('shopify', '01-orders-create-cod'));
+
+      await request(app)
+        .post(signed.path)
+        .set(signed.headers)
+        .send(signed.body.replace('15 Road 9', '99 Road 9'))
+        .expect(401);
+    });
+
+    test('refuses stores that are not linked', async () => {
+      const response = await replay('woocommerce', '01-order-created-cod', { secret: 'x'.repeat(32), domain: 'elsewhere.example.com' })
+        .expect(404);
+
+      expect(response.body.error).toBe('WooCommerce store elsewhere.example.com is not linked to a merchant account');
+    });
+
+    test('processes a redelivery again once an earlier failure is fixed', async () => {
+      merchant.status = 'pending';
+      const refused = await replay('shopify', '01-orders-create-cod').expect(403);
+      expect(refused.body.error).toBe('Merchant account is pending');
+
+      merchant.status = 'approved';
+      const retried = await replay('shopify', '01-orders-create-cod').expect(201);
+
+      expect(retried.headers['idempotent-replayed']).toBeUndefined();
+      expect(retried.body.result).toBe('created');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const ServiceZone = require('../models/ServiceZone');
+const Driver = require('../models/Driver');
+const zoneService = require('../services/zoneService');
+const { validateGeometry, toGeometry } = require('../services/geometry');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   POST /api/zones/import
+// @desc    Upload zones as a GeoJSON FeatureCollection (?hubId= to link them to a hub, &replace=true to deactivate its other zones)
+// @access  Private (Admin)
+router.post('/import', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { hubId, replace } = req.query;
+
+    const result = await zoneService.importZones(req.body, {
+      hubId,
+      replace: replace === 'true',
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${result.created} zones created, ${result.updated} updated, ${result.deactivated} deactivated`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Zone import error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to import zones',
+      details: error.details
+    });
+  }
+});
+
+// @route   GET /api/zones
+// @desc    List service zones (?hubId=&status=)
+// @access  Private (Admin/Dispatcher/Hub Manager)
+router.get('/', authenticate, authorize('admin', 'dispatcher', 'hub_manager'), async (req, res) => {
+  try {
+    const { hubId, status } = req.query;
+
+    const query = {};
+    if (hubId) query.hub = hubId;
+    if (status) query.status = status;
+
+    const zones = await ServiceZone.find(query)
+      .populate('hub', 'name code')
+      .sort({ code: 1 });
+
+    res.json({
+      success: true,
+      zones
+    });
+  } catch (error) {
+    console.error('Zones fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch zones' });
+  }
+});
+
+// @route   GET /api/zones/lookup
+// @desc    Zone and serving hub for a point (?lng=&lat=)
+// @access  Private
+router.get('/lookup', authenticate, async (req, res) => {
+  try {
+    const coordinates = [parseFloat(req.query.lng), parseFloat(req.query.lat)];
+    if (!coordinates.every(Number.isFinite)) {
+      return res.status(400).json({ error: 'lng and lat are required' });
+    }
+
+    const [zone, match] = await Promise.all([
+      zoneService.findZone(coordinates),
+      zoneService.resolveHub(coordinates)
+    ]);
+
+    res.json({
+      success: true,
+      serviceable: !!match,
+      zone: zone ? { _id: zone._id, name: zone.name, code: zone.code, surcharge: zone.pricing.surcharge } : null,
+      hub: match ? { _id: match.hub._id, name: match.hub.name, code: match.hub.code } : null
+    });
+  } catch (error) {
+    console.error('Zone lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up zone' });
+  }
+});
+
+// @route   GET /api/zones/:id
+// @desc    Get zone by ID
+// @access  Private (Admin/Dispatcher/Hub Manager)
+router.get('/:id', authenticate, authorize('admin', 'dispatcher', 'hub_manager'), async (req, res) => {
+  try {
+    const zone = await ServiceZone.findById(req.params.id).populate('hub', 'name code');
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    res.json({
+      success: true,
+      zone
+    });
+  } catch (error) {
+    console.error('Zone fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch zone' });
+  }
+});
+
+// @route   PUT /api/zones/:id
+// @desc    Update zone details, hub link, surcharge or shape (geometry as GeoJSON geometry or Feature)
+// @access  Private (Admin)
+router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const zone = await ServiceZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    const { name, description, status, hub, pricing, geometry } = req.body;
+    if (name !== undefined) zone.name = name;
+    if (description !== undefined) zone.description = description;
+    if (status !== undefined) zone.status = status;
+    if (hub !== undefined) zone.hub = hub || undefined;
+    if (pricing && pricing.surcharge !== undefined) zone.pricing.surcharge = pricing.surcharge;
+
+    if (geometry !== undefined) {
+      const shape = toGeometry(geometry);
+      const problem = validateGeometry(shape);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      zone.geometry = { type: shape.type, coordinates: shape.coordinates };
+    }
+
+    await zone.save();
+
+    res.json({
+      success: true,
+      message: 'Zone updated successfully',
+      zone
+    });
+  } catch (error) {
+    console.error('Zone update error:', error);
+    if (error.name === 'ValidationError' || error.code === 16755) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update zone' });
+  }
+});
+
+// @route   DELETE /api/zones/:id
+// @desc    Delete a zone and remove it from driver working zones
+// @access  Private (Admin)
+router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const zone = await ServiceZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    await Driver.updateMany({ workingZones: zone._id }, { $pull: { workingZones: zone._id } });
+
+    res.json({
+      success: true,
+      message: 'Zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Zone deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete zone' });
+  }
+});
+
+module.exports = router;
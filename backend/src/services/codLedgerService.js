@@ -0,0 +1,442 @@
+const mongoose = require('mongoose');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Remittance = require('../models/Remittance');
+const HubReconciliation = require('../models/HubReconciliation');
+const Merchant = require('../models/Merchant');
+const Order = require('../models/Order');
+
+const round = value => Math.round(value * 100) / 100;
+
+const toObjectId = id => new mongoose.Types.ObjectId(id);
+
+const ledgerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class CodLedgerService {
+  /**
+   * Post the collection for a delivered COD order that is missing from the ledger
+   * @param {Object} order - Order document
+   * @param {string} userId - User posting
+   * @returns {Promise<Object>} Ledger transaction
+   */
+  async recordCollection(order, userId = null) {
+    if (order.status !== 'delivered' || order.payment.method !== 'cod') {
+      throw ledgerError('Only delivered cash-on-delivery orders can be collected');
+    }
+
+    const transaction = await LedgerTransaction.recordCodCollection(order, userId);
+    order.payment.collection = {
+      driver: order.assignedDriver,
+      collectedAt: transaction.createdAt,
+      ledgerTransaction: transaction._id
+    };
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'payment.collection': order.payment.collection } }
+    );
+
+    return transaction;
+  }
+
+  /**
+   * Query for delivered COD orders whose collection is not in the ledger yet
+   */
+  unpostedQuery() {
+    return {
+      status: 'delivered',
+      'payment.method': 'cod',
+      'payment.codAmount': { $gt: 0 },
+      'payment.collection.ledgerTransaction': { $exists: false }
+    };
+  }
+
+  /**
+   * Post the collections missing from the ledger. Deliveries post their collection
+   * after saving and only log a failure, so this is how those are retried.
+   * @param {Object} options - { userId, limit }
+   * @returns {Promise<Object>} { posted, failed: [{ order, orderNumber, error }] }
+   */
+  async postMissingCollections({ userId = null, limit = 100 } = {}) {
+    const orders = await Order.find(this.unpostedQuery())
+      .sort({ 'tracking.actualDeliveryTime': 1 })
+      .limit(limit);
+
+    const result = { posted: 0, failed: [] };
+    for (const order of orders) {
+      try {
+        await this.recordCollection(order, userId);
+        result.posted++;
+      } catch (error) {
+        result.failed.push({ order: order._id, orderNumber: order.orderNumber, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Cash currently held by drivers
+   * @param {string} driverId - Limit to one driver (optional)
+   * @returns {Promise<Array>} [{ driver, balance, lastActivity }]
+   */
+  async getDriverCustody(driverId = null) {
+    const match = driverId ? { driver: toObjectId(driverId) } : {};
+    const balances = await LedgerTransaction.getBalances('driver_cash', 'driver', match);
+
+    return balances
+      .filter(row => driverId || row.balance !== 0)
+      .map(row => ({
+        driver: row._id,
+        collected: round(row.debit),
+        handedOver: round(row.credit),
+        balance: row.balance,
+        lastActivity: row.lastActivity
+      }));
+  }
+
+  /**
+   * Record cash a driver hands over at a hub. The reference names the driver's last
+   * posting the custody was read at, so two handovers checked against the same
+   * balance collide on the unique reference and only one is posted.
+   * @param {Object} options - { driverId, hubId, amount, notes, userId }
+   * @returns {Promise<Object>} Ledger transaction
+   */
+  async recordHandover({ driverId, hubId, amount, notes, userId }) {
+    amount = round(Number(amount));
+    if (!(amount > 0)) {
+      throw ledgerError('Handover amount must be greater than zero');
+    }
+
+    const [custody] = await LedgerTransaction.getBalances('driver_cash', null, { driver: toObjectId(driverId) });
+    const balance = custody ? custody.balance : 0;
+    if (amount > balance) {
+      throw ledgerError(`Driver only holds ${balance} in cash`);
+    }
+
+    try {
+      return await LedgerTransaction.create({
+        type: 'cash_handover',
+        reference: `cash_handover:${driverId}:${new Date(custody.lastActivity).getTime()}`,
+        description: notes || 'Driver cash handover',
+        entries: [
+          { account: 'hub_cash', hub: hubId, debit: amount },
+          { account: 'driver_cash', driver: driverId, credit: amount }
+        ],
+        postedBy: userId
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw ledgerError('The driver\'s cash changed while recording the handover, please check the balance and try again', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Close a hub's business day: compare counted cash with the ledger and post any
+   * variance and bank deposit
+   * @param {Object} options - { hubId, date, countedAmount, depositedAmount, notes, userId }
+   * @returns {Promise<Object>} Hub reconciliation
+   */
+  async reconcileHub({ hubId, date, countedAmount, depositedAmount = 0, notes, userId }) {
+    countedAmount = round(Number(countedAmount));
+    depositedAmount = round(Number(depositedAmount) || 0);
+
+    if (Number.isNaN(countedAmount) || countedAmount < 0) {
+      throw ledgerError('Counted amount must be zero or more');
+    }
+    if (depositedAmount < 0 || depositedAmount > countedAmount) {
+      throw ledgerError('Deposited amount cannot exceed the counted cash');
+    }
+
+    const businessDate = new Date(date || Date.now());
+    businessDate.setHours(0, 0, 0, 0);
+    const nextDay = new Date(businessDate);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const existing = await HubReconciliation.findOne({ hub: hubId, businessDate });
+    if (existing) {
+      throw ledgerError('This business day has already been reconciled for the hub', 409);
+    }
+
+    const hubObjectId = toObjectId(hubId);
+    const [expectedAmount, handovers] = await Promise.all([
+      LedgerTransaction.getBalance('hub_cash', { hub: hubObjectId }),
+      LedgerTransaction.aggregate([
+        { $match: { type: 'cash_handover', createdAt: { $gte: businessDate, $lt: nextDay } } },
+        { $unwind: '$entries' },
+        { $match: { 'entries.account': 'hub_cash', 'entries.hub': hubObjectId } },
+        { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$entries.debit' } } }
+      ])
+    ]);
+
+    const reconciliation = new HubReconciliation({
+      hub: hubId,
+      businessDate,
+      handovers: {
+        count: handovers[0] ? handovers[0].count : 0,
+        amount: handovers[0] ? round(handovers[0].amount) : 0
+      },
+      expectedAmount,
+      countedAmount,
+      variance: round(countedAmount - expectedAmount),
+      depositedAmount,
+      notes,
+      reconciledBy: userId
+    });
+
+    // Claim the day before posting; a concurrent reconciliation loses on the unique index
+    try {
+      await reconciliation.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw ledgerError('This business day has already been reconciled for the hub', 409);
+      }
+      throw error;
+    }
+
+    try {
+      await this.postReconciliation(reconciliation, userId);
+    } catch (error) {
+      // Undo the day so the reconciliation can simply be submitted again
+      await LedgerTransaction.deleteMany({ reconciliation: reconciliation._id });
+      await HubReconciliation.deleteOne({ _id: reconciliation._id });
+      throw error;
+    }
+
+    return reconciliation;
+  }
+
+  /**
+   * Post the variance and bank deposit of a saved reconciliation and link them to it
+   * @param {Object} reconciliation - Hub reconciliation document
+   * @param {string} userId - User reconciling
+   * @returns {Promise<Object>} Hub reconciliation
+   */
+  async postReconciliation(reconciliation, userId) {
+    const hubId = reconciliation.hub;
+    const depositedAmount = reconciliation.depositedAmount;
+    const reference = `${hubId}:${reconciliation.businessDate.toISOString().slice(0, 10)}`;
+
+    // Shortage is written off to cash_variance, an overage is taken into hub cash
+    if (reconciliation.variance !== 0) {
+      const amount = Math.abs(reconciliation.variance);
+      const shortage = reconciliation.variance < 0;
+      const transaction = await LedgerTransaction.record({
+        type: 'cash_variance',
+        reference: `cash_variance:${reference}`,
+        description: shortage ? 'Hub cash shortage' : 'Hub cash overage',
+        entries: shortage
+          ? [
+            { account: 'cash_variance', debit: amount },
+            { account: 'hub_cash', hub: hubId, credit: amount }
+          ]
+          : [
+            { account: 'hub_cash', hub: hubId, debit: amount },
+            { account: 'cash_variance', credit: amount }
+          ],
+        reconciliation: reconciliation._id,
+        postedBy: userId
+      });
+      reconciliation.ledgerTransactions.push(transaction._id);
+    }
+
+    if (depositedAmount > 0) {
+      const transaction = await LedgerTransaction.record({
+        type: 'bank_deposit',
+        reference: `bank_deposit:${reference}`,
+        description: 'Hub cash deposited to bank',
+        entries: [
+          { account: 'bank', debit: depositedAmount },
+          { account: 'hub_cash', hub: hubId, credit: depositedAmount }
+        ],
+        reconciliation: reconciliation._id,
+        postedBy: userId
+      });
+      reconciliation.ledgerTransactions.push(transaction._id);
+    }
+
+    await reconciliation.save();
+    return reconciliation;
+  }
+
+  /**
+   * What we owe a merchant, and how much of it is not on a statement yet
+   * @param {string} merchantId - Merchant user ID
+   * @returns {Promise<Object>} { payable, unbilled }
+   */
+  async getMerchantBalance(merchantId) {
+    const [balance, unbilled] = await Promise.all([
+      LedgerTransaction.getBalance('merchant_payable', { merchant: toObjectId(merchantId) }),
+      Order.countDocuments(this.unbilledQuery(merchantId))
+    ]);
+
+    // merchant_payable is a liability, so a credit balance is money owed to the merchant
+    return {
+      payable: round(-balance),
+      unbilledOrders: unbilled
+    };
+  }
+
+  /**
+   * Query for collected COD orders not yet on a remittance statement
+   */
+  unbilledQuery(merchantId, from = null, to = null) {
+    const query = {
+      merchant: merchantId,
+      status: 'delivered',
+      'payment.method': 'cod',
+      'payment.collection.ledgerTransaction': { $exists: true },
+      'payment.remittance': { $exists: false }
+    };
+
+    if (from || to) {
+      query['payment.collection.collectedAt'] = {};
+      if (from) query['payment.collection.collectedAt'].$gte = new Date(from);
+      if (to) query['payment.collection.collectedAt'].$lte = new Date(to);
+    }
+
+    return query;
+  }
+
+  /**
+   * Generate a remittance statement from collected, unbilled COD orders
+   * @param {Object} options - { merchantId, from, to, userId }
+   * @returns {Promise<Object>} Remittance
+   */
+  async generateRemittance({ merchantId, from, to, userId }) {
+    const orders = await Order.find(this.unbilledQuery(merchantId, from, to))
+      .select('orderNumber tracking.trackingNumber tracking.actualDeliveryTime pricing payment')
+      .sort({ 'payment.collection.collectedAt': 1 });
+
+    if (orders.length === 0) {
+      throw ledgerError('No collected orders to remit for this period', 404);
+    }
+
+    const lines = orders.map(order => {
+      const codAmount = round(order.payment.codAmount || 0);
+      const fees = round((order.pricing.shippingCost || 0) + (order.pricing.fees || 0) + (order.pricing.taxes || 0));
+      return {
+        order: order._id,
+        orderNumber: order.orderNumber,
+        trackingNumber: order.tracking.trackingNumber,
+        deliveredAt: order.tracking.actualDeliveryTime,
+        codAmount,
+        fees,
+        net: round(codAmount - fees)
+      };
+    });
+
+    const merchantProfile = await Merchant.findByUser(merchantId);
+    const settlement = merchantProfile ? merchantProfile.settlement : {};
+
+    const remittance = new Remittance({
+      merchant: merchantId,
+      period: {
+        from: from ? new Date(from) : orders[0].payment.collection.collectedAt,
+        to: to ? new Date(to) : orders[orders.length - 1].payment.collection.collectedAt
+      },
+      lines,
+      totals: {
+        orders: lines.length,
+        codCollected: round(lines.reduce((sum, line) => sum + line.codAmount, 0)),
+        fees: round(lines.reduce((sum, line) => sum + line.fees, 0)),
+        net: round(lines.reduce((sum, line) => sum + line.net, 0))
+      },
+      currency: orders[0].pricing.currency,
+      payee: {
+        bankName: settlement.bankName,
+        accountName: settlement.accountName,
+        accountNumber: settlement.accountNumber,
+        iban: settlement.iban
+      },
+      createdBy: userId
+    });
+
+    // Nothing is claimed for a statement that would not save
+    await remittance.validate();
+
+    // Claim the orders; anything picked up by a concurrent statement is dropped
+    const release = () => Order.updateMany(
+      { 'payment.remittance': remittance._id },
+      { $unset: { 'payment.remittance': 1 } }
+    );
+    const claimed = await Order.updateMany(
+      { _id: { $in: lines.map(line => line.order) }, 'payment.remittance': { $exists: false } },
+      { $set: { 'payment.remittance': remittance._id } }
+    );
+    if (claimed.modifiedCount !== lines.length) {
+      await release();
+      throw ledgerError('Orders changed while generating the statement, please retry', 409);
+    }
+
+    try {
+      await remittance.save();
+    } catch (error) {
+      await release();
+      throw error;
+    }
+    return remittance;
+  }
+
+  /**
+   * Approve a pending remittance for payment
+   * @param {Object} remittance - Remittance document
+   * @param {string} userId - Approving admin
+   * @param {string} notes - Approval notes
+   * @returns {Promise<Object>} Remittance
+   */
+  async approveRemittance(remittance, userId, notes) {
+    if (remittance.status !== 'pending') {
+      throw ledgerError(`Cannot approve a remittance with status: ${remittance.status}`);
+    }
+
+    remittance.status = 'approved';
+    remittance.approval = { approvedBy: userId, approvedAt: new Date(), notes };
+    await remittance.save();
+    return remittance;
+  }
+
+  /**
+   * Mark an approved remittance as paid and post the payout
+   * @param {Object} remittance - Remittance document
+   * @param {Object} options - { userId, reference }
+   * @returns {Promise<Object>} Remittance
+   */
+  async payRemittance(remittance, { userId, reference }) {
+    if (remittance.status !== 'approved') {
+      throw ledgerError(`Cannot pay a remittance with status: ${remittance.status}`);
+    }
+
+    if (remittance.totals.net <= 0) {
+      throw ledgerError('Remittance has no amount payable to the merchant');
+    }
+
+    const transaction = await LedgerTransaction.record({
+      type: 'merchant_payout',
+      reference: `merchant_payout:${remittance._id}`,
+      description: `Remittance ${remittance.remittanceNumber}`,
+      currency: remittance.currency,
+      entries: [
+        { account: 'merchant_payable', merchant: remittance.merchant, debit: remittance.totals.net },
+        { account: 'bank', credit: remittance.totals.net }
+      ],
+      remittance: remittance._id,
+      postedBy: userId
+    });
+
+    remittance.status = 'paid';
+    remittance.payment = {
+      paidBy: userId,
+      paidAt: new Date(),
+      reference,
+      ledgerTransaction: transaction._id
+    };
+    await remittance.save();
+    return remittance;
+  }
+}
+
+module.exports = new CodLedgerService();
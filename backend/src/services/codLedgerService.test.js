@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const Remittance = require('../models/Remittance');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const HubReconciliation = require('../models/HubReconciliation');
+const codLedgerService = require('./codLedgerService');
+const { mockQuery } = require('../../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('codLedgerService.postMissingCollections', () => {
+  test('posts every unposted collection and reports the ones that fail', async () => {
+    const orders = [
+      { _id: id(), orderNumber: 'ORD1', status: 'delivered', payment: { method: 'cod' } },
+      { _id: id(), orderNumber: 'ORD2', status: 'delivered', payment: { method: 'cod' } }
+    ];
+    const find = jest.spyOn(Order, 'find').mockReturnValue(mockQuery(orders));
+    jest.spyOn(codLedgerService, 'recordCollection')
+      .mockResolvedValueOnce({ _id: id() })
+      .mockRejectedValueOnce(new Error('ledger unavailable'));
+
+    const result = await codLedgerService.postMissingCollections({ userId: 'admin' });
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'delivered',
+      'payment.collection.ledgerTransaction': { $exists: false }
+    }));
+    expect(result).toEqual({
+      posted: 1,
+      failed: [{ order: orders[1]._id, orderNumber: 'ORD2', error: 'ledger unavailable' }]
+    });
+  });
+});
+
+describe('codLedgerService.recordHandover', () => {
+  const driverId = id().toString();
+  const hubId = id().toString();
+  let references;
+
+  beforeEach(() => {
+    references = new Set();
+    jest.spyOn(LedgerTransaction, 'getBalances').mockResolvedValue([
+      { balance: 300, lastActivity: new Date('2026-10-19T09:00:00Z') }
+    ]);
+    // The unique index on reference
+    jest.spyOn(LedgerTransaction, 'create').mockImplementation(async data => {
+      if (references.has(data.reference)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      references.add(data.reference);
+      return { _id: id(), ...data };
+    });
+  });
+
+  test('moves the cash from the driver to the hub', async () => {
+    const transaction = await codLedgerService.recordHandover({ driverId, hubId, amount: 200, userId: 'staff-1' });
+
+    expect(transaction.entries).toEqual([
+      { account: 'hub_cash', hub: hubId, debit: 200 },
+      { account: 'driver_cash', driver: driverId, credit: 200 }
+    ]);
+  });
+
+  test('refuses more than the driver holds', async () => {
+    await expect(codLedgerService.recordHandover({ driverId, hubId, amount: 301 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Driver only holds 300 in cash' });
+    expect(LedgerTransaction.create).not.toHaveBeenCalled();
+  });
+
+  test('posts only one of two handovers checked against the same balance', async () => {
+    const results = await Promise.allSettled([
+      codLedgerService.recordHandover({ driverId, hubId, amount: 200 }),
+      codLedgerService.recordHandover({ driverId, hubId, amount: 200 })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.statusCode).toBe(409);
+    expect(references.size).toBe(1);
+  });
+});
+
+describe('codLedgerService.reconcileHub', () => {
+  const hubId = id().toString();
+
+  beforeEach(() => {
+    jest.spyOn(HubReconciliation, 'findOne').mockResolvedValue(null);
+    jest.spyOn(HubReconciliation, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(LedgerTransaction, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(LedgerTransaction, 'getBalance').mockResolvedValue(500);
+    jest.spyOn(LedgerTransaction, 'aggregate').mockResolvedValue([{ count: 2, amount: 500 }]);
+  });
+
+  test('saves the day before posting the variance and deposit', async () => {
+    const calls = [];
+    jest.spyOn(HubReconciliation.prototype, 'save').mockImplementation(function() {
+      calls.push('save');
+      return Promise.resolve(this);
+    });
+    jest.spyOn(LedgerTransaction, 'record').mockImplementation(async data => {
+      calls.push(data.type);
+      return { _id: id() };
+    });
+
+    const reconciliation = await codLedgerService.reconcileHub({
+      hubId, date: '2026-10-19', countedAmount: 480, depositedAmount: 400, userId: 'manager'
+    });
+
+    expect(calls).toEqual(['save', 'cash_variance', 'bank_deposit', 'save']);
+    expect(reconciliation.variance).toBe(-20);
+    expect(reconciliation.ledgerTransactions).toHaveLength(2);
+  });
+
+  test('removes the day and its postings when a posting fails so it can be resubmitted', async () => {
+    jest.spyOn(HubReconciliation.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(LedgerTransaction, 'record')
+      .mockResolvedValueOnce({ _id: id() })
+      .mockRejectedValueOnce(new Error('write conflict'));
+
+    await expect(codLedgerService.reconcileHub({
+      hubId, countedAmount: 480, depositedAmount: 400
+    })).rejects.toThrow('write conflict');
+
+    const [[{ _id: reconciliationId }]] = HubReconciliation.deleteOne.mock.calls;
+    expect(reconciliationId).toBeDefined();
+    expect(LedgerTransaction.deleteMany).toHaveBeenCalledWith({ reconciliation: reconciliationId });
+  });
+
+  test('answers 409 when a concurrent reconciliation took the day', async () => {
+    jest.spyOn(HubReconciliation.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    const record = jest.spyOn(LedgerTransaction, 'record');
+
+    await expect(codLedgerService.reconcileHub({ hubId, countedAmount: 480 })).rejects.toMatchObject({ statusCode: 409 });
+    expect(record).not.toHaveBeenCalled();
+  });
+});
+
+describe('codLedgerService.generateRemittance', () => {
+  const merchantId = id().toString();
+  const orders = [1, 2].map(n => ({
+    _id: id(),
+    orderNumber: `ORD${n}`,
+    tracking: { trackingNumber: `TRK${n}` },
+    pricing: { shippingCost: 30, taxes: 4.2, currency: 'EGP' },
+    payment: { codAmount: 200, collection: { collectedAt: new Date('2026-10-18') } }
+  }));
+
+  beforeEach(() => {
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery(orders));
+    jest.spyOn(Merchant, 'findByUser').mockResolvedValue(null);
+    jest.spyOn(Order, 'updateMany').mockResolvedValue({ modifiedCount: orders.length });
+  });
+
+  test('claims the orders and saves the statement', async () => {
+    jest.spyOn(Remittance.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const remittance = await codLedgerService.generateRemittance({ merchantId });
+
+    expect(remittance.totals).toMatchObject({ orders: 2, codCollected: 400, net: 331.6 });
+    expect(Order.updateMany).toHaveBeenCalledTimes(1);
+  });
+
+  test('claims nothing for a statement that would not save', async () => {
+    jest.spyOn(Remittance.prototype, 'validate').mockRejectedValue(new Error('Validation failed'));
+
+    await expect(codLedgerService.generateRemittance({ merchantId })).rejects.toThrow('Validation failed');
+    expect(Order.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('releases the orders when the statement fails to save', async () => {
+    jest.spyOn(Remittance.prototype, 'save').mockRejectedValue(new Error('disk full'));
+
+    await expect(codLedgerService.generateRemittance({ merchantId })).rejects.toThrow('disk full');
+
+    const [, release] = Order.updateMany.mock.calls;
+    expect(release[1]).toEqual({ $unset: { 'payment.remittance': 1 } });
+    expect(release[0]['payment.remittance']).toEqual(Order.updateMany.mock.calls[0][1].$set['payment.remittance']);
+  });
+
+  test('releases the orders when another statement claimed some of them', async () => {
+    Order.updateMany.mockResolvedValueOnce({ modifiedCount: 1 });
+    const save = jest.spyOn(Remittance.prototype, 'save');
+
+    await expect(codLedgerService.generateRemittance({ merchantId })).rejects.toMatchObject({ statusCode: 409 });
+    expect(Order.updateMany).toHaveBeenCalledTimes(2);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const Hub = require('../models/Hub');
+const zoneService = require('./zoneService');
+const slotService = require('./slotService');
+const sequenceService = require('./sequenceService');
+const notificationService = require('./notificationService');
+const { isPosition } = require('./geometry');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Statuses in which the customer may still change how the order is delivered
+const CHANGEABLE_STATUSES = ['pending', 'confirmed', 'pickup_scheduled', 'picked_up', 'in_transit', 'at_hub', 'failed_delivery'];
+
+const selfServiceError = (message, statusCode = 400, code, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+class CustomerSelfService {
+  constructor() {
+    this.codeLength = parseInt(process.env.TRACKING_CODE_LENGTH) || 6;
+    this.codeTtlMinutes = parseFloat(process.env.TRACKING_CODE_TTL_MINUTES) || 10;
+    this.resendSeconds = parseInt(process.env.TRACKING_CODE_RESEND_SECONDS) || 60;
+    this.maxAttempts = parseInt(process.env.TRACKING_ACCESS_MAX_ATTEMPTS) || 5;
+    this.lockMinutes = parseFloat(process.env.TRACKING_ACCESS_LOCK_MINUTES) || 30;
+    this.tokenExpiresIn = process.env.TRACKING_TOKEN_EXPIRES_IN || '30m';
+    this.maxDaysAhead = parseInt(process.env.RESCHEDULE_MAX_DAYS) || 14;
+    this.secret = process.env.JWT_SECRET || 'tracking-access';
+  }
+
+  /**
+   * Order for a tracking number
+   * @param {string} trackingNumber
+   * @param {string} select - Extra fields to select
+   * @returns {Promise<Object>} Order document
+   */
+  async findOrder(trackingNumber, select) {
+    if (!sequenceService.isValidTrackingNumber(trackingNumber)) {
+      throw selfServiceError('Invalid tracking number', 400, 'INVALID_TRACKING_NUMBER');
+    }
+    const query = Order.findOne({ 'tracking.trackingNumber': String(trackingNumber).toUpperCase() });
+    if (select) query.select(select);
+    const order = await query;
+    if (!order) {
+      throw selfServiceError('Order not found', 404, 'NOT_FOUND');
+    }
+    return order;
+  }
+
+  hash(orderId, code) {
+    return crypto.createHmac('sha256', this.secret).update(`tracking:${orderId}:${code}`).digest('hex');
+  }
+
+  /**
+   * Text a one-time code to the phone on the order
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} { expiresAt }
+   */
+  async sendCode(order) {
+    const access = order.customerAccess || {};
+    const now = Date.now();
+    if (access.lockedUntil && access.lockedUntil > now) {
+      throw this.lockedError(access.lockedUntil);
+    }
+    if (access.sentAt && now - access.sentAt.getTime() < this.resendSeconds * 1000) {
+      const retryAfter = Math.ceil((access.sentAt.getTime() + this.resendSeconds * 1000 - now) / 1000);
+      throw selfServiceError(`Wait ${retryAfter} seconds before sending another code`, 429, 'CODE_RESEND_TOO_SOON', { retryAfter });
+    }
+
+    const code = crypto.randomInt(0, 10 ** this.codeLength).toString().padStart(this.codeLength, '0');
+    const expiresAt = new Date(now + this.codeTtlMinutes * 60 * 1000);
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'customerAccess.codeHash': this.hash(order._id, code),
+          'customerAccess.expiresAt': expiresAt,
+          'customerAccess.sentAt': new Date(now)
+        }
+      }
+    );
+
+    const result = await notificationService.sendNotification({
+      user: {
+        phone: order.customerInfo.phone,
+        firstName: order.customerInfo.name.split(' ')[0],
+        preferences: { notifications: { sms: true } }
+      },
+      channels: ['sms'],
+      template: 'tracking_access',
+      templateData: { orderNumber: order.orderNumber, code, minutes: this.codeTtlMinutes }
+    });
+    if (!result.success) {
+      console.error(`Tracking access code for ${order.orderNumber} could not be sent:`, result.error || result);
+    }
+
+    return { expiresAt };
+  }
+
+  lockedError(lockedUntil) {
+    const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    return selfServiceError('Too many failed checks; try again later', 429, 'ACCESS_LOCKED', { retryAfter });
+  }
+
+  /**
+   * Check the customer with the last 4 digits of the order's phone number or
+   * a texted code. Each check uses one of the allowed attempts; running out
+   * locks self-service on the order for a while.
+   * @param {Object} order - Order document
+   * @param {Object} proof - { phoneLast4 } or { code }
+   * @returns {Promise<Object>} { token, expiresIn }
+   */
+  async verify(order, { phoneLast4, code } = {}) {
+    if (!phoneLast4 && !code) {
+      throw selfServiceError('Provide phoneLast4 or code', 400, 'PROOF_REQUIRED');
+    }
+
+    const now = new Date();
+    // Reserve an attempt atomically so parallel guesses cannot exceed the limit
+    const reserved = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        'customerAccess.failedAttempts': { $not: { $gte: this.maxAttempts } },
+        $or: [{ 'customerAccess.lockedUntil': null }, { 'customerAccess.lockedUntil': { $lte: now } }]
+      },
+      { $inc: { 'customerAccess.failedAttempts': 1 } },
+      { new: true }
+    ).select('+customerAccess.codeHash');
+
+    if (!reserved) {
+      const current = await Order.findById(order._id).select('customerAccess.lockedUntil');
+      const lockedUntil = current && current.customerAccess.lockedUntil;
+      throw this.lockedError(lockedUntil || new Date(now.getTime() + this.lockMinutes * 60 * 1000));
+    }
+
+    const access = reserved.customerAccess;
+    let valid;
+    if (code) {
+      if (!access.codeHash || !access.expiresAt || access.expiresAt < now) {
+        throw selfServiceError('The code has expired; send a new one', 400, 'CODE_EXPIRED');
+      }
+      valid = crypto.timingSafeEqual(
+        Buffer.from(access.codeHash, 'hex'),
+        Buffer.from(this.hash(order._id, String(code).trim()), 'hex')
+      );
+    } else {
+      const digits = reserved.customerInfo.phone.replace(/\D/g, '');
+      valid = digits.length >= 4 && String(phoneLast4).trim() === digits.slice(-4);
+    }
+
+    if (!valid) {
+      const attemptsRemaining = this.maxAttempts - access.failedAttempts;
+      if (attemptsRemaining <= 0) {
+        const lockedUntil = new Date(now.getTime() + this.lockMinutes * 60 * 1000);
+        await Order.updateOne(
+          { _id: order._id },
+          { $set: { 'customerAccess.lockedUntil': lockedUntil, 'customerAccess.failedAttempts': 0 } }
+        );
+        throw this.lockedError(lockedUntil);
+      }
+      throw selfServiceError('The details do not match this order', 400, 'ACCESS_DENIED', { attemptsRemaining });
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: { 'customerAccess.failedAttempts': 0 },
+        $unset: { 'customerAccess.codeHash': 1, 'customerAccess.expiresAt': 1 }
+      }
+    );
+
+    return {
+      token: jwt.sign({ orderId: order._id.toString(), scope: 'tracking' }, this.secret, {
+        expiresIn: this.tokenExpiresIn,
+        issuer: 'shipping-system',
+        audience: 'customer-tracking'
+      }),
+      expiresIn: this.tokenExpiresIn
+    };
+  }
+
+  /**
+   * Check a self-service token belongs to the order
+   * @param {string} token
+   * @param {Object} order - Order document
+   */
+  authorize(token, order) {
+    let payload;
+    try {
+      payload = jwt.verify(token || '', this.secret, { issuer: 'shipping-system', audience: 'customer-tracking' });
+    } catch (error) {
+      throw selfServiceError('Verify the order again to make changes', 401, 'TOKEN_INVALID');
+    }
+    if (payload.scope !== 'tracking' || payload.orderId !== order._id.toString()) {
+      throw selfServiceError('Verify the order again to make changes', 401, 'TOKEN_INVALID');
+    }
+  }
+
+  assertChangeable(order) {
+    if (!CHANGEABLE_STATUSES.includes(order.status)) {
+      throw selfServiceError(`Delivery cannot be changed while the order is ${order.status}`, 409, 'NOT_CHANGEABLE');
+    }
+  }
+
+  async loadHub(order) {
+    if (!order.assignedHub) return null;
+    return Hub.findById(order.assignedHub).select('name code address operatingHours capacity deliverySlots');
+  }
+
+  startOfDay(value) {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  }
+
+  /**
+   * Orders the hub already has scheduled for a day, other than this one
+   * @param {Object} hub - Hub document
+   * @param {Date} day - Start of the day
+   * @param {Object} order - Order being changed
+   * @returns {Promise<number>}
+   */
+  countScheduled(hub, day, order) {
+    const end = new Date(day);
+    end.setDate(end.getDate() + 1);
+    return Order.countDocuments({
+      _id: { $ne: order._id },
+      assignedHub: hub._id,
+      status: { $nin: ['delivered', 'cancelled', 'returned', 'refunded'] },
+      'scheduledDelivery.date': { $gte: day, $lt: end }
+    });
+  }
+
+  dailyCapacity(hub) {
+    return hub.capacity.dailyDeliveries || hub.capacity.maxOrders;
+  }
+
+  /**
+   * Days the customer can pick, with the hub's open slots and remaining capacity
+   * @param {Object} order - Order document
+   * @returns {Promise<Array>} [{ date, available, slots }]
+   */
+  async availableDates(order) {
+    const hub = await this.loadHub(order);
+    const from = this.startOfDay(new Date());
+    from.setDate(from.getDate() + 1);
+
+    if (!hub) {
+      return Array.from({ length: this.maxDaysAhead }, (value, index) => {
+        const date = new Date(from);
+        date.setDate(date.getDate() + index);
+        return { date, available: null, slots: [] };
+      });
+    }
+
+    const days = await slotService.getAvailability(hub, { from, days: this.maxDaysAhead });
+    const dates = [];
+    for (const day of days) {
+      if (!hub.operatingHours[WEEKDAYS[day.date.getDay()]].isOpen) continue;
+      const available = this.dailyCapacity(hub) - await this.countScheduled(hub, day.date, order);
+      if (available <= 0) continue;
+      dates.push({
+        date: day.date,
+        available,
+        slots: day.slots.filter(slot => slot.available > 0)
+      });
+    }
+    return dates;
+  }
+
+  /**
+   * Move the delivery to another day, optionally into one of the hub's slots
+   * @param {Object} order - Order document
+   * @param {Object} request - { date, timeSlot: { start, end } }
+   * @returns {Promise<Object>} The saved order
+   */
+  async reschedule(order, { date, timeSlot } = {}) {
+    this.assertChangeable(order);
+
+    const requested = new Date(date);
+    if (!date || Number.isNaN(requested.getTime())) {
+      throw selfServiceError('A valid date is required', 400, 'INVALID_DATE');
+    }
+    const day = this.startOfDay(requested);
+    const earliest = this.startOfDay(new Date());
+    earliest.setDate(earliest.getDate() + 1);
+    const latest = new Date(earliest);
+    latest.setDate(latest.getDate() + this.maxDaysAhead - 1);
+    if (day < earliest || day > latest) {
+      throw selfServiceError(`Pick a date between tomorrow and ${this.maxDaysAhead} days from now`, 400, 'INVALID_DATE');
+    }
+
+    const hub = await this.loadHub(order);
+    if (hub) {
+      const hours = hub.operatingHours[WEEKDAYS[day.getDay()]];
+      if (!hours || !hours.isOpen) {
+        throw selfServiceError(`Hub ${hub.code} does not deliver on ${WEEKDAYS[day.getDay()]}`, 409, 'HUB_CLOSED');
+      }
+      const scheduled = await this.countScheduled(hub, day, order);
+      if (scheduled >= this.dailyCapacity(hub)) {
+        throw selfServiceError('No delivery capacity left on that day; pick another date', 409, 'HUB_FULL');
+      }
+    }
+
+    const previousSlot = order.scheduledDelivery.slot;
+    let slot = null;
+    if (timeSlot && timeSlot.start) {
+      slot = await slotService.reserve(order, { date: day, timeSlot });
+    } else {
+      slotService.release(order);
+      order.scheduledDelivery.date = day;
+      order.scheduledDelivery.timeSlot = undefined;
+    }
+    order.holdAtHub = undefined;
+    order.addTrackingNote(
+      `Customer rescheduled delivery to ${day.toDateString()}${slot ? ` ${slot.start}-${slot.end}` : ''}`,
+      undefined,
+      'customer_reschedule'
+    );
+
+    try {
+      return await order.save();
+    } catch (error) {
+      if (slot && !(previousSlot && previousSlot.equals(slot._id))) {
+        await slotService.releaseSlot(slot._id);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update delivery notes and pin location. A new location must be served by
+   * the same hub the order is routed to.
+   * @param {Object} order - Order document
+   * @param {Object} request - { notes, coordinates }
+   * @returns {Promise<Object>} The saved order
+   */
+  async updateAddress(order, { notes, coordinates } = {}) {
+    this.assertChangeable(order);
+    if (notes === undefined && coordinates === undefined) {
+      throw selfServiceError('Provide notes or coordinates', 400, 'NOTHING_TO_UPDATE');
+    }
+
+    const changes = [];
+    if (coordinates !== undefined) {
+      if (!isPosition(coordinates)) {
+        throw selfServiceError('coordinates must be [longitude, latitude]', 400, 'INVALID_COORDINATES');
+      }
+      const match = await zoneService.resolveHub(coordinates);
+      const sameArea = match && (order.assignedHub
+        ? match.hub._id.equals(order.assignedHub)
+        : true);
+      if (!sameArea) {
+        throw selfServiceError('The new location is outside this order\'s delivery area; contact support to change it', 409, 'OUTSIDE_SERVICE_AREA');
+      }
+      order.customerInfo.address.coordinates = coordinates;
+      order.serviceArea = {
+        status: 'inside',
+        zone: match.zone ? match.zone._id : undefined,
+        checkedAt: new Date()
+      };
+      changes.push('location');
+    }
+    if (notes !== undefined) {
+      order.customerInfo.address.notes = String(notes).trim().slice(0, 500);
+      changes.push('delivery notes');
+    }
+
+    order.addTrackingNote(`Customer updated ${changes.join(' and ')}`, undefined, 'customer_address_update');
+    return order.save();
+  }
+
+  /**
+   * Keep the parcel at the hub for the customer to collect
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} The saved order
+   */
+  async holdAtHub(order) {
+    this.assertChangeable(order);
+    const hub = await this.loadHub(order);
+    if (!hub) {
+      throw selfServiceError('This order has no hub to collect it from yet', 409, 'NO_HUB');
+    }
+    if (order.holdAtHub && order.holdAtHub.requestedAt) {
+      return order;
+    }
+
+    // Parcels not yet at the hub will take up a storage slot there
+    const inHub = await Hub.exists({ _id: hub._id, 'currentOrders.order': order._id });
+    if (!inHub && hub.capacity.currentLoad >= hub.capacity.maxOrders) {
+      throw selfServiceError(`Hub ${hub.code} cannot hold more parcels right now`, 409, 'HUB_FULL');
+    }
+
+    order.holdAtHub = { hub: hub._id, requestedAt: new Date() };
+    slotService.release(order);
+    order.scheduledDelivery.date = undefined;
+    order.scheduledDelivery.timeSlot = undefined;
+    order.addTrackingNote(`Customer will collect the order at hub ${hub.code}`, undefined, 'customer_hold_at_hub');
+    return order.save();
+  }
+
+  /**
+   * What the customer sees on the manage-delivery page
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>}
+   */
+  async getOptions(order) {
+    const hub = await this.loadHub(order);
+    const changeable = CHANGEABLE_STATUSES.includes(order.status);
+    return {
+      status: order.status,
+      changeable,
+      scheduledDelivery: order.scheduledDelivery,
+      address: {
+        street: order.customerInfo.address.street,
+        city: order.customerInfo.address.city,
+        notes: order.customerInfo.address.notes,
+        coordinates: order.customerInfo.address.coordinates
+      },
+      holdAtHub: order.holdAtHub && order.holdAtHub.requestedAt ? order.holdAtHub : null,
+      hub: hub ? { name: hub.name, code: hub.code, address: hub.address } : null,
+      availableDates: changeable ? await this.availableDates(order) : []
+    };
+  }
+}
+
+module.exports = new CustomerSelfService();
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Hub = require('../models/Hub');
+const zoneService = require('./zoneService');
+const slotService = require('./slotService');
+const customerSelfService = require('./customerSelfService');
+const { mockQuery } = require('../../test/helpers');
+
+const TRACKING = 'TRK1697700000000ABCD';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const daysFromNow = days => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+describe('customerSelfService', () => {
+  let hub;
+  let order;
+
+  beforeEach(() => {
+    hub = new Hub({
+      code: 'HUBC0001',
+      capacity: { maxOrders: 100, currentLoad: 10 },
+      operatingHours: Object.fromEntries(WEEKDAYS.map(day => [day, { isOpen: true }]))
+    });
+    order = new Order({
+      orderNumber: 'ORD-1001',
+      status: 'at_hub',
+      assignedHub: hub._id,
+      tracking: { trackingNumber: TRACKING },
+      customerInfo: {
+        name: 'Mona Adel',
+        phone: '+20 100 123 4567',
+        address: { street: '1 Nile St', city: 'Cairo', coordinates: [31.24, 30.04] }
+      }
+    });
+    jest.spyOn(Hub, 'findById').mockReturnValue(mockQuery(hub));
+    jest.spyOn(order, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verify', () => {
+    const reserve = failedAttempts => jest.spyOn(Order, 'findOneAndUpdate').mockReturnValue(mockQuery({
+      customerInfo: order.customerInfo,
+      customerAccess: { failedAttempts }
+    }));
+
+    test('issues a token for the order when the phone digits match', async () => {
+      reserve(1);
+      jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const { token } = await customerSelfService.verify(order, { phoneLast4: '4567' });
+
+      expect(() => customerSelfService.authorize(token, order)).not.toThrow();
+      expect(() => customerSelfService.authorize(token, { _id: new mongoose.Types.ObjectId() }))
+        .toThrow(expect.objectContaining({ statusCode: 401, code: 'TOKEN_INVALID' }));
+    });
+
+    test('counts a wrong guess against the order', async () => {
+      reserve(2);
+
+      await expect(customerSelfService.verify(order, { phoneLast4: '0000' })).rejects.toMatchObject({
+        code: 'ACCESS_DENIED',
+        attemptsRemaining: 3
+      });
+    });
+
+    test('locks self-service after the last wrong guess', async () => {
+      reserve(5);
+      const updateOne = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(customerSelfService.verify(order, { phoneLast4: '0000' })).rejects.toMatchObject({
+        statusCode: 429,
+        code: 'ACCESS_LOCKED'
+      });
+      expect(updateOne.mock.calls[0][1].$set['customerAccess.lockedUntil']).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('reschedule', () => {
+    beforeEach(() => {
+      jest.spyOn(Order, 'countDocuments').mockResolvedValue(0);
+    });
+
+    test('moves the delivery to the requested day and ends a hold at the hub', async () => {
+      order.holdAtHub = { hub: hub._id, requestedAt: new Date() };
+
+      await customerSelfService.reschedule(order, { date: daysFromNow(2) });
+
+      expect(order.scheduledDelivery.date).toEqual(daysFromNow(2));
+      expect(order.holdAtHub.requestedAt).toBeUndefined();
+      expect(order.tracking.statusHistory.pop().metadata.reason).toBe('customer_reschedule');
+    });
+
+    test('only accepts days from tomorrow up to the booking horizon', async () => {
+      await expect(customerSelfService.reschedule(order, { date: daysFromNow(0) }))
+        .rejects.toMatchObject({ code: 'INVALID_DATE' });
+      await expect(customerSelfService.reschedule(order, { date: daysFromNow(15) }))
+        .rejects.toMatchObject({ code: 'INVALID_DATE' });
+      await expect(customerSelfService.reschedule(order, { date: 'soon' }))
+        .rejects.toMatchObject({ code: 'INVALID_DATE' });
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    test('refuses days the hub does not deliver or has no room left', async () => {
+      const day = daysFromNow(3);
+      hub.operatingHours[WEEKDAYS[day.getDay()]].isOpen = false;
+      await expect(customerSelfService.reschedule(order, { date: day }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'HUB_CLOSED' });
+
+      Order.countDocuments.mockResolvedValue(100);
+      await expect(customerSelfService.reschedule(order, { date: daysFromNow(2) }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'HUB_FULL' });
+    });
+
+    test('gives back a newly booked slot when the order fails to save', async () => {
+      const slot = { _id: new mongoose.Types.ObjectId(), start: '10:00', end: '12:00' };
+      jest.spyOn(slotService, 'reserve').mockResolvedValue(slot);
+      const releaseSlot = jest.spyOn(slotService, 'releaseSlot').mockResolvedValue();
+      order.save.mockRejectedValue(new Error('write conflict'));
+
+      await expect(customerSelfService.reschedule(order, {
+        date: daysFromNow(2),
+        timeSlot: { start: '10:00', end: '12:00' }
+      })).rejects.toThrow('write conflict');
+
+      expect(releaseSlot).toHaveBeenCalledWith(slot._id);
+    });
+
+    test('cannot change an order already out for delivery', async () => {
+      order.status = 'out_for_delivery';
+
+      await expect(customerSelfService.reschedule(order, { date: daysFromNow(2) }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'NOT_CHANGEABLE' });
+    });
+  });
+
+  describe('updateAddress', () => {
+    test('moves the pin within the order\'s delivery area', async () => {
+      const zone = { _id: new mongoose.Types.ObjectId() };
+      jest.spyOn(zoneService, 'resolveHub').mockResolvedValue({ hub, zone });
+
+      await customerSelfService.updateAddress(order, { coordinates: [31.25, 30.05], notes: '  Ring twice  ' });
+
+      expect(order.customerInfo.address.coordinates).toEqual([31.25, 30.05]);
+      expect(order.customerInfo.address.notes).toBe('Ring twice');
+      expect(order.serviceArea.zone).toEqual(zone._id);
+      expect(order.tracking.statusHistory.pop().notes).toBe('Customer updated location and delivery notes');
+    });
+
+    test('refuses a pin served by another hub', async () => {
+      jest.spyOn(zoneService, 'resolveHub').mockResolvedValue({ hub: { _id: new mongoose.Types.ObjectId() } });
+
+      await expect(customerSelfService.updateAddress(order, { coordinates: [29.9, 31.2] }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'OUTSIDE_SERVICE_AREA' });
+      expect(order.customerInfo.address.coordinates).toEqual([31.24, 30.04]);
+    });
+
+    test('checks the coordinates and that something changes', async () => {
+      await expect(customerSelfService.updateAddress(order, { coordinates: [200, 30] }))
+        .rejects.toMatchObject({ code: 'INVALID_COORDINATES' });
+      await expect(customerSelfService.updateAddress(order, {}))
+        .rejects.toMatchObject({ code: 'NOTHING_TO_UPDATE' });
+    });
+  });
+
+  describe('holdAtHub', () => {
+    test('keeps the parcel at the hub and drops the delivery date and slot', async () => {
+      const slotId = new mongoose.Types.ObjectId();
+      order.scheduledDelivery = { date: daysFromNow(1), slot: slotId };
+      jest.spyOn(Hub, 'exists').mockResolvedValue({ _id: hub._id });
+
+      await customerSelfService.holdAtHub(order);
+
+      expect(order.holdAtHub.hub).toEqual(hub._id);
+      expect(order.scheduledDelivery.date).toBeUndefined();
+      expect(order.$locals.releaseSlot).toEqual(slotId);
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    test('needs room at the hub for a parcel that is not there yet', async () => {
+      jest.spyOn(Hub, 'exists').mockResolvedValue(null);
+      hub.capacity.currentLoad = 100;
+
+      await expect(customerSelfService.holdAtHub(order)).rejects.toMatchObject({ code: 'HUB_FULL' });
+      expect(order.holdAtHub.requestedAt).toBeUndefined();
+    });
+
+    test('does nothing for an order already held', async () => {
+      order.holdAtHub = { hub: hub._id, requestedAt: new Date() };
+      const exists = jest.spyOn(Hub, 'exists');
+
+      await customerSelfService.holdAtHub(order);
+
+      expect(exists).not.toHaveBeenCalled();
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    test('needs a hub to collect from', async () => {
+      order.assignedHub = undefined;
+
+      await expect(customerSelfService.holdAtHub(order)).rejects.toMatchObject({ code: 'NO_HUB' });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const Hub = require('../models/Hub');
+const Merchant = require('../models/Merchant');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Standard reasons drivers pick from. The policy applies until max attempts is reached:
+// reschedule tries again on the next business day, hold keeps the parcel at the hub
+// until the merchant or customer sorts it out, return sends it back to the merchant now.
+const FAILURE_REASONS = {
+  customer_unreachable: { label: 'Customer unreachable by phone', policy: 'reschedule' },
+  customer_unavailable: { label: 'Customer not at the address', policy: 'reschedule' },
+  customer_rescheduled: { label: 'Customer asked for another day', policy: 'reschedule' },
+  cod_not_ready: { label: 'Customer did not have the COD amount', policy: 'reschedule' },
+  access_restricted: { label: 'Could not access the building or area', policy: 'reschedule' },
+  wrong_address: { label: 'Wrong or incomplete address', policy: 'hold' },
+  damaged: { label: 'Parcel damaged', policy: 'hold' },
+  refused: { label: 'Customer refused the parcel', policy: 'return' }
+};
+
+// Older clients send only a result; map it to a reason code
+const RESULT_REASONS = {
+  customer_not_available: 'customer_unavailable',
+  rescheduled: 'customer_rescheduled'
+};
+
+const failureError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class DeliveryFailureService {
+  constructor() {
+    this.defaultMaxAttempts = parseInt(process.env.MAX_DELIVERY_ATTEMPTS) || 3;
+    // Days without deliveries when the order has no hub with operating hours
+    this.closedDays = (process.env.DELIVERY_CLOSED_DAYS || 'friday')
+      .split(',')
+      .map(day => day.trim().toLowerCase())
+      .filter(day => WEEKDAYS.includes(day));
+  }
+
+  /**
+   * Reason catalogue for driver apps
+   * @returns {Array} [{ code, label, policy }]
+   */
+  getReasons() {
+    return Object.entries(FAILURE_REASONS).map(([code, reason]) => ({ code, ...reason }));
+  }
+
+  /**
+   * Max attempts before an order is returned, from the merchant profile
+   * @param {Object} order - Order document
+   * @returns {Promise<number>}
+   */
+  async getMaxAttempts(order) {
+    const merchant = await Merchant.findByUser(order.merchant).select('defaults.maxDeliveryAttempts');
+    return (merchant && merchant.defaults.maxDeliveryAttempts) || this.defaultMaxAttempts;
+  }
+
+  /**
+   * First day after `from` on which deliveries run: the serving hub's open
+   * days, otherwise every day except DELIVERY_CLOSED_DAYS
+   * @param {Object} order - Order document
+   * @param {Date} from
+   * @returns {Promise<Date>} Start of that day
+   */
+  async nextBusinessDay(order, from = new Date()) {
+    let isOpen = day => !this.closedDays.includes(day);
+    if (order.assignedHub) {
+      const hub = await Hub.findById(order.assignedHub).select('operatingHours');
+      if (hub && WEEKDAYS.some(day => hub.operatingHours[day] && hub.operatingHours[day].isOpen)) {
+        isOpen = day => hub.operatingHours[day] && hub.operatingHours[day].isOpen;
+      }
+    }
+
+    const date = new Date(from);
+    date.setHours(0, 0, 0, 0);
+    for (let i = 0; i < 7; i++) {
+      date.setDate(date.getDate() + 1);
+      if (isOpen(WEEKDAYS[date.getDay()])) {
+        return date;
+      }
+    }
+    return date;
+  }
+
+  /**
+   * Work out what a failed attempt leads to
+   * @param {Object} order - Order document
+   * @param {Object} attempt - { result, reasonCode, rescheduleDate }
+   * @returns {Promise<Object>} { reasonCode, label, policy, status, nextAttemptScheduled, holdAtHub, maxAttempts, attemptNumber }
+   */
+  async plan(order, { result, reasonCode, rescheduleDate }) {
+    const code = reasonCode || RESULT_REASONS[result];
+    const reason = FAILURE_REASONS[code];
+    if (!reason) {
+      throw failureError(`A failure reason code is required. Allowed: ${Object.keys(FAILURE_REASONS).join(', ')}`);
+    }
+
+    const maxAttempts = await this.getMaxAttempts(order);
+    const attemptNumber = order.deliveryAttempts.length + 1;
+    const policy = attemptNumber >= maxAttempts ? 'return' : reason.policy;
+
+    const plan = {
+      reasonCode: code,
+      label: reason.label,
+      policy,
+      status: policy === 'return' ? 'returned' : 'failed_delivery',
+      maxAttempts,
+      attemptNumber
+    };
+
+    if (policy === 'reschedule') {
+      const requested = rescheduleDate ? new Date(rescheduleDate) : null;
+      if (requested && Number.isNaN(requested.getTime())) {
+        throw failureError('rescheduleDate is not a valid date');
+      }
+      plan.nextAttemptScheduled = requested && requested > new Date()
+        ? requested
+        : await this.nextBusinessDay(order);
+    }
+
+    if (policy === 'hold') {
+      if (!order.assignedHub) {
+        throw failureError('This order has no hub to hold it at; pick another reason', 409);
+      }
+      plan.holdAtHub = order.assignedHub;
+    }
+
+    return plan;
+  }
+
+  /**
+   * Announce a held parcel to its hub: an incoming entry the scan-in picks up
+   * and a notification for the hub staff
+   * @param {Object} order - Order document
+   * @param {Object} plan - Result of plan() with the hold policy
+   */
+  async holdAtHub(order, plan) {
+    const hub = await Hub.findById(plan.holdAtHub);
+    if (!hub) {
+      return;
+    }
+
+    await Hub.updateOne(
+      { _id: hub._id, 'currentOrders.order': { $ne: order._id } },
+      {
+        $push: { currentOrders: { order: order._id, status: 'incoming', assignedDriver: order.assignedDriver } },
+        $inc: { 'capacity.currentLoad': 1 }
+      }
+    );
+    await hub.addNotification(
+      'warning',
+      `Order ${order.orderNumber} is coming back to be held: ${plan.label}`,
+      'high'
+    );
+  }
+
+  /**
+   * Tell the merchant and the customer about a failed attempt, and the hub
+   * about a held parcel. Failures to send are logged; they never undo the attempt.
+   * @param {Object} order - Order document
+   * @param {Object} plan - Result of plan()
+   */
+  async notify(order, plan) {
+    const templateData = {
+      orderNumber: order.orderNumber,
+      trackingNumber: order.tracking.trackingNumber,
+      customerName: order.customerInfo.name,
+      reason: plan.label,
+      policy: plan.policy,
+      attemptNumber: plan.attemptNumber,
+      maxAttempts: plan.maxAttempts,
+      nextAttempt: plan.nextAttemptScheduled ? plan.nextAttemptScheduled.toLocaleDateString() : null
+    };
+
+    try {
+      const merchant = await User.findById(order.merchant).select('firstName email phone preferences');
+      await Promise.all([
+        notificationService.sendNotification({
+          user: {
+            email: order.customerInfo.email,
+            phone: order.customerInfo.phone,
+            firstName: order.customerInfo.name.split(' ')[0],
+            preferences: { notifications: { email: true, sms: true } }
+          },
+          channels: ['email', 'sms'],
+          template: 'failed_delivery',
+          templateData
+        }),
+        merchant && notificationService.sendNotification({
+          user: merchant,
+          channels: ['email'],
+          template: 'failed_delivery_merchant',
+          templateData
+        }),
+        plan.policy === 'hold' && this.holdAtHub(order, plan)
+      ]);
+    } catch (error) {
+      console.error(`Failed delivery notification error for ${order.orderNumber}:`, error);
+    }
+  }
+}
+
+module.exports = new DeliveryFailureService();
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Hub = require('../models/Hub');
+const Merchant = require('../models/Merchant');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const deliveryFailureService = require('./deliveryFailureService');
+const { mockQuery } = require('../../test/helpers');
+
+const TRACKING = 'TRK1697700000000ABCD';
+
+describe('deliveryFailureService', () => {
+  let hub;
+  let order;
+
+  beforeEach(() => {
+    hub = new Hub({ code: 'HUBC0001', capacity: { maxOrders: 100, currentLoad: 10 } });
+    order = new Order({
+      orderNumber: 'ORD-1001',
+      status: 'out_for_delivery',
+      merchant: new mongoose.Types.ObjectId(),
+      assignedHub: hub._id,
+      assignedDriver: new mongoose.Types.ObjectId(),
+      tracking: { trackingNumber: TRACKING },
+      customerInfo: { name: 'Mona Adel', email: 'mona@example.com', phone: '+201000000000' }
+    });
+    jest.spyOn(Merchant, 'findByUser').mockReturnValue(mockQuery({ defaults: { maxDeliveryAttempts: 3 } }));
+    jest.spyOn(Hub, 'findById').mockReturnValue(mockQuery(hub));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('plan', () => {
+    test('holds the parcel at the order\'s hub without a new attempt date', async () => {
+      const plan = await deliveryFailureService.plan(order, { result: 'failed', reasonCode: 'wrong_address' });
+
+      expect(plan).toMatchObject({ policy: 'hold', status: 'failed_delivery', holdAtHub: hub._id });
+      expect(plan.nextAttemptScheduled).toBeUndefined();
+    });
+
+    test('cannot hold an order that has no hub', async () => {
+      order.assignedHub = undefined;
+
+      await expect(deliveryFailureService.plan(order, { result: 'failed', reasonCode: 'damaged' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('returns the parcel on the last attempt whatever the reason', async () => {
+      order.deliveryAttempts.push({ attemptNumber: 1, result: 'failed' }, { attemptNumber: 2, result: 'failed' });
+
+      const plan = await deliveryFailureService.plan(order, { result: 'failed', reasonCode: 'wrong_address' });
+
+      expect(plan).toMatchObject({ policy: 'return', status: 'returned' });
+      expect(plan.holdAtHub).toBeUndefined();
+    });
+
+    test('reschedules to the next day the hub delivers', async () => {
+      hub.operatingHours = { monday: { isOpen: true }, tuesday: { isOpen: false } };
+      jest.useFakeTimers({ now: new Date(2026, 9, 19, 15) }); // Monday
+
+      try {
+        const plan = await deliveryFailureService.plan(order, { result: 'customer_not_available' });
+
+        expect(plan.policy).toBe('reschedule');
+        expect(plan.nextAttemptScheduled).toEqual(new Date(2026, 9, 26));
+        expect(plan.holdAtHub).toBeUndefined();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('asks for a known reason', async () => {
+      await expect(deliveryFailureService.plan(order, { result: 'failed', reasonCode: 'unknown' }))
+        .rejects.toThrow('A failure reason code is required');
+    });
+  });
+
+  describe('notify', () => {
+    let updateOne;
+    let addNotification;
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery(null));
+      jest.spyOn(notificationService, 'sendNotification').mockResolvedValue({ success: true });
+      updateOne = jest.spyOn(Hub, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      addNotification = jest.spyOn(hub, 'addNotification').mockResolvedValue(hub);
+    });
+
+    test('announces a held parcel to its hub', async () => {
+      const plan = await deliveryFailureService.plan(order, { result: 'failed', reasonCode: 'damaged' });
+
+      await deliveryFailureService.notify(order, plan);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: hub._id, 'currentOrders.order': { $ne: order._id } },
+        {
+          $push: { currentOrders: { order: order._id, status: 'incoming', assignedDriver: order.assignedDriver } },
+          $inc: { 'capacity.currentLoad': 1 }
+        }
+      );
+      expect(addNotification).toHaveBeenCalledWith(
+        'warning',
+        'Order ORD-1001 is coming back to be held: Parcel damaged',
+        'high'
+      );
+      expect(notificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+        template: 'failed_delivery',
+        templateData: expect.objectContaining({ policy: 'hold' })
+      }));
+    });
+
+    test('leaves the hub alone for other policies', async () => {
+      const plan = await deliveryFailureService.plan(order, { result: 'failed', reasonCode: 'refused' });
+
+      await deliveryFailureService.notify(order, plan);
+
+      expect(updateOne).not.toHaveBeenCalled();
+      expect(addNotification).not.toHaveBeenCalled();
+    });
+
+    test('logs a hub that could not be told without failing', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      addNotification.mockRejectedValue(new Error('write conflict'));
+      const plan = await deliveryFailureService.plan(order, { result: 'failed', reasonCode: 'damaged' });
+
+      await expect(deliveryFailureService.notify(order, plan)).resolves.toBeUndefined();
+      expect(error).toHaveBeenCalledWith('Failed delivery notification error for ORD-1001:', expect.any(Error));
+    });
+  });
+});
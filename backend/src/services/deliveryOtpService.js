@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+
+const otpError = (message, statusCode = 400, code, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+class DeliveryOtpService {
+  constructor() {
+    this.codeLength = parseInt(process.env.DELIVERY_OTP_LENGTH) || 6;
+    this.ttlHours = parseFloat(process.env.DELIVERY_OTP_TTL_HOURS) || 24;
+    this.maxAttempts = parseInt(process.env.DELIVERY_OTP_MAX_ATTEMPTS) || 5;
+    this.lockMinutes = parseFloat(process.env.DELIVERY_OTP_LOCK_MINUTES) || 15;
+    this.resendSeconds = parseInt(process.env.DELIVERY_OTP_RESEND_SECONDS) || 60;
+    this.maxSends = parseInt(process.env.DELIVERY_OTP_MAX_SENDS) || 5;
+    this.secret = process.env.DELIVERY_OTP_SECRET || process.env.JWT_SECRET || 'delivery-otp';
+  }
+
+  /**
+   * Hash a code for storage; bound to the order so a hash cannot be reused elsewhere
+   * @param {string} orderId
+   * @param {string} code
+   * @returns {string}
+   */
+  hash(orderId, code) {
+    return crypto.createHmac('sha256', this.secret).update(`${orderId}:${code}`).digest('hex');
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** this.codeLength).toString().padStart(this.codeLength, '0');
+  }
+
+  /**
+   * Whether the order needs a delivery code: the order's own setting, else the
+   * merchant's setting for orders worth at least its minimum value
+   * @param {Object} order - Order document
+   * @returns {Promise<boolean>}
+   */
+  async isRequired(order) {
+    const otp = order.deliveryOtp || {};
+    if (typeof otp.required === 'boolean') {
+      return otp.required;
+    }
+
+    const merchant = await Merchant.findByUser(order.merchant);
+    const setting = merchant && merchant.defaults.deliveryOtp;
+    if (!setting || !setting.enabled) {
+      return false;
+    }
+    return (order.pricing.subtotal || 0) >= (setting.minOrderValue || 0);
+  }
+
+  /**
+   * Generate and send a new code when an order goes out for delivery
+   * @param {string} orderId
+   * @returns {Promise<Object|null>} Send result, or null when no code is needed
+   */
+  async issueForOrder(orderId) {
+    const order = await Order.findById(orderId);
+    if (!order || order.status !== 'out_for_delivery') {
+      return null;
+    }
+
+    const required = await this.isRequired(order);
+    if (!required) {
+      if (order.deliveryOtp.required === undefined) {
+        await Order.updateOne({ _id: order._id }, { $set: { 'deliveryOtp.required': false } });
+      }
+      return null;
+    }
+
+    return this.send(order, { reset: true });
+  }
+
+  /**
+   * Store a new code and send it to the customer's phone and email
+   * @param {Object} order - Order document
+   * @param {Object} options - { reset } clears verification and failed attempts for a new delivery run
+   * @returns {Promise<Object>} { expiresAt, channels }
+   */
+  async send(order, { reset = false } = {}) {
+    const code = this.generateCode();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000);
+
+    const update = {
+      $set: {
+        'deliveryOtp.required': true,
+        'deliveryOtp.codeHash': this.hash(order._id, code),
+        'deliveryOtp.expiresAt': expiresAt,
+        'deliveryOtp.sentAt': now
+      },
+      $inc: { 'deliveryOtp.sendCount': 1 }
+    };
+    if (reset) {
+      update.$set['deliveryOtp.sendCount'] = 1;
+      update.$set['deliveryOtp.failedAttempts'] = 0;
+      update.$unset = { 'deliveryOtp.verifiedAt': 1, 'deliveryOtp.lockedUntil': 1, 'deliveryOtp.override': 1 };
+      delete update.$inc;
+    }
+    await Order.updateOne({ _id: order._id }, update);
+
+    const result = await notificationService.notifyDeliveryOtp(order, code, expiresAt);
+    if (!result.success) {
+      console.error(`Delivery code for ${order.orderNumber} could not be sent:`, result.error || result);
+    }
+
+    return {
+      expiresAt,
+      channels: ['email', 'sms'].filter(channel => result[channel] && result[channel].success)
+    };
+  }
+
+  /**
+   * Send the current delivery run a new code, limited by a cooldown and a send cap
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} { expiresAt, channels }
+   */
+  async resend(order) {
+    if (order.status !== 'out_for_delivery') {
+      throw otpError('Codes are only sent while the order is out for delivery', 409, 'OTP_NOT_ACTIVE');
+    }
+    const otp = order.deliveryOtp || {};
+    if (!(await this.isRequired(order))) {
+      throw otpError('This order does not require a delivery code', 409, 'OTP_NOT_REQUIRED');
+    }
+    if (otp.verifiedAt) {
+      throw otpError('The delivery code is already confirmed', 409, 'OTP_VERIFIED');
+    }
+
+    const now = Date.now();
+    if (otp.sentAt && now - otp.sentAt.getTime() < this.resendSeconds * 1000) {
+      const retryAfter = Math.ceil((otp.sentAt.getTime() + this.resendSeconds * 1000 - now) / 1000);
+      throw otpError(`Wait ${retryAfter} seconds before sending another code`, 429, 'OTP_RESEND_TOO_SOON', { retryAfter });
+    }
+    if (otp.sendCount >= this.maxSends) {
+      throw otpError(`No more than ${this.maxSends} codes can be sent per delivery`, 429, 'OTP_SEND_LIMIT');
+    }
+
+    return this.send(order);
+  }
+
+  /**
+   * Check a code submitted by the driver. Every check uses up one of the
+   * allowed attempts; running out locks the order for a while.
+   * @param {Object} order - Order document; verification fields are updated in place
+   * @param {string} code
+   * @param {string} userId - User submitting the code
+   * @returns {Promise<Object>} The order's deliveryOtp
+   */
+  async verify(order, code, userId) {
+    const otp = order.deliveryOtp || {};
+    if (otp.verifiedAt) {
+      return otp;
+    }
+    if (!code) {
+      throw otpError('The customer\'s delivery code is required', 400, 'OTP_REQUIRED');
+    }
+
+    const now = new Date();
+    // Reserve an attempt atomically so parallel guesses cannot exceed the limit
+    const reserved = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        'deliveryOtp.failedAttempts': { $not: { $gte: this.maxAttempts } },
+        $or: [{ 'deliveryOtp.lockedUntil': null }, { 'deliveryOtp.lockedUntil': { $lte: now } }]
+      },
+      { $inc: { 'deliveryOtp.failedAttempts': 1 } },
+      { new: true }
+    ).select('+deliveryOtp.codeHash');
+
+    if (!reserved) {
+      const current = await Order.findById(order._id).select('deliveryOtp.lockedUntil');
+      const lockedUntil = current && current.deliveryOtp.lockedUntil;
+      const retryAfter = lockedUntil ? Math.max(1, Math.ceil((lockedUntil - now) / 1000)) : this.lockMinutes * 60;
+      throw otpError('Too many incorrect codes; try again later', 429, 'OTP_LOCKED', { retryAfter });
+    }
+
+    const stored = reserved.deliveryOtp;
+    if (!stored.codeHash || !stored.expiresAt || stored.expiresAt < now) {
+      throw otpError('The delivery code has expired; send a new one', 400, 'OTP_EXPIRED');
+    }
+
+    const expected = Buffer.from(stored.codeHash, 'hex');
+    const given = Buffer.from(this.hash(order._id, String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+      const attemptsRemaining = this.maxAttempts - stored.failedAttempts;
+      if (attemptsRemaining <= 0) {
+        const lockedUntil = new Date(now.getTime() + this.lockMinutes * 60 * 1000);
+        await Order.updateOne(
+          { _id: order._id },
+          { $set: { 'deliveryOtp.lockedUntil': lockedUntil, 'deliveryOtp.failedAttempts': 0 } }
+        );
+        await AuditLog.record({
+          actor: userId,
+          action: 'delivery_otp.locked',
+          entityType: 'Order',
+          entityId: order._id,
+          details: { orderNumber: order.orderNumber, lockedUntil }
+        });
+        throw otpError('Too many incorrect codes; try again later', 429, 'OTP_LOCKED', {
+          retryAfter: this.lockMinutes * 60
+        });
+      }
+      throw otpError('Incorrect delivery code', 400, 'OTP_INVALID', { attemptsRemaining });
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: { 'deliveryOtp.verifiedAt': now, 'deliveryOtp.failedAttempts': 0 },
+        $unset: { 'deliveryOtp.codeHash': 1 }
+      }
+    );
+    order.deliveryOtp.verifiedAt = now;
+    order.deliveryOtp.failedAttempts = 0;
+    return order.deliveryOtp;
+  }
+
+  /**
+   * Require a confirmed code before a successful delivery attempt
+   * @param {Object} order - Order document
+   * @param {string} code - Code from the driver, if any
+   * @param {string} userId
+   * @returns {Promise<void>}
+   */
+  async checkDelivery(order, code, userId) {
+    const otp = order.deliveryOtp || {};
+    if (otp.verifiedAt || (otp.override && otp.override.at)) {
+      return;
+    }
+    if (!(await this.isRequired(order))) {
+      return;
+    }
+    order.deliveryOtp.required = true;
+    await this.verify(order, code, userId);
+  }
+
+  /**
+   * Let an admin waive the code, e.g. when the customer cannot receive it.
+   * Recorded in the audit log.
+   * @param {Object} order - Order document
+   * @param {string} reason
+   * @param {Object} actor - { userId, ip }
+   * @returns {Promise<Object>} The order's deliveryOtp
+   */
+  async override(order, reason, { userId, ip }) {
+    if (!reason || !String(reason).trim()) {
+      throw otpError('A reason is required to override the delivery code', 400, 'OTP_OVERRIDE_REASON');
+    }
+    if (['delivered', 'cancelled', 'returned', 'refunded'].includes(order.status)) {
+      throw otpError(`Cannot override the delivery code of a ${order.status} order`, 409, 'OTP_NOT_ACTIVE');
+    }
+
+    const at = new Date();
+    order.deliveryOtp.override = { by: userId, reason: String(reason).trim(), at };
+    await Order.updateOne({ _id: order._id }, { $set: { 'deliveryOtp.override': order.deliveryOtp.override } });
+
+    await AuditLog.record({
+      actor: userId,
+      action: 'delivery_otp.override',
+      entityType: 'Order',
+      entityId: order._id,
+      details: { orderNumber: order.orderNumber, status: order.status, reason: order.deliveryOtp.override.reason },
+      ip
+    });
+
+    return order.deliveryOtp;
+  }
+}
+
+module.exports = new DeliveryOtpService();
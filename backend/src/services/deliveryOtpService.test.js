@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const deliveryOtpService = require('./deliveryOtpService');
+const { mockQuery } = require('../../test/helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('deliveryOtpService', () => {
+  let order;
+  let updateOne;
+  let audit;
+
+  beforeEach(() => {
+    order = new Order({
+      orderNumber: 'ORD-1001',
+      status: 'out_for_delivery',
+      merchant: new mongoose.Types.ObjectId(),
+      pricing: { subtotal: 500 }
+    });
+    updateOne = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    audit = jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isRequired', () => {
+    test('follows the order setting before the merchant setting', async () => {
+      const findByUser = jest.spyOn(Merchant, 'findByUser');
+      order.deliveryOtp.required = false;
+
+      expect(await deliveryOtpService.isRequired(order)).toBe(false);
+      expect(findByUser).not.toHaveBeenCalled();
+    });
+
+    test('applies the merchant minimum order value', async () => {
+      jest.spyOn(Merchant, 'findByUser').mockResolvedValue({
+        defaults: { deliveryOtp: { enabled: true, minOrderValue: 1000 } }
+      });
+
+      expect(await deliveryOtpService.isRequired(order)).toBe(false);
+      order.pricing.subtotal = 1000;
+      expect(await deliveryOtpService.isRequired(order)).toBe(true);
+    });
+  });
+
+  describe('send', () => {
+    test('stores only a hash of the code and reports the channels that delivered it', async () => {
+      let code;
+      jest.spyOn(notificationService, 'notifyDeliveryOtp').mockImplementation(async (target, sent) => {
+        code = sent;
+        return { success: true, email: { success: true }, sms: { success: false } };
+      });
+
+      const result = await deliveryOtpService.send(order, { reset: true });
+
+      expect(code).toMatch(/^\d{6}$/);
+      expect(result.channels).toEqual(['email']);
+      const update = updateOne.mock.calls[0][1];
+      expect(update.$set['deliveryOtp.codeHash']).toBe(deliveryOtpService.hash(order._id, code));
+      expect(JSON.stringify(update)).not.toContain(`"${code}"`);
+      expect(update.$set['deliveryOtp.sendCount']).toBe(1);
+      expect(update.$unset).toHaveProperty(['deliveryOtp.lockedUntil']);
+    });
+  });
+
+  describe('resend', () => {
+    beforeEach(() => {
+      order.deliveryOtp.required = true;
+      jest.spyOn(notificationService, 'notifyDeliveryOtp').mockResolvedValue({ success: true });
+    });
+
+    test('waits out the cooldown since the last code', async () => {
+      order.deliveryOtp.sentAt = new Date(Date.now() - 20 * 1000);
+
+      await expect(deliveryOtpService.resend(order)).rejects.toMatchObject({
+        statusCode: 429,
+        code: 'OTP_RESEND_TOO_SOON',
+        retryAfter: 40
+      });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('stops at the send cap for the delivery run', async () => {
+      order.deliveryOtp.sentAt = new Date(Date.now() - HOUR);
+      order.deliveryOtp.sendCount = 5;
+
+      await expect(deliveryOtpService.resend(order)).rejects.toMatchObject({ code: 'OTP_SEND_LIMIT' });
+    });
+
+    test('sends another code and counts it', async () => {
+      order.deliveryOtp.sentAt = new Date(Date.now() - HOUR);
+      order.deliveryOtp.sendCount = 2;
+
+      await deliveryOtpService.resend(order);
+
+      expect(updateOne.mock.calls[0][1].$inc).toEqual({ 'deliveryOtp.sendCount': 1 });
+    });
+
+    test('only runs while the order is out for delivery', async () => {
+      order.status = 'delivered';
+
+      await expect(deliveryOtpService.resend(order)).rejects.toMatchObject({ code: 'OTP_NOT_ACTIVE' });
+    });
+  });
+
+  describe('verify', () => {
+    const reserve = (failedAttempts, expiresAt = new Date(Date.now() + HOUR)) =>
+      jest.spyOn(Order, 'findOneAndUpdate').mockReturnValue(mockQuery({
+        deliveryOtp: {
+          codeHash: deliveryOtpService.hash(order._id, '123456'),
+          expiresAt,
+          failedAttempts
+        }
+      }));
+
+    test('confirms the right code and clears the attempts', async () => {
+      reserve(1);
+
+      const otp = await deliveryOtpService.verify(order, ' 123456 ', 'driver-1');
+
+      expect(otp.verifiedAt).toBeInstanceOf(Date);
+      expect(updateOne.mock.calls[0][1]).toMatchObject({
+        $set: { 'deliveryOtp.failedAttempts': 0 },
+        $unset: { 'deliveryOtp.codeHash': 1 }
+      });
+    });
+
+    test('reserves the attempt only while the order is under the limit and unlocked', async () => {
+      const findOneAndUpdate = reserve(1);
+
+      await deliveryOtpService.verify(order, '123456', 'driver-1');
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter['deliveryOtp.failedAttempts']).toEqual({ $not: { $gte: 5 } });
+      expect(filter.$or).toHaveLength(2);
+      expect(update).toEqual({ $inc: { 'deliveryOtp.failedAttempts': 1 } });
+    });
+
+    test('reports the attempts left after a wrong code', async () => {
+      reserve(2);
+
+      await expect(deliveryOtpService.verify(order, '000000', 'driver-1')).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'OTP_INVALID',
+        attemptsRemaining: 3
+      });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('locks the order and audits it when the last attempt is wrong', async () => {
+      reserve(5);
+
+      await expect(deliveryOtpService.verify(order, '000000', 'driver-1')).rejects.toMatchObject({
+        statusCode: 429,
+        code: 'OTP_LOCKED',
+        retryAfter: 15 * 60
+      });
+      const update = updateOne.mock.calls[0][1];
+      expect(update.$set['deliveryOtp.lockedUntil']).toBeInstanceOf(Date);
+      expect(update.$set['deliveryOtp.failedAttempts']).toBe(0);
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'delivery_otp.locked', actor: 'driver-1' }));
+    });
+
+    test('refuses every code while locked, even the right one', async () => {
+      const lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+      jest.spyOn(Order, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+      jest.spyOn(Order, 'findById').mockReturnValue(mockQuery({ deliveryOtp: { lockedUntil } }));
+
+      const error = await deliveryOtpService.verify(order, '123456', 'driver-1').catch(e => e);
+
+      expect(error).toMatchObject({ statusCode: 429, code: 'OTP_LOCKED' });
+      expect(error.retryAfter).toBeGreaterThan(590);
+      expect(error.retryAfter).toBeLessThanOrEqual(600);
+    });
+
+    test('rejects an expired code', async () => {
+      reserve(1, new Date(Date.now() - 1000));
+
+      await expect(deliveryOtpService.verify(order, '123456', 'driver-1'))
+        .rejects.toMatchObject({ code: 'OTP_EXPIRED' });
+    });
+
+    test('asks for a code before using up an attempt', async () => {
+      const findOneAndUpdate = jest.spyOn(Order, 'findOneAndUpdate');
+
+      await expect(deliveryOtpService.verify(order, '', 'driver-1')).rejects.toMatchObject({ code: 'OTP_REQUIRED' });
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkDelivery', () => {
+    test('lets an overridden order through without a code', async () => {
+      order.deliveryOtp.required = true;
+      order.deliveryOtp.override = { by: new mongoose.Types.ObjectId(), reason: 'No phone', at: new Date() };
+      const verify = jest.spyOn(deliveryOtpService, 'verify');
+
+      await deliveryOtpService.checkDelivery(order, undefined, 'driver-1');
+
+      expect(verify).not.toHaveBeenCalled();
+    });
+
+    test('requires the code on orders that need one', async () => {
+      order.deliveryOtp.required = true;
+
+      await expect(deliveryOtpService.checkDelivery(order, undefined, 'driver-1'))
+        .rejects.toMatchObject({ code: 'OTP_REQUIRED' });
+    });
+  });
+
+  describe('override', () => {
+    test('records who waived the code and why in the audit log', async () => {
+      const adminId = new mongoose.Types.ObjectId();
+
+      const otp = await deliveryOtpService.override(order, '  Customer has no phone ', { userId: adminId, ip: '10.0.0.1' });
+
+      expect(otp.override.reason).toBe('Customer has no phone');
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: order._id },
+        { $set: { 'deliveryOtp.override': otp.override } }
+      );
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+        actor: adminId,
+        action: 'delivery_otp.override',
+        entityId: order._id,
+        ip: '10.0.0.1',
+        details: expect.objectContaining({ reason: 'Customer has no phone' })
+      }));
+    });
+
+    test('needs a reason', async () => {
+      await expect(deliveryOtpService.override(order, '   ', { userId: 'admin-1' }))
+        .rejects.toMatchObject({ code: 'OTP_OVERRIDE_REASON' });
+      expect(audit).not.toHaveBeenCalled();
+    });
+
+    test('cannot waive the code of a finished order', async () => {
+      order.status = 'delivered';
+
+      await expect(deliveryOtpService.override(order, 'Late', { userId: 'admin-1' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'OTP_NOT_ACTIVE' });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const routeOptimizationService = require('./routeOptimizationService');
+
+// An exchange pickup waiting for its delivery visit travels with the outbound leg
+const AWAITING_EXCHANGE_VISIT = { 'exchange.leg': 'inbound', 'exchange.status': 'pending' };
+
+const awaitsExchangeVisit = order => Boolean(order.exchange &&
+  order.exchange.leg === 'inbound' && order.exchange.status === 'pending');
+
+// Why a batch cannot dispatch an order, or null when it can
+const notReadyReason = order => {
+  if (order.assignedDriver) return 'Order already has a driver';
+  if (order.status !== 'confirmed') return `Order is ${order.status}, only confirmed orders are dispatched`;
+  if (awaitsExchangeVisit(order)) return 'Exchange pickup is collected when its replacement is delivered';
+  return null;
+};
+
+const dispatchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class DispatchService {
+  constructor() {
+    this.autoDispatchEnabled = process.env.AUTO_DISPATCH !== 'false';
+    this.maxBatchSize = parseInt(process.env.DISPATCH_MAX_BATCH, 10) || 200;
+  }
+
+  /**
+   * Assign a driver to an order and move it to pickup_scheduled. The order is
+   * claimed only while it has no driver, so a batch and the auto-assign after
+   * confirmation cannot both place it; the driver's capacity is taken before the
+   * status changes and both are undone if either step fails.
+   * @param {Object} order - Order document
+   * @param {Object} driver - Driver document
+   * @param {string} userId - User making the assignment (null when automatic)
+   * @param {Object} options - { force } to go past the driver's maxDeliveries
+   * @returns {Promise<Object>} Order
+   */
+  async assignOrder(order, driver, userId = null, { force = false } = {}) {
+    const claimed = await Order.updateOne(
+      { _id: order._id, assignedDriver: null },
+      { $set: { assignedDriver: driver._id } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw dispatchError('Order already has a driver', 409);
+    }
+
+    let driverAssigned = false;
+    try {
+      await driver.assignOrder(order._id, { force });
+      driverAssigned = true;
+
+      order.assignedDriver = driver._id;
+      await order.updateStatus(
+        'pickup_scheduled',
+        userId ? 'Driver assigned' : `Driver ${driver.driverCode} assigned automatically`,
+        userId
+      );
+    } catch (error) {
+      order.assignedDriver = null;
+      await Order.updateOne({ _id: order._id, assignedDriver: driver._id }, { $set: { assignedDriver: null } });
+      if (driverAssigned) {
+        await driver.releaseOrder(order._id);
+      }
+      throw error;
+    }
+    return order;
+  }
+
+  /**
+   * Check a driver can take an order, for manual assignment
+   * @param {Object} order - Order document
+   * @param {Object} driver - Driver document
+   * @returns {Promise<Array>} Reasons the driver cannot take the order
+   */
+  async checkAssignment(order, driver) {
+    const reasons = [];
+
+    // Same filters as Driver.findAvailableDrivers, so manual and automatic dispatch agree
+    if (driver.verification.status !== 'approved') {
+      reasons.push('Driver is not verified');
+    }
+    if (!Driver.DISPATCHABLE_STATUSES.includes(driver.status)) {
+      reasons.push(`Driver is ${driver.status}`);
+    }
+
+    const loads = await routeOptimizationService.getDriverLoads([driver]);
+    return reasons.concat(
+      routeOptimizationService.checkDriverEligibility(driver, order, loads.get(driver._id.toString()))
+    );
+  }
+
+  /**
+   * Confirmed orders still waiting for a driver
+   * @param {number} limit
+   * @returns {Promise<Array>} Order IDs
+   */
+  async findUnassignedOrders(limit = this.maxBatchSize) {
+    const orders = await Order.find({
+      status: 'confirmed',
+      assignedDriver: null,
+      $nor: [AWAITING_EXCHANGE_VISIT]
+    })
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(limit);
+    return orders.map(order => order._id);
+  }
+
+  /**
+   * Auto-assign a batch of confirmed orders
+   * @param {Object} options - { orderIds, dryRun, userId }
+   * @returns {Promise<Object>} Batch results
+   */
+  async autoAssign({ orderIds, dryRun = false, userId = null } = {}) {
+    const ids = Array.isArray(orderIds) && orderIds.length > 0
+      ? orderIds
+      : await this.findUnassignedOrders();
+
+    if (ids.length > this.maxBatchSize) {
+      throw dispatchError(`At most ${this.maxBatchSize} orders can be dispatched at once`);
+    }
+
+    const orders = await Order.find({ _id: { $in: ids } }).select('status assignedDriver orderNumber exchange');
+    const notReady = orders.filter(order => notReadyReason(order));
+    const notReadyIds = new Set(notReady.map(order => order._id.toString()));
+    const readyIds = ids.filter(id => !notReadyIds.has(id.toString()));
+
+    const results = await routeOptimizationService.batchAssignOrders(readyIds, {
+      assign: dryRun
+        ? null
+        : async (order, driver) => {
+          // Driver document from the search has populated refs; assign on a fresh copy
+          const assignee = await Driver.findById(driver._id);
+          await this.assignOrder(order, assignee, userId);
+        }
+    });
+
+    notReady.forEach(order => {
+      results.failed.push({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        reason: notReadyReason(order)
+      });
+    });
+    results.summary.total = ids.length;
+    results.summary.unassigned = results.failed.length;
+    results.dryRun = dryRun;
+
+    return results;
+  }
+
+  /**
+   * Preview the chosen driver and alternatives for one order
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} Assignment preview
+   */
+  async preview(order) {
+    const assignment = await routeOptimizationService.findBestDriver(order);
+    if (!assignment.success) {
+      return assignment;
+    }
+
+    return {
+      success: true,
+      driver: routeOptimizationService.summarizeDriver(assignment.driver),
+      score: assignment.score,
+      distance: assignment.distance,
+      estimatedPickupTime: assignment.estimatedPickupTime,
+      alternatives: assignment.alternatives.map(alternative => ({
+        ...routeOptimizationService.summarizeDriver(alternative.driver),
+        score: alternative.score,
+        distance: alternative.distance
+      })),
+      rejected: assignment.rejected
+    };
+  }
+
+  /**
+   * Try to auto-assign an order that has just been confirmed. Runs after the
+   * confirming request has finished; failures leave the order for the next batch.
+   * @param {string} orderId - Order ID
+   */
+  async autoAssignConfirmedOrder(orderId) {
+    if (!this.autoDispatchEnabled) return null;
+
+    try {
+      const order = await Order.findById(orderId);
+      if (!order || order.status !== 'confirmed' || order.assignedDriver) return null;
+      if (awaitsExchangeVisit(order)) return null;
+
+      const assignment = await routeOptimizationService.findBestDriver(order);
+      if (!assignment.success) return null;
+
+      const driver = await Driver.findById(assignment.driver._id);
+      return await this.assignOrder(order, driver);
+    } catch (error) {
+      console.error(`Auto dispatch failed for order ${orderId}:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new DispatchService();
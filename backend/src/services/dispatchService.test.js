@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const dispatchService = require('./dispatchService');
+const routeOptimizationService = require('./routeOptimizationService');
+const { mockQuery } = require('../../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildOrder = () => ({
+  _id: id(),
+  assignedDriver: null,
+  updateStatus: jest.fn().mockResolvedValue()
+});
+
+const buildDriver = (overrides = {}) => new Driver({
+  driverCode: 'DRV000001',
+  status: 'available',
+  verification: { status: 'approved' },
+  vehicle: { type: 'motorcycle', capacity: { weight: 50, volume: 100 } },
+  preferences: { maxDeliveries: 2 },
+  ...overrides
+});
+
+describe('dispatchService.assignOrder', () => {
+  let claim;
+
+  beforeEach(() => {
+    claim = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('claims the order only while it has no driver, then schedules the pickup', async () => {
+    const order = buildOrder();
+    const driver = buildDriver();
+    const take = jest.spyOn(driver, 'assignOrder').mockResolvedValue(driver);
+
+    await dispatchService.assignOrder(order, driver, 'admin-1');
+
+    expect(claim).toHaveBeenCalledWith(
+      { _id: order._id, assignedDriver: null },
+      { $set: { assignedDriver: driver._id } }
+    );
+    expect(take).toHaveBeenCalledWith(order._id, { force: false });
+    expect(order.assignedDriver).toBe(driver._id);
+    expect(order.updateStatus).toHaveBeenCalledWith('pickup_scheduled', 'Driver assigned', 'admin-1');
+  });
+
+  test('refuses an order another assignment got to first', async () => {
+    claim.mockResolvedValue({ modifiedCount: 0 });
+    const order = buildOrder();
+    const driver = buildDriver();
+    const take = jest.spyOn(driver, 'assignOrder');
+
+    await expect(dispatchService.assignOrder(order, driver)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Order already has a driver'
+    });
+    expect(take).not.toHaveBeenCalled();
+    expect(order.updateStatus).not.toHaveBeenCalled();
+  });
+
+  test('gives the order back when the driver is at capacity', async () => {
+    const order = buildOrder();
+    const driver = buildDriver();
+    jest.spyOn(driver, 'assignOrder').mockRejectedValue(
+      Object.assign(new Error('Driver has reached maximum delivery capacity'), { statusCode: 409 })
+    );
+    const release = jest.spyOn(driver, 'releaseOrder');
+
+    await expect(dispatchService.assignOrder(order, driver)).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(order.updateStatus).not.toHaveBeenCalled();
+    expect(claim).toHaveBeenLastCalledWith(
+      { _id: order._id, assignedDriver: driver._id },
+      { $set: { assignedDriver: null } }
+    );
+    expect(order.assignedDriver).toBeNull();
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  test('frees the driver slot when the status change fails', async () => {
+    const order = buildOrder();
+    order.updateStatus.mockRejectedValue(new Error('Cannot transition'));
+    const driver = buildDriver();
+    jest.spyOn(driver, 'assignOrder').mockResolvedValue(driver);
+    const release = jest.spyOn(driver, 'releaseOrder').mockResolvedValue(driver);
+
+    await expect(dispatchService.assignOrder(order, driver)).rejects.toThrow('Cannot transition');
+
+    expect(release).toHaveBeenCalledWith(order._id);
+    expect(order.assignedDriver).toBeNull();
+  });
+
+  test('passes force through to go past the driver limit', async () => {
+    const order = buildOrder();
+    const driver = buildDriver();
+    const take = jest.spyOn(driver, 'assignOrder').mockResolvedValue(driver);
+
+    await dispatchService.assignOrder(order, driver, 'admin-1', { force: true });
+
+    expect(take).toHaveBeenCalledWith(order._id, { force: true });
+  });
+});
+
+describe('dispatchService.checkAssignment', () => {
+  const order = { totalWeight: 1, totalVolume: 1000, pickupAddress: { coordinates: [31.2, 30.0] } };
+
+  beforeEach(() => {
+    jest.spyOn(routeOptimizationService, 'isWithinWorkSchedule').mockReturnValue(true);
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts a busy driver with room, as auto-dispatch does', async () => {
+    const driver = buildDriver({ status: 'busy', activeDeliveries: [id()] });
+
+    await expect(dispatchService.checkAssignment(order, driver)).resolves.toEqual([]);
+  });
+
+  test('rejects a driver at maxDeliveries or off shift', async () => {
+    const full = buildDriver({ status: 'busy', activeDeliveries: [id(), id()] });
+    const offline = buildDriver({ status: 'offline' });
+
+    await expect(dispatchService.checkAssignment(order, full)).resolves.toEqual(['At maximum of 2 deliveries']);
+    await expect(dispatchService.checkAssignment(order, offline)).resolves.toEqual(['Driver is offline']);
+  });
+});
+
+describe('dispatchService.autoAssign', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('does not pick up exchange pickups waiting for their delivery visit', async () => {
+    const find = jest.spyOn(Order, 'find');
+    const ready = { _id: id(), orderNumber: 'ORD-1', status: 'confirmed', assignedDriver: null };
+    find.mockReturnValueOnce(mockQuery([{ _id: ready._id }])).mockReturnValueOnce(mockQuery([ready]));
+    const batch = jest.spyOn(routeOptimizationService, 'batchAssignOrders').mockResolvedValue({
+      assigned: [],
+      failed: [],
+      summary: {}
+    });
+
+    const results = await dispatchService.autoAssign({ dryRun: true });
+
+    expect(find.mock.calls[0][0]).toEqual({
+      status: 'confirmed',
+      assignedDriver: null,
+      $nor: [{ 'exchange.leg': 'inbound', 'exchange.status': 'pending' }]
+    });
+    expect(batch.mock.calls[0][0]).toEqual([ready._id]);
+    expect(results.failed).toEqual([]);
+  });
+
+  test('reports an exchange pickup it was given by id as not ready', async () => {
+    const pickup = {
+      _id: id(),
+      orderNumber: 'ORD-2',
+      status: 'confirmed',
+      assignedDriver: null,
+      exchange: { leg: 'inbound', status: 'pending' }
+    };
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([pickup]));
+    const batch = jest.spyOn(routeOptimizationService, 'batchAssignOrders').mockResolvedValue({
+      assigned: [],
+      failed: [],
+      summary: {}
+    });
+
+    const results = await dispatchService.autoAssign({ orderIds: [pickup._id], dryRun: true });
+
+    expect(batch.mock.calls[0][0]).toEqual([]);
+    expect(results.failed).toEqual([{
+      orderId: pickup._id,
+      orderNumber: 'ORD-2',
+      reason: 'Exchange pickup is collected when its replacement is delivered'
+    }]);
+  });
+
+  test('dispatches an inbound leg once it is a pickup of its own', async () => {
+    const pickup = {
+      _id: id(),
+      orderNumber: 'ORD-2',
+      status: 'confirmed',
+      assignedDriver: null,
+      exchange: { leg: 'inbound', status: 'delivered_not_collected' }
+    };
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([pickup]));
+    const batch = jest.spyOn(routeOptimizationService, 'batchAssignOrders').mockResolvedValue({
+      assigned: [],
+      failed: [],
+      summary: {}
+    });
+
+    await dispatchService.autoAssign({ orderIds: [pickup._id], dryRun: true });
+
+    expect(batch.mock.calls[0][0]).toEqual([pickup._id]);
+  });
+});
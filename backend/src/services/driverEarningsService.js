@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const Driver = require('../models/Driver');
+const DriverEarning = require('../models/DriverEarning');
+const DriverPayout = require('../models/DriverPayout');
+
+const round = value => Math.round(value * 100) / 100;
+
+const STATEMENT_FORMATS = ['csv', 'xlsx'];
+
+const earningsError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class DriverEarningsService {
+  /**
+   * Daily earnings and totals for a driver over a date range
+   * @param {Object} driver - Driver document
+   * @param {Object} range - { startDate, endDate }
+   * @returns {Promise<Object>} { earnings, summary }
+   */
+  async getSummary(driver, { startDate, endDate } = {}) {
+    const earnings = await DriverEarning.getDailySummary(driver._id, startDate, endDate);
+
+    const totalEarnings = round(earnings.reduce((sum, e) => sum + e.amount, 0));
+    const totalDeliveries = earnings.reduce((sum, e) => sum + e.deliveries, 0);
+
+    return {
+      earnings,
+      summary: {
+        totalEarnings,
+        totalDeliveries,
+        averagePerDelivery: totalDeliveries > 0 ? round(totalEarnings / totalDeliveries) : 0,
+        commission: round(earnings.reduce((sum, e) => sum + e.commission, 0)),
+        bonuses: round(earnings.reduce((sum, e) => sum + e.bonuses, 0)),
+        deductions: round(earnings.reduce((sum, e) => sum + e.deductions, 0)),
+        balance: {
+          pending: driver.earnings.pending,
+          paid: driver.earnings.paid
+        }
+      }
+    };
+  }
+
+  /**
+   * Batch all pending entries dated up to periodEnd into a payout
+   * @param {Object} options - { periodEnd, driverIds, userId }
+   * @returns {Promise<Object>} Driver payout
+   */
+  async createPayoutBatch({ periodEnd, driverIds, userId }) {
+    const end = new Date(periodEnd || Date.now());
+    end.setHours(23, 59, 59, 999);
+
+    const match = {
+      status: 'pending',
+      payout: { $exists: false },
+      date: { $lte: end }
+    };
+    if (Array.isArray(driverIds) && driverIds.length > 0) {
+      match.driver = { $in: driverIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const lines = await DriverEarning.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$driver',
+          entryIds: { $push: '$_id' },
+          entries: { $sum: 1 },
+          deliveries: { $sum: { $cond: [{ $eq: ['$type', 'delivery'] }, 1, 0] } },
+          grossFees: { $sum: '$deliveryFee' },
+          commission: { $sum: '$commission' },
+          bonuses: { $sum: { $cond: [{ $eq: ['$type', 'bonus'] }, '$amount', 0] } },
+          deductions: { $sum: { $cond: [{ $eq: ['$type', 'deduction'] }, '$amount', 0] } },
+          net: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    // Drivers whose deductions outweigh their earnings are carried to the next batch
+    const payable = lines.filter(line => line.net > 0);
+    if (payable.length === 0) {
+      throw earningsError('No pending earnings to pay out for this period', 404);
+    }
+
+    const payout = new DriverPayout({
+      periodEnd: end,
+      lines: payable.map(line => ({
+        driver: line._id,
+        entries: line.entries,
+        deliveries: line.deliveries,
+        grossFees: round(line.grossFees),
+        commission: round(line.commission),
+        bonuses: round(line.bonuses),
+        deductions: round(line.deductions),
+        net: round(line.net)
+      })),
+      totals: {
+        drivers: payable.length,
+        entries: payable.reduce((sum, line) => sum + line.entries, 0),
+        net: round(payable.reduce((sum, line) => sum + line.net, 0))
+      },
+      createdBy: userId
+    });
+
+    // Nothing is claimed for a batch that would not save
+    await payout.validate();
+
+    const entryIds = payable.flatMap(line => line.entryIds);
+    const release = () => DriverEarning.updateMany({ payout: payout._id }, { $unset: { payout: 1 } });
+    const claimed = await DriverEarning.updateMany(
+      { _id: { $in: entryIds }, payout: { $exists: false } },
+      { $set: { payout: payout._id } }
+    );
+    if (claimed.modifiedCount !== entryIds.length) {
+      await release();
+      throw earningsError('Earnings changed while creating the batch, please retry', 409);
+    }
+
+    try {
+      await payout.save();
+    } catch (error) {
+      await release();
+      throw error;
+    }
+    return payout;
+  }
+
+  /**
+   * Mark a payout batch as paid, moving its entries and driver balances from pending to paid.
+   * The batch is claimed first, so a repeated request cannot pay the drivers twice.
+   * @param {Object} payout - Driver payout document
+   * @param {Object} options - { userId, reference }
+   * @returns {Promise<Object>} Paid driver payout
+   */
+  async markPayoutPaid(payout, { userId, reference }) {
+    if (payout.status !== 'pending') {
+      throw earningsError(`Cannot pay a payout with status: ${payout.status}`);
+    }
+
+    const paid = await DriverPayout.findOneAndUpdate(
+      { _id: payout._id, status: 'pending' },
+      { $set: { status: 'paid', paidBy: userId, paidAt: new Date(), reference } },
+      { new: true }
+    );
+    if (!paid) {
+      throw earningsError('Payout has already been paid', 409);
+    }
+
+    await DriverEarning.updateMany(
+      { payout: payout._id, status: 'pending' },
+      { $set: { status: 'paid' } }
+    );
+
+    await Promise.all(paid.lines.map(line => Driver.updateOne(
+      { _id: line.driver },
+      { $inc: { 'earnings.pending': -line.net, 'earnings.paid': line.net } }
+    )));
+
+    return paid;
+  }
+
+  /**
+   * Earning entries for a driver statement, either for one payout or a date range
+   * @param {Object} driver - Driver document
+   * @param {Object} options - { payoutId, startDate, endDate }
+   * @returns {Promise<Array>} Earning entries
+   */
+  getStatementEntries(driver, { payoutId, startDate, endDate } = {}) {
+    const query = { driver: driver._id };
+    if (payoutId) {
+      query.payout = payoutId;
+    } else if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    return DriverEarning.find(query)
+      .populate('order', 'orderNumber tracking.trackingNumber')
+      .populate('payout', 'payoutNumber')
+      .sort({ date: 1 });
+  }
+
+  /**
+   * Export a driver payout statement
+   * @param {Object} driver - Driver document
+   * @param {Object} options - { payoutId, startDate, endDate, format }
+   * @returns {Promise<Object>} { contentType, extension, body }
+   */
+  async exportStatement(driver, { format = 'csv', ...filters } = {}) {
+    if (!STATEMENT_FORMATS.includes(format)) {
+      throw earningsError(`Unsupported statement format. Allowed: ${STATEMENT_FORMATS.join(', ')}`);
+    }
+
+    const entries = await this.getStatementEntries(driver, filters);
+
+    const rows = entries.map(entry => ({
+      Date: entry.date.toISOString().slice(0, 10),
+      Type: entry.type,
+      Order: entry.order ? entry.order.orderNumber : '',
+      Description: entry.description || '',
+      'Delivery Fee': entry.deliveryFee,
+      Commission: entry.commission,
+      Amount: entry.amount,
+      Status: entry.status,
+      Payout: entry.payout ? entry.payout.payoutNumber : ''
+    }));
+    rows.push({
+      Date: 'Total',
+      Amount: round(entries.reduce((sum, entry) => sum + entry.amount, 0))
+    });
+
+    const sheet = XLSX.utils.json_to_sheet(rows);
+
+    if (format === 'xlsx') {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, sheet, driver.driverCode);
+      return {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        body: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+      };
+    }
+
+    return {
+      contentType: 'text/csv',
+      extension: 'csv',
+      body: XLSX.utils.sheet_to_csv(sheet)
+    };
+  }
+}
+
+module.exports = new DriverEarningsService();
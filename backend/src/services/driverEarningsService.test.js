@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Driver = require('../models/Driver');
+const DriverEarning = require('../models/DriverEarning');
+const DriverPayout = require('../models/DriverPayout');
+const driverEarningsService = require('./driverEarningsService');
+const { mockQuery } = require('../../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('driverEarningsService.createPayoutBatch', () => {
+  const payableDriver = id();
+  const owingDriver = id();
+
+  beforeEach(() => {
+    jest.spyOn(DriverEarning, 'aggregate').mockResolvedValue([
+      { _id: payableDriver, entryIds: [id(), id()], entries: 2, deliveries: 2, grossFees: 80, commission: 8, bonuses: 0, deductions: 0, net: 72 },
+      { _id: owingDriver, entryIds: [id()], entries: 1, deliveries: 0, grossFees: 0, commission: 0, bonuses: 0, deductions: -30, net: -30 }
+    ]);
+    jest.spyOn(DriverEarning, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+  });
+
+  test('pays drivers with a positive balance and carries the rest over', async () => {
+    jest.spyOn(DriverPayout.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const payout = await driverEarningsService.createPayoutBatch({ periodEnd: '2026-10-18' });
+
+    expect(payout.lines.map(line => line.driver)).toEqual([payableDriver]);
+    expect(payout.totals).toMatchObject({ drivers: 1, entries: 2, net: 72 });
+  });
+
+  test('releases the claimed entries when the batch fails to save', async () => {
+    jest.spyOn(DriverPayout.prototype, 'save').mockRejectedValue(new Error('disk full'));
+
+    await expect(driverEarningsService.createPayoutBatch({})).rejects.toThrow('disk full');
+    expect(DriverEarning.updateMany).toHaveBeenLastCalledWith(
+      { payout: expect.any(mongoose.Types.ObjectId) },
+      { $unset: { payout: 1 } }
+    );
+  });
+
+  test('answers 409 when entries were claimed by another batch', async () => {
+    DriverEarning.updateMany.mockResolvedValueOnce({ modifiedCount: 1 });
+
+    await expect(driverEarningsService.createPayoutBatch({})).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('driverEarningsService statements', () => {
+  describe('markPayoutPaid', () => {
+    const driverId = id();
+    let payout;
+    let stored;
+
+    beforeEach(() => {
+      payout = new DriverPayout({ periodEnd: new Date(), lines: [{ driver: driverId, net: 72 }], totals: { net: 72 } });
+      stored = payout.toObject();
+      // Only the first claim on a pending batch matches
+      jest.spyOn(DriverPayout, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        if (stored.status !== filter.status) return null;
+        Object.assign(stored, update.$set);
+        return new DriverPayout(stored);
+      });
+      jest.spyOn(DriverEarning, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Driver, 'updateOne').mockResolvedValue({});
+    });
+
+    test('moves a paid batch from pending to paid', async () => {
+      const paid = await driverEarningsService.markPayoutPaid(payout, { userId: id(), reference: 'BANK-1' });
+
+      expect(DriverPayout.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: payout._id, status: 'pending' },
+        { $set: expect.objectContaining({ status: 'paid', reference: 'BANK-1' }) },
+        { new: true }
+      );
+      expect(Driver.updateOne).toHaveBeenCalledWith({ _id: driverId }, { $inc: { 'earnings.pending': -72, 'earnings.paid': 72 } });
+      expect(paid.status).toBe('paid');
+      expect(paid.reference).toBe('BANK-1');
+    });
+
+    test('answers 409 to a second request for the same batch and moves the balances once', async () => {
+      const results = await Promise.allSettled([
+        driverEarningsService.markPayoutPaid(payout, { userId: id() }),
+        driverEarningsService.markPayoutPaid(payout, { userId: id() })
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason).toMatchObject({ statusCode: 409, message: 'Payout has already been paid' });
+      expect(DriverEarning.updateMany).toHaveBeenCalledTimes(1);
+      expect(Driver.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses a batch it already knows is paid', async () => {
+      payout.status = 'paid';
+
+      await expect(driverEarningsService.markPayoutPaid(payout, {})).rejects.toMatchObject({ statusCode: 400 });
+      expect(DriverPayout.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  test('exports entries with a total row', async () => {
+    jest.spyOn(DriverEarning, 'find').mockReturnValue(mockQuery([
+      { date: new Date('2026-10-18'), type: 'delivery', order: { orderNumber: 'ORD1' }, deliveryFee: 40, commission: 4, amount: 36, status: 'pending' },
+      { date: new Date('2026-10-18'), type: 'deduction', description: 'Late', deliveryFee: 0, commission: 0, amount: -10, status: 'pending' }
+    ]));
+
+    const statement = await driverEarningsService.exportStatement({ _id: id(), driverCode: 'DRV000001' });
+    const lines = statement.body.trim().split('\n');
+
+    expect(statement.contentType).toBe('text/csv');
+    expect(lines[1]).toContain('ORD1');
+    expect(lines[lines.length - 1]).toMatch(/^Total,.*,26,/);
+  });
+});
@@ -0,0 +1,185 @@
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const User = require('../models/User');
+const returnService = require('./returnService');
+const dispatchService = require('./dispatchService');
+const { transition, canTransition } = require('./orderLifecycle');
+const notificationService = require('./notificationService');
+
+const PICKUP_RESULTS = ['collected', 'not_collected'];
+
+const exchangeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class ExchangeService {
+  /**
+   * Create the inbound leg for a new exchange order. The outbound order is
+   * linked in place and must be saved by the caller before the returned leg.
+   * @param {Object} outbound - Unsaved outbound Order document
+   * @param {Array} pickupItems - Items the customer hands back
+   * @param {string} userId
+   * @returns {Promise<Object>} Unsaved inbound Order document
+   */
+  async buildInboundLeg(outbound, pickupItems, userId) {
+    if (!Array.isArray(pickupItems) || pickupItems.length === 0) {
+      throw exchangeError('exchange.pickupItems must list the items the customer hands back');
+    }
+
+    const inbound = await returnService.buildReverseOrder(outbound, pickupItems, {
+      userId,
+      fields: {
+        orderType: 'exchange',
+        exchange: { leg: 'inbound', linkedOrder: outbound._id, status: 'pending' }
+      }
+    });
+
+    outbound.orderType = 'exchange';
+    outbound.exchange = { leg: 'outbound', linkedOrder: inbound._id, status: 'pending' };
+    return inbound;
+  }
+
+  /**
+   * Save both legs of a new exchange; the outbound leg is removed again if the
+   * inbound one cannot be saved
+   * @param {Object} outbound - Outbound Order document
+   * @param {Object} inbound - Inbound Order document
+   * @returns {Promise<Object>} { outbound, inbound }
+   */
+  async saveLegs(outbound, inbound) {
+    await outbound.save();
+    try {
+      inbound.specialInstructions = `Exchange pickup for order ${outbound.orderNumber}; collected when the replacement is delivered`;
+      await inbound.save();
+    } catch (error) {
+      await Order.deleteOne({ _id: outbound._id });
+      throw error;
+    }
+    return { outbound, inbound };
+  }
+
+  /**
+   * Check the pickup half of an exchange attempt before anything is recorded
+   * @param {Object} order - Outbound Order document
+   * @param {string} result - Delivery result
+   * @param {Object} pickup - { result, reason }
+   */
+  validateAttempt(order, result, pickup = {}) {
+    if (!order.exchange || order.exchange.leg !== 'outbound') {
+      throw exchangeError('Exchange attempts are recorded on the outbound leg', 409);
+    }
+    if (result === 'success') {
+      if (!PICKUP_RESULTS.includes(pickup.result)) {
+        throw exchangeError('pickupResult must be collected or not_collected');
+      }
+      if (pickup.result === 'not_collected' && !pickup.reason) {
+        throw exchangeError('pickupReason is required when the old item was not handed over');
+      }
+    } else if (pickup.result === 'collected') {
+      throw exchangeError('The old item can only be collected when the replacement is delivered');
+    }
+  }
+
+  /**
+   * Apply the pickup half of an attempt the outbound leg has just recorded:
+   * moves the inbound leg and sets the exchange status on both
+   * @param {Object} order - Outbound Order document, attempt already saved
+   * @param {Object} pickup - { result, reason }
+   * @param {string} userId
+   * @returns {Promise<Object>} { status, inbound }
+   */
+  async recordOutcome(order, pickup = {}, userId) {
+    const inbound = await Order.findById(order.exchange.linkedOrder);
+    if (!inbound) {
+      throw exchangeError('Inbound leg of this exchange not found', 404);
+    }
+
+    const attempt = order.deliveryAttempts[order.deliveryAttempts.length - 1];
+    let status = 'pending';
+    if (order.status === 'delivered') {
+      status = pickup.result === 'collected' ? 'completed' : 'delivered_not_collected';
+      attempt.pickup = { result: pickup.result, reason: pickup.reason };
+    } else if (['returned', 'cancelled'].includes(order.status)) {
+      status = 'failed';
+    }
+
+    const resolvedAt = status === 'pending' ? undefined : new Date();
+    order.exchange.status = status;
+    order.exchange.pickupFailureReason = status === 'delivered_not_collected' ? pickup.reason : undefined;
+    order.exchange.resolvedAt = resolvedAt;
+    await order.save();
+
+    inbound.exchange.status = status;
+    inbound.exchange.pickupFailureReason = order.exchange.pickupFailureReason;
+    inbound.exchange.resolvedAt = resolvedAt;
+    inbound.metadata.lastModifiedBy = userId;
+
+    if (status === 'completed' && ['confirmed', 'pickup_scheduled'].includes(inbound.status)) {
+      // Collected by the driver who delivered the replacement
+      await this.releasePickup(inbound);
+      inbound.assignedDriver = order.assignedDriver;
+      if (inbound.status === 'confirmed') {
+        transition(inbound, 'pickup_scheduled', { updatedBy: userId, metadata: { automaticUpdate: true } });
+      }
+      await inbound.updateStatus('picked_up', `Collected with exchange delivery ${order.orderNumber}`, userId, {
+        from: 'pickup_scheduled'
+      });
+    } else if (status === 'failed' && canTransition(inbound.status, 'cancelled')) {
+      await this.releasePickup(inbound);
+      await inbound.updateStatus('cancelled', `Replacement ${order.orderNumber} could not be delivered`, userId);
+    } else {
+      // Not handed over: the inbound leg becomes a standalone pickup the merchant can keep or
+      // cancel. A leg that has already moved on keeps its status and only records the outcome.
+      await inbound.save();
+    }
+
+    if (status === 'delivered_not_collected') {
+      this.notifyNotCollected(order, inbound);
+      setImmediate(() => dispatchService.autoAssignConfirmedOrder(inbound._id));
+    }
+
+    return { status, inbound };
+  }
+
+  /**
+   * Take an inbound leg that was dispatched as a pickup of its own off its
+   * driver, now that it is settled with the outbound leg
+   * @param {Object} inbound - Inbound Order document
+   */
+  async releasePickup(inbound) {
+    if (inbound.status !== 'pickup_scheduled' || !inbound.assignedDriver) return;
+    const driver = await Driver.findById(inbound.assignedDriver);
+    if (driver) {
+      await driver.releaseOrder(inbound._id);
+    }
+  }
+
+  /**
+   * Tell the merchant the old item was not handed over
+   * @param {Object} order - Outbound Order document
+   * @param {Object} inbound - Inbound Order document
+   */
+  async notifyNotCollected(order, inbound) {
+    try {
+      const merchant = await User.findById(order.merchant).select('firstName email phone preferences');
+      if (!merchant) return;
+      await notificationService.sendNotification({
+        user: merchant,
+        channels: ['email'],
+        template: 'exchange_not_collected',
+        templateData: {
+          orderNumber: order.orderNumber,
+          inboundOrderNumber: inbound.orderNumber,
+          customerName: order.customerInfo.name,
+          reason: order.exchange.pickupFailureReason
+        }
+      });
+    } catch (error) {
+      console.error(`Exchange notification error for ${order.orderNumber}:`, error);
+    }
+  }
+}
+
+module.exports = new ExchangeService();
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const dispatchService = require('./dispatchService');
+const exchangeService = require('./exchangeService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('exchangeService.recordOutcome', () => {
+  const deliveringDriver = id();
+  let outbound;
+  let inbound;
+
+  beforeEach(() => {
+    inbound = new Order({
+      orderNumber: 'ORD-1002',
+      orderType: 'exchange',
+      status: 'confirmed',
+      exchange: { leg: 'inbound', status: 'pending' }
+    });
+    outbound = new Order({
+      orderNumber: 'ORD-1001',
+      orderType: 'exchange',
+      status: 'delivered',
+      assignedDriver: deliveringDriver,
+      customerInfo: { name: 'Mona Adel' },
+      exchange: { leg: 'outbound', linkedOrder: inbound._id, status: 'pending' },
+      deliveryAttempts: [{ attemptNumber: 1, result: 'success' }]
+    });
+    jest.spyOn(Order, 'findById').mockResolvedValue(inbound);
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('picks up the old item with the replacement delivery', async () => {
+    const { status } = await exchangeService.recordOutcome(outbound, { result: 'collected' }, 'driver-user');
+
+    expect(status).toBe('completed');
+    expect(outbound.exchange.status).toBe('completed');
+    expect(outbound.deliveryAttempts[0].pickup.result).toBe('collected');
+    expect(inbound.status).toBe('picked_up');
+    expect(inbound.assignedDriver).toEqual(deliveringDriver);
+    expect(inbound.tracking.statusHistory.map(entry => entry.status)).toEqual(['pickup_scheduled', 'picked_up']);
+  });
+
+  test('collects an inbound leg a batch already scheduled and frees the driver it went to', async () => {
+    const otherDriver = new Driver({ driverCode: 'DRV000002', activeDeliveries: [inbound._id] });
+    inbound.status = 'pickup_scheduled';
+    inbound.assignedDriver = otherDriver._id;
+    jest.spyOn(Driver, 'findById').mockResolvedValue(otherDriver);
+    const release = jest.spyOn(otherDriver, 'releaseOrder').mockResolvedValue(otherDriver);
+
+    const { status } = await exchangeService.recordOutcome(outbound, { result: 'collected' }, 'driver-user');
+
+    expect(status).toBe('completed');
+    expect(release).toHaveBeenCalledWith(inbound._id);
+    expect(inbound.status).toBe('picked_up');
+    expect(inbound.assignedDriver).toEqual(deliveringDriver);
+  });
+
+  test('cancels the pickup when the replacement is returned', async () => {
+    outbound.status = 'returned';
+
+    const { status } = await exchangeService.recordOutcome(outbound, {}, 'driver-user');
+
+    expect(status).toBe('failed');
+    expect(inbound.status).toBe('cancelled');
+    expect(inbound.exchange.resolvedAt).toBeInstanceOf(Date);
+  });
+
+  test('turns an item not handed over into a pickup of its own', async () => {
+    jest.spyOn(exchangeService, 'notifyNotCollected').mockResolvedValue();
+    const autoAssign = jest.spyOn(dispatchService, 'autoAssignConfirmedOrder').mockResolvedValue(null);
+
+    const { status } = await exchangeService.recordOutcome(
+      outbound,
+      { result: 'not_collected', reason: 'Customer kept it' },
+      'driver-user'
+    );
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(status).toBe('delivered_not_collected');
+    expect(inbound.status).toBe('confirmed');
+    expect(inbound.exchange.pickupFailureReason).toBe('Customer kept it');
+    expect(autoAssign).toHaveBeenCalledWith(inbound._id);
+  });
+
+  test('records the outcome on an inbound leg that has already moved on', async () => {
+    inbound.status = 'picked_up';
+
+    const { status } = await exchangeService.recordOutcome(outbound, { result: 'collected' }, 'driver-user');
+
+    expect(status).toBe('completed');
+    expect(inbound.status).toBe('picked_up');
+    expect(inbound.exchange.status).toBe('completed');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * GeoJSON polygon helpers
+ *
+ * MongoDB answers "which zone contains this point" with $geoIntersects; these
+ * helpers validate uploaded shapes before they reach the 2dsphere index and
+ * test points against shapes already loaded in memory (hub service areas,
+ * driver working zones). Containment uses planar ray casting on
+ * longitude/latitude, which is accurate at city and region scale.
+ */
+
+const AREA_TYPES = ['Polygon', 'MultiPolygon'];
+
+const isPosition = position => Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+/**
+ * Problem with a linear ring, or null when valid
+ * @param {Array} ring - Positions
+ * @returns {string|null}
+ */
+const validateRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return 'Each ring needs at least 4 positions';
+  }
+  if (!ring.every(isPosition)) {
+    return 'Positions must be [longitude, latitude] within range';
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return 'Rings must be closed (first and last positions equal)';
+  }
+  return null;
+};
+
+const validatePolygon = (rings) => {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    return 'A polygon needs at least one ring';
+  }
+  for (const ring of rings) {
+    const problem = validateRing(ring);
+    if (problem) return problem;
+  }
+  return null;
+};
+
+/**
+ * Problem with a service area geometry, or null when valid
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {string|null}
+ */
+const validateGeometry = (geometry) => {
+  if (!geometry || !AREA_TYPES.includes(geometry.type)) {
+    return `Geometry type must be one of: ${AREA_TYPES.join(', ')}`;
+  }
+  if (geometry.type === 'Polygon') {
+    return validatePolygon(geometry.coordinates);
+  }
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return 'A MultiPolygon needs at least one polygon';
+  }
+  for (const polygon of geometry.coordinates) {
+    const problem = validatePolygon(polygon);
+    if (problem) return problem;
+  }
+  return null;
+};
+
+/**
+ * Geometry of a GeoJSON Feature, or the object itself when it is a geometry
+ * @param {Object} input - Feature or geometry
+ * @returns {Object|null}
+ */
+const toGeometry = (input) => {
+  if (!input) return null;
+  return input.type === 'Feature' ? input.geometry : input;
+};
+
+const ringContains = (ring, [x, y]) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+const polygonContains = (rings, point) => ringContains(rings[0], point) &&
+  !rings.slice(1).some(hole => ringContains(hole, point));
+
+/**
+ * Check a point lies inside a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {Array} point - [longitude, latitude]
+ * @returns {boolean}
+ */
+const containsPoint = (geometry, point) => {
+  if (!geometry || !isPosition(point)) return false;
+  if (geometry.type === 'Polygon') {
+    return polygonContains(geometry.coordinates, point);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => polygonContains(polygon, point));
+  }
+  return false;
+};
+
+module.exports = {
+  AREA_TYPES,
+  isPosition,
+  validateGeometry,
+  toGeometry,
+  containsPoint
+};
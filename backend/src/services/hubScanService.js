@@ -0,0 +1,433 @@
+const Hub = require('../models/Hub');
+const HubScan = require('../models/HubScan');
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const Bag = require('../models/Bag');
+const sequenceService = require('./sequenceService');
+const { assertTransition } = require('./orderLifecycle');
+
+// Orders physically in the hub; 'incoming' entries are announced but not scanned yet
+const IN_HUB_STATUSES = ['processing', 'ready_for_pickup'];
+
+/**
+ * @param {string} message
+ * @param {number} statusCode
+ * @param {string} code - Machine readable reason
+ * @param {string} result - How the scan is logged (rejected or missort)
+ * @param {Object} extra - Extra fields for the response
+ */
+const scanError = (message, statusCode, code, result = 'rejected', extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.scanResult = result;
+  Object.assign(error, extra);
+  return error;
+};
+
+class HubScanService {
+  /**
+   * The hub's entry for an order, from the loaded hub document
+   * @param {Object} hub - Hub document
+   * @param {Object} order - Order document
+   * @returns {Object|undefined}
+   */
+  findEntry(hub, order) {
+    return hub.currentOrders.find(entry => entry.order && entry.order.equals(order._id));
+  }
+
+  /**
+   * The hub's entry for an order that has been scanned in and not yet scanned out
+   * @param {Object} hub - Hub document
+   * @param {Object} order - Order document
+   * @returns {Object|undefined}
+   */
+  findInHubEntry(hub, order) {
+    const entry = this.findEntry(hub, order);
+    return entry && IN_HUB_STATUSES.includes(entry.status) ? entry : undefined;
+  }
+
+  /**
+   * Hub an order should travel to next: the line-haul bin's destination once
+   * sorted to one, otherwise the hub that delivers it
+   * @param {Object} hub - Hub document
+   * @param {Object} entry - Hub current order entry
+   * @param {Object} order - Order document
+   * @returns {ObjectId|null} Next hub, or null when it is delivered from this hub
+   */
+  nextHub(hub, entry, order) {
+    const bin = entry && entry.bin && (hub.sortBins || []).find(sortBin => sortBin.code === entry.bin);
+    const next = bin && bin.type === 'linehaul' ? bin.destinationHub : order.assignedHub;
+    return next && !next.equals(hub._id) ? next : null;
+  }
+
+  /**
+   * Bins an order may be sorted to, or null when the hub has no bins configured
+   * @param {Object} hub - Hub document
+   * @param {Object} order - Order document
+   * @returns {Array|null} Sort bins
+   */
+  expectedBins(hub, order) {
+    const bins = hub.sortBins || [];
+    if (bins.length === 0) return null;
+
+    const destination = order.assignedHub;
+    if (destination && !destination.equals(hub._id)) {
+      return bins.filter(bin => bin.type === 'linehaul' && bin.destinationHub && bin.destinationHub.equals(destination));
+    }
+
+    const zone = order.serviceArea && order.serviceArea.zone;
+    return bins.filter(bin => bin.type === 'route' &&
+      (bin.zones.length === 0 || (zone && bin.zones.some(binZone => binZone.equals(zone)))));
+  }
+
+  /**
+   * Look up the order, run the scan and log it, including failed scans
+   * @param {Object} hub - Hub document
+   * @param {string} trackingNumber
+   * @param {string} type - in, sort or out
+   * @param {string} userId - Scanning user
+   * @param {Function} scan - async (order) => { result, message, bin, driver, destinationHub }
+   * @returns {Promise<Object>} Scan outcome with the logged scan and order
+   */
+  async record(hub, trackingNumber, type, userId, scan) {
+    const normalized = String(trackingNumber || '').trim().toUpperCase();
+    let order = null;
+
+    try {
+      if (!normalized) {
+        throw scanError('Tracking number is required', 400, 'TRACKING_REQUIRED');
+      }
+      if (!sequenceService.isValidTrackingNumber(normalized)) {
+        throw scanError('Invalid tracking number', 400, 'INVALID_TRACKING_NUMBER');
+      }
+
+      order = await Order.findOne({ 'tracking.trackingNumber': normalized });
+      if (!order) {
+        throw scanError('Tracking number not found', 404, 'NOT_FOUND');
+      }
+
+      const outcome = await scan(order);
+      const logged = await HubScan.create({
+        hub: hub._id,
+        order: order._id,
+        trackingNumber: normalized,
+        type,
+        result: outcome.result,
+        bin: outcome.bin,
+        driver: outcome.driver,
+        destinationHub: outcome.destinationHub,
+        message: outcome.message,
+        scannedBy: userId
+      });
+
+      return { ...outcome, scan: logged, order };
+    } catch (error) {
+      if (error.statusCode && normalized) {
+        await HubScan.create({
+          hub: hub._id,
+          order: order ? order._id : undefined,
+          trackingNumber: normalized,
+          type,
+          result: error.scanResult || 'rejected',
+          message: error.message,
+          scannedBy: userId
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Scan a parcel into the hub and mark the order at_hub
+   * @param {Object} hub - Hub document
+   * @param {string} trackingNumber
+   * @param {string} userId
+   * @returns {Promise<Object>} Scan outcome
+   */
+  scanIn(hub, trackingNumber, userId) {
+    return this.record(hub, trackingNumber, 'in', userId, async order => {
+      const entry = this.findEntry(hub, order);
+      if (entry && IN_HUB_STATUSES.includes(entry.status)) {
+        return { result: 'duplicate', message: 'Already scanned in' };
+      }
+
+      const needsTransition = order.status !== 'at_hub';
+      if (needsTransition) {
+        assertTransition(order, 'at_hub');
+      }
+
+      const now = new Date();
+      if (entry) {
+        await Hub.updateOne(
+          { _id: hub._id, currentOrders: { $elemMatch: { order: order._id, status: 'incoming' } } },
+          { $set: { 'currentOrders.$.status': 'processing', 'currentOrders.$.arrivedAt': now } }
+        );
+      } else {
+        const added = await Hub.updateOne(
+          {
+            _id: hub._id,
+            'currentOrders.order': { $ne: order._id },
+            $expr: { $lt: ['$capacity.currentLoad', '$capacity.maxOrders'] }
+          },
+          {
+            $push: {
+              currentOrders: {
+                order: order._id,
+                status: 'processing',
+                arrivedAt: now,
+                assignedDriver: order.assignedDriver
+              }
+            },
+            $inc: { 'capacity.currentLoad': 1 }
+          }
+        );
+
+        if (added.modifiedCount === 0) {
+          const current = await Hub.findById(hub._id).select('currentOrders capacity');
+          if (this.findEntry(current, order)) {
+            return { result: 'duplicate', message: 'Already scanned in' };
+          }
+          throw scanError(`Hub ${hub.code} is at capacity (${current.capacity.maxOrders} orders)`, 409, 'HUB_FULL');
+        }
+      }
+
+      if (needsTransition) {
+        if (!order.assignedHub) {
+          order.assignedHub = hub._id;
+        }
+        try {
+          await order.updateStatus('at_hub', `Scanned in at ${hub.code}`, userId, {
+            location: hub.address.coordinates
+          });
+        } catch (error) {
+          if (entry) {
+            await Hub.updateOne(
+              { _id: hub._id, 'currentOrders.order': order._id },
+              { $set: { 'currentOrders.$.status': 'incoming' } }
+            );
+          } else {
+            await this.removeEntry(hub, order);
+          }
+          throw error;
+        }
+      }
+
+      const expected = this.expectedBins(hub, order);
+      const transit = order.assignedHub && !order.assignedHub.equals(hub._id);
+      return {
+        result: 'ok',
+        message: transit ? 'Scanned in, in transit to another hub' : 'Scanned in',
+        expectedBins: expected ? expected.map(bin => bin.code) : null
+      };
+    });
+  }
+
+  /**
+   * Sort a scanned-in parcel to a bin, rejecting bins that do not match its destination
+   * @param {Object} hub - Hub document
+   * @param {string} trackingNumber
+   * @param {string} bin - Bin code
+   * @param {string} userId
+   * @returns {Promise<Object>} Scan outcome
+   */
+  sort(hub, trackingNumber, bin, userId) {
+    return this.record(hub, trackingNumber, 'sort', userId, async order => {
+      if (!bin) {
+        throw scanError('Bin is required', 400, 'BIN_REQUIRED');
+      }
+      const code = String(bin).trim().toUpperCase();
+
+      const entry = this.findEntry(hub, order);
+      if (!entry || !IN_HUB_STATUSES.includes(entry.status)) {
+        throw scanError('Order has not been scanned in at this hub', 409, 'NOT_IN_HUB');
+      }
+      if (entry.status === 'ready_for_pickup' && entry.bin === code) {
+        return { result: 'duplicate', message: `Already sorted to ${code}`, bin: code };
+      }
+
+      const expected = this.expectedBins(hub, order);
+      if (expected) {
+        if (!hub.sortBins.some(sortBin => sortBin.code === code)) {
+          throw scanError(`Unknown bin ${code}`, 400, 'UNKNOWN_BIN');
+        }
+        if (!expected.some(sortBin => sortBin.code === code)) {
+          const expectedCodes = expected.map(sortBin => sortBin.code);
+          throw scanError(
+            `Mis-sort: belongs in ${expectedCodes.length > 0 ? expectedCodes.join(', ') : 'no configured bin'}, not ${code}`,
+            409,
+            'MISSORT',
+            'missort',
+            { expectedBins: expectedCodes }
+          );
+        }
+      }
+
+      await Hub.updateOne(
+        { _id: hub._id, currentOrders: { $elemMatch: { order: order._id, status: { $in: IN_HUB_STATUSES } } } },
+        {
+          $set: {
+            'currentOrders.$.status': 'ready_for_pickup',
+            'currentOrders.$.bin': code,
+            'currentOrders.$.processedAt': new Date()
+          }
+        }
+      );
+
+      return { result: 'ok', message: `Sorted to ${code}`, bin: code };
+    });
+  }
+
+  /**
+   * Scan a parcel out of the hub, either to a driver for delivery or onto line-haul to another hub
+   * @param {Object} hub - Hub document
+   * @param {string} trackingNumber
+   * @param {Object} target - { driverId } or { destinationHubId }
+   * @param {string} userId
+   * @returns {Promise<Object>} Scan outcome
+   */
+  scanOut(hub, trackingNumber, { driverId, destinationHubId } = {}, userId) {
+    return this.record(hub, trackingNumber, 'out', userId, async order => {
+      if (!driverId === !destinationHubId) {
+        throw scanError('Provide either driverId or destinationHubId', 400, 'TARGET_REQUIRED');
+      }
+
+      const entry = this.findEntry(hub, order);
+      if (!entry || !IN_HUB_STATUSES.includes(entry.status)) {
+        const last = await HubScan.findOne({ hub: hub._id, order: order._id, result: 'ok' }).sort({ createdAt: -1 });
+        if (last && last.type === 'out') {
+          return { result: 'duplicate', message: 'Already scanned out' };
+        }
+        throw scanError('Order has not been scanned in at this hub', 409, 'NOT_IN_HUB');
+      }
+
+      const bag = await Bag.findPendingForOrder(order._id);
+      if (bag) {
+        throw scanError(`Order is in bag ${bag.code}; it leaves on that bag's manifest`, 409, 'BAGGED');
+      }
+
+      const destination = order.assignedHub;
+      const bin = entry.bin && (hub.sortBins || []).find(sortBin => sortBin.code === entry.bin);
+      let driver = null;
+      let destinationHub = null;
+
+      if (driverId) {
+        if (destination && !destination.equals(hub._id)) {
+          throw scanError('Order is delivered from another hub; send it on line-haul', 409, 'MISSORT', 'missort');
+        }
+        if (bin && bin.type === 'linehaul') {
+          throw scanError(`Order is sorted to line-haul bin ${bin.code}`, 409, 'MISSORT', 'missort');
+        }
+        if (order.holdAtHub && order.holdAtHub.requestedAt) {
+          throw scanError('Customer asked to collect this order at the hub', 409, 'HOLD_AT_HUB');
+        }
+
+        driver = await Driver.findById(driverId);
+        if (!driver) {
+          throw scanError('Driver not found', 404, 'DRIVER_NOT_FOUND');
+        }
+        if (order.assignedDriver && !order.assignedDriver.equals(driver._id)) {
+          throw scanError('Order is assigned to another driver', 409, 'WRONG_DRIVER', 'missort');
+        }
+        const carrying = driver.activeDeliveries.some(id => id.equals(order._id));
+        if (!carrying && driver.activeDeliveries.length >= driver.preferences.maxDeliveries) {
+          throw scanError(`Driver ${driver.driverCode} is at maximum deliveries`, 409, 'DRIVER_FULL');
+        }
+
+        order.assignedDriver = driver._id;
+        assertTransition(order, 'out_for_delivery');
+      } else {
+        destinationHub = await Hub.findById(destinationHubId).select('code');
+        if (!destinationHub) {
+          throw scanError('Destination hub not found', 404, 'HUB_NOT_FOUND');
+        }
+        if (destinationHub._id.equals(hub._id)) {
+          throw scanError('Destination hub must be another hub', 400, 'SAME_HUB');
+        }
+
+        const expectedNext = this.nextHub(hub, entry, order);
+        if (!expectedNext) {
+          throw scanError('Order is delivered from this hub; scan it out to a driver', 409, 'MISSORT', 'missort');
+        }
+        if (!expectedNext.equals(destinationHub._id)) {
+          throw scanError(`Order is routed to another hub, not ${destinationHub.code}`, 409, 'MISSORT', 'missort');
+        }
+
+        assertTransition(order, 'in_transit');
+      }
+
+      const removed = await this.removeEntry(hub, order, true);
+      if (!removed) {
+        return { result: 'duplicate', message: 'Already scanned out' };
+      }
+
+      try {
+        if (driver) {
+          if (!driver.activeDeliveries.some(id => id.equals(order._id))) {
+            await driver.assignOrder(order._id);
+          }
+          await order.updateStatus('out_for_delivery', `Scanned out at ${hub.code} to driver ${driver.driverCode}`, userId, {
+            location: hub.address.coordinates
+          });
+        } else {
+          await order.updateStatus('in_transit', `Line-haul from ${hub.code} to ${destinationHub.code}`, userId, {
+            location: hub.address.coordinates
+          });
+        }
+      } catch (error) {
+        await this.restoreEntry(hub, entry);
+        throw error;
+      }
+
+      return {
+        result: 'ok',
+        message: driver ? `Out for delivery with ${driver.driverCode}` : `Dispatched to ${destinationHub.code}`,
+        bin: entry.bin,
+        driver: driver ? driver._id : undefined,
+        destinationHub: destinationHub ? destinationHub._id : undefined
+      };
+    });
+  }
+
+  /**
+   * Take an order off the hub and release its capacity
+   * @param {Object} hub - Hub document
+   * @param {Object} order - Order document
+   * @param {boolean} processed - Count it as processed (scan-out) rather than undone
+   * @returns {Promise<boolean>} Whether an entry was removed
+   */
+  async removeEntry(hub, order, processed = false) {
+    const inc = { 'capacity.currentLoad': -1 };
+    if (processed) {
+      inc['performance.stats.totalProcessed'] = 1;
+      inc['performance.stats.currentMonthProcessed'] = 1;
+    }
+
+    const result = await Hub.updateOne(
+      { _id: hub._id, 'currentOrders.order': order._id },
+      { $pull: { currentOrders: { order: order._id } }, $inc: inc }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Put back an entry removed by a scan-out that then failed
+   * @param {Object} hub - Hub document
+   * @param {Object} entry - Hub current order entry
+   */
+  async restoreEntry(hub, entry) {
+    await Hub.updateOne(
+      { _id: hub._id, 'currentOrders.order': { $ne: entry.order } },
+      {
+        $push: { currentOrders: entry.toObject() },
+        $inc: {
+          'capacity.currentLoad': 1,
+          'performance.stats.totalProcessed': -1,
+          'performance.stats.currentMonthProcessed': -1
+        }
+      }
+    );
+  }
+}
+
+module.exports = new HubScanService();
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Hub = require('../models/Hub');
+const HubScan = require('../models/HubScan');
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const Bag = require('../models/Bag');
+const hubScanService = require('./hubScanService');
+const { mockQuery } = require('../../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const TRACKING = 'TRK1697700000000ABCD';
+
+describe('hubScanService', () => {
+  const northZone = id();
+  const otherHub = id();
+  let hub;
+  let order;
+
+  beforeEach(() => {
+    hub = new Hub({
+      code: 'HUBC0001',
+      address: { coordinates: [31.24, 30.04] },
+      capacity: { maxOrders: 100, currentLoad: 0 },
+      sortBins: [
+        { code: 'R1', type: 'route', zones: [northZone] },
+        { code: 'LH-ALX', type: 'linehaul', destinationHub: otherHub }
+      ]
+    });
+    order = new Order({
+      status: 'in_transit',
+      tracking: { trackingNumber: TRACKING },
+      assignedHub: hub._id,
+      serviceArea: { status: 'inside', zone: northZone }
+    });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(HubScan, 'create').mockImplementation(async data => data);
+    jest.spyOn(order, 'updateStatus').mockImplementation(async function(status) {
+      this.status = status;
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const inHub = (status = 'processing', bin) => {
+    hub.currentOrders.push({ order: order._id, status, bin });
+  };
+
+  describe('scanIn', () => {
+    test('adds the order to the hub, marks it at_hub and suggests its bins', async () => {
+      const update = jest.spyOn(Hub, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const outcome = await hubScanService.scanIn(hub, TRACKING.toLowerCase(), 'staff-1');
+
+      expect(outcome).toMatchObject({ result: 'ok', message: 'Scanned in', expectedBins: ['R1'] });
+      expect(update.mock.calls[0][0].$expr).toEqual({ $lt: ['$capacity.currentLoad', '$capacity.maxOrders'] });
+      expect(order.status).toBe('at_hub');
+      expect(HubScan.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'in', result: 'ok', trackingNumber: TRACKING }));
+    });
+
+    test('logs a second scan as a duplicate without touching the hub', async () => {
+      inHub();
+      const update = jest.spyOn(Hub, 'updateOne');
+
+      await expect(hubScanService.scanIn(hub, TRACKING, 'staff-1')).resolves.toMatchObject({ result: 'duplicate' });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    test('refuses a full hub and logs the rejection', async () => {
+      jest.spyOn(Hub, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Hub, 'findById').mockReturnValue(mockQuery({ currentOrders: [], capacity: { maxOrders: 100 } }));
+
+      await expect(hubScanService.scanIn(hub, TRACKING, 'staff-1')).rejects.toMatchObject({ statusCode: 409, code: 'HUB_FULL' });
+      expect(HubScan.create).toHaveBeenCalledWith(expect.objectContaining({ result: 'rejected' }));
+    });
+
+    test('takes the entry back off the hub when the status change fails', async () => {
+      jest.spyOn(Hub, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      order.updateStatus.mockRejectedValue(new Error('write conflict'));
+
+      await expect(hubScanService.scanIn(hub, TRACKING, 'staff-1')).rejects.toThrow('write conflict');
+      expect(Hub.updateOne).toHaveBeenLastCalledWith(
+        { _id: hub._id, 'currentOrders.order': order._id },
+        { $pull: { currentOrders: { order: order._id } }, $inc: { 'capacity.currentLoad': -1 } }
+      );
+    });
+
+    test('rejects numbers that fail the tracking check', async () => {
+      await expect(hubScanService.scanIn(hub, 'TRK123', 'staff-1')).rejects.toMatchObject({ code: 'INVALID_TRACKING_NUMBER' });
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sort', () => {
+    test('logs a mis-sort with the bins the order belongs in', async () => {
+      inHub();
+
+      await expect(hubScanService.sort(hub, TRACKING, 'lh-alx', 'staff-1')).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'MISSORT',
+        expectedBins: ['R1']
+      });
+      expect(HubScan.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'sort', result: 'missort' }));
+    });
+
+    test('sorts to a matching bin and treats a repeat as a duplicate', async () => {
+      inHub();
+      const update = jest.spyOn(Hub, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(hubScanService.sort(hub, TRACKING, 'r1', 'staff-1')).resolves.toMatchObject({ result: 'ok', bin: 'R1' });
+      expect(update.mock.calls[0][1].$set['currentOrders.$.status']).toBe('ready_for_pickup');
+
+      hub.currentOrders[0].status = 'ready_for_pickup';
+      hub.currentOrders[0].bin = 'R1';
+      await expect(hubScanService.sort(hub, TRACKING, 'R1', 'staff-1')).resolves.toMatchObject({ result: 'duplicate' });
+    });
+
+    test('refuses orders that were never scanned in', async () => {
+      await expect(hubScanService.sort(hub, TRACKING, 'R1', 'staff-1')).rejects.toMatchObject({ code: 'NOT_IN_HUB' });
+    });
+  });
+
+  describe('scanOut', () => {
+    let driver;
+
+    beforeEach(() => {
+      order.status = 'at_hub';
+      driver = new Driver({ driverCode: 'DRV000001', preferences: { maxDeliveries: 5 } });
+      jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+      jest.spyOn(Bag, 'findPendingForOrder').mockResolvedValue(null);
+      jest.spyOn(driver, 'assignOrder').mockResolvedValue(driver);
+    });
+
+    test('hands the order to a driver for delivery', async () => {
+      inHub('ready_for_pickup', 'R1');
+      jest.spyOn(Hub, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const outcome = await hubScanService.scanOut(hub, TRACKING, { driverId: driver._id }, 'staff-1');
+
+      expect(outcome).toMatchObject({ result: 'ok', driver: driver._id, bin: 'R1' });
+      expect(driver.assignOrder).toHaveBeenCalledWith(order._id);
+      expect(order.status).toBe('out_for_delivery');
+    });
+
+    test('refuses a driver hand-off for an order sorted to line-haul', async () => {
+      inHub('ready_for_pickup', 'LH-ALX');
+
+      await expect(hubScanService.scanOut(hub, TRACKING, { driverId: driver._id }, 'staff-1'))
+        .rejects.toMatchObject({ code: 'MISSORT', scanResult: 'missort' });
+    });
+
+    test('keeps orders the customer will collect', async () => {
+      inHub('ready_for_pickup', 'R1');
+      order.holdAtHub = { hub: hub._id, requestedAt: new Date() };
+
+      await expect(hubScanService.scanOut(hub, TRACKING, { driverId: driver._id }, 'staff-1'))
+        .rejects.toMatchObject({ code: 'HOLD_AT_HUB' });
+    });
+
+    test('reports a repeat scan-out as a duplicate', async () => {
+      jest.spyOn(HubScan, 'findOne').mockReturnValue(mockQuery({ type: 'out' }));
+
+      await expect(hubScanService.scanOut(hub, TRACKING, { driverId: driver._id }, 'staff-1'))
+        .resolves.toMatchObject({ result: 'duplicate', message: 'Already scanned out' });
+    });
+
+    test('puts the entry back when the status change fails', async () => {
+      inHub('ready_for_pickup', 'R1');
+      const update = jest.spyOn(Hub, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      order.updateStatus.mockRejectedValue(new Error('write conflict'));
+
+      await expect(hubScanService.scanOut(hub, TRACKING, { driverId: driver._id }, 'staff-1')).rejects.toThrow('write conflict');
+      const [filter, change] = update.mock.calls[1];
+      expect(filter).toEqual({ _id: hub._id, 'currentOrders.order': { $ne: order._id } });
+      expect(change.$inc['capacity.currentLoad']).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,344 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+
+// A6 in PDF points (105 x 148 mm)
+const A6 = { width: 297.64, height: 419.53 };
+const MARGIN = 12;
+
+// A4 in PDF points, for line-haul manifests
+const A4 = { width: 595.28, height: 841.89 };
+const MANIFEST_MARGIN = 36;
+
+// A6 at 203 dpi (8 dots/mm) for thermal printers
+const ZPL_WIDTH = 832;
+const ZPL_HEIGHT = 1184;
+
+const LABEL_FORMATS = ['pdf', 'zpl'];
+
+class LabelService {
+  constructor() {
+    this.trackingUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Collect the fields printed on a label
+   * @param {Object} order - Order document (merchant optionally populated)
+   * @returns {Object} Label data
+   */
+  buildLabelData(order) {
+    const trackingNumber = order.tracking.trackingNumber;
+    const merchant = order.merchant && order.merchant.firstName
+      ? `${order.merchant.firstName} ${order.merchant.lastName}`
+      : null;
+    const isCod = order.payment && order.payment.method === 'cod';
+
+    return {
+      orderNumber: order.orderNumber,
+      trackingNumber,
+      trackingUrl: `${this.trackingUrl}/track/${trackingNumber}`,
+      sender: {
+        name: order.pickupAddress.contactPerson || merchant || '',
+        phone: order.pickupAddress.contactPhone || '',
+        lines: this.formatAddress(order.pickupAddress)
+      },
+      recipient: {
+        name: order.customerInfo.name,
+        phone: order.customerInfo.phone,
+        lines: this.formatAddress(order.customerInfo.address)
+      },
+      codAmount: isCod ? order.payment.codAmount || 0 : 0,
+      currency: order.pricing.currency,
+      serviceType: order.serviceType,
+      priority: order.priority,
+      isFragile: order.isFragileOrder,
+      requiresRefrigeration: order.requiresRefrigeration,
+      pieces: order.parcels && order.parcels.total > 0 ? order.parcels.total : 1,
+      weight: order.totalWeight
+    };
+  }
+
+  /**
+   * Format an address as printable lines
+   * @param {Object} address
+   * @returns {Array} Address lines
+   */
+  formatAddress(address = {}) {
+    return [
+      address.street,
+      [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+      address.country
+    ].filter(Boolean);
+  }
+
+  /**
+   * Render labels as a PDF, one A6 page per order
+   * @param {Array} orders - Order documents
+   * @returns {Promise<Buffer>} PDF contents
+   */
+  async renderPdf(orders) {
+    const labels = await Promise.all(orders.map(async order => {
+      const data = this.buildLabelData(order);
+      const [barcode, qrCode] = await Promise.all([
+        bwipjs.toBuffer({ bcid: 'code128', text: data.trackingNumber, scale: 2, height: 12, includetext: true, textxalign: 'center' }),
+        bwipjs.toBuffer({ bcid: 'qrcode', text: data.trackingUrl, scale: 3 })
+      ]);
+      return { data, barcode, qrCode };
+    }));
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [A6.width, A6.height], margin: MARGIN, autoFirstPage: false });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      labels.forEach(label => this.drawPdfLabel(doc, label));
+      doc.end();
+    });
+  }
+
+  /**
+   * Draw one label on a new page
+   * @param {PDFDocument} doc
+   * @param {Object} label - { data, barcode, qrCode }
+   */
+  drawPdfLabel(doc, { data, barcode, qrCode }) {
+    doc.addPage();
+    const width = A6.width - MARGIN * 2;
+    let y = MARGIN;
+
+    // Header: service and priority
+    doc.font('Helvetica-Bold').fontSize(14)
+      .text(data.serviceType.replace(/_/g, ' ').toUpperCase(), MARGIN, y, { width: width / 2 });
+    doc.fontSize(10)
+      .text(`PRIORITY: ${data.priority.toUpperCase()}`, MARGIN + width / 2, y + 3, { width: width / 2, align: 'right' });
+    y += 22;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).stroke();
+
+    // Tracking barcode
+    y += 6;
+    doc.image(barcode, MARGIN + 10, y, { fit: [width - 20, 60], align: 'center' });
+    y += 66;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).stroke();
+
+    // Addresses
+    y += 6;
+    y = this.drawPdfAddress(doc, 'FROM', data.sender, y, width);
+    y += 4;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).stroke();
+    y += 6;
+    y = this.drawPdfAddress(doc, 'TO', data.recipient, y, width, 11);
+    y += 4;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).stroke();
+
+    // COD, order details and QR code
+    y += 8;
+    const qrSize = 80;
+    doc.image(qrCode, MARGIN + width - qrSize, y, { fit: [qrSize, qrSize] });
+
+    const detailsWidth = width - qrSize - 8;
+    doc.font('Helvetica-Bold').fontSize(16)
+      .text(data.codAmount > 0 ? `COD ${data.codAmount.toFixed(2)} ${data.currency}` : 'PREPAID', MARGIN, y, { width: detailsWidth });
+    doc.font('Helvetica').fontSize(9)
+      .text(`Order: ${data.orderNumber}`, { width: detailsWidth })
+      .text(`Pieces: ${data.pieces}   Weight: ${data.weight} kg`, { width: detailsWidth });
+
+    const flags = [];
+    if (data.isFragile) flags.push('FRAGILE');
+    if (data.requiresRefrigeration) flags.push('KEEP REFRIGERATED');
+    if (flags.length) {
+      doc.moveDown(0.3).font('Helvetica-Bold').fontSize(11).text(flags.join(' | '), { width: detailsWidth });
+    }
+  }
+
+  /**
+   * Draw an address block
+   * @returns {number} Y position below the block
+   */
+  drawPdfAddress(doc, title, party, y, width, fontSize = 9) {
+    doc.font('Helvetica-Bold').fontSize(7).text(title, MARGIN, y);
+    doc.font('Helvetica-Bold').fontSize(fontSize)
+      .text(`${party.name}${party.phone ? '  ' + party.phone : ''}`, MARGIN, doc.y, { width });
+    doc.font('Helvetica').fontSize(fontSize - 1)
+      .text(party.lines.join('\n'), { width });
+    return doc.y;
+  }
+
+  /**
+   * Escape characters ZPL treats as commands in field data
+   * @param {*} value
+   * @returns {string}
+   */
+  zplText(value) {
+    return String(value == null ? '' : value).replace(/[\^~\\]/g, ' ');
+  }
+
+  /**
+   * Render labels as ZPL, one label per order
+   * @param {Array} orders - Order documents
+   * @returns {string} ZPL commands
+   */
+  renderZpl(orders) {
+    return orders.map(order => {
+      const data = this.buildLabelData(order);
+      const t = value => this.zplText(value);
+      const lines = [
+        '^XA',
+        '^CI28',
+        `^PW${ZPL_WIDTH}`,
+        `^LL${ZPL_HEIGHT}`,
+        `^FO30,30^A0N,45,45^FD${t(data.serviceType.replace(/_/g, ' ').toUpperCase())}^FS`,
+        `^FO30,40^FB772,1,0,R^A0N,30,30^FDPRIORITY: ${t(data.priority.toUpperCase())}^FS`,
+        '^FO30,90^GB772,3,3^FS',
+        `^FO60,115^BY3^BCN,140,Y,N,N^FD${t(data.trackingNumber)}^FS`,
+        '^FO30,310^GB772,3,3^FS',
+        '^FO30,330^A0N,24,24^FDFROM^FS',
+        `^FO30,360^A0N,30,30^FD${t(data.sender.name)}  ${t(data.sender.phone)}^FS`,
+        `^FO30,400^FB772,3,5^A0N,26,26^FD${data.sender.lines.map(t).join('\\&')}^FS`,
+        '^FO30,500^GB772,3,3^FS',
+        '^FO30,520^A0N,24,24^FDTO^FS',
+        `^FO30,550^A0N,40,40^FD${t(data.recipient.name)}  ${t(data.recipient.phone)}^FS`,
+        `^FO30,600^FB772,3,5^A0N,34,34^FD${data.recipient.lines.map(t).join('\\&')}^FS`,
+        '^FO30,730^GB772,3,3^FS',
+        `^FO30,760^A0N,55,55^FD${data.codAmount > 0 ? `COD ${data.codAmount.toFixed(2)} ${t(data.currency)}` : 'PREPAID'}^FS`,
+        `^FO30,830^A0N,28,28^FDOrder: ${t(data.orderNumber)}^FS`,
+        `^FO30,870^A0N,28,28^FDPieces: ${data.pieces}   Weight: ${data.weight} kg^FS`,
+        `^FO560,750^BQN,2,6^FDQA,${t(data.trackingUrl)}^FS`
+      ];
+
+      const flags = [];
+      if (data.isFragile) flags.push('FRAGILE');
+      if (data.requiresRefrigeration) flags.push('KEEP REFRIGERATED');
+      if (flags.length) {
+        lines.push(`^FO30,930^A0N,40,40^FD${flags.join(' | ')}^FS`);
+      }
+
+      lines.push('^XZ');
+      return lines.join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * Render a line-haul manifest as an A4 PDF: trip details, a bag summary and
+   * every order by bag, with signature lines for both hubs
+   * @param {Object} manifest - Manifest document (hubs and driver populated)
+   * @param {Array} bags - Bag documents on the manifest
+   * @param {Array} orders - Order documents in the bags
+   * @returns {Promise<Buffer>} PDF contents
+   */
+  async renderManifestPdf(manifest, bags, orders) {
+    const barcode = await bwipjs.toBuffer({
+      bcid: 'code128', text: manifest.manifestNumber, scale: 2, height: 10, includetext: true, textxalign: 'center'
+    });
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [A4.width, A4.height], margin: MANIFEST_MARGIN });
+      const chunks = [];
+      const width = A4.width - MANIFEST_MARGIN * 2;
+      const hubName = hub => (hub && hub.code ? `${hub.code} ${hub.name || ''}`.trim() : '');
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Header
+      doc.font('Helvetica-Bold').fontSize(16).text('LINE-HAUL MANIFEST', MANIFEST_MARGIN, MANIFEST_MARGIN);
+      doc.image(barcode, MANIFEST_MARGIN + width - 180, MANIFEST_MARGIN, { fit: [180, 50] });
+      doc.font('Helvetica').fontSize(10)
+        .text(`From: ${hubName(manifest.originHub)}`, MANIFEST_MARGIN, MANIFEST_MARGIN + 24)
+        .text(`To: ${hubName(manifest.destinationHub)}`)
+        .text(`Vehicle: ${[manifest.vehicle.type, manifest.vehicle.plateNumber].filter(Boolean).join(' ') || '-'}`)
+        .text(`Driver: ${manifest.driver && manifest.driver.driverCode ? manifest.driver.driverCode : '-'}`)
+        .text(`Dispatched: ${manifest.dispatchedAt ? manifest.dispatchedAt.toISOString() : 'not yet'}`)
+        .text(`Bags: ${manifest.totals.bags}   Orders: ${manifest.totals.orders}   Weight: ${manifest.totals.weight} kg`);
+      if (manifest.notes) {
+        doc.text(`Notes: ${manifest.notes}`, { width });
+      }
+
+      // Orders grouped by bag
+      const columns = [
+        { title: 'Tracking', x: 0, width: 150 },
+        { title: 'Order', x: 150, width: 110 },
+        { title: 'Destination', x: 260, width: 150 },
+        { title: 'Weight', x: 410, width: 50 },
+        { title: 'COD', x: 460, width: 63 }
+      ];
+      const row = (values, bold = false) => {
+        if (doc.y > A4.height - MANIFEST_MARGIN - 100) doc.addPage();
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        columns.forEach((column, index) => {
+          doc.text(values[index], MANIFEST_MARGIN + column.x, y, { width: column.width - 4, lineBreak: false, ellipsis: true });
+        });
+        doc.x = MANIFEST_MARGIN;
+        doc.y = y + 12;
+      };
+
+      bags.forEach(bag => {
+        doc.moveDown();
+        if (doc.y > A4.height - MANIFEST_MARGIN - 120) doc.addPage();
+        doc.font('Helvetica-Bold').fontSize(11)
+          .text(`Bag ${bag.code}   Seal ${bag.sealNumber || '-'}   ${bag.orders.length} orders, ${bag.totalWeight} kg`, MANIFEST_MARGIN, doc.y);
+        doc.moveDown(0.3);
+        row(columns.map(column => column.title), true);
+
+        bag.orders.forEach(item => {
+          const order = ordersById.get(item.order.toString());
+          const address = order ? order.customerInfo.address : {};
+          const isCod = order && order.payment && order.payment.method === 'cod';
+          row([
+            item.trackingNumber,
+            order ? order.orderNumber : '',
+            [address.city, address.state].filter(Boolean).join(', '),
+            `${item.weight} kg`,
+            isCod ? `${(order.payment.codAmount || 0).toFixed(2)} ${order.pricing.currency}` : '-'
+          ]);
+        });
+      });
+
+      // Hand-over signatures
+      if (doc.y > A4.height - MANIFEST_MARGIN - 80) doc.addPage();
+      const y = Math.max(doc.y + 30, A4.height - MANIFEST_MARGIN - 60);
+      doc.font('Helvetica').fontSize(9);
+      ['Released by (origin hub)', 'Driver', 'Received by (destination hub)'].forEach((label, index) => {
+        const x = MANIFEST_MARGIN + index * (width / 3);
+        doc.moveTo(x, y).lineTo(x + width / 3 - 20, y).stroke();
+        doc.text(label, x, y + 4, { width: width / 3 - 20 });
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Render labels in the requested format
+   * @param {Array} orders - Order documents
+   * @param {string} format - 'pdf' or 'zpl'
+   * @returns {Promise<Object>} { contentType, extension, body }
+   */
+  async render(orders, format = 'pdf') {
+    if (!LABEL_FORMATS.includes(format)) {
+      const error = new Error(`Unsupported label format. Allowed: ${LABEL_FORMATS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (format === 'zpl') {
+      return {
+        contentType: 'application/zpl',
+        extension: 'zpl',
+        body: this.renderZpl(orders)
+      };
+    }
+
+    return {
+      contentType: 'application/pdf',
+      extension: 'pdf',
+      body: await this.renderPdf(orders)
+    };
+  }
+}
+
+module.exports = new LabelService();
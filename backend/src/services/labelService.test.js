@@ -0,0 +1,63 @@
+const labelService = require('./labelService');
+
+const buildOrder = (overrides = {}) => ({
+  orderNumber: 'ORD26101900001',
+  tracking: { trackingNumber: 'TRK2610190000011' },
+  merchant: { firstName: 'Sara', lastName: 'Adel' },
+  pickupAddress: { street: '1 Port Rd', city: 'Alexandria', country: 'Egypt' },
+  customerInfo: {
+    name: 'Mona^Ali',
+    phone: '+201000000000',
+    address: { street: '5 Tahrir Sq', city: 'Cairo', zipCode: '11511', country: 'Egypt' }
+  },
+  payment: { method: 'cod', codAmount: 250 },
+  pricing: { currency: 'EGP' },
+  serviceType: 'same_day',
+  priority: 'high',
+  isFragileOrder: true,
+  requiresRefrigeration: false,
+  parcels: { total: 3 },
+  totalWeight: 4.5,
+  ...overrides
+});
+
+describe('labelService', () => {
+  test('collects the printed fields from an order', () => {
+    const data = labelService.buildLabelData(buildOrder());
+
+    expect(data).toMatchObject({
+      trackingNumber: 'TRK2610190000011',
+      trackingUrl: expect.stringMatching(/\/track\/TRK2610190000011$/),
+      sender: { name: 'Sara Adel', lines: ['1 Port Rd', 'Alexandria', 'Egypt'] },
+      recipient: { name: 'Mona^Ali', lines: ['5 Tahrir Sq', 'Cairo, 11511', 'Egypt'] },
+      codAmount: 250,
+      pieces: 3
+    });
+  });
+
+  test('prints prepaid orders without a COD amount', () => {
+    const zpl = labelService.renderZpl([buildOrder({ payment: { method: 'prepaid' } })]);
+    expect(zpl).toContain('^FDPREPAID^FS');
+    expect(zpl).not.toContain('COD ');
+  });
+
+  test('renders one escaped ZPL label per order', () => {
+    const zpl = labelService.renderZpl([buildOrder(), buildOrder({ orderNumber: 'ORD26101900002' })]);
+
+    expect(zpl.match(/\^XA/g)).toHaveLength(2);
+    expect(zpl).toContain('COD 250.00 EGP');
+    expect(zpl).toContain('Mona Ali');
+    expect(zpl).toContain('FRAGILE');
+  });
+
+  test('renders PDF labels', async () => {
+    const label = await labelService.render([buildOrder()], 'pdf');
+
+    expect(label.contentType).toBe('application/pdf');
+    expect(label.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('rejects unknown formats', async () => {
+    await expect(labelService.render([buildOrder()], 'png')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,452 @@
+const Bag = require('../models/Bag');
+const Manifest = require('../models/Manifest');
+const Hub = require('../models/Hub');
+const HubScan = require('../models/HubScan');
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const hubScanService = require('./hubScanService');
+const sequenceService = require('./sequenceService');
+const { assertTransition } = require('./orderLifecycle');
+
+const linehaulError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalize = trackingNumber => String(trackingNumber || '').trim().toUpperCase();
+
+class LinehaulService {
+  /**
+   * Load the two ends of a line-haul leg
+   * @param {string} originHubId
+   * @param {string} destinationHubId
+   * @returns {Promise<Object>} { originHub, destinationHub }
+   */
+  async loadHubs(originHubId, destinationHubId) {
+    if (!originHubId || !destinationHubId) {
+      throw linehaulError('originHubId and destinationHubId are required');
+    }
+    if (originHubId.toString() === destinationHubId.toString()) {
+      throw linehaulError('Origin and destination hubs must differ');
+    }
+
+    const [originHub, destinationHub] = await Promise.all([
+      Hub.findById(originHubId),
+      Hub.findById(destinationHubId)
+    ]);
+    if (!originHub) throw linehaulError('Origin hub not found', 404);
+    if (!destinationHub) throw linehaulError('Destination hub not found', 404);
+
+    return { originHub, destinationHub };
+  }
+
+  /**
+   * Open a new bag for orders going from one hub to another
+   * @param {Object} data - { originHubId, destinationHubId }
+   * @param {string} userId
+   * @returns {Promise<Object>} Bag document
+   */
+  async createBag({ originHubId, destinationHubId }, userId) {
+    const { originHub, destinationHub } = await this.loadHubs(originHubId, destinationHubId);
+
+    const bag = new Bag({
+      originHub: originHub._id,
+      destinationHub: destinationHub._id,
+      createdBy: userId
+    });
+    await bag.save();
+    return bag;
+  }
+
+  /**
+   * Put scanned-in orders into an open bag. Each tracking number is checked
+   * on its own so one bad scan does not block the rest.
+   * @param {Object} bag - Bag document
+   * @param {Array} trackingNumbers
+   * @param {string} userId
+   * @returns {Promise<Object>} { added, failed: [{ trackingNumber, message }] }
+   */
+  async addOrders(bag, trackingNumbers, userId) {
+    if (bag.status !== 'open') {
+      throw linehaulError(`Cannot add orders to a ${bag.status} bag`, 409);
+    }
+    if (!Array.isArray(trackingNumbers) || trackingNumbers.length === 0) {
+      throw linehaulError('trackingNumbers must be a non-empty array');
+    }
+
+    const hub = await Hub.findById(bag.originHub);
+    const result = { added: 0, failed: [] };
+
+    for (const raw of trackingNumbers) {
+      const trackingNumber = normalize(raw);
+      try {
+        if (!sequenceService.isValidTrackingNumber(trackingNumber)) {
+          throw linehaulError('Invalid tracking number', 400);
+        }
+        const order = await Order.findOne({ 'tracking.trackingNumber': trackingNumber });
+        if (!order) {
+          throw linehaulError('Tracking number not found', 404);
+        }
+
+        const entry = hubScanService.findInHubEntry(hub, order);
+        if (!entry) {
+          throw linehaulError(`Order has not been scanned in at ${hub.code}`, 409);
+        }
+        const next = hubScanService.nextHub(hub, entry, order);
+        if (!next || !next.equals(bag.destinationHub)) {
+          throw linehaulError('Order is not routed to this bag\'s destination hub', 409);
+        }
+        assertTransition(order, 'in_transit');
+
+        const other = await Bag.findPendingForOrder(order._id);
+        if (other && !other._id.equals(bag._id)) {
+          throw linehaulError(`Order is already in bag ${other.code}`, 409);
+        }
+        if (other) {
+          continue;
+        }
+
+        const pushed = await Bag.updateOne(
+          { _id: bag._id, status: 'open', 'orders.order': { $ne: order._id } },
+          {
+            $push: {
+              orders: {
+                order: order._id,
+                trackingNumber,
+                weight: order.totalWeight || 0,
+                addedAt: new Date(),
+                addedBy: userId
+              }
+            }
+          }
+        );
+        if (pushed.modifiedCount > 0) {
+          result.added++;
+        }
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        result.failed.push({ trackingNumber, message: error.message, code: error.code });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Take an order back out of an open bag
+   * @param {Object} bag - Bag document
+   * @param {string} trackingNumber
+   * @returns {Promise<void>}
+   */
+  async removeOrder(bag, trackingNumber) {
+    if (bag.status !== 'open') {
+      throw linehaulError(`Cannot remove orders from a ${bag.status} bag`, 409);
+    }
+
+    const removed = await Bag.updateOne(
+      { _id: bag._id, status: 'open', 'orders.trackingNumber': normalize(trackingNumber) },
+      { $pull: { orders: { trackingNumber: normalize(trackingNumber) } } }
+    );
+    if (removed.modifiedCount === 0) {
+      throw linehaulError('Order is not in this bag', 404);
+    }
+  }
+
+  /**
+   * Close a bag with a tamper seal
+   * @param {Object} bag - Bag document
+   * @param {string} sealNumber
+   * @param {string} userId
+   * @returns {Promise<Object>} Bag document
+   */
+  async sealBag(bag, sealNumber, userId) {
+    if (bag.status !== 'open') {
+      throw linehaulError(`Cannot seal a ${bag.status} bag`, 409);
+    }
+    if (bag.orders.length === 0) {
+      throw linehaulError('Cannot seal an empty bag');
+    }
+
+    bag.status = 'sealed';
+    bag.sealNumber = sealNumber;
+    bag.sealedAt = new Date();
+    bag.sealedBy = userId;
+    await bag.save();
+    return bag;
+  }
+
+  /**
+   * Put sealed bags on a new line-haul trip
+   * @param {Object} data - { originHubId, destinationHubId, bagIds, driverId, vehicle, notes }
+   * @param {string} userId
+   * @returns {Promise<Object>} Manifest document
+   */
+  async createManifest({ originHubId, destinationHubId, bagIds, driverId, vehicle = {}, notes }, userId) {
+    const { originHub, destinationHub } = await this.loadHubs(originHubId, destinationHubId);
+
+    if (!Array.isArray(bagIds) || bagIds.length === 0) {
+      throw linehaulError('bagIds must be a non-empty array');
+    }
+
+    const bags = await Bag.find({ _id: { $in: bagIds } });
+    if (bags.length !== new Set(bagIds.map(String)).size) {
+      throw linehaulError('One or more bags not found', 404);
+    }
+    for (const bag of bags) {
+      if (bag.status !== 'sealed' || bag.manifest) {
+        throw linehaulError(`Bag ${bag.code} must be sealed and not on another manifest`, 409);
+      }
+      if (!bag.originHub.equals(originHub._id) || !bag.destinationHub.equals(destinationHub._id)) {
+        throw linehaulError(`Bag ${bag.code} is for a different hub pair`, 409);
+      }
+    }
+
+    let driver = null;
+    if (driverId) {
+      driver = await Driver.findById(driverId).select('driverCode vehicle');
+      if (!driver) throw linehaulError('Driver not found', 404);
+    }
+
+    const manifest = new Manifest({
+      originHub: originHub._id,
+      destinationHub: destinationHub._id,
+      bags: bags.map(bag => bag._id),
+      driver: driver ? driver._id : undefined,
+      vehicle: {
+        type: vehicle.type || (driver ? driver.vehicle.type : undefined),
+        plateNumber: vehicle.plateNumber || (driver ? driver.vehicle.plateNumber : undefined)
+      },
+      totals: {
+        bags: bags.length,
+        orders: bags.reduce((total, bag) => total + bag.orders.length, 0),
+        weight: Math.round(bags.reduce((total, bag) => total + bag.totalWeight, 0) * 100) / 100
+      },
+      notes,
+      createdBy: userId
+    });
+    await manifest.save();
+
+    // Claim the bags; a concurrent manifest for the same bag loses
+    const claimed = await Bag.updateMany(
+      { _id: { $in: manifest.bags }, status: 'sealed', manifest: null },
+      { $set: { manifest: manifest._id } }
+    );
+    if (claimed.modifiedCount !== bags.length) {
+      await Bag.updateMany({ manifest: manifest._id }, { $unset: { manifest: 1 } });
+      await Manifest.deleteOne({ _id: manifest._id });
+      throw linehaulError('One or more bags were added to another manifest', 409);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Abandon a draft manifest and free its bags
+   * @param {Object} manifest - Manifest document
+   * @returns {Promise<Object>} Manifest document
+   */
+  async cancelManifest(manifest) {
+    if (manifest.status !== 'draft') {
+      throw linehaulError(`Cannot cancel a ${manifest.status} manifest`, 409);
+    }
+
+    manifest.status = 'cancelled';
+    await manifest.save();
+    await Bag.updateMany({ manifest: manifest._id }, { $unset: { manifest: 1 } });
+    return manifest;
+  }
+
+  /**
+   * Send the truck: every manifested order leaves the origin hub and goes in_transit.
+   * Each order is logged as it leaves, so a dispatch that failed partway can be
+   * retried: orders already in transit only went there on this manifest and are skipped.
+   * @param {Object} manifest - Manifest document
+   * @param {string} userId
+   * @returns {Promise<Object>} Manifest document
+   */
+  async dispatchManifest(manifest, userId) {
+    if (manifest.status !== 'draft') {
+      throw linehaulError(`Cannot dispatch a ${manifest.status} manifest`, 409);
+    }
+
+    const [originHub, destinationHub, bags] = await Promise.all([
+      Hub.findById(manifest.originHub),
+      Hub.findById(manifest.destinationHub).select('code'),
+      Bag.find({ manifest: manifest._id })
+    ]);
+    const items = bags.flatMap(bag => bag.orders.map(item => ({ bag, item })));
+    const orders = await Order.find({ _id: { $in: items.map(({ item }) => item.order) } });
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+    // Bagged orders cannot leave a hub any other way than on their bag's manifest
+    const pending = items.filter(({ item }) => {
+      const order = ordersById.get(item.order.toString());
+      return !order || order.status !== 'in_transit';
+    });
+
+    // Check everything before moving anything
+    const problems = [];
+    for (const { bag, item } of pending) {
+      const order = ordersById.get(item.order.toString());
+      try {
+        if (!order) throw linehaulError('Order no longer exists', 404);
+        assertTransition(order, 'in_transit');
+      } catch (error) {
+        problems.push({ bag: bag.code, trackingNumber: item.trackingNumber, message: error.message });
+      }
+    }
+    if (problems.length > 0) {
+      const error = linehaulError('Some bagged orders cannot be dispatched', 409);
+      error.details = problems;
+      throw error;
+    }
+
+    const now = new Date();
+    for (const { bag, item } of pending) {
+      const order = ordersById.get(item.order.toString());
+      await hubScanService.removeEntry(originHub, order, true);
+      await order.updateStatus(
+        'in_transit',
+        `Line-haul ${manifest.manifestNumber} bag ${bag.code} from ${originHub.code} to ${destinationHub.code}`,
+        userId,
+        { location: originHub.address.coordinates }
+      );
+      await HubScan.create({
+        hub: originHub._id,
+        order: order._id,
+        trackingNumber: item.trackingNumber,
+        type: 'out',
+        result: 'ok',
+        bin: bag.code,
+        driver: manifest.driver,
+        destinationHub: destinationHub._id,
+        message: `Dispatched on manifest ${manifest.manifestNumber}`,
+        scannedBy: userId
+      });
+    }
+
+    await Bag.updateMany({ manifest: manifest._id }, { $set: { status: 'dispatched' } });
+
+    manifest.status = 'dispatched';
+    manifest.dispatchedAt = now;
+    manifest.dispatchedBy = userId;
+    await manifest.save();
+    return manifest;
+  }
+
+  /**
+   * Unload a trip at the destination hub and reconcile it against the manifest.
+   * Bags listed in bagCodes arrived with their seal intact and count as fully
+   * received; trackingNumbers are loose scans from opened bags. Received orders
+   * are scanned in at the destination; anything not received, or whose scan-in
+   * failed, stays in_transit and is reported as missing. A received manifest
+   * takes further receipts, so late items come off the missing list.
+   * @param {Object} manifest - Manifest document
+   * @param {Object} receipt - { bagCodes, trackingNumbers }
+   * @param {string} userId
+   * @returns {Promise<Object>} { manifest, failed: [{ trackingNumber, message }] }
+   */
+  async receiveManifest(manifest, { bagCodes = [], trackingNumbers = [] } = {}, userId) {
+    if (!['dispatched', 'received'].includes(manifest.status)) {
+      throw linehaulError(`Cannot receive a ${manifest.status} manifest`, 409);
+    }
+    if (!Array.isArray(bagCodes) || !Array.isArray(trackingNumbers)) {
+      throw linehaulError('bagCodes and trackingNumbers must be arrays');
+    }
+    if (bagCodes.length === 0 && trackingNumbers.length === 0) {
+      throw linehaulError('Scan at least one bag or tracking number');
+    }
+
+    const [destinationHub, bags] = await Promise.all([
+      Hub.findById(manifest.destinationHub),
+      Bag.find({ manifest: manifest._id })
+    ]);
+
+    const expected = new Map();
+    bags.forEach(bag => bag.orders.forEach(item => {
+      expected.set(item.trackingNumber, { bag: bag.code, order: item.order });
+    }));
+
+    const intactBags = new Set(bagCodes.map(normalize));
+    const unknownBag = [...intactBags].find(code => !bags.some(bag => bag.code === code));
+    if (unknownBag) {
+      throw linehaulError(`Bag ${unknownBag} is not on this manifest`);
+    }
+
+    const received = new Set(trackingNumbers.map(normalize).filter(Boolean));
+    bags.filter(bag => intactBags.has(bag.code))
+      .forEach(bag => bag.orders.forEach(item => received.add(item.trackingNumber)));
+
+    // Items an earlier receipt already scanned in are not scanned again
+    const earlier = manifest.status === 'received' ? manifest.reconciliation : null;
+    const stillMissing = earlier ? new Set(earlier.missing.map(item => item.trackingNumber)) : null;
+    const extra = earlier ? earlier.extra.map(item => item.toObject()) : [];
+    const known = new Set(extra.map(item => item.trackingNumber));
+    const waitingFor = trackingNumber => !stillMissing || stillMissing.has(trackingNumber);
+    const isNew = trackingNumber => (expected.has(trackingNumber)
+      ? waitingFor(trackingNumber)
+      : !known.has(trackingNumber));
+
+    const failed = [];
+    const notScanned = new Map(); // trackingNumber -> why an expected item is not in yet
+    for (const trackingNumber of [...received].filter(isNew)) {
+      const item = expected.get(trackingNumber);
+      if (!item) {
+        extra.push({ trackingNumber, message: 'Not on this manifest' });
+      }
+
+      // Received items, including extras, are physically here: scan them in
+      try {
+        const outcome = await hubScanService.scanIn(destinationHub, trackingNumber, userId);
+        if (!item) {
+          extra[extra.length - 1].order = outcome.order._id;
+        }
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        failed.push({ trackingNumber, message: error.message, code: error.code });
+        if (item) notScanned.set(trackingNumber, `Scan-in failed: ${error.message}`);
+      }
+    }
+
+    const missing = [];
+    expected.forEach((item, trackingNumber) => {
+      if (waitingFor(trackingNumber) && (!received.has(trackingNumber) || notScanned.has(trackingNumber))) {
+        missing.push({
+          order: item.order,
+          trackingNumber,
+          bag: item.bag,
+          message: notScanned.get(trackingNumber) || 'Not found on arrival'
+        });
+      }
+    });
+
+    const now = new Date();
+    if (!earlier) {
+      await Bag.updateMany({ manifest: manifest._id }, { $set: { status: 'received', receivedAt: now } });
+      manifest.status = 'received';
+      manifest.receivedAt = now;
+      manifest.receivedBy = userId;
+    }
+    manifest.reconciliation = {
+      status: missing.length > 0 || extra.length > 0 ? 'discrepancy' : 'matched',
+      expected: expected.size,
+      received: expected.size - missing.length,
+      missing,
+      extra
+    };
+    await manifest.save();
+
+    if (manifest.reconciliation.status === 'discrepancy') {
+      await destinationHub.addNotification(
+        'alert',
+        `Manifest ${manifest.manifestNumber}: ${missing.length} missing, ${extra.length} extra`,
+        'high'
+      );
+    }
+
+    return { manifest, failed };
+  }
+}
+
+module.exports = new LinehaulService();
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Bag = require('../models/Bag');
+const Hub = require('../models/Hub');
+const HubScan = require('../models/HubScan');
+const Manifest = require('../models/Manifest');
+const Order = require('../models/Order');
+const hubScanService = require('./hubScanService');
+const linehaulService = require('./linehaulService');
+const { mockQuery } = require('../../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('linehaulService', () => {
+  const origin = { _id: id(), code: 'HUBC0001', address: { coordinates: [31.24, 30.04] } };
+  const destination = { _id: id(), code: 'HUBA0001', addNotification: jest.fn().mockResolvedValue() };
+  let orders;
+  let bag;
+  let manifest;
+
+  beforeEach(() => {
+    orders = ['TRK1697700000000AAAA', 'TRK1697700000000BBBB'].map(trackingNumber => new Order({
+      status: 'at_hub',
+      tracking: { trackingNumber }
+    }));
+    bag = new Bag({
+      code: 'BAG2610190001',
+      originHub: origin._id,
+      destinationHub: destination._id,
+      status: 'sealed',
+      orders: orders.map(order => ({ order: order._id, trackingNumber: order.tracking.trackingNumber, weight: 1 }))
+    });
+    manifest = new Manifest({
+      manifestNumber: 'MAN26101900001',
+      originHub: origin._id,
+      destinationHub: destination._id,
+      bags: [bag._id]
+    });
+    bag.manifest = manifest._id;
+
+    jest.spyOn(Hub, 'findById').mockImplementation(hubId => mockQuery(hubId.equals(origin._id) ? origin : destination));
+    jest.spyOn(Bag, 'find').mockResolvedValue([bag]);
+    jest.spyOn(Bag, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(HubScan, 'create').mockResolvedValue({});
+    jest.spyOn(manifest, 'save').mockResolvedValue(manifest);
+    orders.forEach(order => {
+      jest.spyOn(order, 'updateStatus').mockImplementation(async function(status) {
+        this.status = status;
+        return this;
+      });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('dispatchManifest', () => {
+    beforeEach(() => {
+      jest.spyOn(Order, 'find').mockResolvedValue(orders);
+    });
+
+    test('moves every order in transit and logs each one as it leaves', async () => {
+      const remove = jest.spyOn(hubScanService, 'removeEntry').mockResolvedValue(true);
+
+      await linehaulService.dispatchManifest(manifest, 'staff-1');
+
+      expect(orders.map(order => order.status)).toEqual(['in_transit', 'in_transit']);
+      expect(remove).toHaveBeenCalledTimes(2);
+      expect(HubScan.create).toHaveBeenCalledTimes(2);
+      expect(manifest.status).toBe('dispatched');
+    });
+
+    test('can be retried after failing partway, skipping orders already in transit', async () => {
+      const remove = jest.spyOn(hubScanService, 'removeEntry').mockResolvedValue(true);
+      orders[1].updateStatus.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(linehaulService.dispatchManifest(manifest, 'staff-1')).rejects.toThrow('connection lost');
+      expect(manifest.status).toBe('draft');
+      expect(orders[0].status).toBe('in_transit');
+
+      await linehaulService.dispatchManifest(manifest, 'staff-1');
+
+      expect(orders[0].updateStatus).toHaveBeenCalledTimes(1);
+      expect(remove).toHaveBeenLastCalledWith(origin, orders[1], true);
+      expect(HubScan.create).toHaveBeenCalledTimes(2);
+      expect(manifest.status).toBe('dispatched');
+    });
+
+    test('moves nothing when any order cannot leave', async () => {
+      const remove = jest.spyOn(hubScanService, 'removeEntry');
+      orders[1].status = 'delivered';
+
+      await expect(linehaulService.dispatchManifest(manifest, 'staff-1')).rejects.toMatchObject({
+        statusCode: 409,
+        details: [expect.objectContaining({ trackingNumber: 'TRK1697700000000BBBB' })]
+      });
+      expect(remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('receiveManifest', () => {
+    let scanIn;
+
+    beforeEach(() => {
+      manifest.status = 'dispatched';
+      scanIn = jest.spyOn(hubScanService, 'scanIn').mockResolvedValue({ result: 'ok' });
+    });
+
+    test('takes a late item off the missing list on a later receipt', async () => {
+      await linehaulService.receiveManifest(manifest, { trackingNumbers: ['trk1697700000000aaaa'] }, 'staff-1');
+
+      expect(manifest.status).toBe('received');
+      expect(manifest.reconciliation).toMatchObject({ status: 'discrepancy', expected: 2, received: 1 });
+      expect(manifest.reconciliation.missing.map(item => item.trackingNumber)).toEqual(['TRK1697700000000BBBB']);
+      expect(destination.addNotification).toHaveBeenCalled();
+
+      await linehaulService.receiveManifest(manifest, {
+        trackingNumbers: ['TRK1697700000000AAAA', 'TRK1697700000000BBBB']
+      }, 'staff-1');
+
+      expect(scanIn.mock.calls.map(call => call[1])).toEqual(['TRK1697700000000AAAA', 'TRK1697700000000BBBB']);
+      expect(manifest.reconciliation).toMatchObject({ status: 'matched', received: 2 });
+      expect(manifest.reconciliation.missing).toHaveLength(0);
+    });
+
+    test('keeps an item whose scan-in failed on the missing list', async () => {
+      scanIn.mockImplementation(async (hub, trackingNumber) => {
+        if (trackingNumber.endsWith('BBBB')) {
+          throw Object.assign(new Error('Hub HUBA0001 is at capacity (1 orders)'), { statusCode: 409, code: 'HUB_FULL' });
+        }
+        return { result: 'ok' };
+      });
+
+      const { failed } = await linehaulService.receiveManifest(manifest, { bagCodes: [bag.code] }, 'staff-1');
+
+      expect(failed).toEqual([expect.objectContaining({ trackingNumber: 'TRK1697700000000BBBB', code: 'HUB_FULL' })]);
+      expect(manifest.reconciliation.missing[0]).toMatchObject({
+        trackingNumber: 'TRK1697700000000BBBB',
+        message: 'Scan-in failed: Hub HUBA0001 is at capacity (1 orders)'
+      });
+
+      scanIn.mockResolvedValue({ result: 'ok' });
+      await linehaulService.receiveManifest(manifest, { bagCodes: [bag.code] }, 'staff-1');
+      expect(manifest.reconciliation.status).toBe('matched');
+    });
+
+    test('records an extra item once across receipts', async () => {
+      const stray = id();
+      scanIn.mockResolvedValue({ result: 'ok', order: { _id: stray } });
+
+      await linehaulService.receiveManifest(manifest, { bagCodes: [bag.code], trackingNumbers: ['TRK1697700000000CCCC'] }, 'staff-1');
+      await linehaulService.receiveManifest(manifest, { trackingNumbers: ['TRK1697700000000CCCC'] }, 'staff-1');
+
+      expect(manifest.reconciliation.extra).toHaveLength(1);
+      expect(manifest.reconciliation.extra[0]).toMatchObject({ trackingNumber: 'TRK1697700000000CCCC', order: stray });
+      expect(scanIn).toHaveBeenCalledTimes(3);
+    });
+
+    test('refuses a manifest that has not left', async () => {
+      manifest.status = 'draft';
+
+      await expect(linehaulService.receiveManifest(manifest, { bagCodes: [bag.code] }, 'staff-1'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
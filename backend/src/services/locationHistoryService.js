@@ -0,0 +1,201 @@
+const DriverLocation = require('../models/DriverLocation');
+const routeOptimizationService = require('./routeOptimizationService');
+
+const round = value => Math.round(value * 100) / 100;
+
+const historyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Statuses that bound the part of an order a driver was responsible for
+const TRIP_START_STATUSES = ['pickup_scheduled', 'picked_up', 'out_for_delivery'];
+const TRIP_END_STATUSES = ['delivered', 'failed_delivery', 'returned', 'cancelled'];
+
+class LocationHistoryService {
+  constructor() {
+    this.maxPoints = parseInt(process.env.LOCATION_HISTORY_MAX_POINTS, 10) || 10000;
+    this.defaultDwellMinutes = parseFloat(process.env.LOCATION_STOP_DWELL_MINUTES) || 5;
+    this.stopRadiusMeters = parseFloat(process.env.LOCATION_STOP_RADIUS_METERS) || 50;
+  }
+
+  /**
+   * A driver's path over a time range
+   * @param {Object} driver - Driver document
+   * @param {Object} options - { from, to, dwellMinutes }
+   * @returns {Promise<Object>} Path with distance, stops and GeoJSON
+   */
+  async getDriverPath(driver, { from, to, dwellMinutes } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      throw historyError('Invalid time range');
+    }
+
+    const points = await this.findPoints({ driver: driver._id, recordedAt: { $gte: start, $lte: end } });
+    return this.buildPath(driver, points, { from: start, to: end, dwellMinutes });
+  }
+
+  /**
+   * The path the assigned driver drove while carrying an order
+   * @param {Object} order - Order document
+   * @param {Object} options - { dwellMinutes }
+   * @returns {Promise<Object>} Path with distance, stops and GeoJSON
+   */
+  async getOrderPath(order, { dwellMinutes } = {}) {
+    if (!order.assignedDriver) {
+      throw historyError('Order has no assigned driver');
+    }
+
+    const history = order.tracking.statusHistory;
+    const started = history.find(entry => TRIP_START_STATUSES.includes(entry.status));
+    const ended = [...history].reverse().find(entry => TRIP_END_STATUSES.includes(entry.status));
+    const start = started ? started.timestamp : order.createdAt;
+    const end = ended && ended.timestamp > start ? ended.timestamp : new Date();
+
+    const points = await this.findPoints({
+      driver: order.assignedDriver,
+      recordedAt: { $gte: start, $lte: end },
+      orders: order._id
+    });
+    return this.buildPath({ _id: order.assignedDriver }, points, { from: start, to: end, dwellMinutes });
+  }
+
+  /**
+   * Load breadcrumbs in time order, refusing ranges too large to draw
+   * @param {Object} query
+   * @returns {Promise<Array>} Location points
+   */
+  async findPoints(query) {
+    const points = await DriverLocation.find(query)
+      .select('recordedAt coordinates heading speed accuracy')
+      .sort({ recordedAt: 1 })
+      .limit(this.maxPoints + 1)
+      .lean();
+
+    if (points.length > this.maxPoints) {
+      throw historyError(`More than ${this.maxPoints} points in range, narrow the time range`);
+    }
+    return points;
+  }
+
+  /**
+   * @returns {Object} Path summary
+   */
+  buildPath(driver, points, { from, to, dwellMinutes }) {
+    const dwell = dwellMinutes !== undefined && Number.isFinite(parseFloat(dwellMinutes))
+      ? parseFloat(dwellMinutes)
+      : this.defaultDwellMinutes;
+    const stops = this.detectStops(points, dwell);
+    const distance = this.pathDistance(points);
+
+    return {
+      driver: driver._id,
+      from,
+      to,
+      points: points.length,
+      distance,
+      startedAt: points.length > 0 ? points[0].recordedAt : null,
+      endedAt: points.length > 0 ? points[points.length - 1].recordedAt : null,
+      stops,
+      geojson: this.toGeoJSON(points, stops)
+    };
+  }
+
+  /**
+   * Total distance along the breadcrumbs
+   * @param {Array} points - Location points in time order
+   * @returns {number} Kilometres
+   */
+  pathDistance(points) {
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+      distance += routeOptimizationService.calculateDistance(points[i - 1].coordinates, points[i].coordinates);
+    }
+    return round(distance);
+  }
+
+  /**
+   * Places the driver stayed within the stop radius for at least the dwell time
+   * @param {Array} points - Location points in time order
+   * @param {number} dwellMinutes - Minimum stay to count as a stop
+   * @returns {Array} Stops { coordinates, arrivedAt, departedAt, durationMinutes }
+   */
+  detectStops(points, dwellMinutes) {
+    const stops = [];
+    const radiusKm = this.stopRadiusMeters / 1000;
+    let i = 0;
+
+    while (i < points.length) {
+      const anchor = points[i].coordinates;
+      let j = i + 1;
+      while (j < points.length &&
+             routeOptimizationService.calculateDistance(anchor, points[j].coordinates) <= radiusKm) {
+        j++;
+      }
+
+      const cluster = points.slice(i, j);
+      const arrivedAt = cluster[0].recordedAt;
+      const departedAt = cluster[cluster.length - 1].recordedAt;
+      const durationMinutes = (departedAt - arrivedAt) / 60000;
+
+      if (durationMinutes >= dwellMinutes) {
+        stops.push({
+          coordinates: [
+            cluster.reduce((sum, point) => sum + point.coordinates[0], 0) / cluster.length,
+            cluster.reduce((sum, point) => sum + point.coordinates[1], 0) / cluster.length
+          ],
+          arrivedAt,
+          departedAt,
+          durationMinutes: Math.round(durationMinutes)
+        });
+      }
+      i = j;
+    }
+
+    return stops;
+  }
+
+  /**
+   * GeoJSON for the dashboard map: the path as a LineString plus a Point per stop
+   * @param {Array} points - Location points in time order
+   * @param {Array} stops - Detected stops
+   * @returns {Object} FeatureCollection
+   */
+  toGeoJSON(points, stops) {
+    const features = [];
+
+    if (points.length > 0) {
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: points.map(point => point.coordinates)
+        },
+        properties: {
+          kind: 'path',
+          coordTimes: points.map(point => point.recordedAt)
+        }
+      });
+    }
+
+    stops.forEach((stop, index) => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: stop.coordinates },
+        properties: {
+          kind: 'stop',
+          sequence: index + 1,
+          arrivedAt: stop.arrivedAt,
+          departedAt: stop.departedAt,
+          durationMinutes: stop.durationMinutes
+        }
+      });
+    });
+
+    return { type: 'FeatureCollection', features };
+  }
+}
+
+module.exports = new LocationHistoryService();
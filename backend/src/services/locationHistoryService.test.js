@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const DriverLocation = require('../models/DriverLocation');
+const locationHistoryService = require('./locationHistoryService');
+const { mockQuery } = require('../../test/helpers');
+
+const start = new Date('2026-10-19T08:00:00Z');
+const at = minutes => new Date(start.getTime() + minutes * 60000);
+const point = (minutes, coordinates) => ({ recordedAt: at(minutes), coordinates });
+
+// About 1.1 km apart along a meridian
+const A = [31.2, 30.0];
+const B = [31.2, 30.01];
+
+describe('locationHistoryService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts a stay inside the stop radius as a stop only after the dwell time', () => {
+    const points = [
+      point(0, A),
+      point(3, [31.2001, 30.0001]),
+      point(7, A),
+      point(10, B),
+      point(12, B)
+    ];
+
+    const stops = locationHistoryService.detectStops(points, 5);
+
+    expect(stops).toHaveLength(1);
+    expect(stops[0]).toMatchObject({ arrivedAt: at(0), departedAt: at(7), durationMinutes: 7 });
+    expect(stops[0].coordinates[0]).toBeCloseTo(31.20003, 5);
+  });
+
+  test('sums the distance between consecutive points', () => {
+    expect(locationHistoryService.pathDistance([point(0, A), point(1, B), point(2, A)])).toBeCloseTo(2.22, 2);
+    expect(locationHistoryService.pathDistance([point(0, A)])).toBe(0);
+  });
+
+  test('draws the path as a line with a point per stop', () => {
+    const points = [point(0, A), point(1, B)];
+    const stops = [{ coordinates: B, arrivedAt: at(1), departedAt: at(9), durationMinutes: 8 }];
+
+    const geojson = locationHistoryService.toGeoJSON(points, stops);
+
+    expect(geojson.type).toBe('FeatureCollection');
+    expect(geojson.features[0].geometry).toEqual({ type: 'LineString', coordinates: [A, B] });
+    expect(geojson.features[0].properties.coordTimes).toEqual([at(0), at(1)]);
+    expect(geojson.features[1]).toMatchObject({
+      geometry: { type: 'Point', coordinates: B },
+      properties: { kind: 'stop', sequence: 1, durationMinutes: 8 }
+    });
+    expect(locationHistoryService.toGeoJSON([], []).features).toEqual([]);
+  });
+
+  test('refuses ranges with more points than can be drawn', async () => {
+    const maxPoints = locationHistoryService.maxPoints;
+    locationHistoryService.maxPoints = 2;
+    jest.spyOn(DriverLocation, 'find').mockReturnValue(mockQuery([point(0, A), point(1, A), point(2, A)]));
+
+    try {
+      await expect(locationHistoryService.findPoints({})).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'More than 2 points in range, narrow the time range'
+      });
+    } finally {
+      locationHistoryService.maxPoints = maxPoints;
+    }
+  });
+
+  test('rejects a driver path range that ends before it starts', async () => {
+    await expect(locationHistoryService.getDriverPath({ _id: 'driver' }, {
+      from: '2026-10-19T10:00:00Z',
+      to: '2026-10-19T09:00:00Z'
+    })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid time range' });
+  });
+
+  test('reads an order path between the driver taking it and the delivery', async () => {
+    const driverId = new mongoose.Types.ObjectId();
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      assignedDriver: driverId,
+      createdAt: at(-60),
+      tracking: {
+        statusHistory: [
+          { status: 'confirmed', timestamp: at(-30) },
+          { status: 'pickup_scheduled', timestamp: at(0) },
+          { status: 'out_for_delivery', timestamp: at(20) },
+          { status: 'delivered', timestamp: at(45) }
+        ]
+      }
+    };
+    const find = jest.spyOn(DriverLocation, 'find').mockReturnValue(mockQuery([point(5, A), point(40, B)]));
+
+    const path = await locationHistoryService.getOrderPath(order);
+
+    expect(find).toHaveBeenCalledWith({
+      driver: driverId,
+      recordedAt: { $gte: at(0), $lte: at(45) },
+      orders: order._id
+    });
+    expect(path).toMatchObject({ driver: driverId, points: 2, startedAt: at(5), endedAt: at(40) });
+    await expect(locationHistoryService.getOrderPath({ ...order, assignedDriver: null }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -4,7 +4,7 @@ const axios = require('axios');
 class NotificationService {
   constructor() {
     // Email transporter setup
-    this.emailTransporter = nodemailer.createTransporter({
+    this.emailTransporter = nodemailer.createTransport({
       service: process.env.EMAIL_SERVICE || 'gmail',
       auth: {
         user: process.env.EMAIL_USER,
@@ -358,6 +358,79 @@ class NotificationService {
         `
       },
 
+      failed_delivery: {
+        subject: `Delivery Attempt Failed - ${data.orderNumber}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #dc3545;">We Could Not Deliver Your Order</h2>
+            <p>Dear ${data.user?.firstName || data.customerName},</p>
+            <p>Our driver tried to deliver order <strong>${data.orderNumber}</strong> but could not: ${data.reason}.</p>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              ${data.policy === 'reschedule'
+                ? `<p>We will try again on <strong>${data.nextAttempt}</strong>.</p>`
+                : data.policy === 'hold'
+                  ? '<p>Your parcel is being held at our hub. Please contact us to arrange delivery.</p>'
+                  : '<p>Your parcel is being returned to the sender.</p>'}
+            </div>
+
+            <p>Track your order with: <strong>${data.trackingNumber}</strong></p>
+          </div>
+        `
+      },
+
+      failed_delivery_merchant: {
+        subject: `Delivery Failed (${data.reason}) - ${data.orderNumber}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #dc3545;">Delivery Attempt ${data.attemptNumber} of ${data.maxAttempts} Failed</h2>
+            <p>Order <strong>${data.orderNumber}</strong> for ${data.customerName} was not delivered.</p>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Reason:</strong> ${data.reason}</p>
+              <p><strong>Next step:</strong> ${data.policy === 'reschedule'
+                ? `Reattempt on ${data.nextAttempt}`
+                : data.policy === 'hold' ? 'Held at the hub until resolved' : 'Returning to you'}</p>
+            </div>
+          </div>
+        `
+      },
+
+      exchange_not_collected: {
+        subject: `Exchange Item Not Collected - ${data.orderNumber}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #ffc107;">Replacement Delivered, Old Item Not Collected</h2>
+            <p>The replacement for order <strong>${data.orderNumber}</strong> was delivered to ${data.customerName}, but the item being exchanged was not handed over.</p>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Reason:</strong> ${data.reason}</p>
+              <p><strong>Pickup order:</strong> ${data.inboundOrderNumber}</p>
+            </div>
+
+            <p>The pickup order stays open as a separate collection. Cancel it if you no longer need the item back.</p>
+          </div>
+        `
+      },
+
+      delivery_otp: {
+        subject: `Your delivery code for order ${data.orderNumber}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #007bff;">Your Order Is Out for Delivery</h2>
+            <p>Dear ${data.user?.firstName || data.customerName},</p>
+            <p>Give this code to the driver when your order arrives. Only share it once you have the package.</p>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+              <p style="font-size: 32px; letter-spacing: 8px; margin: 0;"><strong>${data.code}</strong></p>
+            </div>
+
+            <p><strong>Order Number:</strong> ${data.orderNumber}</p>
+            <p>The code expires at ${data.expiresAt}.</p>
+          </div>
+        `
+      },
+
       driver_assignment: {
         subject: `New Delivery Assignment - ${data.orderNumber}`,
         html: `
@@ -399,8 +472,12 @@ class NotificationService {
       order_picked_up: `Your order ${data.orderNumber} has been picked up by ${data.driverName}. Track: ${data.trackingNumber}`,
       order_out_for_delivery: `Your order ${data.orderNumber} is out for delivery! Expected within ${data.estimatedTime} minutes.`,
       order_delivered: `Order ${data.orderNumber} delivered successfully! Thank you for choosing our service.`,
+      tracking_access: `Your code to manage delivery of order ${data.orderNumber} is ${data.code}. It expires in ${data.minutes} minutes.`,
+      delivery_otp: `Your delivery code for order ${data.orderNumber} is ${data.code}. Only share it with the driver once you have the package.`,
       driver_assignment: `New delivery assigned: ${data.orderNumber}. Pickup: ${data.pickupAddress}. Check your app for details.`,
-      failed_delivery: `Delivery attempt failed for ${data.orderNumber}. Reason: ${data.reason}. We'll contact you to reschedule.`
+      failed_delivery: `Delivery attempt failed for ${data.orderNumber}. Reason: ${data.reason}. ${data.policy === 'reschedule'
+        ? `We'll try again on ${data.nextAttempt}.`
+        : data.policy === 'hold' ? 'Your parcel is held at our hub; please contact us.' : 'Your parcel is being returned to the sender.'}`
     };
 
     return templates[template] || `Notification: ${data.message || 'Update available'}`;
@@ -483,6 +560,32 @@ class NotificationService {
     return customerNotification;
   }
 
+  /**
+   * Send the customer the one-time code that confirms delivery
+   * @param {Object} order - Order document
+   * @param {string} code - Plain one-time code
+   * @param {Date} expiresAt
+   * @returns {Promise} Notification results
+   */
+  async notifyDeliveryOtp(order, code, expiresAt) {
+    return this.sendNotification({
+      user: {
+        email: order.customerInfo.email,
+        phone: order.customerInfo.phone,
+        firstName: order.customerInfo.name.split(' ')[0],
+        preferences: { notifications: { email: true, sms: true } }
+      },
+      channels: ['email', 'sms'],
+      template: 'delivery_otp',
+      templateData: {
+        orderNumber: order.orderNumber,
+        customerName: order.customerInfo.name,
+        code,
+        expiresAt: expiresAt.toLocaleString()
+      }
+    });
+  }
+
   /**
    * Send driver assignment notification
    * @param {Object} driver - Driver document
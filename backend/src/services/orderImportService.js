@@ -0,0 +1,408 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const { v4: uuidv4 } = require('uuid');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const ImportBatch = require('../models/ImportBatch');
+const pricingService = require('./pricingService');
+const zoneService = require('./zoneService');
+
+// Spreadsheet column -> order field. One row describes one order with one item line.
+const COLUMN_MAP = {
+  reference: 'metadata.sourceOrderId',
+  customer_name: 'customerInfo.name',
+  customer_phone: 'customerInfo.phone',
+  customer_email: 'customerInfo.email',
+  address_street: 'customerInfo.address.street',
+  address_city: 'customerInfo.address.city',
+  address_state: 'customerInfo.address.state',
+  address_zip: 'customerInfo.address.zipCode',
+  address_country: 'customerInfo.address.country',
+  address_notes: 'customerInfo.address.notes',
+  item_name: 'item.name',
+  item_description: 'item.description',
+  item_sku: 'item.sku',
+  item_quantity: 'item.quantity',
+  item_weight: 'item.weight',
+  item_value: 'item.value',
+  item_category: 'item.category',
+  item_fragile: 'item.isFragile',
+  item_refrigerated: 'item.requiresRefrigeration',
+  item_length: 'item.dimensions.length',
+  item_width: 'item.dimensions.width',
+  item_height: 'item.dimensions.height',
+  subtotal: 'pricing.subtotal',
+  shipping_cost: 'pricing.shippingCost',
+  taxes: 'pricing.taxes',
+  fees: 'pricing.fees',
+  discount: 'pricing.discount',
+  total: 'pricing.total',
+  currency: 'pricing.currency',
+  payment_method: 'payment.method',
+  cod_amount: 'payment.codAmount',
+  service_type: 'serviceType',
+  priority: 'priority',
+  special_instructions: 'specialInstructions'
+};
+
+const NUMBER_FIELDS = [
+  'item.quantity', 'item.weight', 'item.value',
+  'item.dimensions.length', 'item.dimensions.width', 'item.dimensions.height',
+  'pricing.subtotal', 'pricing.shippingCost', 'pricing.taxes', 'pricing.fees',
+  'pricing.discount', 'pricing.total', 'payment.codAmount'
+];
+
+const BOOLEAN_FIELDS = ['item.isFragile', 'item.requiresRefrigeration'];
+
+const SUPPORTED_TYPES = ['csv', 'xlsx'];
+
+// Generated or defaulted on save, so not reported per row
+const SKIPPED_PATHS = ['orderNumber', 'tracking.trackingNumber'];
+
+class OrderImportService {
+  constructor() {
+    this.maxRows = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+  }
+
+  /**
+   * Work out the file type from an uploaded file
+   * @param {Object} file - Multer file
+   * @returns {string|null} 'csv', 'xlsx' or null
+   */
+  getFileType(file) {
+    const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+    return SUPPORTED_TYPES.includes(extension) ? extension : null;
+  }
+
+  /**
+   * Normalise a header cell ("Customer Name" -> "customer_name")
+   * @param {string} header
+   * @returns {string}
+   */
+  normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  }
+
+  /**
+   * Read the first sheet of a CSV/XLSX buffer into row objects
+   * @param {Buffer} buffer - File contents
+   * @returns {Array} Rows keyed by normalised header, with spreadsheet row numbers
+   */
+  parseFile(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer', raw: false });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) return [];
+
+    const records = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+
+    return records.map((record, index) => {
+      const row = { __rowNumber: index + 2 };
+      Object.keys(record).forEach(header => {
+        row[this.normalizeHeader(header)] = typeof record[header] === 'string'
+          ? record[header].trim()
+          : record[header];
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Convert a spreadsheet cell to the type the order field expects
+   * @param {string} field - Order field path
+   * @param {*} value - Cell value
+   * @returns {*} Converted value, or the original string when it cannot be converted
+   */
+  convertValue(field, value) {
+    if (NUMBER_FIELDS.includes(field)) {
+      const number = Number(String(value).replace(/,/g, ''));
+      return Number.isNaN(number) ? value : number;
+    }
+    if (BOOLEAN_FIELDS.includes(field)) {
+      return ['true', 'yes', 'y', '1'].includes(String(value).toLowerCase());
+    }
+    return value;
+  }
+
+  /**
+   * Map one spreadsheet row to order data
+   * @param {Object} row - Parsed row
+   * @returns {Object} { orderData, errors }
+   */
+  mapRow(row) {
+    const orderData = {
+      customerInfo: { address: {} },
+      pricing: {},
+      payment: {},
+      metadata: {}
+    };
+    const item = { dimensions: {} };
+    const errors = [];
+
+    Object.keys(COLUMN_MAP).forEach(column => {
+      const value = row[column];
+      if (value === undefined || value === '') return;
+
+      const field = COLUMN_MAP[column];
+      const converted = this.convertValue(field, value);
+      if (NUMBER_FIELDS.includes(field) && typeof converted !== 'number') {
+        errors.push({ field: column, message: `${column} must be a number` });
+        return;
+      }
+
+      const [root, ...rest] = field.split('.');
+      let target = root === 'item' ? item : orderData;
+      const keys = root === 'item' ? rest : [root, ...rest];
+      keys.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[keys[keys.length - 1]] = converted;
+    });
+
+    // Coordinates need both halves to be usable
+    const longitude = Number(row.address_longitude);
+    const latitude = Number(row.address_latitude);
+    if (row.address_longitude !== undefined && row.address_longitude !== '' &&
+        row.address_latitude !== undefined && row.address_latitude !== '') {
+      if (Number.isNaN(longitude) || Number.isNaN(latitude)) {
+        errors.push({ field: 'address_longitude', message: 'Coordinates must be numbers' });
+      } else {
+        orderData.customerInfo.address.coordinates = [longitude, latitude];
+      }
+    }
+
+    orderData.items = [item];
+
+    if (!Object.keys(orderData.payment).length) {
+      delete orderData.payment;
+    }
+
+    return { orderData, errors };
+  }
+
+  /**
+   * Build, price and validate an order for every row
+   * @param {Array} rows - Parsed rows
+   * @param {Object} context - { merchantId, userId, role, merchantProfile, batchId }
+   * @returns {Promise<Array>} [{ row, reference, order, errors }]
+   */
+  async buildOrders(rows, context) {
+    const { merchantId, userId, role, merchantProfile, batchId } = context;
+    const results = [];
+
+    // References already imported, or repeated in this file, would create the order twice
+    const references = rows
+      .map(row => row.reference)
+      .filter(reference => reference !== undefined && reference !== '');
+    const existingOrders = references.length > 0
+      ? await Order.findBySourceOrderIds(merchantId, { source: 'manual' }, references)
+      : [];
+    const existingByReference = new Map(existingOrders.map(order => [order.metadata.sourceOrderId, order]));
+    const rowByReference = new Map();
+
+    for (const row of rows) {
+      const { orderData, errors } = this.mapRow(row);
+      const pickupLocationId = row.pickup_location_id || undefined;
+
+      const reference = orderData.metadata.sourceOrderId;
+      if (reference !== undefined) {
+        const existing = existingByReference.get(reference);
+        if (existing) {
+          errors.push({ field: 'reference', message: `Order ${existing.orderNumber} already exists for this reference` });
+        } else if (rowByReference.has(reference)) {
+          errors.push({ field: 'reference', message: `Duplicate of row ${rowByReference.get(reference)}` });
+        } else {
+          rowByReference.set(reference, row.__rowNumber);
+        }
+      }
+
+      try {
+        merchantProfile.applyOrderDefaults(orderData, pickupLocationId);
+      } catch (error) {
+        errors.push({ field: pickupLocationId ? 'pickup_location_id' : 'payment_method', message: error.message });
+      }
+
+      const order = new Order({
+        ...orderData,
+        merchant: merchantId,
+        metadata: {
+          ...orderData.metadata,
+          source: 'manual',
+          importBatch: batchId,
+          createdBy: userId
+        }
+      });
+
+      try {
+        await zoneService.applyToOrder(order);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        errors.push({ field: 'address_longitude', message: error.message });
+      }
+
+      // Sheet totals are only checked against the quote, never trusted
+      const pathsToSkip = [...SKIPPED_PATHS];
+      try {
+        await pricingService.applyToOrder(order, orderData.pricing, { role });
+        order.applyCodAmount();
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        errors.push({ field: 'pricing', message: error.message });
+        pathsToSkip.push('pricing.subtotal', 'pricing.shippingCost', 'pricing.total');
+      }
+
+      const validationError = order.validateSync(undefined, { pathsToSkip });
+      if (validationError) {
+        Object.keys(validationError.errors).forEach(field => {
+          errors.push({ field, message: validationError.errors[field].message });
+        });
+      }
+
+      results.push({
+        row: row.__rowNumber,
+        reference: orderData.metadata.sourceOrderId,
+        order,
+        errors
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate an uploaded file and, unless it is a dry run, create the valid orders
+   * @param {Object} options - { file, merchantId, userId, role, dryRun }
+   * @returns {Object} Import batch document
+   */
+  async importFile({ file, merchantId, userId, role, dryRun = false }) {
+    const fileType = this.getFileType(file);
+    if (!fileType) {
+      const error = new Error(`Unsupported file type. Allowed: ${SUPPORTED_TYPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let rows;
+    try {
+      rows = this.parseFile(file.buffer);
+    } catch (parseError) {
+      const error = new Error(`Could not read ${fileType.toUpperCase()} file: ${parseError.message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (rows.length === 0) {
+      const error = new Error('The file has no data rows');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (rows.length > this.maxRows) {
+      const error = new Error(`A single import is limited to ${this.maxRows} rows`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const merchantProfile = await Merchant.findByUser(merchantId);
+    if (!merchantProfile || !merchantProfile.canCreateOrders) {
+      const error = new Error(merchantProfile
+        ? `Merchant account is ${merchantProfile.status}`
+        : 'A merchant profile is required to create orders');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const batch = new ImportBatch({
+      batchId: `IMP${Date.now()}${uuidv4().slice(0, 4).toUpperCase()}`,
+      merchant: merchantId,
+      fileName: file.originalname,
+      fileType,
+      dryRun,
+      status: dryRun ? 'validated' : 'completed',
+      createdBy: userId
+    });
+
+    const results = await this.buildOrders(rows, {
+      merchantId,
+      userId,
+      role,
+      merchantProfile,
+      batchId: batch._id
+    });
+
+    const validResults = results.filter(result => result.errors.length === 0);
+
+    // Create the valid rows together; undo the lot if the database rejects any of them
+    if (!dryRun && validResults.length > 0) {
+      try {
+        for (const result of validResults) {
+          await result.order.save();
+        }
+      } catch (error) {
+        await Order.deleteMany({ 'metadata.importBatch': batch._id });
+        batch.status = 'failed';
+        validResults.forEach(result => {
+          result.errors.push({ field: 'database', message: 'Batch was not created: ' + error.message });
+        });
+      }
+    }
+
+    if (!dryRun && validResults.length === 0) {
+      batch.status = 'failed';
+    }
+
+    const created = !dryRun && batch.status === 'completed';
+
+    batch.rows = results.map(result => ({
+      row: result.row,
+      success: result.errors.length === 0,
+      order: created && result.errors.length === 0 ? result.order._id : undefined,
+      orderNumber: created && result.errors.length === 0 ? result.order.orderNumber : undefined,
+      reference: result.reference,
+      validationErrors: result.errors
+    }));
+    batch.orders = created ? validResults.map(result => result.order._id) : [];
+    batch.summary = {
+      totalRows: results.length,
+      validRows: validResults.length,
+      invalidRows: results.length - validResults.length,
+      createdOrders: batch.orders.length
+    };
+
+    await batch.save();
+    return batch;
+  }
+
+  /**
+   * Remove the orders created by an import batch that have not progressed yet
+   * @param {Object} batch - Import batch document
+   * @param {string} userId - User rolling back
+   * @returns {Object} Updated batch
+   */
+  async rollbackBatch(batch, userId) {
+    if (batch.dryRun || !['completed', 'partially_rolled_back'].includes(batch.status)) {
+      const error = new Error(`Cannot roll back a batch with status: ${batch.status}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const orders = await Order.find({ 'metadata.importBatch': batch._id }).select('status');
+    const removable = orders.filter(order => ['pending', 'confirmed'].includes(order.status));
+    const skipped = orders.filter(order => !['pending', 'confirmed'].includes(order.status));
+
+    await Order.deleteMany({ _id: { $in: removable.map(order => order._id) } });
+
+    batch.status = skipped.length > 0 ? 'partially_rolled_back' : 'rolled_back';
+    batch.rollback = {
+      rolledBackBy: userId,
+      rolledBackAt: new Date(),
+      removedOrders: (batch.rollback?.removedOrders || 0) + removable.length,
+      skippedOrders: skipped.map(order => ({ order: order._id, status: order.status }))
+    };
+
+    await batch.save();
+    return batch;
+  }
+}
+
+module.exports = new OrderImportService();
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const ImportBatch = require('../models/ImportBatch');
+const pricingService = require('./pricingService');
+const zoneService = require('./zoneService');
+const orderImportService = require('./orderImportService');
+const { mockQuery } = require('../../test/helpers');
+
+const HEADER = 'Reference,Customer Name,Customer Phone,Address Street,Address City,Item Name,Item Quantity,Item Weight,Item Value,Payment Method';
+
+const csvFile = (...lines) => ({
+  originalname: 'orders.csv',
+  buffer: Buffer.from([HEADER, ...lines].join('\n'))
+});
+
+// Row errors as plain objects
+const errorsOf = row => row.validationErrors.map(({ field, message }) => ({ field, message }));
+
+describe('orderImportService', () => {
+  const merchantId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.spyOn(Merchant, 'findByUser').mockResolvedValue(new Merchant({
+      user: merchantId,
+      businessName: 'Nile Goods',
+      status: 'approved',
+      pickupLocations: [{ label: 'Warehouse', street: '1 Port Rd', city: 'Alexandria', coordinates: [29.9, 31.2] }]
+    }));
+    jest.spyOn(Order, 'findBySourceOrderIds').mockResolvedValue([]);
+    jest.spyOn(Order, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(zoneService, 'applyToOrder').mockResolvedValue(null);
+    jest.spyOn(pricingService, 'applyToOrder').mockImplementation(async order => {
+      order.pricing.subtotal = 100;
+      order.pricing.shippingCost = 30;
+      order.pricing.total = 130;
+    });
+    jest.spyOn(ImportBatch.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads CSV rows with normalised headers and sheet row numbers', () => {
+    const rows = orderImportService.parseFile(csvFile('A-1,Mona,+20100,1 Nile St,Cairo,Shirt,2,0.5,100,cod').buffer);
+
+    expect(rows).toEqual([expect.objectContaining({
+      __rowNumber: 2,
+      reference: 'A-1',
+      customer_name: 'Mona',
+      item_quantity: '2'
+    })]);
+  });
+
+  test('reports cells that should be numbers', () => {
+    const { orderData, errors } = orderImportService.mapRow({ item_name: 'Shirt', item_weight: 'heavy', item_quantity: '1,000' });
+
+    expect(errors).toEqual([{ field: 'item_weight', message: 'item_weight must be a number' }]);
+    expect(orderData.items[0]).toMatchObject({ name: 'Shirt', quantity: 1000 });
+  });
+
+  test('refuses merchants that are not approved', async () => {
+    Merchant.findByUser.mockResolvedValue(new Merchant({ user: merchantId, businessName: 'Nile Goods', status: 'pending' }));
+
+    await expect(orderImportService.importFile({ file: csvFile('A-1,Mona,+20100,1 Nile St,Cairo,Shirt,2,0.5,100,cod'), merchantId }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Merchant account is pending' });
+  });
+
+  test('refuses users without a merchant profile', async () => {
+    Merchant.findByUser.mockResolvedValue(null);
+
+    await expect(orderImportService.importFile({ file: csvFile('A-1,Mona,+20100,1 Nile St,Cairo,Shirt,2,0.5,100,cod'), merchantId }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'A merchant profile is required to create orders' });
+    expect(ImportBatch.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('rejects unsupported files', async () => {
+    await expect(orderImportService.importFile({ file: { originalname: 'orders.pdf', buffer: Buffer.from('') }, merchantId }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('dry run validates every row without creating orders', async () => {
+    const save = jest.spyOn(Order.prototype, 'save');
+
+    const batch = await orderImportService.importFile({
+      file: csvFile(
+        'A-1,Mona,+20100,1 Nile St,Cairo,Shirt,2,0.5,100,cod',
+        'A-1,Omar,+20101,2 Nile St,Giza,Shoes,1,1,300,cod',
+        'A-3,,+20102,3 Nile St,Cairo,Hat,1,0.2,50,cod'
+      ),
+      merchantId,
+      dryRun: true
+    });
+
+    expect(save).not.toHaveBeenCalled();
+    expect(batch.status).toBe('validated');
+    expect(batch.summary).toMatchObject({ totalRows: 3, validRows: 1, invalidRows: 2, createdOrders: 0 });
+    expect(errorsOf(batch.rows[1])).toEqual([{ field: 'reference', message: 'Duplicate of row 2' }]);
+    expect(errorsOf(batch.rows[2]).map(error => error.field)).toContain('customerInfo.name');
+  });
+
+  test('flags references that were already imported', async () => {
+    Order.findBySourceOrderIds.mockResolvedValue([{ orderNumber: 'ORD26101900001', metadata: { sourceOrderId: 'A-1' } }]);
+
+    const batch = await orderImportService.importFile({
+      file: csvFile('A-1,Mona,+20100,1 Nile St,Cairo,Shirt,2,0.5,100,cod'),
+      merchantId,
+      dryRun: true
+    });
+
+    expect(Order.findBySourceOrderIds).toHaveBeenCalledWith(merchantId, { source: 'manual' }, ['A-1']);
+    expect(errorsOf(batch.rows[0])).toEqual([
+      { field: 'reference', message: 'Order ORD26101900001 already exists for this reference' }
+    ]);
+  });
+
+  test('removes the whole batch when the database rejects a row', async () => {
+    let saves = 0;
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+      saves += 1;
+      return saves === 2 ? Promise.reject(new Error('disk full')) : Promise.resolve(this);
+    });
+
+    const batch = await orderImportService.importFile({
+      file: csvFile(
+        'A-1,Mona,+20100,1 Nile St,Cairo,Shirt,2,0.5,100,cod',
+        'A-2,Omar,+20101,2 Nile St,Giza,Shoes,1,1,300,cod'
+      ),
+      merchantId
+    });
+
+    expect(Order.deleteMany).toHaveBeenCalledWith({ 'metadata.importBatch': batch._id });
+    expect(batch.status).toBe('failed');
+    expect(batch.orders).toEqual([]);
+    expect(batch.rows.every(row => row.order === undefined)).toBe(true);
+  });
+
+  test('rolls back only orders that have not progressed', async () => {
+    const pending = { _id: new mongoose.Types.ObjectId(), status: 'pending' };
+    const shipped = { _id: new mongoose.Types.ObjectId(), status: 'in_transit' };
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([pending, shipped]));
+    const batch = new ImportBatch({ batchId: 'IMP1', merchant: merchantId, fileName: 'orders.csv', fileType: 'csv', status: 'completed' });
+
+    await orderImportService.rollbackBatch(batch, merchantId);
+
+    expect(Order.deleteMany).toHaveBeenCalledWith({ _id: { $in: [pending._id] } });
+    expect(batch.status).toBe('partially_rolled_back');
+    expect(batch.rollback.skippedOrders).toEqual([expect.objectContaining({ status: 'in_transit' })]);
+  });
+});
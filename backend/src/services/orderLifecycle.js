@@ -0,0 +1,217 @@
+/**
+ * Order lifecycle
+ *
+ * Single source of truth for how an order moves between the statuses declared
+ * on the Order schema. Every status change (model methods, routes, controllers)
+ * goes through `transition`, which checks the move is legal, runs its guards
+ * and applies its side effects.
+ */
+
+// Legal next statuses for each status
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['pickup_scheduled', 'cancelled'],
+  pickup_scheduled: ['picked_up', 'confirmed', 'cancelled'],
+  picked_up: ['in_transit', 'at_hub', 'returned'],
+  in_transit: ['at_hub', 'out_for_delivery', 'returned'],
+  at_hub: ['in_transit', 'out_for_delivery', 'returned'],
+  out_for_delivery: ['delivered', 'failed_delivery', 'at_hub', 'returned'],
+  failed_delivery: ['out_for_delivery', 'at_hub', 'returned'],
+  delivered: ['returned', 'refunded'], // Only in case of issues
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+const TERMINAL_STATUSES = ORDER_STATUSES.filter(status => TRANSITIONS[status].length === 0);
+
+// Guards run before entering a status; each returns an error message or null
+const GUARDS = {
+  pickup_scheduled: order => (
+    order.assignedDriver ? null : 'A driver must be assigned before scheduling pickup'
+  ),
+  picked_up: order => (
+    order.assignedDriver ? null : 'A driver must be assigned before pickup'
+  ),
+  out_for_delivery: order => (
+    order.assignedDriver ? null : 'A driver must be assigned before going out for delivery'
+  ),
+  delivered: order => {
+    if (!order.deliveryAttempts.some(attempt => attempt.result === 'success')) {
+      return 'A successful delivery attempt must be recorded before marking as delivered';
+    }
+    const parcels = order.parcels || {};
+    if (parcels.total > 0 && parcels.delivered < parcels.total && !parcels.partialDelivery?.allowed) {
+      return `Only ${parcels.delivered} of ${parcels.total} parcels are delivered; mark the order as partial to complete it`;
+    }
+    const otp = order.deliveryOtp || {};
+    if (otp.required && !otp.verifiedAt && !(otp.override && otp.override.at)) {
+      return 'The customer\'s delivery code must be confirmed before marking as delivered';
+    }
+    return null;
+  }
+};
+
+// Side effects applied after entering a status
+const SIDE_EFFECTS = {
+  picked_up: (order, now) => {
+    order.tracking.actualPickupTime = now;
+  },
+  delivered: (order, now) => {
+    order.tracking.actualDeliveryTime = now;
+    if (order.payment && order.payment.method === 'cod') {
+      order.payment.status = 'paid';
+      order.payment.paidAt = now;
+    }
+  }
+};
+
+class OrderTransitionError extends Error {
+  /**
+   * @param {string} code - Machine readable reason (ILLEGAL_TRANSITION, GUARD_FAILED, UNKNOWN_STATUS)
+   * @param {string} message - Human readable reason
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   */
+  constructor(code, message, from, to) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.statusCode = 409;
+    this.code = code;
+    this.from = from;
+    this.to = to;
+    this.allowedTransitions = TRANSITIONS[from] || [];
+  }
+
+  /**
+   * Structured body for API responses
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      currentStatus: this.from,
+      requestedStatus: this.to,
+      allowedTransitions: this.allowedTransitions
+    };
+  }
+}
+
+/**
+ * Status the order is persisted with, ignoring unsaved assignments
+ * @param {Object} order - Order document
+ * @returns {string}
+ */
+const getCurrentStatus = (order) => {
+  return (order.$locals && order.$locals.persistedStatus) || order.status;
+};
+
+/**
+ * Check whether a status change is declared legal
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * List statuses reachable from the given status
+ * @param {string} from - Current status
+ * @returns {Array} Allowed next statuses
+ */
+const getAllowedTransitions = (from) => {
+  return [...(TRANSITIONS[from] || [])];
+};
+
+/**
+ * Validate a transition without applying it
+ * @param {Object} order - Order document
+ * @param {string} to - Requested status
+ * @param {string} [from] - Current status (defaults to the persisted status)
+ * @throws {OrderTransitionError}
+ */
+const assertTransition = (order, to, from = getCurrentStatus(order)) => {
+  if (!TRANSITIONS[to]) {
+    throw new OrderTransitionError('UNKNOWN_STATUS', `Unknown order status: ${to}`, from, to);
+  }
+
+  if (!canTransition(from, to)) {
+    throw new OrderTransitionError(
+      'ILLEGAL_TRANSITION',
+      `Cannot change status from ${from} to ${to}`,
+      from,
+      to
+    );
+  }
+
+  const guard = GUARDS[to];
+  const failure = guard ? guard(order) : null;
+  if (failure) {
+    throw new OrderTransitionError('GUARD_FAILED', failure, from, to);
+  }
+};
+
+/**
+ * Move an order to a new status. Mutates the document; the caller saves it.
+ * @param {Object} order - Order document
+ * @param {string} to - Requested status
+ * @param {Object} options - Transition options
+ * @param {string} [options.notes] - Status history notes
+ * @param {string} [options.updatedBy] - User making the change
+ * @param {Array} [options.location] - [longitude, latitude] of the change
+ * @param {Object} [options.metadata] - Status history metadata (reason, automaticUpdate)
+ * @param {string} [options.from] - Current status (defaults to the persisted status)
+ * @returns {Object} The order
+ * @throws {OrderTransitionError}
+ */
+const transition = (order, to, options = {}) => {
+  const { notes, updatedBy, location, metadata, from = getCurrentStatus(order) } = options;
+
+  assertTransition(order, to, from);
+
+  const now = new Date();
+  order.status = to;
+  if (updatedBy) {
+    order.metadata.lastModifiedBy = updatedBy;
+  }
+
+  const hasLocation = Array.isArray(location) && location.length === 2;
+  if (hasLocation) {
+    order.tracking.currentLocation = location;
+  }
+
+  order.tracking.statusHistory.push({
+    status: to,
+    timestamp: now,
+    location: hasLocation ? location : undefined,
+    notes,
+    updatedBy,
+    metadata
+  });
+
+  if (SIDE_EFFECTS[to]) {
+    SIDE_EFFECTS[to](order, now);
+  }
+
+  // Tell the pre-save hook this change has already been validated and recorded
+  order.$locals.transitionApplied = true;
+
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TERMINAL_STATUSES,
+  TRANSITIONS,
+  OrderTransitionError,
+  getCurrentStatus,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  transition
+};
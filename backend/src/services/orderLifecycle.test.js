@@ -0,0 +1,114 @@
+const {
+  TERMINAL_STATUSES,
+  OrderTransitionError,
+  canTransition,
+  getAllowedTransitions,
+  getCurrentStatus,
+  assertTransition,
+  transition
+} = require('./orderLifecycle');
+
+const buildOrder = (overrides = {}) => ({
+  status: 'pending',
+  assignedDriver: null,
+  deliveryAttempts: [],
+  payment: { method: 'cod', status: 'pending' },
+  metadata: {},
+  tracking: { statusHistory: [] },
+  $locals: {},
+  ...overrides
+});
+
+describe('orderLifecycle', () => {
+  test('declares refunded as the only terminal status', () => {
+    expect(TERMINAL_STATUSES).toEqual(['refunded']);
+  });
+
+  test('canTransition follows the transition table', () => {
+    expect(canTransition('pending', 'confirmed')).toBe(true);
+    expect(canTransition('pending', 'delivered')).toBe(false);
+    expect(canTransition('unknown', 'pending')).toBe(false);
+    expect(getAllowedTransitions('confirmed')).toEqual(['pickup_scheduled', 'cancelled']);
+  });
+
+  test('current status prefers the persisted status over unsaved assignments', () => {
+    const order = buildOrder({ status: 'delivered', $locals: { persistedStatus: 'out_for_delivery' } });
+    expect(getCurrentStatus(order)).toBe('out_for_delivery');
+  });
+
+  test('rejects illegal moves with a structured error', () => {
+    const order = buildOrder();
+    expect.assertions(3);
+    try {
+      assertTransition(order, 'delivered');
+    } catch (error) {
+      expect(error).toBeInstanceOf(OrderTransitionError);
+      expect(error.statusCode).toBe(409);
+      expect(error.toJSON()).toEqual({
+        error: 'Cannot change status from pending to delivered',
+        code: 'ILLEGAL_TRANSITION',
+        currentStatus: 'pending',
+        requestedStatus: 'delivered',
+        allowedTransitions: ['confirmed', 'cancelled']
+      });
+    }
+  });
+
+  test('rejects unknown statuses', () => {
+    expect(() => assertTransition(buildOrder(), 'lost')).toThrow(
+      expect.objectContaining({ code: 'UNKNOWN_STATUS' })
+    );
+  });
+
+  test('guards require a driver before pickup is scheduled', () => {
+    const order = buildOrder({ status: 'confirmed' });
+    expect(() => assertTransition(order, 'pickup_scheduled')).toThrow(
+      expect.objectContaining({ code: 'GUARD_FAILED' })
+    );
+    order.assignedDriver = 'driver-1';
+    expect(() => assertTransition(order, 'pickup_scheduled')).not.toThrow();
+  });
+
+  test('delivered needs a successful attempt, all parcels and a confirmed code', () => {
+    const order = buildOrder({ status: 'out_for_delivery', assignedDriver: 'driver-1' });
+    expect(() => assertTransition(order, 'delivered')).toThrow(/successful delivery attempt/);
+
+    order.deliveryAttempts.push({ result: 'success' });
+    order.parcels = { total: 2, delivered: 1 };
+    expect(() => assertTransition(order, 'delivered')).toThrow(/1 of 2 parcels/);
+
+    order.parcels.partialDelivery = { allowed: true };
+    order.deliveryOtp = { required: true };
+    expect(() => assertTransition(order, 'delivered')).toThrow(/delivery code/);
+
+    order.deliveryOtp.verifiedAt = new Date();
+    expect(() => assertTransition(order, 'delivered')).not.toThrow();
+  });
+
+  test('transition records history and applies side effects', () => {
+    const order = buildOrder({
+      status: 'out_for_delivery',
+      assignedDriver: 'driver-1',
+      deliveryAttempts: [{ result: 'success' }]
+    });
+
+    transition(order, 'delivered', { notes: 'Handed over', updatedBy: 'user-1', location: [31.2, 30.0] });
+
+    expect(order.status).toBe('delivered');
+    expect(order.metadata.lastModifiedBy).toBe('user-1');
+    expect(order.tracking.currentLocation).toEqual([31.2, 30.0]);
+    expect(order.tracking.statusHistory).toHaveLength(1);
+    expect(order.tracking.statusHistory[0]).toMatchObject({ status: 'delivered', notes: 'Handed over' });
+    expect(order.tracking.actualDeliveryTime).toBeInstanceOf(Date);
+    expect(order.payment.status).toBe('paid');
+    expect(order.$locals.transitionApplied).toBe(true);
+  });
+
+  test('chained transitions pass the status they start from', () => {
+    const order = buildOrder({ status: 'confirmed', assignedDriver: 'driver-1', $locals: { persistedStatus: 'confirmed' } });
+    transition(order, 'pickup_scheduled');
+    expect(() => transition(order, 'picked_up')).toThrow(OrderTransitionError);
+    transition(order, 'picked_up', { from: 'pickup_scheduled' });
+    expect(order.status).toBe('picked_up');
+  });
+});
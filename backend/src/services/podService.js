@@ -0,0 +1,289 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { v4: uuidv4 } = require('uuid');
+const storageService = require('./storageService');
+
+// Content types and leading bytes for the formats proof of delivery may use
+const FILE_TYPES = {
+  jpg: { contentType: 'image/jpeg', magic: [Buffer.from([0xff, 0xd8, 0xff])] },
+  jpeg: { contentType: 'image/jpeg', magic: [Buffer.from([0xff, 0xd8, 0xff])] },
+  png: { contentType: 'image/png', magic: [Buffer.from([0x89, 0x50, 0x4e, 0x47])] },
+  gif: { contentType: 'image/gif', magic: [Buffer.from('GIF87a'), Buffer.from('GIF89a')] },
+  webp: { contentType: 'image/webp', magic: [Buffer.from('RIFF')] },
+  pdf: { contentType: 'application/pdf', magic: [Buffer.from('%PDF')] }
+};
+
+// Images pdfkit can embed in the POD bundle
+const EMBEDDABLE = ['jpg', 'jpeg', 'png'];
+
+// Upload field name -> evidence kind
+const FIELDS = {
+  photos: 'photo',
+  signature: 'signature',
+  recipientIdPhoto: 'recipient_id'
+};
+
+const podError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PodService {
+  constructor() {
+    this.allowedExtensions = (process.env.ALLOWED_EXTENSIONS || 'jpg,jpeg,png,pdf')
+      .split(',')
+      .map(extension => extension.trim().toLowerCase())
+      .filter(extension => FILE_TYPES[extension]);
+    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+    this.maxPhotos = parseInt(process.env.POD_MAX_PHOTOS, 10) || 5;
+  }
+
+  /**
+   * Multer field definitions for a delivery attempt upload
+   * @returns {Array} [{ name, maxCount }]
+   */
+  uploadFields() {
+    return [
+      { name: 'photos', maxCount: this.maxPhotos },
+      { name: 'signature', maxCount: 1 },
+      { name: 'recipientIdPhoto', maxCount: 1 }
+    ];
+  }
+
+  extensionOf(file) {
+    return path.extname(file.originalname || '').slice(1).toLowerCase();
+  }
+
+  /**
+   * Reject a file by extension before it is read (multer fileFilter)
+   * @param {Object} file - Multer file
+   * @returns {Error|null}
+   */
+  checkExtension(file) {
+    const extension = this.extensionOf(file);
+    if (!this.allowedExtensions.includes(extension)) {
+      return podError(`${file.fieldname}: file type .${extension || '?'} is not allowed. Allowed: ${this.allowedExtensions.join(', ')}`);
+    }
+    if (file.fieldname === 'signature' && !FILE_TYPES[extension].contentType.startsWith('image/')) {
+      return podError('signature must be an image');
+    }
+    return null;
+  }
+
+  /**
+   * Readable message for a multer or file filter error
+   * @param {Error} error
+   * @returns {string}
+   */
+  uploadErrorMessage(error) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return `Files must be at most ${Math.round(this.maxFileSize / 1024)} KB`;
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return `Unexpected or too many files in field ${error.field}. Use photos (up to ${this.maxPhotos}), signature and recipientIdPhoto`;
+    }
+    return error.message;
+  }
+
+  /**
+   * Check the file contents match its extension
+   * @param {Object} file - Multer file held in memory
+   * @returns {Object} File type
+   */
+  verifyContents(file) {
+    const extension = this.extensionOf(file);
+    const type = FILE_TYPES[extension];
+    const matches = type && type.magic.some(magic => file.buffer.subarray(0, magic.length).equals(magic));
+    if (!matches) {
+      throw podError(`${file.originalname} is not a valid .${extension} file`);
+    }
+    return type;
+  }
+
+  /**
+   * Store uploaded files for a delivery attempt
+   * @param {Object} order - Order document
+   * @param {number} attemptNumber
+   * @param {Object} files - req.files from multer fields()
+   * @param {string} userId
+   * @returns {Promise<Array>} Evidence file entries
+   */
+  async storeFiles(order, attemptNumber, files = {}, userId) {
+    const uploads = Object.keys(FIELDS).flatMap(field => (files[field] || []).map(file => ({ field, file })));
+    const types = uploads.map(({ file }) => this.verifyContents(file));
+
+    const stored = [];
+    try {
+      for (const [index, { field, file }] of uploads.entries()) {
+        const kind = FIELDS[field];
+        const key = `pod/${order._id}/${attemptNumber}/${kind}-${uuidv4()}.${this.extensionOf(file)}`;
+        await storageService.put(key, file.buffer, types[index].contentType);
+        stored.push({
+          kind,
+          key,
+          originalName: file.originalname,
+          contentType: types[index].contentType,
+          size: file.size,
+          uploadedAt: new Date(),
+          uploadedBy: userId
+        });
+      }
+    } catch (error) {
+      await storageService.removeAll(stored.map(file => file.key));
+      throw error;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Record a delivery attempt with its uploaded proof of delivery. Stored
+   * files are removed again when the attempt is rejected.
+   * @param {Object} order - Order document
+   * @param {Object} attempt - { result, reason, notes, recipientName, recipientId, plan }
+   * @param {Object} files - req.files from multer fields()
+   * @param {string} userId - Driver user
+   * @returns {Promise<Object>} The saved order
+   */
+  async recordAttempt(order, { result, reason, notes, recipientName, recipientId, plan }, files, userId) {
+    const attemptNumber = order.deliveryAttempts.length + 1;
+    const stored = await this.storeFiles(order, attemptNumber, files, userId);
+
+    const evidence = {
+      photos: stored.filter(file => file.kind === 'photo').map(file => file.key),
+      signature: (stored.find(file => file.kind === 'signature') || {}).key,
+      recipientName,
+      recipientId,
+      files: stored
+    };
+
+    try {
+      return await order.addDeliveryAttempt(result, reason, userId, notes, evidence, plan);
+    } catch (error) {
+      await storageService.removeAll(stored.map(file => file.key));
+      throw error;
+    }
+  }
+
+  /**
+   * Proof of delivery for every attempt on an order
+   * @param {Object} order - Order document
+   * @param {string} baseUrl - Prefix for file download links
+   * @returns {Object} POD bundle
+   */
+  getBundle(order, baseUrl) {
+    return {
+      orderNumber: order.orderNumber,
+      trackingNumber: order.tracking.trackingNumber,
+      status: order.status,
+      deliveredAt: order.tracking.actualDeliveryTime,
+      attempts: order.deliveryAttempts.map(attempt => {
+        const evidence = attempt.evidence || {};
+        return {
+          attemptNumber: attempt.attemptNumber,
+          timestamp: attempt.timestamp,
+          result: attempt.result,
+          reason: attempt.reason,
+          notes: attempt.notes,
+          recipientName: evidence.recipientName,
+          recipientId: evidence.recipientId,
+          files: (evidence.files || []).map(file => ({
+            _id: file._id,
+            kind: file.kind,
+            originalName: file.originalName,
+            contentType: file.contentType,
+            size: file.size,
+            uploadedAt: file.uploadedAt,
+            url: `${baseUrl}/${file._id}`
+          }))
+        };
+      })
+    };
+  }
+
+  /**
+   * Find an evidence file on an order
+   * @param {Object} order - Order document
+   * @param {string} fileId
+   * @returns {Object} Evidence file entry
+   */
+  findFile(order, fileId) {
+    for (const attempt of order.deliveryAttempts) {
+      const file = attempt.evidence && (attempt.evidence.files || []).find(entry => entry._id.toString() === fileId);
+      if (file) return file;
+    }
+    throw podError('File not found', 404);
+  }
+
+  /**
+   * Render the POD bundle as one PDF: attempt details with photos, signature
+   * and ID images embedded; other files are listed by name
+   * @param {Object} order - Order document
+   * @returns {Promise<Buffer>} PDF contents
+   */
+  async renderBundlePdf(order) {
+    const attempts = await Promise.all(order.deliveryAttempts.map(async attempt => {
+      const files = (attempt.evidence && attempt.evidence.files) || [];
+      const images = await Promise.all(files.map(async file => {
+        const extension = path.extname(file.key).slice(1);
+        if (!EMBEDDABLE.includes(extension)) return { file, buffer: null };
+        try {
+          return { file, buffer: await storageService.get(file.key) };
+        } catch (error) {
+          return { file, buffer: null };
+        }
+      }));
+      return { attempt, images };
+    }));
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.font('Helvetica-Bold').fontSize(16).text('PROOF OF DELIVERY');
+      doc.font('Helvetica').fontSize(10)
+        .text(`Order: ${order.orderNumber}   Tracking: ${order.tracking.trackingNumber}`)
+        .text(`Recipient: ${order.customerInfo.name}`)
+        .text(`Status: ${order.status}${order.tracking.actualDeliveryTime ? ` (${order.tracking.actualDeliveryTime.toISOString()})` : ''}`);
+
+      if (attempts.length === 0) {
+        doc.moveDown().text('No delivery attempts recorded.');
+      }
+
+      attempts.forEach(({ attempt, images }) => {
+        const evidence = attempt.evidence || {};
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(12)
+          .text(`Attempt ${attempt.attemptNumber}: ${attempt.result} at ${attempt.timestamp.toISOString()}`);
+        doc.font('Helvetica').fontSize(10);
+        if (attempt.reason) doc.text(`Reason: ${attempt.reason}`);
+        if (attempt.notes) doc.text(`Notes: ${attempt.notes}`);
+        if (evidence.recipientName) doc.text(`Received by: ${evidence.recipientName}`);
+        if (evidence.recipientId) doc.text(`Recipient ID: ${evidence.recipientId}`);
+
+        images.forEach(({ file, buffer }) => {
+          doc.moveDown(0.5).font('Helvetica-Bold').text(`${file.kind.replace('_', ' ')}: ${file.originalName}`);
+          doc.font('Helvetica');
+          if (!buffer) return;
+          const height = file.kind === 'signature' ? 80 : 220;
+          if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+          try {
+            doc.image(buffer, { fit: [300, height] });
+            doc.y += 4;
+          } catch (error) {
+            doc.text('(image could not be rendered)');
+          }
+        });
+      });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new PodService();
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const podService = require('./podService');
+const storageService = require('./storageService');
+
+const TRACKING = 'TRK1697700000000ABCD';
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+const upload = (fieldname, originalname, buffer) => ({
+  fieldname,
+  originalname,
+  buffer,
+  size: buffer.length
+});
+
+describe('podService', () => {
+  const driverId = new mongoose.Types.ObjectId();
+  let order;
+
+  beforeEach(() => {
+    order = new Order({
+      orderNumber: 'ORD-1001',
+      status: 'out_for_delivery',
+      tracking: { trackingNumber: TRACKING },
+      customerInfo: { name: 'Mona Adel' }
+    });
+    jest.spyOn(order, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkExtension', () => {
+    test('accepts the configured image and document types', () => {
+      expect(podService.checkExtension({ fieldname: 'photos', originalname: 'door.JPG' })).toBeNull();
+      expect(podService.checkExtension({ fieldname: 'recipientIdPhoto', originalname: 'id.pdf' })).toBeNull();
+    });
+
+    test('rejects other extensions with the allowed list', () => {
+      const error = podService.checkExtension({ fieldname: 'photos', originalname: 'run.exe' });
+
+      expect(error.statusCode).toBe(400);
+      expect(error.message).toBe('photos: file type .exe is not allowed. Allowed: jpg, jpeg, png, pdf');
+    });
+
+    test('only takes a signature as an image', () => {
+      const error = podService.checkExtension({ fieldname: 'signature', originalname: 'signed.pdf' });
+
+      expect(error.message).toBe('signature must be an image');
+    });
+  });
+
+  describe('uploadErrorMessage', () => {
+    test('explains multer limits', () => {
+      expect(podService.uploadErrorMessage({ code: 'LIMIT_FILE_SIZE' })).toBe('Files must be at most 5120 KB');
+      expect(podService.uploadErrorMessage({ code: 'LIMIT_UNEXPECTED_FILE', field: 'photos' }))
+        .toContain('Unexpected or too many files in field photos');
+    });
+  });
+
+  describe('verifyContents', () => {
+    test('returns the type when the leading bytes match the extension', () => {
+      expect(podService.verifyContents(upload('photos', 'door.png', PNG)).contentType).toBe('image/png');
+    });
+
+    test('rejects a file renamed to look like an image', () => {
+      expect(() => podService.verifyContents(upload('photos', 'door.jpg', Buffer.from('<script>'))))
+        .toThrow('door.jpg is not a valid .jpg file');
+    });
+  });
+
+  describe('recordAttempt', () => {
+    test('stores each file under the attempt and links it as evidence', async () => {
+      const put = jest.spyOn(storageService, 'put').mockImplementation(async key => key);
+
+      await podService.recordAttempt(order, { result: 'success', recipientName: 'Mona' }, {
+        photos: [upload('photos', 'door.jpg', JPEG), upload('photos', 'parcel.png', PNG)],
+        signature: [upload('signature', 'sign.png', PNG)]
+      }, driverId);
+
+      expect(put).toHaveBeenCalledTimes(3);
+      const [attempt] = order.deliveryAttempts;
+      expect(order.status).toBe('delivered');
+      expect(attempt.evidence.recipientName).toBe('Mona');
+      expect(attempt.evidence.photos).toHaveLength(2);
+      expect(attempt.evidence.photos[0]).toMatch(new RegExp(`^pod/${order._id}/1/photo-.+\\.jpg$`));
+      expect(attempt.evidence.signature).toMatch(new RegExp(`^pod/${order._id}/1/signature-.+\\.png$`));
+      expect(attempt.evidence.files.map(file => [file.kind, file.contentType])).toEqual([
+        ['photo', 'image/jpeg'],
+        ['photo', 'image/png'],
+        ['signature', 'image/png']
+      ]);
+      expect(attempt.evidence.files[0].uploadedBy.toString()).toBe(driverId.toString());
+    });
+
+    test('stores nothing when any file fails the content check', async () => {
+      const put = jest.spyOn(storageService, 'put');
+
+      await expect(podService.recordAttempt(order, { result: 'success' }, {
+        photos: [upload('photos', 'door.jpg', JPEG), upload('photos', 'fake.png', JPEG)]
+      }, driverId)).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(put).not.toHaveBeenCalled();
+      expect(order.deliveryAttempts).toHaveLength(0);
+    });
+
+    test('removes the files already stored when a later one fails to store', async () => {
+      jest.spyOn(storageService, 'put')
+        .mockImplementationOnce(async key => key)
+        .mockRejectedValueOnce(new Error('disk full'));
+      const removeAll = jest.spyOn(storageService, 'removeAll').mockResolvedValue();
+
+      await expect(podService.recordAttempt(order, { result: 'success' }, {
+        photos: [upload('photos', 'door.jpg', JPEG), upload('photos', 'parcel.png', PNG)]
+      }, driverId)).rejects.toThrow('disk full');
+
+      expect(removeAll).toHaveBeenCalledWith([expect.stringMatching(/photo-.+\.jpg$/)]);
+    });
+
+    test('removes the stored files when the attempt is rejected', async () => {
+      jest.spyOn(storageService, 'put').mockImplementation(async key => key);
+      const removeAll = jest.spyOn(storageService, 'removeAll').mockResolvedValue();
+      order.status = 'pending';
+
+      await expect(podService.recordAttempt(order, { result: 'success' }, {
+        photos: [upload('photos', 'door.jpg', JPEG)]
+      }, driverId)).rejects.toThrow('Cannot record a success delivery attempt while order is pending');
+
+      expect(removeAll).toHaveBeenCalledWith([expect.stringMatching(/photo-.+\.jpg$/)]);
+      expect(order.deliveryAttempts).toHaveLength(0);
+    });
+  });
+
+  describe('bundle', () => {
+    beforeEach(async () => {
+      jest.spyOn(storageService, 'put').mockImplementation(async key => key);
+      await podService.recordAttempt(order, { result: 'success', recipientName: 'Mona' }, {
+        photos: [upload('photos', 'door.png', PNG)],
+        recipientIdPhoto: [upload('recipientIdPhoto', 'id.pdf', Buffer.from('%PDF-1.4'))]
+      }, driverId);
+    });
+
+    test('lists every attempt with download links instead of storage keys', () => {
+      const bundle = podService.getBundle(order, '/api/orders/1/pod/files');
+      const [file] = bundle.attempts[0].files;
+
+      expect(bundle.trackingNumber).toBe(TRACKING);
+      expect(bundle.attempts[0]).toMatchObject({ attemptNumber: 1, result: 'success', recipientName: 'Mona' });
+      expect(file.url).toBe(`/api/orders/1/pod/files/${file._id}`);
+      expect(file.key).toBeUndefined();
+    });
+
+    test('finds a file by id and 404s an unknown one', () => {
+      const [photo] = order.deliveryAttempts[0].evidence.files;
+
+      expect(podService.findFile(order, photo._id.toString()).originalName).toBe('door.png');
+      expect(() => podService.findFile(order, new mongoose.Types.ObjectId().toString()))
+        .toThrow(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    test('renders a PDF that embeds images and survives a missing file', async () => {
+      const get = jest.spyOn(storageService, 'get').mockRejectedValue(new Error('File not found'));
+
+      const pdf = await podService.renderBundlePdf(order);
+
+      expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+      // Only the photo is read; the ID document is listed by name
+      expect(get).toHaveBeenCalledTimes(1);
+      expect(get.mock.calls[0][0]).toMatch(/photo-.+\.png$/);
+    });
+  });
+});
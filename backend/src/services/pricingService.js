@@ -0,0 +1,272 @@
+const Hub = require('../models/Hub');
+const Order = require('../models/Order');
+const zoneService = require('./zoneService');
+
+// Used when no hub covers the pickup; mirrors the Hub.pricing schema defaults
+const DEFAULT_RATE_CARD = {
+  baseRate: 0,
+  perKmRate: 2,
+  expressMultiplier: 1.5,
+  sameDay: 50
+};
+
+// cm³ per kg, the usual courier divisor
+const VOLUMETRIC_DIVISOR = 5000;
+
+// Client totals within this amount of the quote are accepted
+const PRICE_TOLERANCE = 0.01;
+
+const round = value => Math.round(value * 100) / 100;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+class PricingService {
+  constructor() {
+    this.includedWeight = envNumber('PRICING_INCLUDED_WEIGHT_KG', 5);
+    this.perKgRate = envNumber('PRICING_PER_KG_RATE', 5);
+    this.fragileSurcharge = envNumber('PRICING_FRAGILE_SURCHARGE', 15);
+    this.refrigerationSurcharge = envNumber('PRICING_REFRIGERATION_SURCHARGE', 25);
+    this.highValueThreshold = envNumber('PRICING_HIGH_VALUE_THRESHOLD', 5000);
+    this.insuranceRate = envNumber('PRICING_INSURANCE_RATE', 0.01);
+    this.taxRate = envNumber('PRICING_TAX_RATE', 0.14);
+  }
+
+  /**
+   * Find the rate card for a shipment
+   * @param {Array} pickupCoordinates - [longitude, latitude]
+   * @param {string} hubId - Hub to price from (optional)
+   * @returns {Promise<Object>} { hub, baseRate, perKmRate, expressMultiplier, sameDay }
+   */
+  async getRateCard(pickupCoordinates, hubId = null) {
+    let hub = null;
+
+    if (hubId) {
+      hub = await Hub.findById(hubId).select('name code pricing');
+      if (!hub) {
+        const error = new Error('Hub not found');
+        error.statusCode = 404;
+        throw error;
+      }
+    } else if (pickupCoordinates) {
+      hub = await Hub.findNearestHub(pickupCoordinates).select('name code pricing');
+    }
+
+    const pricing = hub ? hub.pricing.toObject() : DEFAULT_RATE_CARD;
+    return {
+      hub: hub ? { _id: hub._id, name: hub.name, code: hub.code } : null,
+      baseRate: pricing.baseRate,
+      perKmRate: pricing.perKmRate,
+      expressMultiplier: pricing.expressMultiplier,
+      sameDay: pricing.sameDay
+    };
+  }
+
+  /**
+   * Actual and volumetric weight of the order items
+   * @param {Array} items - Order items
+   * @returns {Object} { actualWeight, volumetricWeight, chargeableWeight }
+   */
+  calculateWeights(items = []) {
+    let actualWeight = 0;
+    let volumetricWeight = 0;
+
+    items.forEach(item => {
+      const quantity = item.quantity || 1;
+      actualWeight += (item.weight || 0) * quantity;
+
+      const { length, width, height } = item.dimensions || {};
+      if (length && width && height) {
+        volumetricWeight += (length * width * height / VOLUMETRIC_DIVISOR) * quantity;
+      }
+    });
+
+    return {
+      actualWeight: round(actualWeight),
+      volumetricWeight: round(volumetricWeight),
+      chargeableWeight: round(Math.max(actualWeight, volumetricWeight))
+    };
+  }
+
+  /**
+   * Check the fees and discount sent with an order. Merchants may only discount
+   * their own goods; admins may also waive our charges, down to a zero total.
+   * @param {Object} pricing - Order pricing
+   * @param {number} subtotal - Goods value
+   * @param {number} charges - Shipping cost and taxes
+   * @param {string} role - Role of the user pricing the order
+   * @returns {Object} { fees, discount }
+   */
+  checkAdjustments(pricing, subtotal, charges, role) {
+    const fees = pricing.fees || 0;
+    const discount = pricing.discount || 0;
+
+    const invalid = Object.entries({ fees, discount })
+      .find(([, value]) => !Number.isFinite(value) || value < 0);
+    if (invalid) {
+      const error = new Error(`Pricing ${invalid[0]} must be a number of at least 0`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const maxDiscount = role === 'admin' ? round(subtotal + charges + fees) : subtotal;
+    if (discount > maxDiscount + PRICE_TOLERANCE) {
+      const error = new Error(role === 'admin'
+        ? 'Discount cannot exceed the order total'
+        : 'Discount cannot exceed the order subtotal');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { fees, discount };
+  }
+
+  /**
+   * Price an order
+   * @param {Object} order - Order document (saved or not)
+   * @param {Object} options - { hubId, role, withoutDistance }; withoutDistance prices an order
+   *   missing coordinates from the rate card alone and marks the quote for review
+   * @returns {Promise<Object>} Quote with line items, shipping cost, taxes and total
+   */
+  async quote(order, options = {}) {
+    const distance = order.calculateDistance();
+    const hasDistance = distance !== null && !Number.isNaN(distance);
+    if (!hasDistance && !options.withoutDistance) {
+      const error = new Error('Pickup and delivery coordinates are required for a quote');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rateCard = await this.getRateCard(
+      order.pickupAddress.coordinates,
+      options.hubId || order.assignedHub
+    );
+    const weights = this.calculateWeights(order.items);
+    const distanceKm = hasDistance ? round(distance) : null;
+    const lines = [];
+
+    lines.push({ code: 'base', description: 'Base rate', amount: rateCard.baseRate });
+    if (hasDistance) {
+      lines.push({
+        code: 'distance',
+        description: `${distanceKm} km x ${rateCard.perKmRate}`,
+        amount: round(distanceKm * rateCard.perKmRate)
+      });
+    }
+
+    const extraWeight = Math.max(0, weights.chargeableWeight - this.includedWeight);
+    if (extraWeight > 0) {
+      lines.push({
+        code: 'weight',
+        description: `${round(extraWeight)} kg over ${this.includedWeight} kg`,
+        amount: round(Math.ceil(extraWeight) * this.perKgRate)
+      });
+    }
+
+    // Service level applies to the transport charge only, not the surcharges
+    const transport = lines.reduce((sum, line) => sum + line.amount, 0);
+    if (order.serviceType === 'express') {
+      lines.push({
+        code: 'express',
+        description: `Express x ${rateCard.expressMultiplier}`,
+        amount: round(transport * (rateCard.expressMultiplier - 1))
+      });
+    } else if (order.serviceType === 'same_day') {
+      lines.push({ code: 'same_day', description: 'Same day delivery', amount: rateCard.sameDay });
+    }
+
+    if (order.isFragileOrder) {
+      lines.push({ code: 'fragile', description: 'Fragile handling', amount: this.fragileSurcharge });
+    }
+
+    if (order.requiresRefrigeration) {
+      lines.push({ code: 'refrigeration', description: 'Refrigerated handling', amount: this.refrigerationSurcharge });
+    }
+
+    const zone = await zoneService.findZone(order.customerInfo.address.coordinates, {
+      'pricing.surcharge': { $gt: 0 }
+    });
+    if (zone) {
+      lines.push({ code: 'zone', description: `${zone.name} zone surcharge`, amount: zone.pricing.surcharge });
+    }
+
+    const declaredValue = order.items.reduce((sum, item) => sum + (item.value || 0) * (item.quantity || 1), 0);
+    if (declaredValue > this.highValueThreshold) {
+      lines.push({
+        code: 'insurance',
+        description: `Insurance on ${round(declaredValue)} declared value`,
+        amount: round(declaredValue * this.insuranceRate)
+      });
+    }
+
+    const shippingCost = round(lines.reduce((sum, line) => sum + line.amount, 0));
+    const taxes = round(shippingCost * this.taxRate);
+    const subtotal = order.pricing.subtotal || round(declaredValue);
+    const { fees, discount } = this.checkAdjustments(order.pricing, subtotal, shippingCost + taxes, options.role);
+
+    return {
+      currency: order.pricing.currency,
+      serviceType: order.serviceType,
+      distanceKm,
+      ...weights,
+      rateCard,
+      lines,
+      subtotal,
+      shippingCost,
+      taxes,
+      fees,
+      discount,
+      total: round(subtotal + shippingCost + taxes + fees - discount),
+      needsReview: !hasDistance
+    };
+  }
+
+  /**
+   * Price an order server-side, rejecting client totals that disagree with the quote
+   * @param {Object} order - Order document
+   * @param {Object} clientPricing - Pricing as sent by the client (optional)
+   * @param {Object} options - { role } of the user pricing the order, and withoutDistance as for quote
+   * @returns {Promise<Object>} Quote applied to the order
+   */
+  async applyToOrder(order, clientPricing = {}, options = {}) {
+    const quote = await this.quote(order, { role: options.role, withoutDistance: options.withoutDistance });
+
+    const mismatches = ['shippingCost', 'taxes', 'total'].filter(field =>
+      clientPricing[field] !== undefined &&
+      clientPricing[field] !== null &&
+      Math.abs(Number(clientPricing[field]) - quote[field]) > PRICE_TOLERANCE
+    );
+
+    if (mismatches.length > 0) {
+      const error = new Error(`Pricing does not match the quote: ${mismatches.join(', ')}`);
+      error.statusCode = 400;
+      error.quote = quote;
+      throw error;
+    }
+
+    order.pricing.subtotal = quote.subtotal;
+    order.pricing.shippingCost = quote.shippingCost;
+    order.pricing.taxes = quote.taxes;
+    order.pricing.total = quote.total;
+    order.pricing.breakdown = quote.lines;
+    order.pricing.distanceKm = quote.distanceKm;
+    order.pricing.chargeableWeight = quote.chargeableWeight;
+    order.pricing.needsReview = quote.needsReview;
+
+    return quote;
+  }
+
+  /**
+   * Quote from raw request data
+   * @param {Object} data - Order fields (pickupAddress, customerInfo, items, serviceType, pricing)
+   * @param {Object} options - { hubId, role }
+   * @returns {Promise<Object>} Quote
+   */
+  async quoteFromData(data, options = {}) {
+    return this.quote(new Order(data), options);
+  }
+}
+
+module.exports = new PricingService();
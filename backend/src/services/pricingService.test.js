@@ -0,0 +1,110 @@
+const Hub = require('../models/Hub');
+const Order = require('../models/Order');
+const zoneService = require('./zoneService');
+const pricingService = require('./pricingService');
+const { mockQuery } = require('../../test/helpers');
+
+// Roughly 10 km apart in Cairo
+const buildOrder = (overrides = {}) => new Order({
+  pickupAddress: { street: '1 Port Rd', city: 'Cairo', coordinates: [31.2357, 30.0444] },
+  customerInfo: {
+    name: 'Mona',
+    phone: '+201000000000',
+    address: { street: '5 Tahrir Sq', city: 'Giza', coordinates: [31.2089, 29.9870] }
+  },
+  items: [{ name: 'Shirt', quantity: 2, weight: 4, value: 100 }],
+  payment: { method: 'cod' },
+  ...overrides
+});
+
+describe('pricingService', () => {
+  beforeEach(() => {
+    jest.spyOn(Hub, 'findNearestHub').mockReturnValue(mockQuery({
+      _id: 'hub1',
+      name: 'Cairo Hub',
+      code: 'HUBA0001',
+      pricing: { toObject: () => ({ baseRate: 20, perKmRate: 3, expressMultiplier: 1.5, sameDay: 50 }) }
+    }));
+    jest.spyOn(zoneService, 'findZone').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('prices distance, extra weight and service level from the hub rate card', async () => {
+    const quote = await pricingService.quote(buildOrder({ serviceType: 'express' }));
+    const amounts = Object.fromEntries(quote.lines.map(line => [line.code, line.amount]));
+
+    expect(quote.rateCard.hub.code).toBe('HUBA0001');
+    expect(quote.chargeableWeight).toBe(8);
+    expect(amounts.base).toBe(20);
+    expect(amounts.distance).toBeCloseTo(quote.distanceKm * 3, 1);
+    expect(amounts.weight).toBe(15);
+    expect(amounts.express).toBeCloseTo((amounts.base + amounts.distance + amounts.weight) * 0.5, 1);
+    expect(quote.taxes).toBeCloseTo(quote.shippingCost * 0.14, 1);
+    expect(quote.total).toBeCloseTo(quote.subtotal + quote.shippingCost + quote.taxes, 2);
+  });
+
+  test('refuses client totals that disagree with the quote', async () => {
+    const order = buildOrder();
+
+    await expect(pricingService.applyToOrder(order, { total: 1 })).rejects.toMatchObject({
+      statusCode: 400,
+      quote: expect.objectContaining({ total: expect.any(Number) })
+    });
+    expect(order.pricing.total).toBeUndefined();
+  });
+
+  test('writes the quote onto the order', async () => {
+    const order = buildOrder();
+    const quote = await pricingService.applyToOrder(order);
+
+    expect(order.pricing).toMatchObject({ shippingCost: quote.shippingCost, total: quote.total, subtotal: 200, needsReview: false });
+  });
+
+  test('refuses negative fees and discounts', async () => {
+    await expect(pricingService.quote(buildOrder({ pricing: { fees: -5 } }))).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Pricing fees must be a number of at least 0'
+    });
+    await expect(pricingService.quote(buildOrder({ pricing: { discount: -5 } }))).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Pricing discount must be a number of at least 0'
+    });
+  });
+
+  test('lets merchants discount their goods only and admins down to a zero total', async () => {
+    await expect(pricingService.applyToOrder(buildOrder({ pricing: { discount: 250 } }), {}, { role: 'merchant' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Discount cannot exceed the order subtotal' });
+
+    const merchantQuote = await pricingService.applyToOrder(buildOrder({ pricing: { discount: 200 } }), {}, { role: 'merchant' });
+    expect(merchantQuote.total).toBeCloseTo(merchantQuote.shippingCost + merchantQuote.taxes, 2);
+
+    const order = buildOrder({ pricing: { discount: 250 } });
+    const adminQuote = await pricingService.applyToOrder(order, {}, { role: 'admin' });
+    expect(adminQuote.discount).toBe(250);
+    expect(order.pricing.total).toBeCloseTo(adminQuote.subtotal + adminQuote.shippingCost + adminQuote.taxes - 250, 2);
+
+    await expect(pricingService.applyToOrder(buildOrder({ pricing: { discount: 10000 } }), {}, { role: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Discount cannot exceed the order total' });
+  });
+
+  test('needs both coordinates', async () => {
+    const order = buildOrder();
+    order.customerInfo.address.coordinates = undefined;
+
+    await expect(pricingService.quote(order)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('prices an order without coordinates from the rate card alone when asked to, and flags it', async () => {
+    const order = buildOrder();
+    order.customerInfo.address.coordinates = undefined;
+
+    const quote = await pricingService.applyToOrder(order, {}, { withoutDistance: true });
+
+    expect(quote.lines.map(line => line.code)).toEqual(['base', 'weight']);
+    expect(quote.distanceKm).toBeNull();
+    expect(order.pricing).toMatchObject({ shippingCost: 35, needsReview: true });
+  });
+});
@@ -0,0 +1,416 @@
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { verifyToken } = require('../middleware/auth');
+const Driver = require('../models/Driver');
+const Hub = require('../models/Hub');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const routeOptimizationService = require('./routeOptimizationService');
+const sequenceService = require('./sequenceService');
+
+const DISPATCH_ROLES = ['admin', 'dispatcher', 'hub_manager'];
+const FINISHED_STATUSES = ['delivered', 'returned', 'cancelled', 'refunded'];
+// Customers only see the driver's position once their parcel is on the way to them
+const LIVE_POSITION_STATUSES = ['out_for_delivery'];
+
+const MAX_AREA_TILES = 100;
+const MAX_TRACKED_ORDERS = 5;
+
+const rooms = {
+  dispatch: 'dispatch',
+  hub: hubId => `hub:${hubId}`,
+  area: tile => `area:${tile}`,
+  order: orderId => `order:${orderId}`
+};
+
+const socketError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+const isCoordinates = coordinates => Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every(Number.isFinite) &&
+  Math.abs(coordinates[0]) <= 180 &&
+  Math.abs(coordinates[1]) <= 90;
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.areaTileDegrees = parseFloat(process.env.TRACKING_AREA_TILE_DEGREES) || 0.1;
+    this.customerThrottleMs = parseInt(process.env.TRACKING_CUSTOMER_THROTTLE_MS, 10) || 15000;
+    this.driverThrottleMs = parseInt(process.env.TRACKING_DRIVER_THROTTLE_MS, 10) || 5000;
+    this.averageSpeedKmh = parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 30;
+    this.lastCustomerUpdate = new Map(); // orderId -> time of the last update sent to customers
+    this.lastDriverUpdate = new Map(); // driver userId -> time of the last position accepted over the socket
+  }
+
+  /**
+   * Start the socket.io server on an HTTP server
+   * @param {Object} server - http.Server
+   * @param {Object} options - socket.io server options (cors, path)
+   * @returns {Object} socket.io server
+   */
+  attach(server, options = {}) {
+    this.io = new Server(server, options);
+    this.io.use((socket, next) => this.authenticateSocket(socket, next));
+    this.io.on('connection', socket => this.handleConnection(socket));
+    return this.io;
+  }
+
+  /**
+   * Handshake auth. A token is optional: anonymous sockets may only follow an
+   * order by tracking number.
+   * @param {Object} socket
+   * @param {Function} next
+   */
+  authenticateSocket(socket, next) {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const header = headers.authorization;
+    const token = auth.token || (header && header.startsWith('Bearer ') ? header.split(' ')[1] : null);
+
+    socket.data.user = null;
+    if (!token) return next();
+
+    try {
+      socket.data.user = verifyToken(token);
+      socket.data.token = token;
+      next();
+    } catch (error) {
+      next(socketError('Invalid or expired token', 'unauthorized'));
+    }
+  }
+
+  /**
+   * Re-verify the socket's token before a privileged message, so expired or
+   * revoked-by-rotation tokens stop working without a reconnect
+   * @param {Object} socket
+   * @param {Array} roles - Allowed roles
+   * @returns {Object} Decoded token
+   */
+  requireUser(socket, roles) {
+    if (!socket.data.token) {
+      throw socketError('Authentication token missing or invalid', 'unauthorized');
+    }
+
+    try {
+      socket.data.user = verifyToken(socket.data.token);
+    } catch (error) {
+      socket.data.user = null;
+      socket.data.token = null;
+      throw socketError('Invalid or expired token', 'unauthorized');
+    }
+
+    if (roles && !roles.includes(socket.data.user.role)) {
+      throw socketError('Not authorized', 'forbidden');
+    }
+    return socket.data.user;
+  }
+
+  /**
+   * Register event handlers for a connected socket. Every handler takes a
+   * payload and an optional ack callback receiving { success, ... } or { success: false, error }.
+   * @param {Object} socket
+   */
+  handleConnection(socket) {
+    const on = (event, handler) => {
+      socket.on(event, async (payload = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          reply({ success: true, ...(await handler(payload || {})) });
+        } catch (error) {
+          if (!error.data) {
+            console.error(`Realtime ${event} error:`, error);
+          }
+          reply({
+            success: false,
+            error: error.data ? error.message : 'Request failed',
+            code: error.data ? error.data.code : 'server_error'
+          });
+        }
+      });
+    };
+
+    if (socket.data.user && socket.data.user.role === 'admin') {
+      socket.join(rooms.dispatch);
+    }
+
+    on('auth:refresh', async ({ token }) => {
+      try {
+        socket.data.user = verifyToken(token);
+        socket.data.token = token;
+      } catch (error) {
+        throw socketError('Invalid or expired token', 'unauthorized');
+      }
+      return {};
+    });
+
+    on('driver:location', async ({ coordinates, heading, speed, accuracy }) => {
+      const user = this.requireUser(socket, ['driver']);
+      if (!isCoordinates(coordinates)) {
+        throw socketError('Valid coordinates are required', 'invalid');
+      }
+
+      // Positions sent faster than the throttle are dropped before touching the database
+      const now = Date.now();
+      const last = this.lastDriverUpdate.get(user.userId) || 0;
+      if (now - last < this.driverThrottleMs) {
+        return { throttled: true, retryAfterMs: this.driverThrottleMs - (now - last) };
+      }
+      this.lastDriverUpdate.set(user.userId, now);
+
+      const driver = await Driver.findOne({ user: user.userId });
+      if (!driver) {
+        throw socketError('Driver profile not found', 'not_found');
+      }
+
+      const location = await this.recordDriverLocation(driver, { coordinates, heading, speed, accuracy });
+      return { location };
+    });
+
+    on('subscribe:dispatch', async () => {
+      this.requireUser(socket, ['admin', 'dispatcher']);
+      socket.join(rooms.dispatch);
+      return { rooms: [rooms.dispatch] };
+    });
+
+    on('subscribe:hub', async ({ hubId }) => {
+      const user = this.requireUser(socket, DISPATCH_ROLES);
+      if (!hubId || !mongoose.isValidObjectId(hubId)) {
+        throw socketError('A valid hubId is required', 'invalid');
+      }
+      if (!(await this.canFollowHub(user, hubId))) {
+        throw socketError('Not authorized for this hub', 'forbidden');
+      }
+      socket.join(rooms.hub(hubId));
+      return { rooms: [rooms.hub(hubId)] };
+    });
+
+    on('subscribe:area', async ({ bounds }) => {
+      this.requireUser(socket, DISPATCH_ROLES);
+      const tiles = this.tilesForBounds(bounds).map(rooms.area);
+      socket.join(tiles);
+      return { rooms: tiles };
+    });
+
+    on('unsubscribe', async ({ hubId, bounds }) => {
+      const left = [];
+      if (hubId) left.push(rooms.hub(hubId));
+      if (bounds) left.push(...this.tilesForBounds(bounds).map(rooms.area));
+      left.forEach(room => socket.leave(room));
+      return { rooms: left };
+    });
+
+    on('tracking:subscribe', async ({ trackingNumber }) => {
+      const tracked = [...socket.rooms].filter(room => room.startsWith('order:'));
+      if (tracked.length >= MAX_TRACKED_ORDERS) {
+        throw socketError(`At most ${MAX_TRACKED_ORDERS} orders can be tracked per connection`, 'limit');
+      }
+      if (!sequenceService.isValidTrackingNumber(trackingNumber)) {
+        throw socketError('Invalid tracking number', 'invalid');
+      }
+
+      const order = trackingNumber && await Order.findOne({
+        'tracking.trackingNumber': String(trackingNumber).toUpperCase()
+      });
+      if (!order) {
+        throw socketError('Tracking number not found', 'not_found');
+      }
+
+      socket.join(rooms.order(order._id));
+      return { tracking: this.customerSnapshot(order) };
+    });
+
+    on('tracking:unsubscribe', async ({ trackingNumber }) => {
+      const order = trackingNumber && await Order.findOne({
+        'tracking.trackingNumber': String(trackingNumber).toUpperCase()
+      }).select('_id');
+      if (order) {
+        socket.leave(rooms.order(order._id));
+      }
+      return {};
+    });
+  }
+
+  /**
+   * Whether a user may follow a hub's room: admins follow any hub, dispatchers and
+   * hub managers only hubs on their profile or the hub they manage
+   * @param {Object} user - Decoded token
+   * @param {string} hubId
+   * @returns {Promise<boolean>}
+   */
+  async canFollowHub(user, hubId) {
+    if (user.role === 'admin') return true;
+
+    const [member, manager] = await Promise.all([
+      User.exists({ _id: user.userId, hubs: hubId }),
+      Hub.exists({ _id: hubId, 'metadata.manager': user.userId })
+    ]);
+    return Boolean(member || manager);
+  }
+
+  /**
+   * Area room tiles covering a [minLng, minLat, maxLng, maxLat] box
+   * @param {Array} bounds
+   * @returns {Array} Tile keys
+   */
+  tilesForBounds(bounds) {
+    if (!Array.isArray(bounds) || bounds.length !== 4 || !bounds.every(Number.isFinite) ||
+        bounds[0] > bounds[2] || bounds[1] > bounds[3]) {
+      throw socketError('bounds must be [minLng, minLat, maxLng, maxLat]', 'invalid');
+    }
+
+    const size = this.areaTileDegrees;
+    const [minX, minY] = [Math.floor(bounds[0] / size), Math.floor(bounds[1] / size)];
+    const [maxX, maxY] = [Math.floor(bounds[2] / size), Math.floor(bounds[3] / size)];
+    if ((maxX - minX + 1) * (maxY - minY + 1) > MAX_AREA_TILES) {
+      throw socketError('Area is too large, zoom in or subscribe to a hub', 'invalid');
+    }
+
+    const tiles = [];
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        tiles.push(`${x}:${y}`);
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Area tile a position falls in
+   * @param {Array} coordinates - [longitude, latitude]
+   * @returns {string}
+   */
+  tileFor(coordinates) {
+    const size = this.areaTileDegrees;
+    return `${Math.floor(coordinates[0] / size)}:${Math.floor(coordinates[1] / size)}`;
+  }
+
+  /**
+   * Save a driver position and broadcast it. Used by both the socket and REST location updates.
+   * @param {Object} driver - Driver document
+   * @param {Object} position - { coordinates, heading, speed, accuracy }
+   * @returns {Promise<Object>} Broadcast location update
+   */
+  async recordDriverLocation(driver, { coordinates, heading, speed, accuracy }) {
+    await driver.updateLocation(coordinates, { heading, speed, accuracy });
+
+    const update = {
+      driverId: driver._id,
+      driverCode: driver.driverCode,
+      status: driver.status,
+      coordinates,
+      heading,
+      speed,
+      at: driver.metadata.lastLocationUpdate
+    };
+
+    if (this.io) {
+      const targets = [rooms.dispatch, rooms.area(this.tileFor(coordinates))];
+      if (driver.assignedHub) targets.push(rooms.hub(driver.assignedHub));
+      this.io.to(targets).emit('driver:location', update);
+
+      try {
+        await this.notifyCustomers(driver, coordinates);
+      } catch (error) {
+        console.error('Customer tracking update failed:', error);
+      }
+    }
+
+    return update;
+  }
+
+  /**
+   * Send throttled position and ETA updates to customers following the driver's orders
+   * @param {Object} driver - Driver document
+   * @param {Array} coordinates - Driver position
+   */
+  async notifyCustomers(driver, coordinates) {
+    const now = Date.now();
+    const due = driver.activeDeliveries.filter(orderId => {
+      const room = this.io.sockets.adapter.rooms.get(rooms.order(orderId));
+      const last = this.lastCustomerUpdate.get(orderId.toString()) || 0;
+      return room && room.size > 0 && now - last >= this.customerThrottleMs;
+    });
+    if (due.length === 0) return;
+
+    const orders = await Order.find({
+      _id: { $in: due },
+      status: { $in: LIVE_POSITION_STATUSES }
+    }).select('tracking.trackingNumber status customerInfo.address.coordinates');
+
+    await Promise.all(orders.map(async order => {
+      this.lastCustomerUpdate.set(order._id.toString(), now);
+
+      const estimatedDelivery = this.estimateArrival(coordinates, order.customerInfo.address.coordinates);
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { 'tracking.currentLocation': coordinates, 'tracking.estimatedDelivery': estimatedDelivery } }
+      );
+
+      this.io.to(rooms.order(order._id)).emit('tracking:update', {
+        trackingNumber: order.tracking.trackingNumber,
+        status: order.status,
+        location: coordinates,
+        estimatedDelivery,
+        at: new Date(now)
+      });
+    }));
+  }
+
+  /**
+   * Straight-line arrival estimate at the average city speed
+   * @param {Array} from - [longitude, latitude]
+   * @param {Array} to - [longitude, latitude]
+   * @returns {Date|undefined}
+   */
+  estimateArrival(from, to) {
+    if (!isCoordinates(to)) return undefined;
+    const distance = routeOptimizationService.calculateDistance(from, to);
+    return new Date(Date.now() + (distance / this.averageSpeedKmh) * 3600000);
+  }
+
+  /**
+   * What a customer may see of an order
+   * @param {Object} order - Order document
+   * @returns {Object}
+   */
+  customerSnapshot(order) {
+    const live = LIVE_POSITION_STATUSES.includes(order.status);
+    return {
+      trackingNumber: order.tracking.trackingNumber,
+      status: order.status,
+      location: live ? order.tracking.currentLocation : undefined,
+      estimatedDelivery: order.tracking.estimatedDelivery
+    };
+  }
+
+  /**
+   * Broadcast an order status change to dispatchers and to customers following the order
+   * @param {Object} order - Order document
+   */
+  emitOrderStatus(order) {
+    if (!this.io) return;
+
+    const update = {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      assignedDriver: order.assignedDriver,
+      assignedHub: order.assignedHub,
+      at: new Date()
+    };
+    const targets = [rooms.dispatch];
+    if (order.assignedHub) targets.push(rooms.hub(order.assignedHub));
+    this.io.to(targets).emit('order:status', update);
+
+    this.io.to(rooms.order(order._id)).emit('tracking:status', this.customerSnapshot(order));
+
+    if (FINISHED_STATUSES.includes(order.status)) {
+      this.lastCustomerUpdate.delete(order._id.toString());
+    }
+  }
+}
+
+module.exports = new RealtimeService();
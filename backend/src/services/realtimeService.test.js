@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Driver = require('../models/Driver');
+const Hub = require('../models/Hub');
+const User = require('../models/User');
+const realtimeService = require('./realtimeService');
+const { authHeader, mockQuery } = require('../../test/helpers');
+
+// Connected socket double: handlers are called like socket.io does, rooms are a Set
+const connect = (role, userId = new mongoose.Types.ObjectId().toString()) => {
+  const handlers = {};
+  const socket = {
+    data: {},
+    rooms: new Set(),
+    on: (event, handler) => { handlers[event] = handler; },
+    join: rooms => [].concat(rooms).forEach(room => socket.rooms.add(room)),
+    leave: room => socket.rooms.delete(room)
+  };
+  const token = authHeader(role, userId).split(' ')[1];
+  realtimeService.authenticateSocket(Object.assign(socket, { handshake: { auth: { token } } }), () => {});
+  realtimeService.handleConnection(socket);
+
+  socket.emit = (event, payload) => new Promise(resolve => handlers[event](payload, resolve));
+  return socket;
+};
+
+describe('realtimeService', () => {
+  const hubId = new mongoose.Types.ObjectId().toString();
+
+  afterEach(() => {
+    realtimeService.lastDriverUpdate.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('subscribe:hub', () => {
+    test('lets dispatchers follow only hubs on their profile', async () => {
+      const userExists = jest.spyOn(User, 'exists').mockResolvedValue(null);
+      jest.spyOn(Hub, 'exists').mockResolvedValue(null);
+      const socket = connect('dispatcher', 'dispatcher-1');
+
+      await expect(socket.emit('subscribe:hub', { hubId })).resolves.toEqual({
+        success: false,
+        error: 'Not authorized for this hub',
+        code: 'forbidden'
+      });
+      expect(socket.rooms.has(`hub:${hubId}`)).toBe(false);
+
+      userExists.mockResolvedValue({ _id: 'dispatcher-1' });
+      await expect(socket.emit('subscribe:hub', { hubId })).resolves.toEqual({ success: true, rooms: [`hub:${hubId}`] });
+      expect(User.exists).toHaveBeenCalledWith({ _id: 'dispatcher-1', hubs: hubId });
+    });
+
+    test('lets a hub manager follow the hub they manage', async () => {
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+      const hubExists = jest.spyOn(Hub, 'exists').mockResolvedValue({ _id: hubId });
+      const socket = connect('hub_manager', 'manager-1');
+
+      await expect(socket.emit('subscribe:hub', { hubId })).resolves.toMatchObject({ success: true });
+      expect(hubExists).toHaveBeenCalledWith({ _id: hubId, 'metadata.manager': 'manager-1' });
+    });
+
+    test('lets admins follow any hub and rejects malformed ids', async () => {
+      const userExists = jest.spyOn(User, 'exists');
+      const socket = connect('admin');
+
+      await expect(socket.emit('subscribe:hub', { hubId })).resolves.toMatchObject({ success: true });
+      await expect(socket.emit('subscribe:hub', { hubId: 'hub:*' })).resolves.toMatchObject({ code: 'invalid' });
+      expect(userExists).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('driver:location', () => {
+    test('drops positions sent faster than the throttle', async () => {
+      let now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const driver = { _id: 'driver-1', driverCode: 'DRV000001' };
+      const findDriver = jest.spyOn(Driver, 'findOne').mockReturnValue(mockQuery(driver));
+      const record = jest.spyOn(realtimeService, 'recordDriverLocation').mockResolvedValue({ driverId: 'driver-1' });
+      const socket = connect('driver');
+
+      await expect(socket.emit('driver:location', { coordinates: [31.2, 30.0] }))
+        .resolves.toEqual({ success: true, location: { driverId: 'driver-1' } });
+
+      now += 1000;
+      await expect(socket.emit('driver:location', { coordinates: [31.21, 30.0] })).resolves.toEqual({
+        success: true,
+        throttled: true,
+        retryAfterMs: realtimeService.driverThrottleMs - 1000
+      });
+      expect(findDriver).toHaveBeenCalledTimes(1);
+
+      now += realtimeService.driverThrottleMs;
+      await socket.emit('driver:location', { coordinates: [31.22, 30.0] });
+      expect(record).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const User = require('../models/User');
+const ReturnRequest = require('../models/ReturnRequest');
+const pricingService = require('./pricingService');
+const zoneService = require('./zoneService');
+
+// Reverse orders the customer no longer has to hand over can still be called off
+const CANCELLABLE_PICKUP_STATUSES = ['pending', 'confirmed', 'pickup_scheduled'];
+
+const returnError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+class ReturnService {
+  constructor() {
+    this.defaultWindowDays = parseInt(process.env.RETURN_WINDOW_DAYS) || 14;
+  }
+
+  /**
+   * Days after delivery the merchant accepts returns
+   * @param {string} merchantId - Merchant user
+   * @returns {Promise<number>}
+   */
+  async getWindowDays(merchantId) {
+    const merchant = await Merchant.findByUser(merchantId).select('defaults.returnWindowDays');
+    const days = merchant && merchant.defaults.returnWindowDays;
+    return typeof days === 'number' ? days : this.defaultWindowDays;
+  }
+
+  /**
+   * Open a return for items of a delivered order
+   * @param {Object} order - Original Order document
+   * @param {Object} request - { reason, description, items: [{ itemId, quantity }] }
+   * @param {Object} requester - { requestedBy: customer|merchant|admin, userId }
+   * @returns {Promise<Object>} ReturnRequest document
+   */
+  async createRequest(order, { reason, description, items } = {}, { requestedBy, userId } = {}) {
+    if (order.orderType !== 'delivery') {
+      throw returnError('Only delivery orders can be returned');
+    }
+    if (order.status !== 'delivered') {
+      throw returnError(`Returns can only be requested for delivered orders; this order is ${order.status}`, 409);
+    }
+    if (!ReturnRequest.RETURN_REASONS.includes(reason)) {
+      throw returnError(`A return reason is required. Allowed: ${ReturnRequest.RETURN_REASONS.join(', ')}`);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw returnError('Select at least one item to return');
+    }
+
+    const windowDays = await this.getWindowDays(order.merchant);
+    const deliveredAt = order.tracking.actualDeliveryTime;
+    if (deliveredAt && Date.now() - deliveredAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
+      throw returnError(`Returns must be requested within ${windowDays} days of delivery`, 409);
+    }
+
+    // Quantities already on open returns cannot be returned twice
+    const open = await ReturnRequest.findOpenForOrder(order._id);
+    const alreadyReturned = new Map();
+    open.forEach(existing => existing.items.forEach(item => {
+      const key = item.orderItem.toString();
+      alreadyReturned.set(key, (alreadyReturned.get(key) || 0) + item.quantity);
+    }));
+
+    const requested = new Map();
+    items.forEach(({ itemId, quantity }) => {
+      const orderItem = itemId && mongoose.Types.ObjectId.isValid(itemId) && order.items.id(itemId);
+      if (!orderItem) {
+        throw returnError(`Item ${itemId} is not on order ${order.orderNumber}`);
+      }
+      const count = parseInt(quantity);
+      if (!(count >= 1)) {
+        throw returnError(`Quantity for ${orderItem.name} must be at least 1`);
+      }
+      const key = orderItem._id.toString();
+      requested.set(key, (requested.get(key) || 0) + count);
+    });
+
+    const returnItems = [...requested.entries()].map(([key, quantity]) => {
+      const orderItem = order.items.id(key);
+      const remaining = orderItem.quantity - (alreadyReturned.get(key) || 0);
+      if (quantity > remaining) {
+        throw returnError(`Only ${remaining} of ${orderItem.name} can still be returned`, 409);
+      }
+      return { orderItem: orderItem._id, name: orderItem.name, sku: orderItem.sku, quantity };
+    });
+
+    return ReturnRequest.create({
+      order: order._id,
+      merchant: order.merchant,
+      reason,
+      description,
+      items: returnItems,
+      requestedBy,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Build a reverse pickup order: the customer's address becomes the pickup
+   * and the original pickup address (the merchant) the destination
+   * @param {Object} order - Original Order document
+   * @param {Array} items - Order items to carry back
+   * @param {Object} options - { userId, instructions, fields } where fields are extra order fields
+   * @returns {Promise<Object>} Unsaved Order document
+   */
+  async buildReverseOrder(order, items, { userId, instructions, fields = {} } = {}) {
+    const customerAddress = order.customerInfo.address;
+    if (!customerAddress.coordinates || customerAddress.coordinates.length !== 2) {
+      throw returnError('The customer address has no coordinates; they are needed to collect from the customer');
+    }
+
+    const [merchantProfile, merchantUser] = await Promise.all([
+      Merchant.findByUser(order.merchant).select('businessName'),
+      User.findById(order.merchant).select('firstName lastName phone email')
+    ]);
+    const destination = order.pickupAddress;
+
+    const reverseOrder = new Order({
+      merchant: order.merchant,
+      customer: order.customer,
+      orderType: 'return',
+      status: 'confirmed',
+      serviceType: 'standard',
+      customerInfo: {
+        name: (merchantProfile && merchantProfile.businessName) ||
+          [merchantUser && merchantUser.firstName, merchantUser && merchantUser.lastName].filter(Boolean).join(' '),
+        phone: destination.contactPhone || (merchantUser && merchantUser.phone),
+        email: merchantUser && merchantUser.email,
+        address: {
+          street: destination.street,
+          city: destination.city,
+          state: destination.state,
+          zipCode: destination.zipCode,
+          country: destination.country,
+          coordinates: destination.coordinates,
+          notes: destination.notes
+        }
+      },
+      pickupAddress: {
+        street: customerAddress.street,
+        city: customerAddress.city,
+        state: customerAddress.state,
+        zipCode: customerAddress.zipCode,
+        country: customerAddress.country,
+        coordinates: customerAddress.coordinates,
+        contactPerson: order.customerInfo.name,
+        contactPhone: order.customerInfo.phone,
+        notes: customerAddress.notes
+      },
+      items,
+      pricing: { currency: order.pricing.currency },
+      payment: { method: 'prepaid' },
+      specialInstructions: instructions,
+      metadata: {
+        source: 'api',
+        createdBy: userId
+      },
+      ...fields
+    });
+
+    await zoneService.applyToOrder(reverseOrder);
+    await pricingService.applyToOrder(reverseOrder);
+
+    // Subtotal stays the declared goods value; the merchant is billed the return fee only
+    reverseOrder.pricing.total = round(reverseOrder.pricing.shippingCost + reverseOrder.pricing.taxes);
+
+    return reverseOrder;
+  }
+
+  /**
+   * Approve a return and create its reverse pickup order
+   * @param {Object} request - ReturnRequest document
+   * @param {string} userId - Merchant or admin
+   * @param {string} notes
+   * @returns {Promise<Object>} { request, reverseOrder }
+   */
+  async approve(request, userId, notes) {
+    if (request.status !== 'requested') {
+      throw returnError(`Return is already ${request.status}`, 409);
+    }
+    const order = await Order.findById(request.order);
+    if (!order) {
+      throw returnError('Original order not found', 404);
+    }
+
+    const items = request.items.map(returnItem => {
+      const item = order.items.id(returnItem.orderItem).toObject();
+      delete item._id;
+      return { ...item, quantity: returnItem.quantity };
+    });
+    const reverseOrder = await this.buildReverseOrder(order, items, {
+      userId,
+      instructions: `Return ${request.rmaNumber} for order ${order.orderNumber}`,
+      fields: { returnRequest: request._id }
+    });
+
+    // Claim the request first so two approvals cannot create two pickups
+    const claimed = await ReturnRequest.findOneAndUpdate(
+      { _id: request._id, status: 'requested' },
+      {
+        $set: {
+          status: 'approved',
+          reverseOrder: reverseOrder._id,
+          decision: { by: userId, at: new Date(), notes }
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw returnError('Return was already decided', 409);
+    }
+
+    try {
+      await reverseOrder.save();
+    } catch (error) {
+      await ReturnRequest.updateOne(
+        { _id: request._id },
+        { $set: { status: 'requested' }, $unset: { reverseOrder: 1, decision: 1 } }
+      );
+      throw error;
+    }
+
+    return { request: claimed, reverseOrder };
+  }
+
+  /**
+   * Decline a return
+   * @param {Object} request - ReturnRequest document
+   * @param {string} userId
+   * @param {string} notes - Reason shown to the customer
+   * @returns {Promise<Object>} ReturnRequest document
+   */
+  async reject(request, userId, notes) {
+    if (request.status !== 'requested') {
+      throw returnError(`Return is already ${request.status}`, 409);
+    }
+    if (!notes || !String(notes).trim()) {
+      throw returnError('A reason is required to reject a return');
+    }
+
+    request.status = 'rejected';
+    request.decision = { by: userId, at: new Date(), notes: String(notes).trim() };
+    return request.save();
+  }
+
+  /**
+   * Withdraw a return, cancelling its reverse pickup if the parcel has not been collected
+   * @param {Object} request - ReturnRequest document
+   * @param {string} userId
+   * @returns {Promise<Object>} ReturnRequest document
+   */
+  async cancel(request, userId) {
+    if (!['requested', 'approved'].includes(request.status)) {
+      throw returnError(`A ${request.status} return cannot be cancelled`, 409);
+    }
+
+    if (request.reverseOrder) {
+      const reverseOrder = await Order.findById(request.reverseOrder);
+      if (reverseOrder && reverseOrder.status !== 'cancelled') {
+        if (!CANCELLABLE_PICKUP_STATUSES.includes(reverseOrder.status)) {
+          throw returnError(`The return parcel is already ${reverseOrder.status}`, 409);
+        }
+        reverseOrder.metadata.lastModifiedBy = userId;
+        await reverseOrder.updateStatus('cancelled', `Return ${request.rmaNumber} cancelled`, userId);
+      }
+    }
+
+    request.status = 'cancelled';
+    return request.save();
+  }
+
+  /**
+   * Mark a return received when its reverse order is delivered to the merchant
+   * @param {Object} reverseOrder - Order document
+   */
+  async markReceived(reverseOrder) {
+    await ReturnRequest.updateOne(
+      { _id: reverseOrder.returnRequest, status: 'approved' },
+      { $set: { status: 'received', receivedAt: reverseOrder.tracking.actualDeliveryTime || new Date() } }
+    );
+  }
+
+  /**
+   * Record how the merchant settled the return
+   * @param {Object} request - ReturnRequest document
+   * @param {Object} outcome - { type: refund|exchange|none, amount, reference, notes }
+   * @param {string} userId
+   * @returns {Promise<Object>} ReturnRequest document
+   */
+  async recordOutcome(request, { type, amount, reference, notes } = {}, userId) {
+    if (!['approved', 'received'].includes(request.status)) {
+      throw returnError(`Cannot record an outcome for a ${request.status} return`, 409);
+    }
+    if (!['refund', 'exchange', 'none'].includes(type)) {
+      throw returnError('Outcome type must be refund, exchange or none');
+    }
+
+    let refundAmount;
+    if (type === 'refund') {
+      const order = await Order.findById(request.order).select('items');
+      const refundable = round(request.items.reduce((sum, returnItem) => {
+        const item = order && order.items.id(returnItem.orderItem);
+        return sum + (item ? item.value * returnItem.quantity : 0);
+      }, 0));
+      refundAmount = amount === undefined ? refundable : Number(amount);
+      if (!(refundAmount >= 0) || refundAmount > refundable) {
+        throw returnError(`Refund amount must be between 0 and ${refundable}`);
+      }
+    }
+
+    request.outcome = {
+      type,
+      amount: refundAmount,
+      reference,
+      notes,
+      recordedBy: userId,
+      recordedAt: new Date()
+    };
+    request.status = 'completed';
+    return request.save();
+  }
+
+  /**
+   * Return figures for merchant stats
+   * @param {Object} match - Order filter, e.g. { merchant }
+   * @returns {Promise<Object>} { requested, byStatus, byReason, deliveredOrders, returnRate, failedDeliveryReturns }
+   */
+  async getStats(match = {}) {
+    const returnMatch = match.merchant ? { merchant: new mongoose.Types.ObjectId(match.merchant) } : {};
+    const orderMatch = { ...returnMatch, orderType: { $ne: 'return' } };
+
+    const [byStatus, byReason, deliveredOrders, failedDeliveryReturns] = await Promise.all([
+      ReturnRequest.aggregate([
+        { $match: returnMatch },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      ReturnRequest.aggregate([
+        { $match: { ...returnMatch, status: { $nin: ['rejected', 'cancelled'] } } },
+        { $group: { _id: '$reason', count: { $sum: 1 } } }
+      ]),
+      // Every order that reached the customer, including ones since returned
+      Order.countDocuments({ ...orderMatch, 'tracking.actualDeliveryTime': { $ne: null } }),
+      Order.countDocuments({ ...orderMatch, status: 'returned' })
+    ]);
+
+    const statusCounts = Object.fromEntries(byStatus.map(entry => [entry._id, entry.count]));
+    const returned = byReason.reduce((sum, entry) => sum + entry.count, 0);
+
+    return {
+      requested: byStatus.reduce((sum, entry) => sum + entry.count, 0),
+      byStatus: statusCounts,
+      byReason: Object.fromEntries(byReason.map(entry => [entry._id, entry.count])),
+      deliveredOrders,
+      returnRate: deliveredOrders > 0 ? round((returned / deliveredOrders) * 100) : 0,
+      failedDeliveryReturns
+    };
+  }
+}
+
+module.exports = new ReturnService();
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const User = require('../models/User');
+const ReturnRequest = require('../models/ReturnRequest');
+const pricingService = require('./pricingService');
+const zoneService = require('./zoneService');
+const returnService = require('./returnService');
+const { mockQuery } = require('../../test/helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('returnService', () => {
+  const merchantId = new mongoose.Types.ObjectId();
+  let order;
+  let shirt;
+  let mug;
+
+  beforeEach(() => {
+    order = new Order({
+      orderNumber: 'ORD-1001',
+      orderType: 'delivery',
+      status: 'delivered',
+      merchant: merchantId,
+      tracking: { actualDeliveryTime: new Date(Date.now() - 2 * DAY) },
+      customerInfo: {
+        name: 'Mona Adel',
+        phone: '+201001234567',
+        address: { street: '1 Nile St', city: 'Cairo', coordinates: [31.24, 30.04] }
+      },
+      pickupAddress: { street: '9 Depot Rd', city: 'Giza', coordinates: [31.2, 30.0], contactPhone: '+201009999999' },
+      items: [
+        { name: 'Shirt', sku: 'SH-1', quantity: 3, weight: 0.3, value: 200 },
+        { name: 'Mug', sku: 'MG-1', quantity: 1, weight: 0.5, value: 80 }
+      ],
+      pricing: { currency: 'EGP' }
+    });
+    [shirt, mug] = order.items;
+    jest.spyOn(Merchant, 'findByUser').mockReturnValue(mockQuery({
+      businessName: 'Nile Shirts',
+      defaults: { returnWindowDays: 7 }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRequest', () => {
+    let create;
+
+    beforeEach(() => {
+      jest.spyOn(ReturnRequest, 'findOpenForOrder').mockResolvedValue([]);
+      create = jest.spyOn(ReturnRequest, 'create').mockImplementation(async data => data);
+    });
+
+    test('opens a return for the selected items, merging repeats', async () => {
+      const request = await returnService.createRequest(order, {
+        reason: 'wrong_item',
+        items: [{ itemId: shirt._id, quantity: 1 }, { itemId: shirt._id.toString(), quantity: '1' }]
+      }, { requestedBy: 'customer' });
+
+      expect(request.items).toEqual([{ orderItem: shirt._id, name: 'Shirt', sku: 'SH-1', quantity: 2 }]);
+      expect(request).toMatchObject({ order: order._id, merchant: merchantId, requestedBy: 'customer' });
+    });
+
+    test('does not return more than is left after open returns', async () => {
+      ReturnRequest.findOpenForOrder.mockResolvedValue([{ items: [{ orderItem: shirt._id, quantity: 2 }] }]);
+
+      await expect(returnService.createRequest(order, {
+        reason: 'damaged',
+        items: [{ itemId: shirt._id, quantity: 2 }]
+      })).rejects.toMatchObject({ statusCode: 409, message: 'Only 1 of Shirt can still be returned' });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('keeps to the merchant\'s return window', async () => {
+      order.tracking.actualDeliveryTime = new Date(Date.now() - 8 * DAY);
+
+      await expect(returnService.createRequest(order, {
+        reason: 'damaged',
+        items: [{ itemId: mug._id, quantity: 1 }]
+      })).rejects.toMatchObject({ statusCode: 409, message: 'Returns must be requested within 7 days of delivery' });
+    });
+
+    test('checks the order, reason and items', async () => {
+      const items = [{ itemId: mug._id, quantity: 1 }];
+
+      order.status = 'in_transit';
+      await expect(returnService.createRequest(order, { reason: 'damaged', items }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      order.status = 'delivered';
+
+      await expect(returnService.createRequest(order, { reason: 'changed_mind_later', items }))
+        .rejects.toThrow('A return reason is required');
+      await expect(returnService.createRequest(order, { reason: 'damaged', items: [{ itemId: 'x', quantity: 1 }] }))
+        .rejects.toThrow('Item x is not on order ORD-1001');
+      await expect(returnService.createRequest(order, { reason: 'damaged', items: [{ itemId: mug._id, quantity: 0 }] }))
+        .rejects.toThrow('Quantity for Mug must be at least 1');
+    });
+  });
+
+  describe('approve', () => {
+    let request;
+
+    beforeEach(() => {
+      request = new ReturnRequest({
+        rmaNumber: 'RMA-1',
+        order: order._id,
+        merchant: merchantId,
+        reason: 'damaged',
+        status: 'requested',
+        items: [{ orderItem: shirt._id, name: 'Shirt', quantity: 2 }]
+      });
+      jest.spyOn(Order, 'findById').mockResolvedValue(order);
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ firstName: 'Omar', email: 'omar@example.com' }));
+      jest.spyOn(zoneService, 'applyToOrder').mockResolvedValue();
+      jest.spyOn(pricingService, 'applyToOrder').mockImplementation(async reverse => {
+        reverse.pricing.shippingCost = 40;
+        reverse.pricing.taxes = 5.6;
+        reverse.pricing.total = 999;
+      });
+    });
+
+    test('creates a reverse pickup from the customer back to the merchant', async () => {
+      jest.spyOn(ReturnRequest, 'findOneAndUpdate').mockResolvedValue({ status: 'approved' });
+      jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+
+      const { reverseOrder } = await returnService.approve(request, 'merchant-1', 'OK');
+
+      expect(reverseOrder).toMatchObject({ orderType: 'return', status: 'confirmed', returnRequest: request._id });
+      expect(reverseOrder.pickupAddress).toMatchObject({ street: '1 Nile St', contactPerson: 'Mona Adel' });
+      expect(reverseOrder.customerInfo).toMatchObject({ name: 'Nile Shirts', phone: '+201009999999' });
+      expect(reverseOrder.customerInfo.address.street).toBe('9 Depot Rd');
+      expect(reverseOrder.items.map(item => [item.name, item.quantity])).toEqual([['Shirt', 2]]);
+      // The merchant pays the return fee, not the goods value
+      expect(reverseOrder.pricing.total).toBe(45.6);
+    });
+
+    test('claims the request before saving so a second approval cannot create another pickup', async () => {
+      const claim = jest.spyOn(ReturnRequest, 'findOneAndUpdate').mockResolvedValue(null);
+      const save = jest.spyOn(Order.prototype, 'save');
+
+      await expect(returnService.approve(request, 'merchant-1')).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(claim.mock.calls[0][0]).toEqual({ _id: request._id, status: 'requested' });
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    test('puts the request back when the reverse order fails to save', async () => {
+      jest.spyOn(ReturnRequest, 'findOneAndUpdate').mockResolvedValue({ status: 'approved' });
+      jest.spyOn(Order.prototype, 'save').mockRejectedValue(new Error('validation failed'));
+      const updateOne = jest.spyOn(ReturnRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(returnService.approve(request, 'merchant-1')).rejects.toThrow('validation failed');
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: request._id },
+        { $set: { status: 'requested' }, $unset: { reverseOrder: 1, decision: 1 } }
+      );
+    });
+
+    test('needs coordinates to collect from the customer', async () => {
+      order.customerInfo.address.coordinates = [];
+
+      await expect(returnService.approve(request, 'merchant-1')).rejects.toThrow('The customer address has no coordinates');
+    });
+  });
+
+  describe('cancel', () => {
+    let request;
+    let reverseOrder;
+
+    beforeEach(() => {
+      reverseOrder = new Order({ status: 'pickup_scheduled' });
+      request = new ReturnRequest({ rmaNumber: 'RMA-1', status: 'approved', reverseOrder: reverseOrder._id });
+      jest.spyOn(Order, 'findById').mockResolvedValue(reverseOrder);
+      jest.spyOn(request, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    test('calls off a pickup that has not happened yet', async () => {
+      const updateStatus = jest.spyOn(reverseOrder, 'updateStatus').mockResolvedValue(reverseOrder);
+
+      await returnService.cancel(request, 'customer-1');
+
+      expect(updateStatus).toHaveBeenCalledWith('cancelled', 'Return RMA-1 cancelled', 'customer-1');
+      expect(request.status).toBe('cancelled');
+    });
+
+    test('cannot be withdrawn once the parcel is collected', async () => {
+      reverseOrder.status = 'picked_up';
+
+      await expect(returnService.cancel(request, 'customer-1')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'The return parcel is already picked_up'
+      });
+      expect(request.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordOutcome', () => {
+    let request;
+
+    beforeEach(() => {
+      request = new ReturnRequest({
+        rmaNumber: 'RMA-1',
+        order: order._id,
+        status: 'received',
+        items: [{ orderItem: shirt._id, name: 'Shirt', quantity: 2 }]
+      });
+      jest.spyOn(Order, 'findById').mockReturnValue(mockQuery(order));
+      jest.spyOn(request, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    test('refunds the value of the returned items by default', async () => {
+      await returnService.recordOutcome(request, { type: 'refund' }, 'merchant-1');
+
+      expect(request.status).toBe('completed');
+      expect(request.outcome.amount).toBe(400);
+    });
+
+    test('caps a refund at the value of the returned items', async () => {
+      await expect(returnService.recordOutcome(request, { type: 'refund', amount: 450 }, 'merchant-1'))
+        .rejects.toThrow('Refund amount must be between 0 and 400');
+    });
+
+    test('only settles returns that were approved', async () => {
+      request.status = 'requested';
+
+      await expect(returnService.recordOutcome(request, { type: 'none' }, 'merchant-1'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getStats', () => {
+    test('rates returns against delivered orders, leaving out rejected ones', async () => {
+      jest.spyOn(ReturnRequest, 'aggregate')
+        .mockResolvedValueOnce([{ _id: 'requested', count: 2 }, { _id: 'rejected', count: 1 }])
+        .mockResolvedValueOnce([{ _id: 'damaged', count: 2 }]);
+      jest.spyOn(Order, 'countDocuments').mockResolvedValueOnce(40).mockResolvedValueOnce(3);
+
+      const stats = await returnService.getStats({ merchant: merchantId.toString() });
+
+      expect(stats).toEqual({
+        requested: 3,
+        byStatus: { requested: 2, rejected: 1 },
+        byReason: { damaged: 2 },
+        deliveredOrders: 40,
+        returnRate: 5,
+        failedDeliveryReturns: 3
+      });
+    });
+  });
+});
@@ -0,0 +1,813 @@
+const axios = require('axios');
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const Hub = require('../models/Hub');
+const vrpSolver = require('./vrpSolver');
+const { containsPoint } = require('./geometry');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Orders still to be collected from the merchant; at_hub orders only need delivering
+const PICKUP_STATUSES = ['confirmed', 'pickup_scheduled'];
+const PLANNABLE_STATUSES = [...PICKUP_STATUSES, 'at_hub'];
+
+/**
+ * "HH:mm" to minutes from midnight
+ * @param {string} time
+ * @returns {number|null}
+ */
+const toMinutes = time => {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return Number.isFinite(hours) ? hours * 60 + (minutes || 0) : null;
+};
+
+const routeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class RouteOptimizationService {
+  constructor() {
+    this.googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY;
+    // Orders routed in one hub plan; the solve blocks the request, so larger days are cut
+    this.maxPlanOrders = parseInt(process.env.ROUTE_MAX_PLAN_ORDERS, 10) || 150;
+  }
+
+  /**
+   * Calculate distance between two coordinates using Haversine formula
+   * @param {Array} coord1 - [longitude, latitude]
+   * @param {Array} coord2 - [longitude, latitude]
+   * @returns {number} Distance in kilometers
+   */
+  calculateDistance(coord1, coord2) {
+    const R = 6371; // Earth's radius in kilometers
+    const dLat = this.toRads(coord2[1] - coord1[1]);
+    const dLon = this.toRads(coord2[0] - coord1[0]);
+    const lat1 = this.toRads(coord1[1]);
+    const lat2 = this.toRads(coord2[1]);
+
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.sin(dLon/2) * Math.sin(dLon/2) * Math.cos(lat1) * Math.cos(lat2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+    return R * c;
+  }
+
+  /**
+   * Convert degrees to radians
+   * @param {number} degrees
+   * @returns {number} Radians
+   */
+  toRads(degrees) {
+    return degrees * (Math.PI / 180);
+  }
+
+  /**
+   * Find the best driver for an order based on distance and capacity
+   * @param {string|Object} orderOrId - Order document or ID
+   * @param {Object} options - { reservations, searchRadius }
+   * @returns {Object} Best driver assignment with alternatives and rejected drivers
+   */
+  async findBestDriver(orderOrId, options = {}) {
+    try {
+      const order = typeof orderOrId === 'object' && orderOrId.items
+        ? orderOrId
+        : await Order.findById(orderOrId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const pickupCoordinates = order.pickupAddress.coordinates;
+      const reservations = options.reservations || new Map();
+
+      // Find available drivers within reasonable distance
+      const availableDrivers = await Driver.findAvailableDrivers(
+        pickupCoordinates,
+        options.searchRadius || 20000 // 20km radius
+      );
+
+      if (availableDrivers.length === 0) {
+        return {
+          success: false,
+          message: 'No available drivers found in the area',
+          rejected: []
+        };
+      }
+
+      const loads = await this.getDriverLoads(availableDrivers);
+      const eligible = [];
+      const rejected = [];
+
+      availableDrivers.forEach(driver => {
+        const load = this.addLoad(loads.get(driver._id.toString()), reservations.get(driver._id.toString()));
+        const reasons = this.checkDriverEligibility(driver, order, load, options.at);
+        if (reasons.length > 0) {
+          rejected.push({ driver: this.summarizeDriver(driver), reasons });
+        } else {
+          eligible.push({ driver, load });
+        }
+      });
+
+      if (eligible.length === 0) {
+        return {
+          success: false,
+          message: 'No eligible drivers: all nearby drivers are at capacity or off schedule',
+          rejected
+        };
+      }
+
+      // Score each driver based on multiple factors
+      const driverScores = await Promise.all(
+        eligible.map(async ({ driver, load }) => {
+          const score = await this.calculateDriverScore(driver, order, load);
+          return {
+            driver,
+            score,
+            distance: Math.round(this.calculateDistance(driver.currentLocation, pickupCoordinates) * 100) / 100
+          };
+        })
+      );
+
+      // Sort by score (higher is better), closest first on ties
+      driverScores.sort((a, b) => b.score - a.score || a.distance - b.distance);
+
+      const bestDriver = driverScores[0];
+
+      return {
+        success: true,
+        driver: bestDriver.driver,
+        score: bestDriver.score,
+        distance: bestDriver.distance,
+        estimatedPickupTime: this.estimatePickupTime(bestDriver.distance),
+        alternatives: driverScores.slice(1, 3), // Top 2 alternatives
+        rejected
+      };
+
+    } catch (error) {
+      console.error('Error finding best driver:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Weight, volume and order count each driver is already carrying
+   * @param {Array} drivers - Driver documents
+   * @returns {Map} driverId -> { orders, weight, volume }
+   */
+  async getDriverLoads(drivers) {
+    const orderIds = drivers.flatMap(driver => driver.activeDeliveries);
+    const orders = orderIds.length > 0
+      ? await Order.find({ _id: { $in: orderIds } }).select('items')
+      : [];
+    const byId = new Map(orders.map(order => [order._id.toString(), order]));
+
+    return new Map(drivers.map(driver => {
+      const load = { orders: driver.activeDeliveries.length, weight: 0, volume: 0 };
+      driver.activeDeliveries.forEach(orderId => {
+        const order = byId.get(orderId.toString());
+        if (order) {
+          load.weight += order.totalWeight;
+          load.volume += order.totalVolume;
+        }
+      });
+      return [driver._id.toString(), load];
+    }));
+  }
+
+  /**
+   * Combine two loads
+   * @param {Object} load - { orders, weight, volume }
+   * @param {Object} extra - { orders, weight, volume }
+   * @returns {Object} Combined load
+   */
+  addLoad(load = {}, extra = {}) {
+    return {
+      orders: (load.orders || 0) + (extra.orders || 0),
+      weight: (load.weight || 0) + (extra.weight || 0),
+      volume: (load.volume || 0) + (extra.volume || 0)
+    };
+  }
+
+  /**
+   * Hard constraints a driver must meet to take an order
+   * @param {Object} driver - Driver document
+   * @param {Object} order - Order document
+   * @param {Object} load - Load the driver already carries { orders, weight, volume }
+   * @param {Date} at - Time of the assignment (defaults to now)
+   * @returns {Array} Reasons the driver cannot take the order (empty when eligible)
+   */
+  checkDriverEligibility(driver, order, load = {}, at = new Date()) {
+    const reasons = [];
+
+    if ((load.orders || 0) >= driver.preferences.maxDeliveries) {
+      reasons.push(`At maximum of ${driver.preferences.maxDeliveries} deliveries`);
+    }
+
+    if ((load.weight || 0) + order.totalWeight > driver.vehicle.capacity.weight) {
+      reasons.push(`Vehicle weight capacity of ${driver.vehicle.capacity.weight} kg exceeded`);
+    }
+
+    // Vehicle volume is in litres, item dimensions in cm
+    const volumeLitres = ((load.volume || 0) + order.totalVolume) / 1000;
+    if (volumeLitres > driver.vehicle.capacity.volume) {
+      reasons.push(`Vehicle volume capacity of ${driver.vehicle.capacity.volume} L exceeded`);
+    }
+
+    if (!this.isWithinWorkSchedule(driver, at)) {
+      reasons.push('Outside working hours');
+    }
+
+    // Only checked when the zones are populated (findAvailableDrivers does)
+    const zones = (driver.workingZones || []).filter(zone => zone && zone.geometry && zone.status === 'active');
+    if (zones.length > 0 && !zones.some(zone => containsPoint(zone.geometry, order.pickupAddress.coordinates))) {
+      reasons.push('Pickup is outside the driver\'s working zones');
+    }
+
+    if (driver.currentLocation && driver.currentLocation.length === 2) {
+      const distance = this.calculateDistance(driver.currentLocation, order.pickupAddress.coordinates);
+      if (distance > driver.preferences.maxDistance) {
+        reasons.push(`Pickup is beyond preferred distance of ${driver.preferences.maxDistance} km`);
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Check a time falls within the driver's working hours for that day
+   * @param {Object} driver - Driver document
+   * @param {Date} at - Time to check
+   * @returns {boolean}
+   */
+  isWithinWorkSchedule(driver, at = new Date()) {
+    const shift = this.getShift(driver, at);
+    if (!shift) return false;
+
+    const now = at.getHours() * 60 + at.getMinutes();
+    return now >= shift.start && now < shift.end;
+  }
+
+  /**
+   * Driver's working hours on the day of a date
+   * @param {Object} driver - Driver document
+   * @param {Date} date
+   * @returns {Object|null} { start, end } in minutes from midnight, null when off that day
+   */
+  getShift(driver, date) {
+    const day = driver.workSchedule && driver.workSchedule[WEEKDAYS[date.getDay()]];
+    if (!day || !day.available) return null;
+
+    const start = toMinutes(day.startTime);
+    const end = toMinutes(day.endTime);
+    return start !== null && end !== null && end > start ? { start, end } : null;
+  }
+
+  /**
+   * Short driver description for dispatch results
+   * @param {Object} driver - Driver document (user populated)
+   * @returns {Object}
+   */
+  summarizeDriver(driver) {
+    return {
+      _id: driver._id,
+      driverCode: driver.driverCode,
+      name: driver.user && driver.user.firstName
+        ? `${driver.user.firstName} ${driver.user.lastName}`
+        : undefined,
+      vehicle: driver.vehicle.type
+    };
+  }
+
+  /**
+   * Calculate driver score based on multiple factors
+   * @param {Object} driver - Driver document
+   * @param {Object} order - Order document
+   * @param {Object} load - Load the driver already carries (defaults to active deliveries)
+   * @returns {number} Driver score (0-100)
+   */
+  async calculateDriverScore(driver, order, load = null) {
+    let score = 0;
+
+    // Distance factor (closer is better) - 40% weight
+    const distance = this.calculateDistance(
+      driver.currentLocation,
+      order.pickupAddress.coordinates
+    );
+    const distanceScore = Math.max(0, 100 - (distance * 5)); // Penalty: 5 points per km
+    score += distanceScore * 0.4;
+
+    // Driver rating - 25% weight
+    const ratingScore = (driver.performance.rating.average / 5) * 100;
+    score += ratingScore * 0.25;
+
+    // Current capacity - 20% weight
+    const activeOrders = load ? load.orders : driver.activeDeliveries.length;
+    const capacityScore = ((driver.preferences.maxDeliveries - activeOrders) / driver.preferences.maxDeliveries) * 100;
+    score += capacityScore * 0.2;
+
+    // Vehicle compatibility - 10% weight
+    const vehicleScore = this.getVehicleCompatibilityScore(driver.vehicle, order);
+    score += vehicleScore * 0.1;
+
+    // Success rate - 5% weight
+    const successRate = driver.successRate || 100;
+    score += successRate * 0.05;
+
+    return Math.round(score);
+  }
+
+  /**
+   * Get vehicle compatibility score
+   * @param {Object} vehicle - Vehicle details
+   * @param {Object} order - Order details
+   * @returns {number} Compatibility score (0-100)
+   */
+  getVehicleCompatibilityScore(vehicle, order) {
+    const totalWeight = order.totalWeight;
+    const hasFragileItems = order.items.some(item => item.isFragile);
+
+    let score = 100;
+
+    // Check weight capacity
+    if (totalWeight > vehicle.capacity.weight) {
+      return 0; // Cannot handle the weight
+    }
+
+    // Penalty for overloading
+    const weightUtilization = totalWeight / vehicle.capacity.weight;
+    if (weightUtilization > 0.8) {
+      score -= 20; // 20% penalty for high weight utilization
+    }
+
+    // Bonus for fragile items with appropriate vehicle
+    if (hasFragileItems && (vehicle.type === 'car' || vehicle.type === 'van')) {
+      score += 10;
+    }
+
+    // Penalty for fragile items with inappropriate vehicle
+    if (hasFragileItems && vehicle.type === 'motorcycle') {
+      score -= 30;
+    }
+
+    return Math.max(0, score);
+  }
+
+  /**
+   * Estimate pickup time based on distance
+   * @param {number} distance - Distance in kilometers
+   * @returns {number} Estimated time in minutes
+   */
+  estimatePickupTime(distance) {
+    const averageSpeed = 30; // km/h in city traffic
+    const baseTime = 10; // Base preparation time in minutes
+    
+    return Math.round((distance / averageSpeed) * 60 + baseTime);
+  }
+
+  /**
+   * Optimize route for multiple deliveries
+   * @param {Array} deliveries - Delivery objects with coordinates and optional timeWindow { start, end } in minutes
+   * @param {Array} startPoint - Starting coordinates [longitude, latitude]
+   * @param {Object} options - { startTime } minutes from midnight the route starts at
+   * @returns {Object} Optimized route
+   */
+  async optimizeRoute(deliveries, startPoint, options = {}) {
+    try {
+      if (deliveries.length <= 1) {
+        const distance = deliveries.length > 0
+          ? this.calculateDistance(startPoint, deliveries[0].coordinates)
+          : 0;
+        return {
+          success: true,
+          route: deliveries,
+          totalDistance: Math.round(distance * 100) / 100,
+          estimatedTime: deliveries.length > 0 ? this.estimatePickupTime(distance) : 0
+        };
+      }
+
+      const solution = vrpSolver.solve({
+        vehicles: [{ id: 'route', start: startPoint, shift: { start: options.startTime || 0 } }],
+        requests: deliveries.map((delivery, index) => ({
+          id: index,
+          delivery: { coordinates: delivery.coordinates, timeWindow: delivery.timeWindow }
+        })),
+        options: { serviceMinutes: 0 }
+      });
+
+      // Time windows no order can satisfy: fall back to the shortest order ignoring them
+      if (solution.unassigned.length > 0) {
+        return {
+          ...this.nearestNeighborOptimization(deliveries, startPoint),
+          timeWindowsMet: false
+        };
+      }
+
+      const { stops, distance } = solution.routes[0];
+      return {
+        success: true,
+        route: stops.map(stop => deliveries[stop.requestId]),
+        totalDistance: distance,
+        estimatedTime: this.estimatePickupTime(distance),
+        timeWindowsMet: true
+      };
+
+    } catch (error) {
+      console.error('Error optimizing route:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan a day of pickup and delivery routes for a hub's drivers. Orders already
+   * given to a driver stay with that driver; the plan is not saved. Past
+   * maxPlanOrders the most urgent orders are planned and the rest reported unassigned.
+   * @param {string} hubId - Hub ID
+   * @param {Object} options - { date, driverIds }
+   * @returns {Promise<Object>} Routes per driver with ETAs and loads, and unrouted orders
+   */
+  async planHubDay(hubId, { date, driverIds } = {}) {
+    const hub = await Hub.findById(hubId);
+    if (!hub) {
+      throw routeError('Hub not found', 404);
+    }
+
+    const day = date ? new Date(date) : new Date();
+    if (isNaN(day.getTime())) {
+      throw routeError('Invalid plan date');
+    }
+    day.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(day);
+    dayEnd.setHours(23, 59, 59, 999);
+
+    const driverQuery = {
+      assignedHub: hub._id,
+      'verification.status': 'approved',
+      status: { $ne: 'inactive' }
+    };
+    if (Array.isArray(driverIds) && driverIds.length > 0) {
+      driverQuery._id = { $in: driverIds };
+    }
+    const drivers = (await Driver.find(driverQuery).populate('user', 'firstName lastName').sort({ driverCode: 1 }))
+      .filter(driver => this.getShift(driver, day));
+
+    const orders = await Order.find({
+      assignedHub: hub._id,
+      status: { $in: PLANNABLE_STATUSES },
+      $or: [
+        { 'scheduledDelivery.date': { $exists: false } },
+        { 'scheduledDelivery.date': null },
+        { 'scheduledDelivery.date': { $gte: day, $lte: dayEnd } }
+      ],
+      // Exchange pickups are made at their delivery leg's stop, not as stops of their own
+      $nor: [{ 'exchange.leg': 'inbound', 'exchange.status': 'pending' }]
+    }).sort({ createdAt: 1 });
+
+    const onDay = scheduled => !scheduled || !scheduled.date ||
+      (scheduled.date >= day && scheduled.date <= dayEnd);
+    const timeWindow = scheduled => (onDay(scheduled) && scheduled && scheduled.timeSlot
+      ? { start: toMinutes(scheduled.timeSlot.start), end: toMinutes(scheduled.timeSlot.end) }
+      : null);
+
+    const unroutable = [];
+    const routable = orders.filter(order => {
+      const deliveryCoords = order.customerInfo.address.coordinates;
+      if (!deliveryCoords || deliveryCoords.length !== 2) {
+        unroutable.push({ order, reason: 'Missing delivery coordinates' });
+        return false;
+      }
+      return true;
+    });
+
+    // Most urgent first when there are more orders than one plan takes (sort is stable)
+    const priorityRank = { urgent: 0, high: 1, normal: 2, low: 3 };
+    const byUrgency = routable.slice().sort((a, b) =>
+      (priorityRank[a.priority] ?? 2) - (priorityRank[b.priority] ?? 2));
+    byUrgency.slice(this.maxPlanOrders).forEach(order => {
+      unroutable.push({ order, reason: `Over the limit of ${this.maxPlanOrders} orders per plan` });
+    });
+    const planned = new Set(byUrgency.slice(0, this.maxPlanOrders));
+
+    const requests = [];
+    routable.filter(order => planned.has(order)).forEach(order => {
+      requests.push({
+        id: order._id.toString(),
+        pickup: PICKUP_STATUSES.includes(order.status)
+          ? { coordinates: order.pickupAddress.coordinates, timeWindow: timeWindow(order.scheduledPickup) }
+          : null,
+        delivery: { coordinates: order.customerInfo.address.coordinates, timeWindow: timeWindow(order.scheduledDelivery) },
+        weight: order.totalWeight,
+        // Vehicle volume is in litres, item dimensions in cm
+        volume: order.totalVolume / 1000,
+        priority: order.priority,
+        vehicleIds: order.assignedDriver ? [order.assignedDriver.toString()] : null
+      });
+    });
+
+    const solution = vrpSolver.solve({
+      vehicles: drivers.map(driver => ({
+        id: driver._id.toString(),
+        start: hub.address.coordinates,
+        end: hub.address.coordinates,
+        capacity: driver.vehicle.capacity,
+        shift: this.getShift(driver, day),
+        maxRequests: driver.preferences.maxDeliveries
+      })),
+      requests
+    });
+
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+    const driversById = new Map(drivers.map(driver => [driver._id.toString(), driver]));
+    const atMinute = minutes => new Date(day.getTime() + Math.round(minutes) * 60000);
+    const describeOrder = order => ({
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      trackingNumber: order.tracking.trackingNumber
+    });
+
+    const routes = solution.routes
+      .filter(route => route.stops.length > 0)
+      .map(route => ({
+        driver: this.summarizeDriver(driversById.get(route.vehicleId)),
+        orders: route.requests,
+        distance: route.distance,
+        startTime: atMinute(route.startTime),
+        endTime: atMinute(route.endTime),
+        estimatedMinutes: Math.round(route.endTime - route.startTime),
+        capacity: driversById.get(route.vehicleId).vehicle.capacity,
+        initialLoad: route.initialLoad,
+        peakLoad: route.peakLoad,
+        stops: route.stops.map(stop => ({
+          sequence: stop.sequence,
+          type: stop.type,
+          order: describeOrder(ordersById.get(stop.requestId)),
+          coordinates: stop.coordinates,
+          eta: atMinute(stop.serviceStart),
+          departure: atMinute(stop.departure),
+          waitMinutes: Math.round(stop.waitMinutes),
+          load: stop.load
+        }))
+      }));
+
+    const unassigned = [
+      ...unroutable.map(({ order, reason }) => ({ ...describeOrder(order), reason })),
+      ...solution.unassigned.map(({ requestId, reason }) => ({
+        ...describeOrder(ordersById.get(requestId)),
+        reason
+      }))
+    ];
+
+    return {
+      hub: { _id: hub._id, name: hub.name, code: hub.code },
+      date: day,
+      routes,
+      unassigned,
+      summary: {
+        orders: orders.length,
+        routed: orders.length - unassigned.length,
+        unassigned: unassigned.length,
+        driversAvailable: drivers.length,
+        driversUsed: routes.length,
+        totalDistance: solution.totalDistance,
+        timedOut: solution.timedOut
+      }
+    };
+  }
+
+  /**
+   * Simple nearest neighbor route optimization
+   * @param {Array} deliveries - Array of delivery objects with coordinates
+   * @param {Array} startPoint - Starting coordinates
+   * @returns {Object} Optimized route
+   */
+  nearestNeighborOptimization(deliveries, startPoint) {
+    const route = [];
+    const remaining = [...deliveries];
+    let currentPoint = startPoint;
+    let totalDistance = 0;
+
+    while (remaining.length > 0) {
+      let nearestIndex = 0;
+      let nearestDistance = this.calculateDistance(currentPoint, remaining[0].coordinates);
+
+      // Find nearest unvisited delivery
+      for (let i = 1; i < remaining.length; i++) {
+        const distance = this.calculateDistance(currentPoint, remaining[i].coordinates);
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearestIndex = i;
+        }
+      }
+
+      // Add nearest delivery to route
+      const nearestDelivery = remaining.splice(nearestIndex, 1)[0];
+      route.push(nearestDelivery);
+      currentPoint = nearestDelivery.coordinates;
+      totalDistance += nearestDistance;
+    }
+
+    return {
+      success: true,
+      route,
+      totalDistance: Math.round(totalDistance * 100) / 100, // Round to 2 decimal places
+      estimatedTime: this.estimatePickupTime(totalDistance)
+    };
+  }
+
+  /**
+   * Calculate delivery time estimate based on multiple factors
+   * @param {Array} pickupCoords - Pickup coordinates
+   * @param {Array} deliveryCoords - Delivery coordinates  
+   * @param {string} serviceType - Service type (standard, express, etc.)
+   * @param {string} priority - Priority level
+   * @returns {Object} Time estimates
+   */
+  calculateDeliveryEstimate(pickupCoords, deliveryCoords, serviceType = 'standard', priority = 'normal') {
+    const distance = this.calculateDistance(pickupCoords, deliveryCoords);
+    const baseTime = this.estimatePickupTime(distance);
+
+    // Service type multipliers
+    const serviceMultipliers = {
+      'same_day': 0.5,
+      'express': 0.7,
+      'next_day': 1.0,
+      'standard': 1.5
+    };
+
+    // Priority multipliers  
+    const priorityMultipliers = {
+      'urgent': 0.5,
+      'high': 0.7,
+      'normal': 1.0,
+      'low': 1.3
+    };
+
+    const serviceMultiplier = serviceMultipliers[serviceType] || 1.0;
+    const priorityMultiplier = priorityMultipliers[priority] || 1.0;
+
+    const estimatedTime = Math.round(baseTime * serviceMultiplier * priorityMultiplier);
+
+    // Calculate delivery window
+    const now = new Date();
+    const estimatedDelivery = new Date(now.getTime() + estimatedTime * 60000);
+
+    return {
+      distance: Math.round(distance * 100) / 100,
+      estimatedTime,
+      estimatedDelivery,
+      serviceType,
+      priority
+    };
+  }
+
+  /**
+   * Get optimal hub for order processing
+   * @param {Array} pickupCoords - Pickup coordinates
+   * @param {Array} deliveryCoords - Delivery coordinates
+   * @returns {Object} Best hub recommendation
+   */
+  async getOptimalHub(pickupCoords, deliveryCoords) {
+    try {
+      // Calculate midpoint for hub selection
+      const midpoint = [
+        (pickupCoords[0] + deliveryCoords[0]) / 2,
+        (pickupCoords[1] + deliveryCoords[1]) / 2
+      ];
+
+      const availableHubs = await Hub.findAvailableHubs(midpoint, 1);
+
+      if (availableHubs.length === 0) {
+        return {
+          success: false,
+          message: 'No available hubs found'
+        };
+      }
+
+      // Score hubs based on distance and capacity
+      const hubScores = availableHubs.map(hub => {
+        const distanceToPickup = this.calculateDistance(hub.address.coordinates, pickupCoords);
+        const distanceToDelivery = this.calculateDistance(hub.address.coordinates, deliveryCoords);
+        const averageDistance = (distanceToPickup + distanceToDelivery) / 2;
+        
+        const capacityScore = (hub.availableCapacity / hub.capacity.maxOrders) * 100;
+        const distanceScore = Math.max(0, 100 - (averageDistance * 3));
+        
+        const totalScore = (distanceScore * 0.7) + (capacityScore * 0.3);
+
+        return {
+          hub,
+          score: totalScore,
+          distanceToPickup,
+          distanceToDelivery,
+          averageDistance
+        };
+      });
+
+      // Sort by score
+      hubScores.sort((a, b) => b.score - a.score);
+
+      return {
+        success: true,
+        recommendedHub: hubScores[0].hub,
+        score: hubScores[0].score,
+        alternatives: hubScores.slice(1, 3)
+      };
+
+    } catch (error) {
+      console.error('Error finding optimal hub:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Batch assign multiple orders to drivers. Orders are placed one at a time and
+   * each placement counts against the driver's capacity for the rest of the batch:
+   * committed placements through the driver's saved deliveries, previews through
+   * reservations that stand in for them.
+   * @param {Array} orderIds - Array of order IDs
+   * @param {Object} options - { assign(order, driver) to commit each placement; omitted for a preview }
+   * @returns {Object} Batch assignment results
+   */
+  async batchAssignOrders(orderIds, options = {}) {
+    const results = {
+      successful: [],
+      failed: [],
+      summary: {
+        total: orderIds.length,
+        assigned: 0,
+        unassigned: 0
+      }
+    };
+    const reservations = new Map();
+
+    // Most urgent first so they get the best drivers
+    const priorityRank = { urgent: 0, high: 1, normal: 2, low: 3 };
+    const orders = await Order.find({ _id: { $in: orderIds } });
+    orders.sort((a, b) =>
+      (priorityRank[a.priority] ?? 2) - (priorityRank[b.priority] ?? 2) ||
+      a.createdAt - b.createdAt
+    );
+
+    const found = new Set(orders.map(order => order._id.toString()));
+    orderIds.filter(orderId => !found.has(orderId.toString())).forEach(orderId => {
+      results.failed.push({ orderId, reason: 'Order not found' });
+      results.summary.unassigned++;
+    });
+
+    for (const order of orders) {
+      const orderId = order._id;
+      try {
+        const assignment = await this.findBestDriver(order, { reservations });
+        
+        if (assignment.success) {
+          if (options.assign) {
+            await options.assign(order, assignment.driver);
+          } else {
+            const key = assignment.driver._id.toString();
+            reservations.set(key, this.addLoad(reservations.get(key), {
+              orders: 1,
+              weight: order.totalWeight,
+              volume: order.totalVolume
+            }));
+          }
+
+          results.successful.push({
+            orderId,
+            orderNumber: order.orderNumber,
+            driverId: assignment.driver._id,
+            driverName: this.summarizeDriver(assignment.driver).name,
+            score: assignment.score,
+            distance: assignment.distance,
+            estimatedPickupTime: assignment.estimatedPickupTime,
+            alternatives: assignment.alternatives.map(alternative => ({
+              ...this.summarizeDriver(alternative.driver),
+              score: alternative.score,
+              distance: alternative.distance
+            }))
+          });
+          results.summary.assigned++;
+        } else {
+          results.failed.push({
+            orderId,
+            orderNumber: order.orderNumber,
+            reason: assignment.message,
+            rejected: assignment.rejected
+          });
+          results.summary.unassigned++;
+        }
+      } catch (error) {
+        results.failed.push({
+          orderId,
+          orderNumber: order.orderNumber,
+          reason: error.message
+        });
+        results.summary.unassigned++;
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new RouteOptimizationService();
\ No newline at end of file
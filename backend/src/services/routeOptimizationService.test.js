@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Driver = require('../models/Driver');
+const Hub = require('../models/Hub');
+const routeOptimizationService = require('./routeOptimizationService');
+const vrpSolver = require('./vrpSolver');
+const { mockQuery } = require('../../test/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildOrder = number => ({
+  _id: id(),
+  orderNumber: `ORD${number}`,
+  priority: 'normal',
+  createdAt: new Date(2026, 9, 19, 9, number),
+  items: [{ weight: 1 }],
+  totalWeight: 1,
+  totalVolume: 1000,
+  pickupAddress: { coordinates: [31.2, 30.0] }
+});
+
+const buildDriver = () => new Driver({
+  driverCode: 'DRV000001',
+  status: 'available',
+  currentLocation: [31.2, 30.0],
+  vehicle: { type: 'motorcycle', capacity: { weight: 50, volume: 100 } },
+  preferences: { maxDeliveries: 2 }
+});
+
+describe('routeOptimizationService.batchAssignOrders', () => {
+  let orders;
+  let driver;
+
+  beforeEach(() => {
+    orders = [1, 2, 3].map(buildOrder);
+    driver = buildDriver();
+    jest.spyOn(Order, 'find').mockImplementation(() => mockQuery(orders));
+    jest.spyOn(Driver, 'findAvailableDrivers').mockImplementation(() => mockQuery([driver]));
+    jest.spyOn(routeOptimizationService, 'isWithinWorkSchedule').mockReturnValue(true);
+    jest.spyOn(routeOptimizationService, 'calculateDriverScore').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const summarize = results => ({
+    assigned: results.successful.map(result => result.orderNumber),
+    failed: results.failed.map(result => result.orderId)
+  });
+
+  test('a preview reserves capacity for the orders it places', async () => {
+    const results = await routeOptimizationService.batchAssignOrders(orders.map(order => order._id));
+
+    expect(summarize(results)).toEqual({ assigned: ['ORD1', 'ORD2'], failed: [orders[2]._id] });
+    expect(driver.activeDeliveries).toHaveLength(0);
+  });
+
+  test('assigning counts each placement once, matching the preview', async () => {
+    // The assign callback stands in for the saved assignment the next search reads back
+    const assign = jest.fn(async (order, assignee) => {
+      assignee.activeDeliveries.push(order._id);
+    });
+
+    const results = await routeOptimizationService.batchAssignOrders(orders.map(order => order._id), { assign });
+
+    expect(summarize(results)).toEqual({ assigned: ['ORD1', 'ORD2'], failed: [orders[2]._id] });
+    expect(assign).toHaveBeenCalledTimes(2);
+    expect(results.failed[0].rejected[0].reasons).toEqual(['At maximum of 2 deliveries']);
+  });
+});
+
+describe('routeOptimizationService.planHubDay', () => {
+  const hub = { _id: id(), name: 'Cairo North', code: 'HUBC0001', address: { coordinates: [31.24, 30.04] } };
+  const maxPlanOrders = routeOptimizationService.maxPlanOrders;
+
+  const buildPlanOrder = (number, priority) => ({
+    ...buildOrder(number),
+    priority,
+    status: 'at_hub',
+    tracking: { trackingNumber: `TRK${number}` },
+    customerInfo: { address: { coordinates: [31.25, 30.05] } }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Hub, 'findById').mockResolvedValue(hub);
+    jest.spyOn(Driver, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => {
+    routeOptimizationService.maxPlanOrders = maxPlanOrders;
+    jest.restoreAllMocks();
+  });
+
+  test('plans the most urgent orders up to the limit and reports the rest', async () => {
+    const orders = [buildPlanOrder(1, 'low'), buildPlanOrder(2, 'normal'), buildPlanOrder(3, 'urgent')];
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery(orders));
+    const solve = jest.spyOn(vrpSolver, 'solve');
+    routeOptimizationService.maxPlanOrders = 2;
+
+    const plan = await routeOptimizationService.planHubDay(hub._id);
+
+    expect(solve.mock.calls[0][0].requests.map(request => request.id))
+      .toEqual([orders[1]._id.toString(), orders[2]._id.toString()]);
+    expect(plan.unassigned[0]).toEqual({
+      _id: orders[0]._id,
+      orderNumber: 'ORD1',
+      trackingNumber: 'TRK1',
+      reason: 'Over the limit of 2 orders per plan'
+    });
+    expect(plan.summary).toMatchObject({ orders: 3, unassigned: 3, timedOut: false });
+  });
+});
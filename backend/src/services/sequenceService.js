@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+
+// Code formats per entity. Tokens: {YYYY} {YY} {MM} {DD} (server local date), {SEQ:n} for the
+// number padded to n digits, and upper case names filled from the caller's context, e.g. {TYPE}.
+// Everything except {SEQ} makes up the sequence, so dated formats restart every day and
+// context tokens get a sequence per value. Override with SEQUENCE_FORMAT_<ENTITY>.
+// Scrambled entities show the number through a keyed permutation, so public codes
+// cannot be listed by counting.
+const ENTITIES = {
+  order: { format: 'ORD{YY}{MM}{DD}{SEQ:5}', model: 'Order', field: 'orderNumber' },
+  tracking: {
+    format: 'TRK{YY}{MM}{DD}{SEQ:6}',
+    model: 'Order',
+    field: 'tracking.trackingNumber',
+    checkDigit: true,
+    scramble: true
+  },
+  hub: { format: 'HUB{TYPE}{SEQ:4}', model: 'Hub', field: 'code' },
+  driver: { format: 'DRV{SEQ:6}', model: 'Driver', field: 'driverCode' },
+  bag: { format: 'BAG{YY}{MM}{DD}{SEQ:5}', model: 'Bag', field: 'code' },
+  manifest: { format: 'MAN{YY}{MM}{DD}{SEQ:5}', model: 'Manifest', field: 'manifestNumber' },
+  rma: { format: 'RMA{YY}{MM}{DD}{SEQ:5}', model: 'ReturnRequest', field: 'rmaNumber' }
+};
+
+// Tracking numbers issued before sequences: TRK + millisecond timestamp + 4 random characters
+const LEGACY_TRACKING_PATTERN = /^TRK\d{13}[A-Z0-9]{4}$/;
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex source matching any code a format can produce
+const formatPattern = format => {
+  let pattern = '';
+  let last = 0;
+  format.replace(TOKEN_PATTERN, (token, name, width, offset) => {
+    pattern += escapeRegex(format.slice(last, offset));
+    if (name === 'SEQ') pattern += `\\d{${width},}`;
+    else if (name === 'YYYY') pattern += '\\d{4}';
+    else if (['YY', 'MM', 'DD'].includes(name)) pattern += '\\d{2}';
+    else pattern += '[A-Z0-9]+';
+    last = offset + token.length;
+    return token;
+  });
+  return pattern + escapeRegex(format.slice(last));
+};
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// Luhn check digit for the digits of a code
+const checkDigit = code => {
+  const digits = code.replace(/\D/g, '');
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+const FEISTEL_ROUNDS = 4;
+
+class SequenceService {
+  constructor() {
+    // Keys the permutation of scrambled codes and must never change: under another key the
+    // numbers still to come map onto codes that were already handed out
+    this.secret = process.env.SEQUENCE_SECRET;
+    if (!this.secret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('SEQUENCE_SECRET must be set in production');
+      }
+      // Throwaway key so development and tests run without one
+      this.secret = crypto.randomBytes(32).toString('hex');
+      if (process.env.NODE_ENV !== 'test') {
+        console.warn('SEQUENCE_SECRET is not set; scrambled codes use a key that changes on every start');
+      }
+    }
+    this.formats = {};
+    Object.keys(ENTITIES).forEach(entity => {
+      const format = process.env[`SEQUENCE_FORMAT_${entity.toUpperCase()}`] || ENTITIES[entity].format;
+      const sequenceTokens = format.match(/\{SEQ:\d+\}/g) || [];
+      if (sequenceTokens.length !== 1) {
+        throw new Error(`Sequence format for ${entity} needs exactly one {SEQ:n} token: ${format}`);
+      }
+      this.formats[entity] = format;
+    });
+
+    this.trackingPattern = new RegExp(`^${formatPattern(this.formats.tracking)}\\d$`);
+  }
+
+  /**
+   * Split a format into the parts around the sequence number for a date and context
+   * @param {string} format
+   * @param {Date} date
+   * @param {Object} context - Values for custom tokens
+   * @returns {Object} { prefix, suffix, width }
+   */
+  render(format, date, context = {}) {
+    const values = {
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MM: pad(date.getMonth() + 1, 2),
+      DD: pad(date.getDate(), 2)
+    };
+    const [before, after] = format.split(/\{SEQ:\d+\}/);
+    const fill = part => part.replace(TOKEN_PATTERN, (token, name) => {
+      const value = values[name] !== undefined ? values[name] : context[name];
+      if (value === undefined || value === null || value === '') {
+        throw new Error(`No value for ${token} in sequence format ${format}`);
+      }
+      return String(value).toUpperCase();
+    });
+
+    return {
+      prefix: fill(before),
+      suffix: fill(after),
+      width: parseInt(format.match(/\{SEQ:(\d+)\}/)[1], 10)
+    };
+  }
+
+  /**
+   * Keyed permutation of the numbers with `length` digits: a Feistel network over
+   * enough bits to cover them, re-applied to results outside the range
+   * @param {number|string} value - Number below 10^length
+   * @param {number} length - Digits
+   * @param {string} tweak - Sequence the number belongs to; each gets its own permutation
+   * @param {boolean} inverse - Undo the permutation instead
+   * @returns {number}
+   */
+  scramble(value, length, tweak, inverse = false) {
+    const limit = 10n ** BigInt(length);
+    const half = BigInt(Math.ceil((limit - 1n).toString(2).length / 2));
+    const mask = (1n << half) - 1n;
+    const round = (index, input) => BigInt(`0x${crypto
+      .createHmac('sha256', this.secret)
+      .update(`${tweak}:${index}:${input}`)
+      .digest('hex')
+      .slice(0, 16)}`) & mask;
+
+    let result = BigInt(value);
+    do {
+      let left = result >> half;
+      let right = result & mask;
+      for (let step = 0; step < FEISTEL_ROUNDS; step++) {
+        if (inverse) {
+          [left, right] = [right ^ round(FEISTEL_ROUNDS - 1 - step, left), left];
+        } else {
+          [left, right] = [right, left ^ round(step, right)];
+        }
+      }
+      result = (left << half) | right;
+    } while (result >= limit);
+
+    return Number(result);
+  }
+
+  /**
+   * Apply an upsert to a counter; concurrent first upserts race on _id, so retry once
+   * @param {string} key
+   * @param {Object} update
+   * @returns {Promise<Object>} Counter after the update
+   */
+  async upsertCounter(key, update) {
+    const options = { upsert: true, new: true };
+    try {
+      return await Counter.findOneAndUpdate({ _id: key }, update, options);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return Counter.findOneAndUpdate({ _id: key }, update, options);
+    }
+  }
+
+  sequenceKey(entity, prefix, suffix) {
+    return `${entity}:${prefix}${suffix ? `:${suffix}` : ''}`;
+  }
+
+  /**
+   * Next number of a sequence; counters are seeded from stored codes by seedCounters
+   * @param {string} entity
+   * @param {string} prefix
+   * @param {string} suffix
+   * @returns {Promise<number>}
+   */
+  next(entity, prefix, suffix) {
+    return this.increment(this.sequenceKey(entity, prefix, suffix));
+  }
+
+  /**
+   * Atomically take the next number of a counter
+   * @param {string} key - Counter ID
+   * @param {Function} seed - Optional; resolves to the highest number in use when the counter is new
+   * @returns {Promise<number>}
+   */
+  async increment(key, seed) {
+    if (seed && !(await Counter.exists({ _id: key }))) {
+      await this.upsertCounter(key, { $max: { seq: await seed() } });
+    }
+
+    const counter = await this.upsertCounter(key, { $inc: { seq: 1 } });
+    return counter.seq;
+  }
+
+  /**
+   * Raise every counter to the highest code already stored for its sequence, so new
+   * codes never repeat one. Issuing codes touches only the counters; run this once through
+   * `npm run migrate` when sequences first take over, and again after counters are lost.
+   * @returns {Promise<Object>} Highest number found per sequence key
+   */
+  async seedCounters() {
+    const highest = {};
+
+    for (const entity of Object.keys(ENTITIES)) {
+      const { model, field, checkDigit: hasCheckDigit, scramble } = ENTITIES[entity];
+      const [before, after] = this.formats[entity].split(/\{SEQ:\d+\}/);
+      const width = this.formats[entity].match(/\{SEQ:(\d+)\}/)[1];
+      const pattern = new RegExp(
+        `^(${formatPattern(before)})(\\d{${width},})(${formatPattern(after)})${hasCheckDigit ? '\\d' : ''}$`
+      );
+      const documents = mongoose.model(model)
+        .find({ [field]: { $regex: pattern } })
+        .select(field)
+        .lean()
+        .cursor();
+
+      for await (const document of documents) {
+        const code = field.split('.').reduce((value, key) => value && value[key], document);
+        const [, prefix, digits, suffix] = code.match(pattern);
+        const key = this.sequenceKey(entity, prefix, suffix);
+        const seq = scramble ? this.scramble(digits, digits.length, key, true) : parseInt(digits, 10);
+        highest[key] = Math.max(highest[key] || 0, seq);
+      }
+    }
+
+    for (const [key, seq] of Object.entries(highest)) {
+      await this.upsertCounter(key, { $max: { seq } });
+    }
+    return highest;
+  }
+
+  /**
+   * Generate the next code for an entity
+   * @param {string} entity - order, tracking, hub, driver, bag, manifest or rma
+   * @param {Object} context - Values for custom tokens such as TYPE
+   * @returns {Promise<string>}
+   */
+  async generate(entity, context = {}) {
+    const format = this.formats[entity];
+    if (!format) {
+      throw new Error(`Unknown sequence ${entity}`);
+    }
+
+    const { prefix, suffix, width } = this.render(format, new Date(), context);
+    const seq = await this.next(entity, prefix, suffix);
+    // Numbers past the format's width permute within their own, longer length
+    const length = Math.max(width, String(seq).length);
+    const number = ENTITIES[entity].scramble
+      ? this.scramble(seq, length, this.sequenceKey(entity, prefix, suffix))
+      : seq;
+    const code = `${prefix}${pad(number, length)}${suffix}`;
+    return ENTITIES[entity].checkDigit ? `${code}${checkDigit(code)}` : code;
+  }
+
+  /**
+   * Generate a tracking number ending in a check digit
+   * @returns {Promise<string>}
+   */
+  generateTrackingNumber() {
+    return this.generate('tracking');
+  }
+
+  /**
+   * Check a tracking number's shape and check digit without touching the database.
+   * Numbers issued before sequences are accepted by shape alone.
+   * @param {string} trackingNumber
+   * @returns {boolean}
+   */
+  isValidTrackingNumber(trackingNumber) {
+    const normalized = String(trackingNumber || '').trim().toUpperCase();
+    if (LEGACY_TRACKING_PATTERN.test(normalized)) return true;
+    if (!this.trackingPattern.test(normalized)) return false;
+
+    return checkDigit(normalized.slice(0, -1)) === normalized.slice(-1);
+  }
+}
+
+module.exports = new SequenceService();
@@ -0,0 +1,149 @@
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const Hub = require('../models/Hub');
+const Driver = require('../models/Driver');
+const Bag = require('../models/Bag');
+const Manifest = require('../models/Manifest');
+const ReturnRequest = require('../models/ReturnRequest');
+const sequenceService = require('./sequenceService');
+
+const TODAY = new Date(2026, 9, 19, 10);
+
+describe('sequenceService', () => {
+  let counters;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: TODAY, doNotFake: ['setImmediate', 'nextTick'] });
+    counters = new Map();
+    jest.spyOn(Counter, 'exists').mockImplementation(async ({ _id }) => counters.has(_id));
+    jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(async ({ _id }, update) => {
+      const seq = counters.get(_id) || 0;
+      counters.set(_id, update.$inc ? seq + update.$inc.seq : Math.max(seq, update.$max.seq));
+      return { seq: counters.get(_id) };
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('tracking numbers', () => {
+    test('do not give away the order they were issued in', async () => {
+      const numbers = [];
+      for (let i = 0; i < 5; i++) {
+        numbers.push(await sequenceService.generateTrackingNumber());
+      }
+
+      numbers.forEach(number => expect(number).toMatch(/^TRK261019\d{6}\d$/));
+      const visible = numbers.map(number => parseInt(number.slice(9, 15), 10));
+      expect(visible).not.toEqual([1, 2, 3, 4, 5]);
+      expect(visible.slice(1).some((value, index) => Math.abs(value - visible[index]) > 1000)).toBe(true);
+      expect(new Set(numbers).size).toBe(5);
+    });
+
+    test('keep a valid check digit', async () => {
+      const number = await sequenceService.generateTrackingNumber();
+      const wrongDigit = `${number.slice(0, -1)}${(Number(number.slice(-1)) + 1) % 10}`;
+
+      expect(sequenceService.isValidTrackingNumber(number)).toBe(true);
+      expect(sequenceService.isValidTrackingNumber(number.toLowerCase())).toBe(true);
+      expect(sequenceService.isValidTrackingNumber(wrongDigit)).toBe(false);
+      expect(sequenceService.isValidTrackingNumber('TRK1697700000000ABCD')).toBe(true);
+    });
+  });
+
+  describe('scramble', () => {
+    test('is a permutation of the numbers of that length that can be undone', () => {
+      const seen = new Set();
+      for (let value = 0; value < 1000; value++) {
+        const scrambled = sequenceService.scramble(value, 3, 'tracking:TRK261019');
+        expect(scrambled).toBeLessThan(1000);
+        expect(sequenceService.scramble(scrambled, 3, 'tracking:TRK261019', true)).toBe(value);
+        seen.add(scrambled);
+      }
+      expect(seen.size).toBe(1000);
+    });
+
+    test('differs per sequence, so each day has its own order', () => {
+      const today = [1, 2, 3].map(value => sequenceService.scramble(value, 6, 'tracking:TRK261019'));
+      const tomorrow = [1, 2, 3].map(value => sequenceService.scramble(value, 6, 'tracking:TRK261020'));
+
+      expect(today).not.toEqual(tomorrow);
+    });
+  });
+
+  test('other codes stay in issue order', async () => {
+    const find = jest.spyOn(Order, 'find');
+
+    expect(await sequenceService.generate('order')).toBe('ORD26101900001');
+    expect(await sequenceService.generate('order')).toBe('ORD26101900002');
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  describe('seedCounters', () => {
+    // Stored codes per model, read back through a cursor
+    const stored = documents => ({
+      select: () => ({ lean: () => ({ cursor: () => documents }) })
+    });
+
+    beforeEach(() => {
+      [Hub, Driver, Bag, Manifest, ReturnRequest].forEach(model => {
+        jest.spyOn(model, 'find').mockReturnValue(stored([]));
+      });
+    });
+
+    test('continues every sequence after the highest code already stored', async () => {
+      const tweak = 'tracking:TRK261019';
+      const trackingNumbers = [41, 7].map(seq => {
+        return `TRK261019${String(sequenceService.scramble(seq, 6, tweak)).padStart(6, '0')}0`;
+      });
+      jest.spyOn(Order, 'find').mockImplementation(filter => stored(filter.orderNumber
+        ? [{ orderNumber: 'ORD26101900012' }, { orderNumber: 'ORD26101800030' }]
+        : trackingNumbers.map(trackingNumber => ({ tracking: { trackingNumber } }))));
+      Hub.find.mockReturnValue(stored([{ code: 'HUBA0003' }, { code: 'HUBB0009' }]));
+      counters.set('order:ORD261019', 20);
+
+      const highest = await sequenceService.seedCounters();
+
+      expect(highest).toEqual({
+        'order:ORD261019': 12,
+        'order:ORD261018': 30,
+        [tweak]: 41,
+        'hub:HUBA': 3,
+        'hub:HUBB': 9
+      });
+      expect(counters.get('order:ORD261019')).toBe(20);
+      expect(await sequenceService.generate('hub', { TYPE: 'a' })).toBe('HUBA0004');
+      const number = await sequenceService.generateTrackingNumber();
+      expect(number.slice(9, 15)).toBe(String(sequenceService.scramble(42, 6, tweak)).padStart(6, '0'));
+    });
+  });
+
+  describe('key', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    test('must be set in production', () => {
+      process.env.NODE_ENV = 'production';
+      delete process.env.SEQUENCE_SECRET;
+
+      jest.isolateModules(() => {
+        expect(() => require('./sequenceService')).toThrow('SEQUENCE_SECRET must be set in production');
+      });
+    });
+
+    test('comes from SEQUENCE_SECRET alone', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.JWT_SECRET = 'jwt-key';
+      process.env.SEQUENCE_SECRET = 'sequence-key';
+
+      jest.isolateModules(() => {
+        expect(require('./sequenceService').secret).toBe('sequence-key');
+      });
+    });
+  });
+});
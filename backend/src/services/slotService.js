@@ -0,0 +1,242 @@
+const Hub = require('../models/Hub');
+const Driver = require('../models/Driver');
+const DeliverySlot = require('../models/DeliverySlot');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const slotError = (message, statusCode = 400, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+class SlotService {
+  constructor() {
+    this.maxDays = parseInt(process.env.SLOT_BOOKING_MAX_DAYS) || 14;
+  }
+
+  startOfDay(value) {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  }
+
+  /**
+   * Drivers that deliver from the hub; the same set route planning uses
+   * @param {Object} hub - Hub document
+   * @returns {Promise<number>}
+   */
+  countDrivers(hub) {
+    return Driver.countDocuments({
+      assignedHub: hub._id,
+      'verification.status': 'approved',
+      status: { $ne: 'inactive' }
+    });
+  }
+
+  /**
+   * Orders one slot can take
+   * @param {Object} hub - Hub document
+   * @param {number} drivers - Drivers at the hub
+   * @returns {number}
+   */
+  slotCapacity(hub, drivers) {
+    const settings = hub.deliverySlots || {};
+    if (typeof settings.capacityPerSlot === 'number') {
+      return settings.capacityPerSlot;
+    }
+    return drivers * (settings.ordersPerDriver || 8);
+  }
+
+  /**
+   * Delivery windows the hub offers on a day, cut from its operating hours
+   * @param {Object} hub - Hub document
+   * @param {Date} day
+   * @returns {Array} [{ start, end }]
+   */
+  windowsFor(hub, day) {
+    const hours = hub.operatingHours && hub.operatingHours[WEEKDAYS[day.getDay()]];
+    if (!hours || !hours.isOpen || !TIME_PATTERN.test(hours.open) || !TIME_PATTERN.test(hours.close)) {
+      return [];
+    }
+
+    const length = (hub.deliverySlots && hub.deliverySlots.lengthMinutes) || 120;
+    const close = toMinutes(hours.close);
+    const windows = [];
+    for (let start = toMinutes(hours.open); start + length <= close; start += length) {
+      windows.push({ start: toTime(start), end: toTime(start + length) });
+    }
+    return windows;
+  }
+
+  /**
+   * Whether booking for a window has closed
+   * @param {Object} hub - Hub document
+   * @param {Date} day - Start of the day
+   * @param {string} start - Window start
+   * @returns {boolean}
+   */
+  isClosed(hub, day, start) {
+    const lead = hub.deliverySlots && typeof hub.deliverySlots.leadMinutes === 'number'
+      ? hub.deliverySlots.leadMinutes
+      : 120;
+    const startsAt = new Date(day.getTime() + toMinutes(start) * 60 * 1000);
+    return startsAt.getTime() - lead * 60 * 1000 <= Date.now();
+  }
+
+  /**
+   * Bookable slots per day with what is left in each
+   * @param {Object} hub - Hub document
+   * @param {Object} options - { from, days }
+   * @returns {Promise<Array>} [{ date, slots: [{ start, end, capacity, booked, available }] }]
+   */
+  async getAvailability(hub, { from = new Date(), days = 7 } = {}) {
+    const first = this.startOfDay(from);
+    if (Number.isNaN(first.getTime())) {
+      throw slotError('from is not a valid date');
+    }
+    const count = Math.min(Math.max(parseInt(days) || 7, 1), this.maxDays);
+    const last = new Date(first);
+    last.setDate(last.getDate() + count);
+
+    const [drivers, bookings] = await Promise.all([
+      this.countDrivers(hub),
+      DeliverySlot.find({ hub: hub._id, date: { $gte: first, $lt: last } })
+    ]);
+    const capacity = this.slotCapacity(hub, drivers);
+    const booked = new Map(bookings.map(slot => [`${slot.date.getTime()}|${slot.start}`, slot.booked]));
+
+    const result = [];
+    const day = new Date(first);
+    for (let i = 0; i < count; i++) {
+      const slots = this.windowsFor(hub, day)
+        .filter(window => !this.isClosed(hub, day, window.start))
+        .map(window => {
+          const taken = booked.get(`${day.getTime()}|${window.start}`) || 0;
+          return { ...window, capacity, booked: taken, available: Math.max(capacity - taken, 0) };
+        });
+      result.push({ date: new Date(day), slots });
+      day.setDate(day.getDate() + 1);
+    }
+    return result;
+  }
+
+  /**
+   * Book a slot for an order and move its scheduled delivery there. Any slot
+   * the order held before is released once the order is saved; the caller
+   * calls releaseSlot with the returned slot id if saving fails.
+   * @param {Object} order - Order document with its serving hub set
+   * @param {Object} request - { date, timeSlot: { start } }
+   * @returns {Promise<Object>} DeliverySlot document
+   */
+  async reserve(order, { date, timeSlot } = {}) {
+    if (!order.assignedHub) {
+      throw slotError('Delivery slots are only available for addresses inside a service area', 400, 'NO_HUB');
+    }
+    const day = this.startOfDay(date);
+    if (!date || Number.isNaN(day.getTime())) {
+      throw slotError('scheduledDelivery.date must be a valid date', 400, 'INVALID_DATE');
+    }
+    if (!timeSlot || !TIME_PATTERN.test(timeSlot.start)) {
+      throw slotError('scheduledDelivery.timeSlot.start must be HH:MM', 400, 'INVALID_SLOT');
+    }
+
+    const hub = await Hub.findById(order.assignedHub).select('code operatingHours deliverySlots');
+    if (!hub) {
+      throw slotError('Hub not found', 404, 'HUB_NOT_FOUND');
+    }
+    const window = this.windowsFor(hub, day).find(candidate => candidate.start === timeSlot.start);
+    if (!window || (timeSlot.end && timeSlot.end !== window.end)) {
+      throw slotError(`Hub ${hub.code} has no delivery slot at ${timeSlot.start}${timeSlot.end ? `-${timeSlot.end}` : ''} on that day`, 400, 'INVALID_SLOT');
+    }
+    if (this.isClosed(hub, day, window.start)) {
+      throw slotError('Booking for that slot has closed', 409, 'SLOT_CLOSED');
+    }
+
+    const previous = order.scheduledDelivery && order.scheduledDelivery.slot;
+    const capacity = this.slotCapacity(hub, await this.countDrivers(hub));
+    const slot = await DeliverySlot.findOneAndUpdate(
+      { hub: hub._id, date: day, start: window.start },
+      { $set: { capacity }, $setOnInsert: { end: window.end } },
+      { new: true, upsert: true }
+    );
+    if (previous && previous.equals(slot._id)) {
+      return slot;
+    }
+
+    // Take a place only while one is left, so parallel bookings cannot overfill
+    const booked = await DeliverySlot.findOneAndUpdate(
+      { _id: slot._id, $expr: { $lt: ['$booked', '$capacity'] } },
+      { $inc: { booked: 1 } },
+      { new: true }
+    );
+    if (!booked) {
+      throw slotError(`The ${window.start}-${window.end} slot is fully booked`, 409, 'SLOT_FULL');
+    }
+
+    if (previous) {
+      order.$locals.releaseSlot = previous;
+    }
+    order.scheduledDelivery.date = day;
+    order.scheduledDelivery.timeSlot = { start: window.start, end: window.end };
+    order.scheduledDelivery.slot = booked._id;
+    return booked;
+  }
+
+  /**
+   * Give back a place in a slot
+   * @param {string} slotId
+   */
+  async releaseSlot(slotId) {
+    if (!slotId) return;
+    await DeliverySlot.updateOne({ _id: slotId, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+  }
+
+  /**
+   * Clear the order's slot; its place is given back once the order is saved
+   * @param {Object} order - Order document
+   */
+  release(order) {
+    const slotId = order.scheduledDelivery && order.scheduledDelivery.slot;
+    if (!slotId) return;
+    order.$locals.releaseSlot = slotId;
+    order.scheduledDelivery.slot = undefined;
+  }
+
+  /**
+   * Apply a client supplied scheduledDelivery: a time slot is booked, a plain
+   * date releases any slot held
+   * @param {Object} order - Order document
+   * @param {Object} scheduledDelivery - { date, timeSlot, instructions }
+   * @returns {Promise<Object|null>} Newly booked DeliverySlot, if any
+   */
+  async applyToOrder(order, scheduledDelivery) {
+    if (!scheduledDelivery) return null;
+    if (scheduledDelivery.instructions !== undefined) {
+      order.scheduledDelivery.instructions = scheduledDelivery.instructions;
+    }
+
+    if (scheduledDelivery.timeSlot && scheduledDelivery.timeSlot.start) {
+      const previous = order.scheduledDelivery.slot;
+      const slot = await this.reserve(order, scheduledDelivery);
+      return previous && previous.equals(slot._id) ? null : slot;
+    }
+
+    this.release(order);
+    order.scheduledDelivery.timeSlot = undefined;
+    order.scheduledDelivery.date = scheduledDelivery.date || undefined;
+    return null;
+  }
+}
+
+module.exports = new SlotService();
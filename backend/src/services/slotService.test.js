@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Hub = require('../models/Hub');
+const Driver = require('../models/Driver');
+const DeliverySlot = require('../models/DeliverySlot');
+const Order = require('../models/Order');
+const slotService = require('./slotService');
+const { mockQuery } = require('../../test/helpers');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const daysFromNow = days => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+describe('slotService', () => {
+  let hub;
+  let order;
+
+  beforeEach(() => {
+    hub = new Hub({
+      code: 'HUBC0001',
+      operatingHours: Object.fromEntries(WEEKDAYS.map(day => [day, { open: '08:00', close: '20:00', isOpen: true }])),
+      deliverySlots: { lengthMinutes: 240, ordersPerDriver: 5 }
+    });
+    order = new Order({ assignedHub: hub._id });
+    jest.spyOn(Hub, 'findById').mockReturnValue(mockQuery(hub));
+    jest.spyOn(Driver, 'countDocuments').mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('windowsFor', () => {
+    test('cuts the opening hours into whole windows', () => {
+      hub.operatingHours.monday.close = '19:00';
+
+      expect(slotService.windowsFor(hub, new Date(2026, 9, 19))).toEqual([
+        { start: '08:00', end: '12:00' },
+        { start: '12:00', end: '16:00' }
+      ]);
+    });
+
+    test('offers nothing on closed days', () => {
+      hub.operatingHours.monday.isOpen = false;
+
+      expect(slotService.windowsFor(hub, new Date(2026, 9, 19))).toEqual([]);
+    });
+  });
+
+  describe('slotCapacity', () => {
+    test('scales with the hub\'s drivers unless a fixed capacity is set', () => {
+      expect(slotService.slotCapacity(hub, 3)).toBe(15);
+
+      hub.deliverySlots.capacityPerSlot = 0;
+      expect(slotService.slotCapacity(hub, 3)).toBe(0);
+    });
+  });
+
+  describe('getAvailability', () => {
+    test('subtracts bookings from each window and drops the ones already closed', async () => {
+      const tomorrow = daysFromNow(1);
+      jest.spyOn(DeliverySlot, 'find').mockResolvedValue([
+        { date: tomorrow, start: '12:00', booked: 4 },
+        { date: tomorrow, start: '16:00', booked: 12 }
+      ]);
+
+      const [today, next] = await slotService.getAvailability(hub, { from: daysFromNow(0), days: 2 });
+
+      expect(today.slots.every(slot => !slotService.isClosed(hub, today.date, slot.start))).toBe(true);
+      expect(next.date).toEqual(tomorrow);
+      expect(next.slots.map(slot => [slot.start, slot.available])).toEqual([
+        ['08:00', 10],
+        ['12:00', 6],
+        ['16:00', 0]
+      ]);
+    });
+
+    test('rejects a bad start date', async () => {
+      await expect(slotService.getAvailability(hub, { from: 'soon' })).rejects.toThrow('from is not a valid date');
+    });
+  });
+
+  describe('reserve', () => {
+    const slotId = new mongoose.Types.ObjectId();
+
+    test('takes a place in the slot and schedules the order into it', async () => {
+      const findOneAndUpdate = jest.spyOn(DeliverySlot, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ _id: slotId, booked: 3, capacity: 10 })
+        .mockResolvedValueOnce({ _id: slotId, booked: 4, capacity: 10 });
+
+      const slot = await slotService.reserve(order, { date: daysFromNow(2), timeSlot: { start: '12:00' } });
+
+      expect(slot.booked).toBe(4);
+      expect(findOneAndUpdate.mock.calls[0][1]).toEqual({ $set: { capacity: 10 }, $setOnInsert: { end: '16:00' } });
+      expect(findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: slotId, $expr: { $lt: ['$booked', '$capacity'] } });
+      expect(order.scheduledDelivery.date).toEqual(daysFromNow(2));
+      expect(order.scheduledDelivery.timeSlot).toMatchObject({ start: '12:00', end: '16:00' });
+      expect(order.scheduledDelivery.slot).toEqual(slotId);
+    });
+
+    test('refuses a full slot without touching the order', async () => {
+      jest.spyOn(DeliverySlot, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ _id: slotId })
+        .mockResolvedValueOnce(null);
+
+      await expect(slotService.reserve(order, { date: daysFromNow(2), timeSlot: { start: '12:00' } }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SLOT_FULL' });
+      expect(order.scheduledDelivery.slot).toBeUndefined();
+    });
+
+    test('keeps the place an order already holds in the same slot', async () => {
+      order.scheduledDelivery.slot = slotId;
+      const findOneAndUpdate = jest.spyOn(DeliverySlot, 'findOneAndUpdate').mockResolvedValue({ _id: slotId });
+
+      await slotService.reserve(order, { date: daysFromNow(2), timeSlot: { start: '12:00' } });
+
+      expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(order.$locals.releaseSlot).toBeUndefined();
+    });
+
+    test('releases the previous slot once the order moves', async () => {
+      const previous = new mongoose.Types.ObjectId();
+      order.scheduledDelivery.slot = previous;
+      jest.spyOn(DeliverySlot, 'findOneAndUpdate').mockResolvedValue({ _id: slotId });
+
+      await slotService.reserve(order, { date: daysFromNow(2), timeSlot: { start: '08:00' } });
+
+      expect(order.$locals.releaseSlot).toEqual(previous);
+      expect(order.scheduledDelivery.slot).toEqual(slotId);
+    });
+
+    test('checks the window against the hub\'s hours and booking cut-off', async () => {
+      await expect(slotService.reserve(order, { date: daysFromNow(2), timeSlot: { start: '09:00' } }))
+        .rejects.toMatchObject({ code: 'INVALID_SLOT' });
+      await expect(slotService.reserve(order, { date: daysFromNow(2), timeSlot: { start: '08:00', end: '10:00' } }))
+        .rejects.toMatchObject({ code: 'INVALID_SLOT' });
+      await expect(slotService.reserve(order, { date: daysFromNow(-1), timeSlot: { start: '16:00' } }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SLOT_CLOSED' });
+    });
+
+    test('needs a hub to book with', async () => {
+      order.assignedHub = undefined;
+
+      await expect(slotService.reserve(order, { date: daysFromNow(2), timeSlot: { start: '08:00' } }))
+        .rejects.toMatchObject({ code: 'NO_HUB' });
+    });
+  });
+
+  describe('releaseSlot', () => {
+    test('never takes a slot below zero bookings', async () => {
+      const updateOne = jest.spyOn(DeliverySlot, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const slotId = new mongoose.Types.ObjectId();
+
+      await slotService.releaseSlot(slotId);
+
+      expect(updateOne).toHaveBeenCalledWith({ _id: slotId, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+    });
+  });
+
+  describe('applyToOrder', () => {
+    test('a plain date drops the slot the order held', async () => {
+      const slotId = new mongoose.Types.ObjectId();
+      order.scheduledDelivery = { slot: slotId, timeSlot: { start: '08:00', end: '12:00' } };
+
+      const booked = await slotService.applyToOrder(order, { date: daysFromNow(3), instructions: 'Call first' });
+
+      expect(booked).toBeNull();
+      expect(order.$locals.releaseSlot).toEqual(slotId);
+      expect(order.scheduledDelivery.slot).toBeUndefined();
+      expect(order.scheduledDelivery.date).toEqual(daysFromNow(3));
+      expect(order.scheduledDelivery.instructions).toBe('Call first');
+    });
+
+    test('returns only a newly booked slot', async () => {
+      const slotId = new mongoose.Types.ObjectId();
+      jest.spyOn(DeliverySlot, 'findOneAndUpdate').mockResolvedValue({ _id: slotId });
+
+      const first = await slotService.applyToOrder(order, { date: daysFromNow(2), timeSlot: { start: '08:00' } });
+      const again = await slotService.applyToOrder(order, { date: daysFromNow(2), timeSlot: { start: '08:00' } });
+
+      expect(first._id).toEqual(slotId);
+      expect(again).toBeNull();
+    });
+  });
+});
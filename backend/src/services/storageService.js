@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+const storageError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Files on the local disk under UPLOAD_PATH. Other drivers (S3, GCS, ...)
+ * implement the same three methods and are added with registerDriver.
+ */
+class LocalDiskDriver {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  // Keys are relative paths; refuse anything that would escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw storageError('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw storageError('File not found', 404);
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.drivers = {
+      local: () => new LocalDiskDriver(process.env.UPLOAD_PATH || './uploads')
+    };
+    this.driverName = process.env.STORAGE_DRIVER || 'local';
+    this.driver = null;
+  }
+
+  /**
+   * Add a storage backend
+   * @param {string} name - Value of STORAGE_DRIVER that selects it
+   * @param {Function} factory - () => driver with put, get and remove
+   */
+  registerDriver(name, factory) {
+    this.drivers[name] = factory;
+    if (name === this.driverName) {
+      this.driver = null;
+    }
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      const factory = this.drivers[this.driverName];
+      if (!factory) {
+        throw new Error(`Unknown storage driver: ${this.driverName}`);
+      }
+      this.driver = factory();
+    }
+    return this.driver;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage path, e.g. pod/<orderId>/1/photo-<uuid>.jpg
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType
+   * @returns {Promise<string>} The key
+   */
+  async put(key, buffer, contentType) {
+    await this.getDriver().put(key, buffer, contentType);
+    return key;
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key
+   * @returns {Promise<Buffer>} File contents
+   */
+  get(key) {
+    return this.getDriver().get(key);
+  }
+
+  /**
+   * Delete stored files, ignoring ones already gone
+   * @param {Array} keys
+   */
+  async removeAll(keys) {
+    await Promise.all(keys.map(key => this.getDriver().remove(key).catch(error => {
+      console.error(`Failed to remove stored file ${key}:`, error);
+    })));
+  }
+}
+
+module.exports = new StorageService();
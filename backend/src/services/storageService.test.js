@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storageService = require('./storageService');
+
+describe('storageService', () => {
+  const originalPath = process.env.UPLOAD_PATH;
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+    process.env.UPLOAD_PATH = root;
+    storageService.driver = null;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.promises.rm(root, { recursive: true, force: true });
+    process.env.UPLOAD_PATH = originalPath;
+    storageService.driver = null;
+  });
+
+  test('writes files under the upload path and reads them back', async () => {
+    const key = await storageService.put('pod/order/1/photo-a.jpg', Buffer.from('photo'), 'image/jpeg');
+
+    expect(key).toBe('pod/order/1/photo-a.jpg');
+    expect(fs.existsSync(path.join(root, 'pod/order/1/photo-a.jpg'))).toBe(true);
+    expect((await storageService.get(key)).toString()).toBe('photo');
+  });
+
+  test('answers 404 for a missing file', async () => {
+    await expect(storageService.get('pod/order/1/missing.jpg')).rejects.toMatchObject({
+      message: 'File not found',
+      statusCode: 404
+    });
+  });
+
+  test('refuses keys that would leave the upload path', async () => {
+    await expect(storageService.put('../escape.txt', Buffer.from('x'))).rejects.toMatchObject({
+      message: 'Invalid storage key',
+      statusCode: 400
+    });
+    expect(fs.existsSync(path.join(root, '..', 'escape.txt'))).toBe(false);
+  });
+
+  test('removes files and ignores ones already gone', async () => {
+    await storageService.put('pod/a.jpg', Buffer.from('a'));
+
+    await storageService.removeAll(['pod/a.jpg', 'pod/never-stored.jpg']);
+
+    expect(fs.existsSync(path.join(root, 'pod/a.jpg'))).toBe(false);
+  });
+
+  test('logs a file it could not remove and carries on with the rest', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await storageService.put('pod/b.jpg', Buffer.from('b'));
+
+    await storageService.removeAll(['../outside.jpg', 'pod/b.jpg']);
+
+    expect(error).toHaveBeenCalledWith('Failed to remove stored file ../outside.jpg:', expect.any(Error));
+    expect(fs.existsSync(path.join(root, 'pod/b.jpg'))).toBe(false);
+  });
+
+  test('uses a registered driver when STORAGE_DRIVER selects it', async () => {
+    const files = new Map();
+    const memory = {
+      put: async (key, buffer) => { files.set(key, buffer); },
+      get: async key => files.get(key),
+      remove: async key => { files.delete(key); }
+    };
+    const driverName = storageService.driverName;
+    storageService.driverName = 'memory';
+
+    try {
+      storageService.registerDriver('memory', () => memory);
+      await storageService.put('pod/c.jpg', Buffer.from('c'));
+
+      expect(files.get('pod/c.jpg').toString()).toBe('c');
+      expect(fs.existsSync(path.join(root, 'pod/c.jpg'))).toBe(false);
+    } finally {
+      storageService.driverName = driverName;
+      delete storageService.drivers.memory;
+    }
+  });
+
+  test('fails clearly for an unknown driver', () => {
+    const driverName = storageService.driverName;
+    storageService.driverName = 's3';
+
+    try {
+      expect(() => storageService.getDriver()).toThrow('Unknown storage driver: s3');
+    } finally {
+      storageService.driverName = driverName;
+    }
+  });
+});
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Merchant = require('../models/Merchant');
+const pricingService = require('./pricingService');
+const zoneService = require('./zoneService');
+const { canTransition } = require('./orderLifecycle');
+
+// Headers each platform sends with a webhook delivery, and the environment variable
+// holding the platform-wide secret, e.g. the Shopify app's, that also signs its webhooks
+const PLATFORMS = {
+  shopify: {
+    label: 'Shopify',
+    secretEnv: 'SHOPIFY_WEBHOOK_SECRET',
+    signature: 'x-shopify-hmac-sha256',
+    topic: 'x-shopify-topic',
+    domain: 'x-shopify-shop-domain',
+    deliveryId: 'x-shopify-webhook-id',
+    actions: {
+      'orders/create': 'create',
+      'orders/updated': 'update',
+      'orders/cancelled': 'cancel'
+    }
+  },
+  woocommerce: {
+    label: 'WooCommerce',
+    secretEnv: 'WOOCOMMERCE_WEBHOOK_SECRET',
+    signature: 'x-wc-webhook-signature',
+    topic: 'x-wc-webhook-topic',
+    domain: 'x-wc-webhook-source',
+    deliveryId: 'x-wc-webhook-delivery-id',
+    actions: {
+      'order.created': 'create',
+      'order.updated': 'update',
+      'order.deleted': 'cancel'
+    }
+  }
+};
+
+// Store orders that can be shipped; anything else is waiting for payment or closed
+const WOOCOMMERCE_SHIPPABLE = ['processing', 'on-hold'];
+const WOOCOMMERCE_CANCELLED = ['cancelled', 'refunded', 'failed', 'trash'];
+
+// Shopify names cash on delivery gateways per shop language; these cover the built-in ones
+const SHOPIFY_COD_GATEWAY = /cash on delivery|\bcod\b/i;
+
+// Store changes only reach orders that have not been collected yet
+const EDITABLE_STATUSES = ['pending', 'confirmed', 'pickup_scheduled'];
+
+const webhookError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toNumber = value => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+const joinName = (...parts) => parts.filter(Boolean).join(' ').trim();
+
+class StoreWebhookService {
+  constructor() {
+    this.defaultItemWeight = parseFloat(process.env.STORE_DEFAULT_ITEM_WEIGHT) || 0.5; // kg
+  }
+
+  /**
+   * Webhook headers for a platform
+   * @param {string} platform - shopify or woocommerce
+   * @param {Function} header - Reads a request header by name
+   * @returns {Object} { topic, domain, deliveryId, signature }
+   */
+  readHeaders(platform, header) {
+    const config = PLATFORMS[platform];
+    return {
+      topic: header(config.topic),
+      domain: header(config.domain),
+      deliveryId: header(config.deliveryId),
+      signature: header(config.signature)
+    };
+  }
+
+  /**
+   * Check the base64 HMAC-SHA256 of the raw body against the platform's signature header
+   * @param {string} secret - Store or platform webhook secret
+   * @param {Buffer} rawBody - Body exactly as received
+   * @param {string} signature
+   * @returns {boolean}
+   */
+  verifySignature(secret, rawBody, signature) {
+    if (!secret || !rawBody || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const received = Buffer.from(String(signature), 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Secrets a store's webhooks may be signed with: its own, then the platform's from the environment
+   * @param {string} platform
+   * @param {Object} store - The merchant's store entry
+   * @returns {Array<string>}
+   */
+  secretsFor(platform, store) {
+    return [store.webhookSecret, process.env[PLATFORMS[platform].secretEnv]].filter(Boolean);
+  }
+
+  /**
+   * Find the linked store a webhook comes from and check it was signed with that store's
+   * secret or the platform's
+   * @param {string} platform
+   * @param {Object} headers - From readHeaders
+   * @param {Buffer} rawBody - Body exactly as received
+   * @returns {Promise<Object>} { merchant, store }
+   */
+  async authenticate(platform, headers, rawBody) {
+    const merchant = await Merchant.findByStore(platform, headers.domain);
+    const store = merchant && merchant.findStore(platform, headers.domain);
+    if (!store) {
+      throw webhookError(`${PLATFORMS[platform].label} store ${headers.domain} is not linked to a merchant account`, 404);
+    }
+    const secrets = this.secretsFor(platform, store);
+    if (!secrets.some(secret => this.verifySignature(secret, rawBody, headers.signature))) {
+      throw webhookError('Invalid webhook signature', 401);
+    }
+    return { merchant, store };
+  }
+
+  /**
+   * What a webhook asks for: create, update, cancel, or null when it is not about shipping
+   * @param {string} platform
+   * @param {string} topic
+   * @param {Object} payload - Store order
+   * @returns {string|null}
+   */
+  actionFor(platform, topic, payload) {
+    const action = PLATFORMS[platform].actions[topic] || null;
+
+    if (platform === 'shopify' && action === 'update' && payload.cancelled_at) {
+      return 'cancel';
+    }
+    if (platform === 'woocommerce' && action && action !== 'cancel') {
+      if (WOOCOMMERCE_CANCELLED.includes(payload.status)) return 'cancel';
+      // Unpaid checkouts are created as pending and only become shippable once paid
+      if (!WOOCOMMERCE_SHIPPABLE.includes(payload.status)) return null;
+    }
+    return action;
+  }
+
+  /**
+   * Map a Shopify order to order fields
+   * @param {Object} payload - Shopify order
+   * @returns {Object} Order data
+   */
+  mapShopifyOrder(payload) {
+    const address = payload.shipping_address || {};
+    const customer = payload.customer || {};
+    const isCod = (payload.payment_gateway_names || [payload.gateway])
+      .some(gateway => SHOPIFY_COD_GATEWAY.test(gateway || ''));
+    const latitude = toNumber(address.latitude);
+    const longitude = toNumber(address.longitude);
+
+    return {
+      customerInfo: {
+        name: address.name || joinName(address.first_name, address.last_name) ||
+          joinName(customer.first_name, customer.last_name),
+        phone: address.phone || payload.phone || customer.phone,
+        email: payload.email || customer.email,
+        address: {
+          street: joinName(address.address1, address.address2),
+          city: address.city,
+          state: address.province,
+          zipCode: address.zip,
+          country: address.country,
+          coordinates: latitude !== undefined && longitude !== undefined ? [longitude, latitude] : undefined
+        }
+      },
+      items: (payload.line_items || [])
+        .filter(item => item.requires_shipping !== false && item.quantity > 0)
+        .map(item => ({
+          name: item.name || item.title,
+          sku: item.sku || undefined,
+          quantity: item.quantity,
+          weight: item.grams > 0 ? item.grams / 1000 : this.defaultItemWeight,
+          value: toNumber(item.price) || 0
+        })),
+      payment: isCod
+        ? { method: 'cod', codAmount: toNumber(payload.total_price) }
+        : { method: 'prepaid', status: payload.financial_status === 'paid' ? 'paid' : 'pending' },
+      currency: payload.currency,
+      specialInstructions: payload.note || undefined,
+      sourceOrderId: String(payload.id),
+      tags: payload.tags ? String(payload.tags).split(',').map(tag => tag.trim()).filter(Boolean) : []
+    };
+  }
+
+  /**
+   * Map a WooCommerce order to order fields
+   * @param {Object} payload - WooCommerce order
+   * @returns {Object} Order data
+   */
+  mapWooCommerceOrder(payload) {
+    const shipping = payload.shipping || {};
+    const billing = payload.billing || {};
+    // Stores without shipping fields only fill in the billing address
+    const address = shipping.address_1 ? shipping : billing;
+    const isCod = payload.payment_method === 'cod';
+
+    return {
+      customerInfo: {
+        name: joinName(address.first_name, address.last_name),
+        phone: shipping.phone || billing.phone,
+        email: billing.email || undefined,
+        address: {
+          street: joinName(address.address_1, address.address_2),
+          city: address.city,
+          state: address.state,
+          zipCode: address.postcode,
+          country: address.country
+        }
+      },
+      items: (payload.line_items || [])
+        .filter(item => item.quantity > 0)
+        .map(item => ({
+          name: item.name,
+          sku: item.sku || undefined,
+          quantity: item.quantity,
+          weight: this.defaultItemWeight,
+          value: toNumber(item.price) || 0
+        })),
+      payment: isCod
+        ? { method: 'cod', codAmount: toNumber(payload.total) }
+        : { method: 'prepaid', status: payload.date_paid ? 'paid' : 'pending' },
+      currency: payload.currency,
+      specialInstructions: payload.customer_note || undefined,
+      sourceOrderId: String(payload.id),
+      tags: []
+    };
+  }
+
+  /**
+   * Map a store order from either platform
+   * @param {string} platform
+   * @param {Object} payload
+   * @returns {Object} Order data
+   */
+  mapOrder(platform, payload) {
+    return platform === 'shopify' ? this.mapShopifyOrder(payload) : this.mapWooCommerceOrder(payload);
+  }
+
+  /**
+   * Apply a store webhook to its order
+   * @param {string} platform - shopify or woocommerce
+   * @param {Object} headers - From readHeaders
+   * @param {Object} payload - Store order
+   * @param {Object} link - From authenticate: { merchant, store }
+   * @returns {Promise<Object>} { result, order, message }; result is created, updated, cancelled, duplicate or ignored
+   */
+  async process(platform, headers, payload, { merchant, store }) {
+    if (!payload || payload.id === undefined) {
+      throw webhookError('Webhook payload is not an order');
+    }
+
+    const action = this.actionFor(platform, headers.topic, payload);
+    if (!action) {
+      return { result: 'ignored', message: `Nothing to ship for ${headers.topic} (${payload.status || 'no status'})` };
+    }
+
+    const mapped = this.mapOrder(platform, payload);
+    // Store order IDs are small per-store counters, so they only identify an order together with the store
+    const [existing] = await Order.findBySourceOrderIds(merchant.user, this.sourceOf(store), [mapped.sourceOrderId]);
+
+    if (action === 'cancel') {
+      return existing
+        ? this.cancelOrder(existing, merchant, platform)
+        : { result: 'ignored', message: 'No order to cancel' };
+    }
+    if (existing) {
+      return action === 'create'
+        ? { result: 'duplicate', order: existing, message: 'Order already created for this store order' }
+        : this.updateOrder(existing, mapped, merchant);
+    }
+
+    // Updates for orders never seen, e.g. paid after checkout, create them
+    return this.createOrder(mapped, merchant, store);
+  }
+
+  /**
+   * Source and store that store order IDs are unique within
+   * @param {Object} store - The merchant's store entry
+   * @returns {Object} { source, store }
+   */
+  sourceOf(store) {
+    return { source: store.platform, store: store.domain };
+  }
+
+  /**
+   * Create the order for a store order
+   * @param {Object} mapped - From mapOrder
+   * @param {Object} merchant - Merchant profile the store is linked to
+   * @param {Object} store - The merchant's store entry
+   * @returns {Promise<Object>}
+   */
+  async createOrder(mapped, merchant, store) {
+    if (!merchant.canCreateOrders) {
+      throw webhookError(`Merchant account is ${merchant.status}`, 403);
+    }
+
+    const orderData = {
+      customerInfo: mapped.customerInfo,
+      items: mapped.items,
+      payment: mapped.payment,
+      pricing: mapped.currency ? { currency: mapped.currency } : undefined,
+      specialInstructions: mapped.specialInstructions,
+      merchant: merchant.user,
+      metadata: {
+        source: store.platform,
+        sourceOrderId: mapped.sourceOrderId,
+        sourceStore: store.domain,
+        tags: mapped.tags,
+        createdBy: merchant.user
+      }
+    };
+    merchant.applyOrderDefaults(orderData, store.pickupLocation);
+
+    const order = new Order(orderData);
+    await zoneService.applyToOrder(order);
+    // Store addresses rarely carry coordinates; such orders are priced from the hub rate card and flagged
+    await pricingService.applyToOrder(order, {}, { withoutDistance: true });
+    order.applyCodAmount();
+
+    try {
+      await order.save();
+    } catch (error) {
+      // Create and update deliveries for the same store order can race
+      if (error.code === 11000) {
+        const [existing] = await Order.findBySourceOrderIds(merchant.user, this.sourceOf(store), [mapped.sourceOrderId]);
+        if (existing) {
+          return { result: 'duplicate', order: existing, message: 'Order already created for this store order' };
+        }
+      }
+      if (error.name === 'ValidationError') {
+        throw webhookError(error.message, 422);
+      }
+      throw error;
+    }
+
+    return { result: 'created', order, message: 'Order created' };
+  }
+
+  /**
+   * Bring an order in line with its edited store order
+   * @param {Object} existing - Order summary from findBySourceOrderIds
+   * @param {Object} mapped - From mapOrder
+   * @param {Object} merchant
+   * @returns {Promise<Object>}
+   */
+  async updateOrder(existing, mapped, merchant) {
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      return { result: 'ignored', order: existing, message: `Order is already ${existing.status}` };
+    }
+
+    const order = await Order.findById(existing._id);
+    order.customerInfo = mapped.customerInfo;
+    order.items = mapped.items;
+    if (order.payment.method === 'cod' && mapped.payment.method === 'cod') {
+      order.payment.codAmount = mapped.payment.codAmount;
+      order.payment.codFromTotal = false;
+    }
+    order.specialInstructions = mapped.specialInstructions;
+    order.metadata.lastModifiedBy = merchant.user;
+
+    await zoneService.applyToOrder(order);
+    await pricingService.applyToOrder(order, {}, { withoutDistance: true });
+
+    try {
+      await order.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw webhookError(error.message, 422);
+      }
+      throw error;
+    }
+
+    return { result: 'updated', order, message: 'Order updated' };
+  }
+
+  /**
+   * Cancel an order cancelled in the store, or note why it cannot be
+   * @param {Object} existing - Order summary from findBySourceOrderIds
+   * @param {Object} merchant
+   * @param {string} platform
+   * @returns {Promise<Object>}
+   */
+  async cancelOrder(existing, merchant, platform) {
+    if (existing.status === 'cancelled') {
+      return { result: 'duplicate', order: existing, message: 'Order already cancelled' };
+    }
+
+    const order = await Order.findById(existing._id);
+    const label = PLATFORMS[platform].label;
+
+    if (!canTransition(order.status, 'cancelled')) {
+      // Already on its way; operations decide between delivering and returning it
+      order.addTrackingNote(`Cancelled in ${label} after pickup; not cancelled here`, merchant.user, 'store_cancelled');
+      await order.save();
+      return { result: 'ignored', order, message: `Order is already ${order.status}` };
+    }
+
+    await order.updateStatus('cancelled', `Cancelled in ${label}`, merchant.user);
+    return { result: 'cancelled', order, message: 'Order cancelled' };
+  }
+}
+
+module.exports = new StoreWebhookService();
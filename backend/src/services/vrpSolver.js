@@ -0,0 +1,490 @@
+/**
+ * Pickup-and-delivery vehicle routing with time windows and capacities.
+ *
+ * Routes are built by cheapest insertion (most urgent and tightest windows
+ * first) and then improved with 2-opt, or-opt and relocating requests between
+ * vehicles. Every step is a fixed-order scan with strict improvement, so the
+ * same problem always produces the same plan as long as it is solved within
+ * the time budget. The solve runs on the request thread, so past the budget it
+ * stops improving and leaves requests it has not reached unassigned.
+ *
+ * Times are minutes from midnight of the planning day, distances kilometres.
+ */
+
+const PRIORITY_RANK = { urgent: 0, high: 1, normal: 2, low: 3 };
+const EPSILON = 1e-9;
+
+const round = value => Math.round(value * 100) / 100;
+
+class VrpSolver {
+  constructor() {
+    this.defaultSpeedKmh = parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 30;
+    this.defaultServiceMinutes = parseFloat(process.env.ROUTE_SERVICE_MINUTES) || 5;
+    this.maxImprovementPasses = parseInt(process.env.ROUTE_MAX_IMPROVEMENT_PASSES, 10) || 50;
+    this.timeBudgetMs = parseInt(process.env.ROUTE_TIME_BUDGET_MS, 10) || 3000;
+  }
+
+  /**
+   * Haversine distance
+   * @param {Array} coord1 - [longitude, latitude]
+   * @param {Array} coord2 - [longitude, latitude]
+   * @returns {number} Distance in kilometers
+   */
+  distance(coord1, coord2) {
+    const toRads = degrees => degrees * (Math.PI / 180);
+    const dLat = toRads(coord2[1] - coord1[1]);
+    const dLon = toRads(coord2[0] - coord1[0]);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.sin(dLon / 2) * Math.sin(dLon / 2) * Math.cos(toRads(coord1[1])) * Math.cos(toRads(coord2[1]));
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Solve a routing problem
+   * @param {Object} problem
+   * @param {Array} problem.vehicles - [{ id, start, end, capacity: { weight, volume }, shift: { start, end }, maxRequests }]
+   * @param {Array} problem.requests - [{ id, pickup, delivery, weight, volume, priority, vehicleIds }]
+   *   where pickup (optional, goods are on board from the start without it) and delivery are
+   *   { coordinates, timeWindow: { start, end }, serviceMinutes }
+   * @param {Object} problem.options - { speedKmh, serviceMinutes, maxImprovementPasses, timeBudgetMs }
+   * @returns {Object} { routes, unassigned, totalDistance, timedOut }
+   */
+  solve({ vehicles = [], requests = [], options = {} }) {
+    const context = this.buildContext(vehicles, requests, options);
+    const budget = options.timeBudgetMs !== undefined ? options.timeBudgetMs : this.timeBudgetMs;
+    const deadline = Date.now() + budget;
+    context.timedOut = false;
+    context.expired = () => {
+      if (!context.timedOut && Date.now() >= deadline) context.timedOut = true;
+      return context.timedOut;
+    };
+
+    const routes = context.vehicles.map(vehicle => ({ vehicle, stops: [], requests: 0, cost: 0 }));
+    routes.forEach(route => {
+      route.cost = this.evaluate(context, route.vehicle, route.stops).distance;
+    });
+
+    const order = context.requests
+      .slice()
+      .sort((a, b) => a.rank - b.rank || a.deadline - b.deadline || a.index - b.index);
+
+    let unassigned = [];
+    const unreached = [];
+    order.forEach(request => {
+      if (context.expired()) {
+        unreached.push(request);
+      } else if (!this.insertBest(context, routes, request)) {
+        unassigned.push(request);
+      }
+    });
+
+    const passes = options.maxImprovementPasses || this.maxImprovementPasses;
+    for (let pass = 0; pass < passes && !context.expired(); pass++) {
+      let improved = false;
+      routes.forEach(route => {
+        if (this.twoOpt(context, route)) improved = true;
+        if (this.orOpt(context, route)) improved = true;
+      });
+      if (this.relocate(context, routes)) improved = true;
+
+      // Improvements can free room for requests that did not fit before
+      const stillUnassigned = unassigned.filter(request =>
+        context.expired() || !this.insertBest(context, routes, request));
+      if (stillUnassigned.length < unassigned.length) improved = true;
+      unassigned = stillUnassigned;
+
+      if (!improved) break;
+    }
+
+    const plans = routes.map(route => this.describeRoute(context, route));
+
+    return {
+      routes: plans,
+      unassigned: [
+        ...unassigned.map(request => ({ request, reason: this.explainUnassigned(context, request) })),
+        ...unreached.map(request => ({ request, reason: 'Planning time limit reached before it was routed' }))
+      ]
+        .sort((a, b) => a.request.index - b.request.index)
+        .map(({ request, reason }) => ({ requestId: request.id, reason })),
+      totalDistance: round(plans.reduce((sum, plan) => sum + plan.distance, 0)),
+      timedOut: context.timedOut
+    };
+  }
+
+  /**
+   * Normalise input and precompute the distance matrix
+   * @returns {Object} Solver context
+   */
+  buildContext(vehicles, requests, options) {
+    const points = [];
+    const addPoint = coordinates => {
+      points.push(coordinates);
+      return points.length - 1;
+    };
+    const serviceMinutes = options.serviceMinutes !== undefined
+      ? options.serviceMinutes
+      : this.defaultServiceMinutes;
+    const window = timeWindow => ({
+      start: timeWindow && Number.isFinite(timeWindow.start) ? timeWindow.start : 0,
+      end: timeWindow && Number.isFinite(timeWindow.end) ? timeWindow.end : Infinity
+    });
+    const makeStop = (request, type, location) => ({
+      request,
+      type,
+      point: addPoint(location.coordinates),
+      window: window(location.timeWindow),
+      serviceMinutes: location.serviceMinutes !== undefined ? location.serviceMinutes : serviceMinutes
+    });
+
+    const contextVehicles = vehicles.map((vehicle, index) => ({
+      id: vehicle.id,
+      index,
+      startPoint: addPoint(vehicle.start),
+      endPoint: vehicle.end ? addPoint(vehicle.end) : null,
+      capacity: {
+        weight: vehicle.capacity && Number.isFinite(vehicle.capacity.weight) ? vehicle.capacity.weight : Infinity,
+        volume: vehicle.capacity && Number.isFinite(vehicle.capacity.volume) ? vehicle.capacity.volume : Infinity
+      },
+      shift: window(vehicle.shift),
+      maxRequests: vehicle.maxRequests || Infinity
+    }));
+
+    const contextRequests = requests.map((input, index) => {
+      const request = {
+        id: input.id,
+        index,
+        weight: input.weight || 0,
+        volume: input.volume || 0,
+        rank: PRIORITY_RANK[input.priority] !== undefined ? PRIORITY_RANK[input.priority] : PRIORITY_RANK.normal,
+        vehicleIds: Array.isArray(input.vehicleIds)
+          ? new Set(input.vehicleIds.map(id => id.toString()))
+          : null
+      };
+      request.pickup = input.pickup ? makeStop(request, 'pickup', input.pickup) : null;
+      request.delivery = makeStop(request, 'delivery', input.delivery);
+      request.deadline = request.delivery.window.end;
+      return request;
+    });
+
+    const size = points.length;
+    const matrix = new Float64Array(size * size);
+    for (let i = 0; i < size; i++) {
+      for (let j = i + 1; j < size; j++) {
+        const d = this.distance(points[i], points[j]);
+        matrix[i * size + j] = d;
+        matrix[j * size + i] = d;
+      }
+    }
+
+    return {
+      vehicles: contextVehicles,
+      requests: contextRequests,
+      points,
+      speedKmh: options.speedKmh || this.defaultSpeedKmh,
+      dist: (from, to) => matrix[from * size + to]
+    };
+  }
+
+  /**
+   * Simulate a route, checking time windows, capacity and pickup-before-delivery
+   * @param {Object} context - Solver context
+   * @param {Object} vehicle - Context vehicle
+   * @param {Array} stops - Ordered stops
+   * @param {boolean} withSchedule - Also return per-stop times and loads
+   * @returns {Object|null} { distance, endTime, schedule } or null when infeasible
+   */
+  evaluate(context, vehicle, stops, withSchedule = false) {
+    const { capacity } = vehicle;
+    let weight = 0;
+    let volume = 0;
+
+    // Requests without a pickup are loaded before leaving the start point
+    stops.forEach(stop => {
+      if (stop.type === 'delivery' && !stop.request.pickup) {
+        weight += stop.request.weight;
+        volume += stop.request.volume;
+      }
+    });
+    if (weight > capacity.weight + EPSILON || volume > capacity.volume + EPSILON) return null;
+
+    const schedule = withSchedule ? [] : null;
+    const pickedUp = new Set();
+    let time = vehicle.shift.start;
+    let point = vehicle.startPoint;
+    let distance = 0;
+
+    for (const stop of stops) {
+      if (stop.type === 'delivery' && stop.request.pickup && !pickedUp.has(stop.request)) return null;
+
+      const leg = context.dist(point, stop.point);
+      distance += leg;
+      time += (leg / context.speedKmh) * 60;
+
+      const arrival = time;
+      const serviceStart = Math.max(arrival, stop.window.start);
+      if (serviceStart > stop.window.end + EPSILON) return null;
+      time = serviceStart + stop.serviceMinutes;
+      point = stop.point;
+
+      if (stop.type === 'pickup') {
+        pickedUp.add(stop.request);
+        weight += stop.request.weight;
+        volume += stop.request.volume;
+        if (weight > capacity.weight + EPSILON || volume > capacity.volume + EPSILON) return null;
+      } else {
+        weight -= stop.request.weight;
+        volume -= stop.request.volume;
+      }
+
+      if (schedule) {
+        schedule.push({ stop, arrival, serviceStart, departure: time, weight, volume });
+      }
+    }
+
+    if (vehicle.endPoint !== null) {
+      const leg = context.dist(point, vehicle.endPoint);
+      distance += leg;
+      time += (leg / context.speedKmh) * 60;
+    }
+    if (stops.length > 0 && time > vehicle.shift.end + EPSILON) return null;
+
+    return { distance, endTime: time, schedule };
+  }
+
+  /**
+   * Check a request may go on a vehicle at all
+   * @returns {boolean}
+   */
+  allowsVehicle(request, vehicle) {
+    return !request.vehicleIds || request.vehicleIds.has(vehicle.id.toString());
+  }
+
+  /**
+   * Cheapest feasible insertion of a request into one route
+   * @returns {Object|null} { stops, cost } of the best insertion
+   */
+  bestInsertionInRoute(context, route, request) {
+    if (route.requests >= route.vehicle.maxRequests || !this.allowsVehicle(request, route.vehicle)) {
+      return null;
+    }
+
+    const { stops } = route;
+    let best = null;
+    const consider = candidate => {
+      const result = this.evaluate(context, route.vehicle, candidate);
+      if (result && (!best || result.distance < best.cost - EPSILON)) {
+        best = { stops: candidate, cost: result.distance };
+      }
+    };
+
+    for (let j = 0; j <= stops.length; j++) {
+      if (!request.pickup) {
+        consider([...stops.slice(0, j), request.delivery, ...stops.slice(j)]);
+        continue;
+      }
+      for (let i = 0; i <= j; i++) {
+        consider([
+          ...stops.slice(0, i),
+          request.pickup,
+          ...stops.slice(i, j),
+          request.delivery,
+          ...stops.slice(j)
+        ]);
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Insert a request where it adds the least distance over all routes
+   * @returns {boolean} Whether the request was inserted
+   */
+  insertBest(context, routes, request) {
+    let best = null;
+    routes.forEach(route => {
+      const insertion = this.bestInsertionInRoute(context, route, request);
+      if (insertion && (!best || insertion.cost - route.cost < best.delta - EPSILON)) {
+        best = { route, stops: insertion.stops, cost: insertion.cost, delta: insertion.cost - route.cost };
+      }
+    });
+
+    if (!best) return false;
+    best.route.stops = best.stops;
+    best.route.cost = best.cost;
+    best.route.requests++;
+    return true;
+  }
+
+  /**
+   * Apply the first improving segment reversal, repeatedly
+   * @returns {boolean} Whether the route improved
+   */
+  twoOpt(context, route) {
+    let improved = false;
+    let found = true;
+    while (found && !context.expired()) {
+      found = false;
+      const { stops } = route;
+      for (let i = 0; i < stops.length - 1 && !found && !context.expired(); i++) {
+        for (let j = i + 1; j < stops.length && !found; j++) {
+          const candidate = [
+            ...stops.slice(0, i),
+            ...stops.slice(i, j + 1).reverse(),
+            ...stops.slice(j + 1)
+          ];
+          found = this.acceptIfBetter(context, route, candidate);
+        }
+      }
+      improved = improved || found;
+    }
+    return improved;
+  }
+
+  /**
+   * Apply the first improving move of a run of one to three stops, repeatedly
+   * @returns {boolean} Whether the route improved
+   */
+  orOpt(context, route) {
+    let improved = false;
+    let found = true;
+    while (found && !context.expired()) {
+      found = false;
+      const { stops } = route;
+      for (let length = 1; length <= 3 && !found; length++) {
+        for (let i = 0; i + length <= stops.length && !found && !context.expired(); i++) {
+          const segment = stops.slice(i, i + length);
+          const rest = [...stops.slice(0, i), ...stops.slice(i + length)];
+          for (let k = 0; k <= rest.length && !found; k++) {
+            if (k === i) continue;
+            found = this.acceptIfBetter(context, route, [...rest.slice(0, k), ...segment, ...rest.slice(k)]);
+          }
+        }
+      }
+      improved = improved || found;
+    }
+    return improved;
+  }
+
+  /**
+   * Move whole requests to another vehicle when that shortens the total distance
+   * @returns {boolean} Whether any request moved
+   */
+  relocate(context, routes) {
+    let improved = false;
+
+    routes.forEach(source => {
+      const requests = [...new Set(source.stops.map(stop => stop.request))];
+      requests.forEach(request => {
+        if (context.expired()) return;
+        const remaining = source.stops.filter(stop => stop.request !== request);
+        const reduced = this.evaluate(context, source.vehicle, remaining);
+        if (!reduced) return;
+        const saving = source.cost - reduced.distance;
+
+        let best = null;
+        routes.forEach(target => {
+          if (target === source) return;
+          const insertion = this.bestInsertionInRoute(context, target, request);
+          if (!insertion) return;
+          const delta = insertion.cost - target.cost;
+          if (delta < saving - EPSILON && (!best || delta < best.delta - EPSILON)) {
+            best = { target, insertion, delta };
+          }
+        });
+
+        if (best) {
+          source.stops = remaining;
+          source.cost = reduced.distance;
+          source.requests--;
+          best.target.stops = best.insertion.stops;
+          best.target.cost = best.insertion.cost;
+          best.target.requests++;
+          improved = true;
+        }
+      });
+    });
+
+    return improved;
+  }
+
+  /**
+   * Replace the route's stops when the candidate is feasible and shorter
+   * @returns {boolean}
+   */
+  acceptIfBetter(context, route, candidate) {
+    const result = this.evaluate(context, route.vehicle, candidate);
+    if (result && result.distance < route.cost - EPSILON) {
+      route.stops = candidate;
+      route.cost = result.distance;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Best-effort reason a request could not be routed
+   * @returns {string}
+   */
+  explainUnassigned(context, request) {
+    const vehicles = context.vehicles.filter(vehicle => this.allowsVehicle(request, vehicle));
+    if (vehicles.length === 0) {
+      return 'No vehicle available for this request';
+    }
+    if (vehicles.every(vehicle => request.weight > vehicle.capacity.weight || request.volume > vehicle.capacity.volume)) {
+      return 'Exceeds the capacity of every vehicle';
+    }
+    const alone = request.pickup ? [request.pickup, request.delivery] : [request.delivery];
+    if (vehicles.every(vehicle => !this.evaluate(context, vehicle, alone))) {
+      return 'Time window cannot be met within any driver shift';
+    }
+    return 'No route has room for it within time windows, capacity and stop limits';
+  }
+
+  /**
+   * Output form of a route with ETAs and the load after every stop
+   * @returns {Object}
+   */
+  describeRoute(context, route) {
+    const { vehicle } = route;
+    const result = this.evaluate(context, vehicle, route.stops, true);
+    const initialLoad = route.stops.reduce((load, stop) => {
+      if (stop.type === 'delivery' && !stop.request.pickup) {
+        load.weight += stop.request.weight;
+        load.volume += stop.request.volume;
+      }
+      return load;
+    }, { weight: 0, volume: 0 });
+
+    const stops = result.schedule.map((entry, sequence) => ({
+      sequence: sequence + 1,
+      requestId: entry.stop.request.id,
+      type: entry.stop.type,
+      coordinates: context.points[entry.stop.point],
+      arrival: entry.arrival,
+      serviceStart: entry.serviceStart,
+      departure: entry.departure,
+      waitMinutes: entry.serviceStart - entry.arrival,
+      timeWindow: entry.stop.window,
+      load: { weight: round(entry.weight), volume: round(entry.volume) }
+    }));
+
+    const peakLoad = stops.reduce((peak, stop) => ({
+      weight: Math.max(peak.weight, stop.load.weight),
+      volume: Math.max(peak.volume, stop.load.volume)
+    }), { weight: round(initialLoad.weight), volume: round(initialLoad.volume) });
+
+    return {
+      vehicleId: vehicle.id,
+      stops,
+      requests: route.requests,
+      distance: round(result.distance),
+      startTime: vehicle.shift.start,
+      endTime: stops.length > 0 ? result.endTime : vehicle.shift.start,
+      initialLoad: { weight: round(initialLoad.weight), volume: round(initialLoad.volume) },
+      peakLoad
+    };
+  }
+}
+
+module.exports = new VrpSolver();
@@ -0,0 +1,49 @@
+const vrpSolver = require('./vrpSolver');
+
+const depot = [31.24, 30.04];
+const point = index => [31.2 + (index % 7) * 0.01, 30.0 + Math.floor(index / 7) * 0.01];
+
+const buildProblem = (count, options = {}) => ({
+  vehicles: [
+    { id: 'a', start: depot, end: depot, shift: { start: 480, end: 1200 }, capacity: { weight: 50, volume: 100 } },
+    { id: 'b', start: depot, end: depot, shift: { start: 480, end: 1200 }, capacity: { weight: 50, volume: 100 } }
+  ],
+  requests: Array.from({ length: count }, (_, index) => ({
+    id: index,
+    pickup: { coordinates: point(index) },
+    delivery: { coordinates: point(count - index) },
+    weight: 1
+  })),
+  options
+});
+
+describe('vrpSolver', () => {
+  test('routes every request with pickups before deliveries and reports a complete solve', () => {
+    const solution = vrpSolver.solve(buildProblem(6));
+
+    expect(solution.timedOut).toBe(false);
+    expect(solution.unassigned).toEqual([]);
+    solution.routes.forEach(route => {
+      const seen = new Set();
+      route.stops.forEach(stop => {
+        if (stop.type === 'pickup') seen.add(stop.requestId);
+        else expect(seen.has(stop.requestId)).toBe(true);
+      });
+    });
+  });
+
+  test('gives the same plan for the same problem within the budget', () => {
+    expect(vrpSolver.solve(buildProblem(8))).toEqual(vrpSolver.solve(buildProblem(8)));
+  });
+
+  test('stops at the time budget and leaves the requests it did not reach unassigned', () => {
+    const solution = vrpSolver.solve(buildProblem(4, { timeBudgetMs: 0 }));
+
+    expect(solution.timedOut).toBe(true);
+    expect(solution.routes.every(route => route.stops.length === 0)).toBe(true);
+    expect(solution.unassigned).toEqual([0, 1, 2, 3].map(requestId => ({
+      requestId,
+      reason: 'Planning time limit reached before it was routed'
+    })));
+  });
+});
@@ -0,0 +1,249 @@
+const Hub = require('../models/Hub');
+const ServiceZone = require('../models/ServiceZone');
+const { isPosition, validateGeometry, toGeometry } = require('./geometry');
+
+const zoneError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class ZoneService {
+  constructor() {
+    // 'flag' keeps orders outside every area for review, 'reject' refuses them
+    this.outsideAreaPolicy = process.env.SERVICE_AREA_POLICY === 'reject' ? 'reject' : 'flag';
+  }
+
+  /**
+   * Create or update zones from uploaded GeoJSON. Features are matched to
+   * existing zones by their code property; nothing is saved unless every
+   * feature is valid, and a shape the database refuses undoes the zones
+   * already written.
+   * @param {Object} geojson - FeatureCollection or a single Feature
+   * @param {Object} options - { hubId, replace, userId }
+   * @returns {Promise<Object>} { created, updated, deactivated, zones }
+   */
+  async importZones(geojson, { hubId, replace = false, userId } = {}) {
+    let features;
+    if (geojson && geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+      features = geojson.features;
+    } else if (geojson && geojson.type === 'Feature') {
+      features = [geojson];
+    } else {
+      throw zoneError('Upload a GeoJSON FeatureCollection or Feature');
+    }
+    if (features.length === 0) {
+      throw zoneError('The upload contains no features');
+    }
+
+    let defaultHub = null;
+    if (hubId) {
+      defaultHub = await Hub.findById(hubId).select('_id code');
+      if (!defaultHub) throw zoneError('Hub not found', 404);
+    }
+
+    const hubCodes = [...new Set(features
+      .map(feature => feature.properties && feature.properties.hubCode)
+      .filter(Boolean)
+      .map(code => String(code).toUpperCase()))];
+    const hubs = hubCodes.length > 0
+      ? await Hub.find({ code: { $in: hubCodes } }).select('_id code')
+      : [];
+    const hubsByCode = new Map(hubs.map(hub => [hub.code, hub]));
+
+    const errors = [];
+    const parsed = features.map((feature, index) => {
+      const properties = feature.properties || {};
+      const geometry = toGeometry(feature);
+      const code = properties.code ? String(properties.code).toUpperCase() : null;
+      const problems = [];
+
+      if (!properties.name) problems.push('name property is required');
+      if (!code) problems.push('code property is required');
+      const geometryProblem = validateGeometry(geometry);
+      if (geometryProblem) problems.push(geometryProblem);
+
+      let hub = defaultHub;
+      if (properties.hubCode) {
+        hub = hubsByCode.get(String(properties.hubCode).toUpperCase());
+        if (!hub) problems.push(`Unknown hubCode ${properties.hubCode}`);
+      }
+
+      const surcharge = properties.surcharge !== undefined ? Number(properties.surcharge) : undefined;
+      if (surcharge !== undefined && !(surcharge >= 0)) {
+        problems.push('surcharge must be a non-negative number');
+      }
+
+      problems.forEach(message => errors.push({ feature: index, code, message }));
+      return {
+        code,
+        name: properties.name,
+        description: properties.description,
+        geometry: geometry && { type: geometry.type, coordinates: geometry.coordinates },
+        hub: hub ? hub._id : undefined,
+        surcharge
+      };
+    });
+
+    const codes = parsed.map(zone => zone.code).filter(Boolean);
+    const duplicates = codes.filter((code, index) => codes.indexOf(code) !== index);
+    duplicates.forEach(code => errors.push({ code, message: 'Duplicate zone code in upload' }));
+
+    if (errors.length > 0) {
+      const error = zoneError('Invalid zone upload');
+      error.details = errors;
+      throw error;
+    }
+
+    const existing = await ServiceZone.find({ code: { $in: codes } });
+    const byCode = new Map(existing.map(zone => [zone.code, zone]));
+
+    const result = { created: 0, updated: 0, deactivated: 0, zones: [] };
+    const previous = new Map(); // zone -> fields to restore when a later save fails
+    for (const data of parsed) {
+      let zone = byCode.get(data.code);
+      if (zone) {
+        const before = zone.toObject();
+        previous.set(zone, {
+          name: before.name,
+          description: before.description,
+          geometry: before.geometry,
+          status: before.status,
+          hub: before.hub,
+          'pricing.surcharge': before.pricing.surcharge
+        });
+        zone.set({ name: data.name, geometry: data.geometry, status: 'active' });
+        if (data.description !== undefined) zone.description = data.description;
+        if (data.hub) zone.hub = data.hub;
+        result.updated++;
+      } else {
+        zone = new ServiceZone({ ...data, pricing: {}, createdBy: userId });
+        result.created++;
+      }
+      if (data.surcharge !== undefined) zone.pricing.surcharge = data.surcharge;
+      result.zones.push(zone);
+    }
+
+    // Schema checks for every zone before anything is written
+    await Promise.all(result.zones.map(zone => zone.validate()));
+
+    // The 2dsphere index can still refuse a shape on save; undo the zones already written
+    const saved = [];
+    for (const zone of result.zones) {
+      try {
+        await zone.save();
+        saved.push(zone);
+      } catch (error) {
+        await this.rollbackImport(saved, previous);
+        // 2dsphere rejects self-intersecting or otherwise degenerate shapes
+        if (error.code === 16755) {
+          throw zoneError(`Zone ${zone.code} has an invalid shape: ${error.message}`);
+        }
+        throw error;
+      }
+    }
+
+    if (replace && defaultHub) {
+      const stale = await ServiceZone.updateMany(
+        { hub: defaultHub._id, code: { $nin: codes }, status: 'active' },
+        { $set: { status: 'inactive' } }
+      );
+      result.deactivated = stale.modifiedCount;
+    }
+
+    return result;
+  }
+
+  /**
+   * Undo the saves of a failed import: new zones are removed, updated ones get their old fields back
+   * @param {Array} saved - Zones saved so far
+   * @param {Map} previous - Updated zone -> fields before the import
+   */
+  async rollbackImport(saved, previous) {
+    const created = saved.filter(zone => !previous.has(zone)).map(zone => zone._id);
+    if (created.length > 0) {
+      await ServiceZone.deleteMany({ _id: { $in: created } });
+    }
+    await Promise.all(saved
+      .filter(zone => previous.has(zone))
+      .map(zone => ServiceZone.updateOne({ _id: zone._id }, { $set: previous.get(zone) })));
+  }
+
+  /**
+   * First active zone containing a point
+   * @param {Array} coordinates - [longitude, latitude]
+   * @param {Object} filter - Extra zone conditions
+   * @returns {Promise<Object|null>} Service zone
+   */
+  async findZone(coordinates, filter = {}) {
+    if (!isPosition(coordinates)) return null;
+    const zones = await ServiceZone.findContaining(coordinates, filter).sort({ createdAt: 1 }).limit(1);
+    return zones[0] || null;
+  }
+
+  /**
+   * Active hub whose service area covers a delivery point. Zones are checked
+   * first; hubs that only have an inline serviceArea are the fallback.
+   * @param {Array} coordinates - [longitude, latitude]
+   * @returns {Promise<Object|null>} { hub, zone }
+   */
+  async resolveHub(coordinates) {
+    if (!isPosition(coordinates)) return null;
+
+    const zones = await ServiceZone.findContaining(coordinates, { hub: { $ne: null } })
+      .populate('hub', 'name code status address serviceArea')
+      .sort({ createdAt: 1 });
+    const zone = zones.find(candidate => candidate.hub && candidate.hub.status === 'active');
+    if (zone) {
+      return { hub: zone.hub, zone };
+    }
+
+    const hubs = await Hub.find({
+      status: 'active',
+      'address.coordinates': {
+        $near: {
+          $geometry: { type: 'Point', coordinates }
+        }
+      }
+    }).select('name code status address serviceArea').limit(20);
+    const hub = hubs.find(candidate => candidate.isInServiceArea(coordinates));
+    return hub ? { hub, zone: null } : null;
+  }
+
+  /**
+   * Set the serving hub (when the order has none) and the service area status
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} order.serviceArea
+   */
+  async applyToOrder(order) {
+    const coordinates = order.customerInfo && order.customerInfo.address &&
+      order.customerInfo.address.coordinates;
+    const checkedAt = new Date();
+
+    if (!isPosition(coordinates)) {
+      order.serviceArea = { status: 'unknown', checkedAt };
+      return order.serviceArea;
+    }
+
+    const match = await this.resolveHub(coordinates);
+    if (match) {
+      if (!order.assignedHub) {
+        order.assignedHub = match.hub._id;
+      }
+      order.serviceArea = {
+        status: 'inside',
+        zone: match.zone ? match.zone._id : undefined,
+        checkedAt
+      };
+      return order.serviceArea;
+    }
+
+    if (this.outsideAreaPolicy === 'reject') {
+      throw zoneError('Delivery address is outside every active service area');
+    }
+    order.serviceArea = { status: 'outside', checkedAt };
+    return order.serviceArea;
+  }
+}
+
+module.exports = new ZoneService();
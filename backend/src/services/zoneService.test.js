@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Hub = require('../models/Hub');
+const ServiceZone = require('../models/ServiceZone');
+const zoneService = require('./zoneService');
+const { mockQuery } = require('../../test/helpers');
+
+const square = (lng, lat) => ({
+  type: 'Polygon',
+  coordinates: [[[lng, lat], [lng + 0.1, lat], [lng + 0.1, lat + 0.1], [lng, lat + 0.1], [lng, lat]]]
+});
+
+const feature = (code, geometry, properties = {}) => ({
+  type: 'Feature',
+  geometry,
+  properties: { name: `Zone ${code}`, code, ...properties }
+});
+
+const upload = (...features) => ({ type: 'FeatureCollection', features });
+
+describe('zoneService.importZones', () => {
+  let existing;
+
+  beforeEach(() => {
+    existing = new ServiceZone({ name: 'Old name', code: 'NASR', geometry: square(31.3, 30.0), pricing: { surcharge: 5 } });
+    jest.spyOn(Hub, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(ServiceZone, 'find').mockResolvedValue([existing]);
+    jest.spyOn(ServiceZone, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(ServiceZone, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates and updates zones matched by code', async () => {
+    const save = jest.spyOn(ServiceZone.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const result = await zoneService.importZones(upload(
+      feature('nasr', square(31.3, 30.0), { surcharge: 10 }),
+      feature('maadi', square(31.2, 29.9))
+    ));
+
+    expect(result).toMatchObject({ created: 1, updated: 1, deactivated: 0 });
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(existing.name).toBe('Zone nasr');
+    expect(existing.pricing.surcharge).toBe(10);
+  });
+
+  test('lists every invalid feature and saves nothing', async () => {
+    const save = jest.spyOn(ServiceZone.prototype, 'save');
+
+    await expect(zoneService.importZones(upload(
+      feature('nasr', square(31.3, 30.0)),
+      feature('nasr', { type: 'Point', coordinates: [31, 30] }, { surcharge: -1 })
+    ))).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Invalid zone upload',
+      details: expect.arrayContaining([
+        expect.objectContaining({ feature: 1, message: 'surcharge must be a non-negative number' }),
+        { code: 'NASR', message: 'Duplicate zone code in upload' }
+      ])
+    });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('undoes the zones already written when the database refuses a later shape', async () => {
+    const saved = [];
+    jest.spyOn(ServiceZone.prototype, 'save').mockImplementation(function() {
+      if (this.code === 'ZAMALEK') {
+        return Promise.reject(Object.assign(new Error("Can't extract geo keys: Edges 1 and 3 cross"), { code: 16755 }));
+      }
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+
+    await expect(zoneService.importZones(upload(
+      feature('nasr', square(31.3, 30.0), { surcharge: 10 }),
+      feature('maadi', square(31.2, 29.9)),
+      feature('zamalek', square(31.2, 30.05))
+    ))).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('Zone ZAMALEK has an invalid shape')
+    });
+
+    const created = saved.find(zone => zone.code === 'MAADI');
+    expect(ServiceZone.deleteMany).toHaveBeenCalledWith({ _id: { $in: [created._id] } });
+    expect(ServiceZone.updateOne).toHaveBeenCalledWith({ _id: existing._id }, {
+      $set: expect.objectContaining({ name: 'Old name', status: 'active', 'pricing.surcharge': 5 })
+    });
+  });
+
+  test('checks every zone against the schema before the first save', async () => {
+    const save = jest.spyOn(ServiceZone.prototype, 'save');
+    jest.spyOn(ServiceZone.prototype, 'validate').mockImplementation(function() {
+      if (this.code === 'MAADI') return Promise.reject(new mongoose.Error.ValidationError());
+      return Promise.resolve();
+    });
+
+    await expect(zoneService.importZones(upload(
+      feature('nasr', square(31.3, 30.0)),
+      feature('maadi', square(31.2, 29.9))
+    ))).rejects.toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
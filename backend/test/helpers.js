@@ -0,0 +1,76 @@
+/**
+ * Shared helpers for unit tests. Models are exercised without a database:
+ * queries are replaced with stubs that resolve to fixed results.
+ */
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Chainable stand-in for a mongoose Query that resolves to `result`
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: reject => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+  ['select', 'populate', 'sort', 'limit', 'skip', 'lean', 'session', 'read'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Express response double that records status, headers and body
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined
+  };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Let pending promise callbacks and setImmediate work run
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+// Bearer header for a user with the given role, signed like authController does
+const authHeader = (role, userId = new mongoose.Types.ObjectId().toString()) => {
+  const token = jwt.sign({ userId, role }, process.env.JWT_SECRET, {
+    issuer: 'shipping-system',
+    audience: 'shipping-app'
+  });
+  return `Bearer ${token}`;
+};
+
+// Express app with JSON parsing and a single router mounted, for supertest
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(path, router);
+  return app;
+};
+
+module.exports = {
+  mockQuery,
+  authHeader,
+  buildApp,
+  mockResponse,
+  flushPromises
+};